@@ -12,6 +12,7 @@
 let sessionData = {};
 let currentTurn = null; // For multi-turn navigation
 let sessionManifest = null; // Parsed from _session_manifest.json
+let currentSource = null; // { source, value } the current session was loaded from
 
 // =============================================================================
 // Office Document Helpers (for smart PDF preview)
@@ -51,13 +52,7 @@ function getPdfVersionPath(filePath) {
  */
 function base64ToBlobUrl(base64, mimeType) {
     try {
-        const byteCharacters = atob(base64);
-        const byteNumbers = new Array(byteCharacters.length);
-        for (let i = 0; i < byteCharacters.length; i++) {
-            byteNumbers[i] = byteCharacters.charCodeAt(i);
-        }
-        const byteArray = new Uint8Array(byteNumbers);
-        const blob = new Blob([byteArray], { type: mimeType });
+        const blob = new Blob([base64ToBytes(base64)], { type: mimeType });
         return URL.createObjectURL(blob);
     } catch (e) {
         console.error('Failed to create blob URL:', e);
@@ -65,6 +60,264 @@ function base64ToBlobUrl(base64, mimeType) {
     }
 }
 
+// =============================================================================
+// Workspace File Types (binary detection, MIME types, icons)
+// =============================================================================
+
+/**
+ * Text files are exported as-is; binary files as base64 (see bytesToBase64)
+ */
+function textFileType(mime, icon) {
+    return { mime, icon, kind: 'text', binary: false };
+}
+
+function binaryFileType(kind, mime, icon) {
+    return { mime, icon, kind, binary: true };
+}
+
+/**
+ * Known file types by extension
+ * kind drives the preview: image, pdf, video and audio play inline; office documents
+ * go to the artifact preview; everything else binary gets a download notice
+ */
+const FILE_TYPES = {
+    py: textFileType('text/x-python', '🐍'),
+    js: textFileType('text/javascript', '📜'),
+    mjs: textFileType('text/javascript', '📜'),
+    cjs: textFileType('text/javascript', '📜'),
+    jsx: textFileType('text/javascript', '📜'),
+    ts: textFileType('text/typescript', '📘'),
+    tsx: textFileType('text/typescript', '📘'),
+    json: textFileType('application/json', '📋'),
+    jsonl: textFileType('application/jsonl', '📋'),
+    ndjson: textFileType('application/x-ndjson', '📋'),
+    ipynb: textFileType('application/x-ipynb+json', '📓'),
+    yaml: textFileType('application/yaml', '⚙️'),
+    yml: textFileType('application/yaml', '⚙️'),
+    toml: textFileType('application/toml', '⚙️'),
+    md: textFileType('text/markdown', '📝'),
+    txt: textFileType('text/plain', '📄'),
+    log: textFileType('text/plain', '📄'),
+    html: textFileType('text/html', '🌐'),
+    htm: textFileType('text/html', '🌐'),
+    css: textFileType('text/css', '🎨'),
+    sh: textFileType('application/x-sh', '💻'),
+    csv: textFileType('text/csv', '📊'),
+    tsv: textFileType('text/tab-separated-values', '📊'),
+    svg: textFileType('image/svg+xml', '🖼️'),
+    xml: textFileType('application/xml', '📄'),
+
+    png: binaryFileType('image', 'image/png', '🖼️'),
+    jpg: binaryFileType('image', 'image/jpeg', '🖼️'),
+    jpeg: binaryFileType('image', 'image/jpeg', '🖼️'),
+    gif: binaryFileType('image', 'image/gif', '🖼️'),
+    webp: binaryFileType('image', 'image/webp', '🖼️'),
+    bmp: binaryFileType('image', 'image/bmp', '🖼️'),
+    ico: binaryFileType('image', 'image/x-icon', '🖼️'),
+    avif: binaryFileType('image', 'image/avif', '🖼️'),
+    tif: binaryFileType('binary', 'image/tiff', '🖼️'),
+    tiff: binaryFileType('binary', 'image/tiff', '🖼️'),
+    svgz: binaryFileType('binary', 'image/svg+xml', '🖼️'),
+    pdf: binaryFileType('pdf', 'application/pdf', '📕'),
+    mp4: binaryFileType('video', 'video/mp4', '🎬'),
+    m4v: binaryFileType('video', 'video/mp4', '🎬'),
+    webm: binaryFileType('video', 'video/webm', '🎬'),
+    mov: binaryFileType('video', 'video/quicktime', '🎬'),
+    ogv: binaryFileType('video', 'video/ogg', '🎬'),
+    avi: binaryFileType('binary', 'video/x-msvideo', '🎬'),
+    mkv: binaryFileType('binary', 'video/x-matroska', '🎬'),
+    mp3: binaryFileType('audio', 'audio/mpeg', '🎵'),
+    wav: binaryFileType('audio', 'audio/wav', '🎵'),
+    ogg: binaryFileType('audio', 'audio/ogg', '🎵'),
+    oga: binaryFileType('audio', 'audio/ogg', '🎵'),
+    opus: binaryFileType('audio', 'audio/ogg', '🎵'),
+    flac: binaryFileType('audio', 'audio/flac', '🎵'),
+    m4a: binaryFileType('audio', 'audio/mp4', '🎵'),
+    aac: binaryFileType('audio', 'audio/aac', '🎵'),
+    docx: binaryFileType('office', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', '📘'),
+    xlsx: binaryFileType('office', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', '📗'),
+    pptx: binaryFileType('office', 'application/vnd.openxmlformats-officedocument.presentationml.presentation', '📙'),
+    doc: binaryFileType('binary', 'application/msword', '📘'),
+    xls: binaryFileType('binary', 'application/vnd.ms-excel', '📗'),
+    ppt: binaryFileType('binary', 'application/vnd.ms-powerpoint', '📙'),
+    odt: binaryFileType('binary', 'application/vnd.oasis.opendocument.text', '📘'),
+    ods: binaryFileType('binary', 'application/vnd.oasis.opendocument.spreadsheet', '📗'),
+    odp: binaryFileType('binary', 'application/vnd.oasis.opendocument.presentation', '📙'),
+    zip: binaryFileType('archive', 'application/zip', '📦'),
+    gz: binaryFileType('archive', 'application/gzip', '📦'),
+    tgz: binaryFileType('archive', 'application/gzip', '📦'),
+    tar: binaryFileType('archive', 'application/x-tar', '📦'),
+    bz2: binaryFileType('archive', 'application/x-bzip2', '📦'),
+    xz: binaryFileType('archive', 'application/x-xz', '📦'),
+    '7z': binaryFileType('archive', 'application/x-7z-compressed', '📦'),
+    rar: binaryFileType('archive', 'application/vnd.rar', '📦'),
+    jar: binaryFileType('archive', 'application/java-archive', '📦'),
+    whl: binaryFileType('archive', 'application/zip', '📦'),
+    woff: binaryFileType('font', 'font/woff', '🔤'),
+    woff2: binaryFileType('font', 'font/woff2', '🔤'),
+    ttf: binaryFileType('font', 'font/ttf', '🔤'),
+    otf: binaryFileType('font', 'font/otf', '🔤'),
+    eot: binaryFileType('font', 'application/vnd.ms-fontobject', '🔤'),
+    sqlite: binaryFileType('database', 'application/vnd.sqlite3', '🗄️'),
+    sqlite3: binaryFileType('database', 'application/vnd.sqlite3', '🗄️'),
+    db: binaryFileType('database', 'application/vnd.sqlite3', '🗄️'),
+    parquet: binaryFileType('binary', 'application/vnd.apache.parquet', '💾'),
+    feather: binaryFileType('binary', 'application/vnd.apache.arrow.file', '💾'),
+    npy: binaryFileType('binary', 'application/octet-stream', '💾'),
+    npz: binaryFileType('binary', 'application/zip', '💾'),
+    pkl: binaryFileType('binary', 'application/octet-stream', '💾'),
+    pickle: binaryFileType('binary', 'application/octet-stream', '💾'),
+    h5: binaryFileType('binary', 'application/x-hdf5', '💾'),
+    hdf5: binaryFileType('binary', 'application/x-hdf5', '💾'),
+    pt: binaryFileType('binary', 'application/octet-stream', '💾'),
+    pth: binaryFileType('binary', 'application/octet-stream', '💾'),
+    onnx: binaryFileType('binary', 'application/octet-stream', '💾'),
+    safetensors: binaryFileType('binary', 'application/octet-stream', '💾'),
+    wasm: binaryFileType('binary', 'application/wasm', '💾'),
+    pyc: binaryFileType('binary', 'application/octet-stream', '💾'),
+    class: binaryFileType('binary', 'application/java-vm', '💾'),
+    exe: binaryFileType('binary', 'application/vnd.microsoft.portable-executable', '💾'),
+    dll: binaryFileType('binary', 'application/vnd.microsoft.portable-executable', '💾'),
+    so: binaryFileType('binary', 'application/octet-stream', '💾'),
+    dylib: binaryFileType('binary', 'application/octet-stream', '💾'),
+    bin: binaryFileType('binary', 'application/octet-stream', '💾')
+};
+
+const FILE_KIND_LABELS = {
+    image: 'Image',
+    pdf: 'PDF document',
+    video: 'Video',
+    audio: 'Audio',
+    office: 'Office document',
+    archive: 'Archive',
+    font: 'Font',
+    database: 'Database',
+    binary: 'Binary file'
+};
+
+/**
+ * Leading bytes of common binary formats → FILE_TYPES key
+ * Used for files whose extension isn't in FILE_TYPES (including no extension)
+ */
+const FILE_SIGNATURES = [
+    { ext: 'png', magic: '\x89PNG\r\n\x1a\n' },
+    { ext: 'jpg', magic: '\xff\xd8\xff' },
+    { ext: 'gif', magic: 'GIF8' },
+    { ext: 'webp', magic: 'RIFF', at: 8, also: 'WEBP' },
+    { ext: 'wav', magic: 'RIFF', at: 8, also: 'WAVE' },
+    { ext: 'avi', magic: 'RIFF', at: 8, also: 'AVI ' },
+    { ext: 'bmp', magic: 'BM' },
+    { ext: 'ico', magic: '\x00\x00\x01\x00' },
+    { ext: 'pdf', magic: '%PDF-' },
+    { ext: 'zip', magic: 'PK\x03\x04' },
+    { ext: 'gz', magic: '\x1f\x8b' },
+    { ext: 'bz2', magic: 'BZh' },
+    { ext: 'xz', magic: '\xfd7zXZ\x00' },
+    { ext: '7z', magic: '7z\xbc\xaf\x27\x1c' },
+    { ext: 'rar', magic: 'Rar!\x1a\x07' },
+    { ext: 'mp4', magic: '', at: 4, also: 'ftyp' },
+    { ext: 'webm', magic: '\x1a\x45\xdf\xa3' },
+    { ext: 'ogg', magic: 'OggS' },
+    { ext: 'flac', magic: 'fLaC' },
+    { ext: 'mp3', magic: 'ID3' },
+    { ext: 'sqlite', magic: 'SQLite format 3\x00' },
+    { ext: 'woff', magic: 'wOFF' },
+    { ext: 'woff2', magic: 'wOF2' },
+    { ext: 'otf', magic: 'OTTO' },
+    { ext: 'parquet', magic: 'PAR1' },
+    { ext: 'wasm', magic: '\x00asm' },
+    { ext: 'exe', magic: 'MZ' },
+    { ext: 'bin', magic: '\x7fELF' }
+];
+
+// Exported base64 has no line breaks; a prefix check keeps detection cheap on large files
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const BASE64_SNIFF_CHARS = 1024;
+
+function looksLikeBase64(content) {
+    return content.length >= 8 && content.length % 4 === 0 &&
+        BASE64_PATTERN.test(content.slice(0, BASE64_SNIFF_CHARS)) &&
+        BASE64_PATTERN.test(content.slice(-4));
+}
+
+/**
+ * Work out how a workspace file is stored and what it is
+ * The extension decides when it's known; otherwise base64 content is checked for a
+ * known signature, or for bytes that can't be text
+ * @param {string} path - File path or name
+ * @param {string} content - File content as exported (text, or base64 for binary files)
+ * @returns {{ ext: string, mime: string, kind: string, icon: string, binary: boolean }}
+ */
+function getWorkspaceFileType(path, content) {
+    const name = String(path).split('/').pop();
+    const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    const text = typeof content === 'string' ? content : '';
+    const known = FILE_TYPES[ext];
+
+    if (known) {
+        // A "binary" extension with text content (e.g., a hand-written .db stub) is shown as text
+        if (known.binary && !looksLikeBase64(text)) return { ext, ...FILE_TYPES.txt };
+        return { ext, ...known };
+    }
+
+    if (looksLikeBase64(text)) {
+        let sample = '';
+        try {
+            sample = atob(text.slice(0, 64));
+        } catch {
+            // Not base64 after all
+        }
+        const signature = FILE_SIGNATURES.find(sig =>
+            sample.startsWith(sig.magic) && (!sig.also || sample.startsWith(sig.also, sig.at)));
+        if (signature) return { ext, ...FILE_TYPES[signature.ext] };
+        // NULs or many control bytes can't be a text file exported as-is
+        // (short strings like "abcdefgh" decode to noise too, so they need a full sample)
+        const controlBytes = Array.from(sample).filter(ch => ch.charCodeAt(0) < 9 || (ch.charCodeAt(0) > 13 && ch.charCodeAt(0) < 32)).length;
+        if (sample.length >= 48 && (sample.includes('\x00') || controlBytes / sample.length > 0.1)) {
+            return { ext, ...FILE_TYPES.bin };
+        }
+    }
+    return { ext, ...FILE_TYPES.txt };
+}
+
+/**
+ * Size of a workspace file in bytes (binary files are counted after decoding)
+ */
+function getWorkspaceFileSize(content, fileType) {
+    if (!fileType.binary) return content.length;
+    const padding = content.endsWith('==') ? 2 : content.endsWith('=') ? 1 : 0;
+    return Math.floor(content.length * 3 / 4) - padding;
+}
+
+/**
+ * Decode base64 to bytes
+ */
+function base64ToBytes(base64) {
+    const byteCharacters = atob(base64);
+    const bytes = new Uint8Array(byteCharacters.length);
+    for (let i = 0; i < byteCharacters.length; i++) {
+        bytes[i] = byteCharacters.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * A Blob of a workspace file's real bytes, typed by its MIME type
+ * @returns {Blob|null} Null when binary content can't be decoded
+ */
+function createWorkspaceFileBlob(path, content) {
+    const fileType = getWorkspaceFileType(path, content);
+    if (!fileType.binary) {
+        return new Blob([content], { type: fileType.mime });
+    }
+    try {
+        return new Blob([base64ToBytes(content)], { type: fileType.mime });
+    } catch (e) {
+        console.error('Failed to decode binary file:', e);
+        return null;
+    }
+}
+
 // =============================================================================
 // Session Manifest Functions (Multi-Turn Support)
 // =============================================================================
@@ -81,25 +334,6 @@ function parseSessionManifest(files) {
     return null;
 }
 
-/**
- * Detect if this is a legacy gist (no manifest)
- * Legacy gists have files directly in the root without turn prefixes
- */
-function detectLegacyGist(files) {
-    // If we have a manifest, it's not legacy
-    if (files['_session_manifest.json']) {
-        return false;
-    }
-    // Legacy gists have files like "metrics_summary.json" directly
-    // New gists have files like "turn_1/attempt_1/metrics_summary.json"
-    for (const path of Object.keys(files)) {
-        if (path.startsWith('turn_')) {
-            return false;
-        }
-    }
-    return true;
-}
-
 /**
  * Get session status from manifest or infer from files
  */
@@ -168,6 +402,8 @@ function setCurrentTurn(turnKey) {
         const turnNumber = turnKey ? parseInt(turnKey.split('_')[0], 10) : null;
         trySection.style.display = (turnNumber === 1 || turnKey === null) ? '' : 'none';
     }
+    // Replay follows one turn's events, so switching turns ends it
+    exitReplay(false);
     // Re-render turn-dependent sections
     if (sessionData) {
         console.log('[Turn Filter] sessionData exists, perTurnData keys:', Object.keys(sessionData.perTurnData || {}));
@@ -176,7 +412,9 @@ function setCurrentTurn(turnKey) {
         console.log('[Turn Filter] filtered answers:', Object.keys(filteredData.answers || {}));
         renderStats(sessionData);
         renderAgents(sessionData);
+        renderAgentGantt(sessionData);
         renderTimeline(sessionData);
+        renderVoteOverview(sessionData);
         renderAnswers(sessionData);
         renderFinalAnswer(sessionData);
         renderOutputs(sessionData);
@@ -187,14 +425,11 @@ function setCurrentTurn(turnKey) {
 
 /**
  * Extract turn and attempt info from file path
- * Handles paths like:
- *   - turn_1__attempt_1__status.json (flattened with __)
- *   - turn_1/attempt_1/status.json (nested with /)
+ * e.g., "turn_1/attempt_1/status.json" (paths are nested once loaded; see unflattenPath)
  * Returns: { turn: number, attempt: number, key: "turn_attempt" } or null
  */
 function extractTurnAttemptFromPath(path) {
-    // Match turn_X__attempt_Y__ or turn_X/attempt_Y/
-    const match = path.match(/^turn_(\d+)(?:__|\/)+attempt_(\d+)(?:__|\/)/);
+    const match = path.match(/^turn_(\d+)\/attempt_(\d+)\//);
     if (match) {
         const turn = parseInt(match[1], 10);
         const attempt = parseInt(match[2], 10);
@@ -205,9 +440,6 @@ function extractTurnAttemptFromPath(path) {
 
 /**
  * Extract turn number from file path (legacy, for backwards compatibility)
- * Handles paths like:
- *   - turn_1__attempt_1__status.json (flattened with __)
- *   - turn_1/attempt_1/status.json (nested with /)
  */
 function extractTurnFromPath(path) {
     const info = extractTurnAttemptFromPath(path);
@@ -235,128 +467,55 @@ function filterFilesByTurn(files) {
 }
 
 /**
- * Simple YAML parser for basic YAML structures
- * Handles key: value, nested objects, and arrays
+ * YAML schema for export files: the YAML 1.2 core schema plus "<<" merge keys
+ * (no implicit timestamps, so dates in configs stay strings)
  */
-function parseYaml(yamlStr) {
-    const result = {};
-    const lines = yamlStr.split('\n');
-    const stack = [{ obj: result, indent: -2, key: null }];
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        // Skip empty lines and comments
-        if (!line.trim() || line.trim().startsWith('#')) continue;
-
-        const indent = line.search(/\S/);
-        const content = line.trim();
-
-        // Pop stack to find parent at correct indent level
-        while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
-            stack.pop();
-        }
-
-        const parentInfo = stack[stack.length - 1];
-        let parent = parentInfo.obj;
-
-        // Handle array items (lines starting with -)
-        if (content.startsWith('- ')) {
-            const afterDash = content.slice(2);
-
-            // Check if this is "- key: value" format
-            const colonIdx = afterDash.indexOf(':');
-            if (colonIdx > 0) {
-                const key = afterDash.slice(0, colonIdx).trim();
-                const value = afterDash.slice(colonIdx + 1).trim();
-
-                // Ensure parent is an array
-                if (!Array.isArray(parent)) {
-                    // Find the key that should be an array
-                    const grandparent = stack.length > 1 ? stack[stack.length - 2].obj : result;
-                    const lastKey = parentInfo.key;
-                    if (lastKey && grandparent[lastKey] !== undefined) {
-                        grandparent[lastKey] = [];
-                        parent = grandparent[lastKey];
-                        stack[stack.length - 1] = { obj: parent, indent: parentInfo.indent, key: lastKey };
-                    }
-                }
-
-                // Create new object for array item
-                const newObj = {};
-                newObj[key] = value === '' ? {} : parseYamlValue(value);
-
-                if (Array.isArray(parent)) {
-                    parent.push(newObj);
-                    // Push the new object for nested properties
-                    stack.push({ obj: newObj, indent: indent + 2, key: key });
-                }
-            } else {
-                // Simple array item like "- value"
-                const value = parseYamlValue(afterDash.trim());
-                if (Array.isArray(parent)) {
-                    parent.push(value);
-                }
-            }
-            continue;
-        }
-
-        // Handle key: value
-        const colonIdx = content.indexOf(':');
-        if (colonIdx > 0) {
-            const key = content.slice(0, colonIdx).trim();
-            const value = content.slice(colonIdx + 1).trim();
-
-            if (value === '' || value === null) {
-                // Nested object or will become array
-                parent[key] = {};
-                stack.push({ obj: parent[key], indent: indent, key: key });
-            } else {
-                parent[key] = parseYamlValue(value);
-            }
-        }
-    }
-
-    return result;
-}
+let yamlSchema = null;
 
-function parseYamlValue(str) {
-    if (str === '' || str === undefined) return null;
-    if (str === 'true') return true;
-    if (str === 'false') return false;
-    if (str === 'null' || str === '~') return null;
-    if (/^-?\d+$/.test(str)) return parseInt(str, 10);
-    if (/^-?\d+\.\d+$/.test(str)) return parseFloat(str);
-    // Remove quotes
-    if ((str.startsWith("'") && str.endsWith("'")) ||
-        (str.startsWith('"') && str.endsWith('"'))) {
-        return str.slice(1, -1);
+function getYamlSchema() {
+    if (!yamlSchema) {
+        yamlSchema = jsyaml.CORE_SCHEMA.extend({ implicit: [jsyaml.types.merge] });
     }
-    return str;
+    return yamlSchema;
 }
 
 /**
- * Parse URL parameters
+ * Parse a YAML document (YAML 1.2, via the vendored js-yaml)
+ * Supports block scalars, flow collections, anchors/aliases, quoted keys and comments
+ * @throws {Error} If the document is not valid YAML
  */
-function getGistId() {
-    const params = new URLSearchParams(window.location.search);
-    return params.get('gist');
+function parseYaml(yamlStr) {
+    return jsyaml.load(yamlStr, { schema: getYamlSchema() });
 }
 
 /**
  * Unflatten file paths from gist format
  * e.g., "agent_a__timestamp__answer.txt" -> "agent_a/timestamp/answer.txt"
+ * Gists can't hold "/", so names that already have one (URL, ?src= and local exports)
+ * are real paths and keep their "__" (e.g., "pkg/__init__.py", "__pycache__/")
  */
 function unflattenPath(flatName) {
+    if (flatName.includes('/')) return flatName;
     return flatName.replace(/__/g, '/');
 }
 
 /**
  * Show error message
  */
-function showError(message) {
+function showError(message, options = {}) {
     document.getElementById('loading').style.display = 'none';
+    document.getElementById('landing').style.display = 'none';
+    document.getElementById('content').style.display = 'none';
     document.getElementById('error').style.display = 'block';
     document.getElementById('error-message').textContent = message;
+
+    // Offer the GitHub token form when the failure could be fixed by authenticating
+    const tokenContainer = document.getElementById('error-token-settings');
+    if (options.showTokenSettings) {
+        renderGitHubTokenSettings('error-token-settings', true);
+    } else {
+        tokenContainer.innerHTML = '';
+    }
 }
 
 /**
@@ -364,1983 +523,7441 @@ function showError(message) {
  */
 function showContent() {
     document.getElementById('loading').style.display = 'none';
+    document.getElementById('landing').style.display = 'none';
+    document.getElementById('error').style.display = 'none';
     document.getElementById('content').style.display = 'block';
 }
 
 /**
- * Fetch gist data from GitHub API
+ * Show loading spinner (e.g., while reading a dropped export)
  */
-async function fetchGist(gistId) {
-    const response = await fetch(`https://api.github.com/gists/${gistId}`);
+function showLoading() {
+    document.getElementById('landing').style.display = 'none';
+    document.getElementById('error').style.display = 'none';
+    document.getElementById('content').style.display = 'none';
+    document.getElementById('loading').style.display = '';
+}
 
-    if (!response.ok) {
-        if (response.status === 404) {
-            throw new Error('Session not found. The link may be invalid or the session may have been deleted.');
+/**
+ * Show landing page with the local export drop zone
+ */
+function showLanding() {
+    document.getElementById('loading').style.display = 'none';
+    document.getElementById('error').style.display = 'none';
+    document.getElementById('content').style.display = 'none';
+    document.getElementById('landing').style.display = 'block';
+    renderGitHubTokenSettings('landing-token-settings');
+    renderRecentSessions();
+}
+
+// =============================================================================
+// Export Format Migrations
+// =============================================================================
+
+// Version of the in-memory model every export is upgraded to before rendering
+const CANONICAL_EXPORT_FORMAT = 'canonical';
+
+/**
+ * Migrations from each export format version, applied in sequence until the
+ * canonical model is reached. To support a new MassGen export format, add a
+ * migration from it (or from the previous version to it) - renderers only ever
+ * see the canonical model:
+ *   - every path is nested under turn_N/attempt_M/ (except _session_manifest.json)
+ *   - _session_manifest.json exists and each turn has turn_number and attempt_number
+ *   - vote.json files carry voted_for_label, available_options_labels and answer_label_to_agent
+ * Each migration returns a new files map and leaves its input untouched.
+ */
+const EXPORT_MIGRATIONS = [
+    { from: 'legacy', to: '1.0', name: 'Legacy flat export to multi-turn layout', migrate: migrateLegacyFlatExport },
+    { from: '1.0', to: CANONICAL_EXPORT_FORMAT, name: 'Format 1.0 to canonical model', migrate: migrateV1Export }
+];
+
+/**
+ * Detect the format version of an export
+ * @returns {string} 'legacy' for flat single-turn exports, else the manifest's format_version
+ *   ('1.0' for turn-prefixed exports whose manifest is missing or unversioned)
+ */
+function detectExportFormatVersion(files) {
+    const manifest = parseSessionManifest(files);
+    if (manifest) {
+        return manifest.format_version ? String(manifest.format_version) : '1.0';
+    }
+    // Legacy exports have files like "metrics_summary.json" directly in the root;
+    // multi-turn exports have "turn_1/attempt_1/metrics_summary.json"
+    return Object.keys(files).some(path => /^turn_\d+\//.test(path)) ? '1.0' : 'legacy';
+}
+
+/**
+ * Upgrade a structured files map to the canonical model
+ * @param {Object} files - Structured files map (from buildFilesMap)
+ * @returns {Object} { files, formatVersion, applied: migration names, supported }
+ *   supported is false when no migration path exists (the export is rendered as-is)
+ */
+function migrateExportFiles(files) {
+    const formatVersion = detectExportFormatVersion(files);
+    const applied = [];
+    let version = formatVersion;
+    let migrated = files;
+
+    while (version !== CANONICAL_EXPORT_FORMAT) {
+        const migration = EXPORT_MIGRATIONS.find(m => m.from === version);
+        if (!migration) {
+            console.warn(`[Migrations] No migration from export format "${version}"; rendering as-is`);
+            return { files: migrated, formatVersion, applied, supported: false };
         }
-        throw new Error(`Failed to load session (HTTP ${response.status})`);
+        migrated = migration.migrate(migrated);
+        applied.push(migration.name);
+        version = migration.to;
     }
 
-    return response.json();
+    return { files: migrated, formatVersion, applied, supported: true };
 }
 
 /**
- * Parse gist files into structured data
- * Note: GitHub API truncates content for large files, so we fetch from raw_url when needed
+ * legacy -> 1.0: move a flat single-turn export under turn_1/attempt_1/ and
+ * add the manifest that 1.0 exports carry
  */
-async function parseGistFiles(gist) {
-    const files = {};
+function migrateLegacyFlatExport(files) {
+    const migrated = {};
+    for (const [path, content] of Object.entries(files)) {
+        migrated[`turn_1/attempt_1/${path}`] = content;
+    }
 
-    // Collect promises for files that need to be fetched from raw_url
-    const fetchPromises = [];
+    const status = files['status.json'];
+    const metrics = files['metrics_summary.json'];
+    const question = metrics?.meta?.question || status?.meta?.question ||
+        files['coordination_events.json']?.session_metadata?.user_prompt;
 
-    for (const [filename, fileData] of Object.entries(gist.files)) {
-        const path = unflattenPath(filename);
+    migrated['_session_manifest.json'] = {
+        format_version: '1.0',
+        session_type: 'single_turn',
+        turn_count: 1,
+        turns: [{ turn_number: 1, attempt_number: 1, ...(question ? { question } : {}) }]
+    };
+    return migrated;
+}
 
-        // Check if content is truncated (GitHub API sets truncated=true for large files)
-        if (fileData.truncated || !fileData.content) {
-            fetchPromises.push(
-                fetch(fileData.raw_url)
-                    .then(r => r.text())
-                    .then(content => ({ filename, path, content }))
-                    .catch(() => ({ filename, path, content: '' }))
-            );
-        } else {
-            // Process inline content
-            const content = fileData.content;
-            processFileContent(files, filename, path, content);
-        }
+/**
+ * 1.0 -> canonical: fill in what older 1.0 exports left out
+ * (missing manifest, unnumbered attempts, unlabeled votes)
+ */
+function migrateV1Export(files) {
+    const migrated = { ...files };
+    migrated['_session_manifest.json'] = normalizeV1Manifest(files);
+    for (const [path, vote] of Object.entries(labelV1Votes(files))) {
+        migrated[path] = vote;
     }
+    return migrated;
+}
 
-    // Wait for all truncated files to be fetched
-    if (fetchPromises.length > 0) {
-        const fetchedFiles = await Promise.all(fetchPromises);
-        for (const { filename, path, content } of fetchedFiles) {
-            processFileContent(files, filename, path, content);
+/**
+ * Build a manifest whose turns all have turn_number and attempt_number,
+ * synthesizing the turn list from turn_N/attempt_M/ paths when the manifest is missing
+ */
+function normalizeV1Manifest(files) {
+    const manifest = parseSessionManifest(files);
+    let turns = getTurnsFromManifest(manifest);
+
+    if (turns.length === 0) {
+        const seen = new Map();
+        for (const path of Object.keys(files)) {
+            const info = extractTurnAttemptFromPath(path);
+            if (info && !seen.has(info.key)) {
+                seen.set(info.key, { turn_number: info.turn, attempt_number: info.attempt });
+            }
         }
+        turns = Array.from(seen.values())
+            .sort((a, b) => a.turn_number - b.turn_number || a.attempt_number - b.attempt_number);
     }
 
-    return files;
+    const normalizedTurns = turns.map(turn => ({ ...turn, attempt_number: turn.attempt_number || 1 }));
+    return {
+        format_version: '1.0',
+        ...manifest,
+        turn_count: manifest?.turn_count || new Set(normalizedTurns.map(t => t.turn_number)).size,
+        turns: normalizedTurns
+    };
 }
 
 /**
- * Process file content and add to files object
+ * Add X.Y answer labels to votes from logs that predate them
+ * The label of an agent's answer is "<agent number>.<answer count>", numbering the
+ * attempt's agents (those with answers or a status entry) in sorted order
+ * @returns {Object} Map of vote path -> labeled copy, for votes that needed labels
  */
-function processFileContent(files, filename, path, content) {
-    // Try to parse JSON files
-    if (filename.endsWith('.json')) {
-        try {
-            files[path] = JSON.parse(content);
-        } catch {
-            files[path] = content;
-        }
-    } else if (filename.endsWith('.yaml') || filename.endsWith('.yml')) {
-        // Try to parse YAML files
-        try {
-            const parsed = parseYaml(content);
-            files[path] = parsed;
-            files[path]._raw = content; // Keep raw for display
-        } catch {
-            files[path] = content;
+function labelV1Votes(files) {
+    // Group agents and intermediate answer counts by attempt prefix
+    const attempts = {};
+    const getAttempt = (path) => {
+        const info = extractTurnAttemptFromPath(path);
+        const prefix = info ? `turn_${info.turn}/attempt_${info.attempt}/` : '';
+        if (!attempts[prefix]) attempts[prefix] = { agents: new Set(), answerCounts: {} };
+        return attempts[prefix];
+    };
+    for (const [path, content] of Object.entries(files)) {
+        if (path.endsWith('/answer.txt') && !path.includes('final/') && typeof content === 'string') {
+            const { agentId, timestamp } = extractAgentFromPath(path);
+            if (agentId && timestamp) {
+                const attempt = getAttempt(path);
+                attempt.agents.add(agentId);
+                attempt.answerCounts[agentId] = (attempt.answerCounts[agentId] || 0) + 1;
+            }
+        } else if (path.endsWith('status.json') && content && typeof content === 'object') {
+            const attempt = getAttempt(path);
+            Object.keys(content.agents || {}).forEach(id => attempt.agents.add(id));
         }
-    } else {
-        files[path] = content;
     }
+
+    const labeled = {};
+    for (const [path, vote] of Object.entries(files)) {
+        if (!path.endsWith('/vote.json') || !vote || typeof vote !== 'object') continue;
+        if (vote.voted_for_label && vote.available_options_labels) continue;
+
+        const attempt = getAttempt(path);
+        const agentIds = Array.from(attempt.agents).sort();
+        const labelFor = (agentId) => {
+            if (agentId === vote.voted_for && vote.voted_for_label) return vote.voted_for_label;
+            const idx = agentIds.indexOf(agentId);
+            return idx === -1 ? agentId : `${idx + 1}.${attempt.answerCounts[agentId] || 1}`;
+        };
+
+        const options = Array.isArray(vote.available_options) ? vote.available_options : [];
+        const optionLabels = vote.available_options_labels || options.map(labelFor);
+        const labelToAgent = vote.answer_label_to_agent ||
+            Object.fromEntries(optionLabels.map((label, idx) => [label, options[idx]]).filter(([, agentId]) => agentId));
+
+        labeled[path] = {
+            ...vote,
+            voted_for_label: vote.voted_for_label || (vote.voted_for ? labelFor(vote.voted_for) : null),
+            available_options_labels: optionLabels,
+            answer_label_to_agent: labelToAgent
+        };
+    }
+    return labeled;
 }
 
+// =============================================================================
+// GitHub API Access (optional personal access token)
+// =============================================================================
+
 /**
- * Extract agent info from path - handles both old and new formats
- * Old: agent_a/timestamp/answer.txt
- * New: turn_1/attempt_1/agent_a/timestamp/answer.txt
- * Flattened: turn_1__attempt_1__agent_a__20251228_123456__answer.txt
+ * localStorage key for the optional GitHub personal access token
  */
-function extractAgentFromPath(path) {
-    // Check if this is a flattened path (uses __ separator)
-    if (path.includes('__') && !path.includes('/')) {
-        const parts = path.split('__');
-        // Pattern: turn_X__attempt_Y__agent_id__timestamp__filename
-        // or: turn_X__attempt_Y__final__agent_id__filename
-        let agentId = null;
-        let timestamp = null;
-
-        for (let i = 0; i < parts.length; i++) {
-            const part = parts[i];
-            // Skip turn_X and attempt_Y
-            if (part.startsWith('turn_') || part.startsWith('attempt_')) continue;
-            // Skip 'final' marker
-            if (part === 'final') continue;
-            // Agent IDs typically start with 'agent_' or contain known patterns
-            if (part.startsWith('agent_') || part.match(/^[a-z]+_[a-z]$/)) {
-                agentId = part;
-                // Next part might be timestamp (starts with digit, like 20251228_123456)
-                if (i + 1 < parts.length && parts[i + 1].match(/^\d{8}_\d+/)) {
-                    timestamp = parts[i + 1];
-                }
-                break;
-            }
-        }
-        return { agentId, timestamp, startIdx: 0 };
+const GITHUB_TOKEN_STORAGE_KEY = 'massgen-viewer.github-token';
+
+/**
+ * Default GitHub REST API base URL
+ */
+const DEFAULT_GITHUB_API_BASE = 'https://api.github.com';
+
+/**
+ * Get the stored GitHub token ('' if none or storage is unavailable)
+ */
+function getGitHubToken() {
+    try {
+        return localStorage.getItem(GITHUB_TOKEN_STORAGE_KEY) || '';
+    } catch {
+        return '';
     }
+}
 
-    // Original path-based logic
-    const parts = path.split('/');
-    // Skip turn_X/attempt_Y prefixes if present
-    let startIdx = 0;
-    for (let i = 0; i < parts.length; i++) {
-        if (parts[i].startsWith('turn_') || parts[i].startsWith('attempt_')) {
-            startIdx = i + 1;
+/**
+ * Store (or clear, with an empty value) the GitHub token
+ */
+function setGitHubToken(token) {
+    try {
+        if (token) {
+            localStorage.setItem(GITHUB_TOKEN_STORAGE_KEY, token);
         } else {
-            break;
+            localStorage.removeItem(GITHUB_TOKEN_STORAGE_KEY);
         }
+    } catch (e) {
+        console.error('Failed to store GitHub token:', e);
     }
-    const agentId = parts[startIdx] || null;
-    const timestamp = parts[startIdx + 1] || null;
-    return { agentId, timestamp, startIdx };
 }
 
 /**
- * Extract session data from parsed files
+ * Get the GitHub API base URL
+ * ?gist_api=http://localhost:PORT points the viewer at a local mock gist server
  */
-function extractSessionData(files) {
-    // Look for metrics/status files with various path patterns
-    // Store per-turn data for multi-turn filtering
-    let metrics = {};
-    let status = {};
-    let coordination = {};
-    let snapshotMappings = {};
-
-    // Per-turn data storage: { "turn_attempt": { metrics, status, coordination, ... } }
-    // e.g., { "1_1": { ... }, "1_2": { ... }, "2_1": { ... } }
-    const perTurnData = {};
+function getGitHubApiBase() {
+    const params = new URLSearchParams(window.location.search);
+    return (params.get('gist_api') || DEFAULT_GITHUB_API_BASE).replace(/\/+$/, '');
+}
 
-    for (const [path, content] of Object.entries(files)) {
-        const turnAttempt = extractTurnAttemptFromPath(path);
-        const dataKey = turnAttempt?.key || null;
+/**
+ * Check whether the stored token may be sent to a URL
+ * Only GitHub's own hosts and localhost (mock servers) ever see the token, so a
+ * crafted ?gist_api= link cannot exfiltrate it
+ */
+function isTrustedGitHubUrl(url) {
+    try {
+        const { protocol, hostname } = new URL(url);
+        if (hostname === 'localhost' || hostname === '127.0.0.1') return true;
+        return protocol === 'https:' &&
+            (hostname === 'api.github.com' || hostname.endsWith('.githubusercontent.com'));
+    } catch {
+        return false;
+    }
+}
 
-        // Initialize per-turn storage if needed
-        if (dataKey !== null && !perTurnData[dataKey]) {
-            perTurnData[dataKey] = {
-                metrics: {},
-                status: {},
-                coordination: {},
-                snapshotMappings: {},
-                answers: {},
-                votes: {},
-                turnNumber: turnAttempt.turn,
-                attemptNumber: turnAttempt.attempt
-            };
-        }
+/**
+ * Build request headers for a GitHub URL, including the token when allowed
+ */
+function getGitHubHeaders(url) {
+    const headers = {};
+    const token = getGitHubToken();
+    if (token && isTrustedGitHubUrl(url)) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
 
-        if (path.endsWith('metrics_summary.json') && typeof content === 'object') {
-            metrics = content;
-            if (dataKey !== null) perTurnData[dataKey].metrics = content;
-        }
-        if (path.endsWith('status.json') && typeof content === 'object') {
-            status = content;
-            if (dataKey !== null) perTurnData[dataKey].status = content;
-        }
-        if (path.endsWith('coordination_events.json') && typeof content === 'object') {
-            coordination = content;
-            if (dataKey !== null) perTurnData[dataKey].coordination = content;
+/**
+ * Build a readable error for a failed GitHub API response
+ * Rate-limit responses (403/429) include the reset time from the response headers
+ * @param {Response} response - The failed fetch response
+ * @returns {Error} Error with `status` and `rateLimited` set
+ */
+function createGitHubApiError(response) {
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const reset = response.headers.get('x-ratelimit-reset');
+    const retryAfter = response.headers.get('retry-after');
+    const rateLimited = response.status === 429 || (response.status === 403 && (remaining === '0' || !!retryAfter));
+    const hasToken = !!getGitHubToken();
+
+    let message;
+    if (rateLimited) {
+        let resetAt = null;
+        if (reset) {
+            resetAt = new Date(parseInt(reset, 10) * 1000);
+        } else if (retryAfter) {
+            resetAt = new Date(Date.now() + parseInt(retryAfter, 10) * 1000);
         }
-        if (path.endsWith('snapshot_mappings.json') && typeof content === 'object') {
-            snapshotMappings = content;
-            if (dataKey !== null) perTurnData[dataKey].snapshotMappings = content;
+        message = 'GitHub API rate limit exceeded';
+        if (resetAt && !isNaN(resetAt)) {
+            const minutes = Math.max(1, Math.ceil((resetAt - Date.now()) / 60000));
+            message += `. The limit resets at ${resetAt.toLocaleTimeString()} (in about ${minutes} min)`;
         }
+        message += hasToken
+            ? '.'
+            : '. Add a GitHub personal access token below to raise the limit from 60 to 5,000 requests per hour.';
+    } else if (response.status === 401) {
+        message = 'GitHub rejected the saved access token (HTTP 401). Update or clear it below.';
+    } else if (response.status === 403) {
+        message = hasToken
+            ? 'GitHub denied access to this session (HTTP 403). Check that the saved token can read this gist.'
+            : 'GitHub denied access to this session (HTTP 403). Adding a personal access token below may help.';
+    } else if (response.status === 404) {
+        message = 'Session not found. The link may be invalid or the session may have been deleted.';
+    } else {
+        message = `Failed to load session (HTTP ${response.status})`;
     }
 
-    // Build session summary
-    const meta = metrics.meta || {};
-    const statusMeta = status.meta || {};
-    const totals = metrics.totals || {};
-    const sessionMeta = coordination.session_metadata || {};
+    const error = new Error(message);
+    error.status = response.status;
+    error.rateLimited = rateLimited;
+    return error;
+}
 
-    const question = meta.question || statusMeta.question || sessionMeta.user_prompt || 'Unknown';
-    const winner = meta.winner || status.results?.winner || sessionMeta.final_winner;
+/**
+ * Render the GitHub token form into a container
+ * @param {string} containerId - Element to render into
+ * @param {boolean} offerRetry - Reload the page after saving (used on the error page)
+ */
+function renderGitHubTokenSettings(containerId, offerRetry = false) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
 
-    // Get timestamps
-    const startTime = statusMeta.start_time || sessionMeta.start_time;
-    const endTime = sessionMeta.end_time;
-    let durationSeconds = null;
-    if (startTime && endTime) {
-        durationSeconds = endTime - startTime;
-    } else if (statusMeta.elapsed_seconds) {
-        durationSeconds = statusMeta.elapsed_seconds;
+    const hasToken = !!getGitHubToken();
+    container.innerHTML = `
+        <div class="token-settings">
+            <label class="token-settings-label" for="${containerId}-input">GitHub access token <span class="token-settings-optional">(optional)</span></label>
+            <div class="token-settings-row">
+                <input type="password" id="${containerId}-input" class="token-input" autocomplete="off" spellcheck="false"
+                       placeholder="${hasToken ? 'Token saved - enter a new one to replace it' : 'ghp_... or github_pat_...'}">
+                <button class="action-btn" data-action="save">${offerRetry ? 'Save &amp; Retry' : 'Save'}</button>
+                ${hasToken ? '<button class="action-btn secondary" data-action="clear">Clear</button>' : ''}
+            </div>
+            <p class="token-settings-hint">
+                Stored only in this browser. Raises the GitHub API limit from 60 to 5,000 requests per hour; no scopes are needed.
+            </p>
+        </div>
+    `;
+
+    const input = container.querySelector('.token-input');
+    container.querySelector('[data-action="save"]').addEventListener('click', () => {
+        const token = input.value.trim();
+        if (token) setGitHubToken(token);
+        if (offerRetry) {
+            window.location.reload();
+        } else {
+            renderGitHubTokenSettings(containerId, offerRetry);
+        }
+    });
+    container.querySelector('[data-action="clear"]')?.addEventListener('click', () => {
+        setGitHubToken('');
+        renderGitHubTokenSettings(containerId, offerRetry);
+    });
+}
+
+// Gist API responses for this page load, so a version check and a load share one request
+const gistRequests = new Map();
+
+/**
+ * Fetch gist data from GitHub API
+ * @param {string} gistId - The gist ID
+ * @param {Object} options - { rev: revision SHA, refresh: bypass the per-page-load memo }
+ */
+function fetchGist(gistId, options = {}) {
+    const memoKey = options.rev ? `${gistId}@${options.rev}` : gistId;
+    if (options.refresh) {
+        gistRequests.delete(memoKey);
     }
+    if (!gistRequests.has(memoKey)) {
+        const request = (async () => {
+            let url = `${getGitHubApiBase()}/gists/${encodeURIComponent(gistId)}`;
+            if (options.rev) {
+                url += `/${encodeURIComponent(options.rev)}`;
+            }
+            const response = await fetch(url, {
+                headers: { 'Accept': 'application/vnd.github+json', ...getGitHubHeaders(url) }
+            });
 
-    // Extract answers from files
-    const answers = {};
-    for (const [path, content] of Object.entries(files)) {
-        // Handle both flattened (turn_1__attempt_1__agent_a__ts__answer.txt) and nested paths
-        if ((path.endsWith('__answer.txt') || path.includes('/answer.txt')) && typeof content === 'string') {
-            const turnAttempt = extractTurnAttemptFromPath(path);
-            const dataKey = turnAttempt?.key || null;
-            const { agentId, timestamp } = extractAgentFromPath(path);
-            if (agentId && timestamp) {
-                const label = `${agentId}.${timestamp}`;
-                const answerData = {
-                    label,
-                    agent_id: agentId,
-                    timestamp: timestamp,
-                    content: content,
-                    turn: turnAttempt?.turn || null,
-                    attempt: turnAttempt?.attempt || null,
-                    turnKey: dataKey,
-                    type: path.includes('final/') || path.includes('__final__') ? 'final_answer' : 'answer'
-                };
-                answers[label] = answerData;
-                // Also store in per-turn data
-                if (dataKey !== null && perTurnData[dataKey]) {
-                    perTurnData[dataKey].answers[label] = answerData;
-                }
+            if (!response.ok) {
+                throw createGitHubApiError(response);
             }
-        }
+
+            return response.json();
+        })();
+        // Don't memoize failures - a later retry should hit the network again
+        request.catch(() => gistRequests.delete(memoKey));
+        gistRequests.set(memoKey, request);
     }
+    return gistRequests.get(memoKey);
+}
 
-    // Extract votes from files - collect ALL votes per agent, with turn info
-    const votes = {};
-    for (const [path, content] of Object.entries(files)) {
-        if ((path.endsWith('/vote.json') || path.endsWith('__vote.json')) && typeof content === 'object') {
-            const turnNum = extractTurnFromPath(path);
-            const { agentId, timestamp } = extractAgentFromPath(path);
-            if (agentId) {
-                if (!votes[agentId]) {
-                    votes[agentId] = [];
-                }
-                votes[agentId].push({
-                    agent_id: agentId,
-                    voter_id: content.voter_id || agentId,
-                    voted_for: content.voted_for,
-                    voted_for_label: content.voted_for_label,
-                    voted_for_anon: content.voted_for_anon,
-                    reason: content.reason,
-                    timestamp: timestamp || '',
-                    coordination_round: content.coordination_round,
-                    available_options: content.available_options || [],
-                    agent_mapping: content.agent_mapping || {},
-                    turn: turnNum
+/**
+ * Revisions per page when listing gist history (GitHub's maximum), and the most pages read
+ */
+const GIST_HISTORY_PAGE_SIZE = 100;
+const MAX_GIST_HISTORY_PAGES = 10;
+
+// Full gist histories for this page load, by gist ID and latest version
+const gistHistoryRequests = new Map();
+
+/**
+ * Get the rel="next" URL from a GitHub Link header, or null on the last page
+ */
+function getNextPageUrl(linkHeader) {
+    const match = String(linkHeader || '').match(/<([^>]+)>;\s*rel="next"/);
+    return match ? match[1] : null;
+}
+
+/**
+ * List every revision of a gist, newest first
+ * The gist response only embeds the most recent revisions, so re-exported gists page
+ * through the commits endpoint; if that fails (e.g., rate limited) the embedded list is used
+ */
+async function fetchGistHistory(gistId) {
+    const gist = await fetchGist(gistId);
+    const embedded = gist.history || [];
+    if (embedded.length < 2) return embedded;
+
+    const memoKey = `${gistId}@${getGistVersion(gist)}`;
+    if (!gistHistoryRequests.has(memoKey)) {
+        const request = (async () => {
+            const history = [];
+            let url = `${getGitHubApiBase()}/gists/${encodeURIComponent(gistId)}/commits?per_page=${GIST_HISTORY_PAGE_SIZE}`;
+            for (let page = 0; url && page < MAX_GIST_HISTORY_PAGES; page++) {
+                const response = await fetch(url, {
+                    headers: { 'Accept': 'application/vnd.github+json', ...getGitHubHeaders(url) }
                 });
+                if (!response.ok) {
+                    throw createGitHubApiError(response);
+                }
+                history.push(...await response.json());
+                url = getNextPageUrl(response.headers.get('link'));
             }
-        }
+            return history;
+        })();
+        request.catch(() => gistHistoryRequests.delete(memoKey));
+        gistHistoryRequests.set(memoKey, request);
     }
-    // Sort votes by coordination_round or timestamp
-    for (const agentId of Object.keys(votes)) {
-        votes[agentId].sort((a, b) => (a.coordination_round || 0) - (b.coordination_round || 0));
+    try {
+        const history = await gistHistoryRequests.get(memoKey);
+        return history.length > 0 ? history : embedded;
+    } catch (e) {
+        console.error('Failed to list gist revisions, showing the most recent ones:', e);
+        return embedded;
     }
+}
 
-    // Extract agent outputs (excluding _latest files)
-    // Paths like: turn_1/attempt_1/agent_outputs/agent_a.txt or turn_1__attempt_1__agent_outputs__agent_a.txt
-    const agentOutputs = {};
-    for (const [path, content] of Object.entries(files)) {
-        // Handle both nested (/) and flattened (__) path formats
-        const isAgentOutput = (path.includes('agent_outputs/') || path.includes('__agent_outputs__')) && path.endsWith('.txt');
-        if (isAgentOutput) {
-            // Extract filename from either format
-            let filename;
-            if (path.includes('__agent_outputs__')) {
-                // Flattened: turn_1__attempt_1__agent_outputs__agent_a.txt
-                const afterOutputs = path.split('__agent_outputs__')[1];
-                filename = afterOutputs.replace('.txt', '');
-            } else {
-                // Nested: turn_1/attempt_1/agent_outputs/agent_a.txt
-                const parts = path.split('/');
-                filename = parts[parts.length - 1].replace('.txt', '');
-            }
-            // Skip system_status and _latest files
-            if (filename !== 'system_status' && !filename.endsWith('_latest')) {
-                agentOutputs[filename] = content;
-            }
-        }
-    }
+/**
+ * Get a gist's version identifier (latest history revision, or updated_at)
+ */
+function getGistVersion(gist) {
+    return gist.history?.[0]?.version || gist.updated_at || null;
+}
 
-    // Extract execution metadata (config)
-    let executionMetadata = null;
-    for (const [path, content] of Object.entries(files)) {
-        if (path.includes('execution_metadata') && typeof content === 'object') {
-            executionMetadata = content;
-            break;
+/**
+ * Fetch a truncated gist file from its raw_url
+ * Sends the token when allowed, retrying anonymously if the authenticated request fails
+ */
+async function fetchGistRawFile(rawUrl) {
+    const headers = getGitHubHeaders(rawUrl);
+    if (headers['Authorization']) {
+        try {
+            const response = await fetch(rawUrl, { headers });
+            if (response.ok) return response.text();
+        } catch {
+            // Fall through to an anonymous request
         }
     }
+    const response = await fetch(rawUrl);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch gist file (HTTP ${response.status})`);
+    }
+    return response.text();
+}
 
-    // Extract workspace files from any agent directory
-    // Handle paths with turn_X/attempt_Y prefix
-    // Paths like: turn_1/attempt_1/agent_a/timestamp/workspace/file.txt
-    //         or: turn_1/attempt_1/final/agent_a/workspace/file.txt
-    //         or: agent_a/timestamp/workspace/file.txt
-    // Also handle flattened gist paths with __ separator:
-    //         turn_1__attempt_1__final__agent_a__workspace__file.txt
-    // Key by agentId/timestamp so we can associate with specific answers
-    const workspaceFiles = {};  // { agentId: { timestamp: { filePath: content } } }
-    // Also track per-turn workspace files: { turnNumber: { agentId: { timestamp: { filePath: content } } } }
-    const turnWorkspaceFiles = {};
-    for (const [path, content] of Object.entries(files)) {
-        // Check for workspace in both nested (/workspace/) and flattened (__workspace__) formats
-        const hasNestedWorkspace = path.includes('/workspace/');
-        const hasFlattenedWorkspace = path.includes('__workspace__');
-
-        if ((hasNestedWorkspace || hasFlattenedWorkspace) && typeof content === 'string') {
-            let relativePath;
-
-            if (hasNestedWorkspace) {
-                // Extract everything after 'workspace/'
-                const wsIdx = path.indexOf('/workspace/');
-                relativePath = path.substring(wsIdx + 11); // Skip '/workspace/'
-            } else {
-                // Handle flattened format: extract everything after '__workspace__'
-                const wsIdx = path.indexOf('__workspace__');
-                relativePath = path.substring(wsIdx + 13).replace(/__/g, '/'); // Skip '__workspace__' and convert __ to /
-            }
-
-            // Extract agent ID, timestamp, and turn from path
-            const { agentId, timestamp } = extractAgentFromPath(path);
-            const turnNum = extractTurnFromPath(path);
+/**
+ * Collect raw gist file contents keyed by (flattened) file name
+ * Note: GitHub API truncates content for large files, so we fetch from raw_url when needed
+ */
+async function collectGistFiles(gist) {
+    const rawFiles = {};
 
-            if (agentId && relativePath) {
-                if (!workspaceFiles[agentId]) {
-                    workspaceFiles[agentId] = {};
-                }
-                // Use timestamp if available, otherwise 'final' or 'default'
-                // Check for 'final' in both formats
-                const isFinal = path.includes('/final/') || path.includes('__final__');
-                const tsKey = timestamp || (isFinal ? 'final' : 'default');
-                if (!workspaceFiles[agentId][tsKey]) {
-                    workspaceFiles[agentId][tsKey] = {};
-                }
-                workspaceFiles[agentId][tsKey][relativePath] = content;
+    // Collect promises for files that need to be fetched from raw_url
+    const fetchPromises = [];
 
-                // Also store in per-turn structure for filtering
-                if (turnNum !== null) {
-                    if (!turnWorkspaceFiles[turnNum]) {
-                        turnWorkspaceFiles[turnNum] = {};
-                    }
-                    if (!turnWorkspaceFiles[turnNum][agentId]) {
-                        turnWorkspaceFiles[turnNum][agentId] = {};
-                    }
-                    if (!turnWorkspaceFiles[turnNum][agentId][tsKey]) {
-                        turnWorkspaceFiles[turnNum][agentId][tsKey] = {};
-                    }
-                    turnWorkspaceFiles[turnNum][agentId][tsKey][relativePath] = content;
-                }
-            }
+    for (const [filename, fileData] of Object.entries(gist.files)) {
+        // Check if content is truncated (GitHub API sets truncated=true for large files)
+        if (fileData.truncated || !fileData.content) {
+            fetchPromises.push(
+                fetchGistRawFile(fileData.raw_url)
+                    .then(content => ({ filename, content }))
+                    .catch(() => ({ filename, content: '' }))
+            );
+        } else {
+            rawFiles[filename] = fileData.content;
         }
     }
 
-    // Count agents from various sources
-    const agentSources = new Set();
-    Object.keys(metrics.agents || {}).forEach(id => agentSources.add(id));
-    Object.keys(status.agents || {}).forEach(id => agentSources.add(id));
-    (coordination.events || []).forEach(e => e.agent_id && agentSources.add(e.agent_id));
-    // From execution metadata raw YAML
-    if (executionMetadata?._raw) {
-        const idMatches = executionMetadata._raw.matchAll(/- id: (\S+)/g);
-        for (const m of idMatches) agentSources.add(m[1]);
+    // Wait for all truncated files to be fetched
+    if (fetchPromises.length > 0) {
+        const fetchedFiles = await Promise.all(fetchPromises);
+        for (const { filename, content } of fetchedFiles) {
+            rawFiles[filename] = content;
+        }
     }
 
-    // Parse manifest if available
-    const manifest = parseSessionManifest(files);
-    const isLegacy = detectLegacyGist(files);
-    const sessionStatus = getSessionStatus(manifest, files);
-    const errorInfo = getErrorInfo(manifest, files);
-    const turns = getTurnsFromManifest(manifest);
-
-    // Store manifest globally
-    sessionManifest = manifest;
+    return rawFiles;
+}
 
-    // Override question and winner from manifest if available
-    const finalQuestion = manifest?.question || question;
-    const finalWinner = manifest?.winner || winner;
+/**
+ * Normalize a raw path -> string content map into structured session files
+ * Flattened "__" names are unflattened and JSON/YAML files are parsed
+ * @param {Object} rawFiles - Map of file path (nested or flattened) to string content
+ * @returns {Object} Map of unflattened path to parsed content
+ */
+function buildFilesMap(rawFiles) {
+    const files = {};
+    for (const [filename, content] of Object.entries(rawFiles)) {
+        processFileContent(files, filename, unflattenPath(filename), content);
+    }
+    return files;
+}
 
-    return {
-        metrics,
-        status,
-        coordination,
-        snapshotMappings,
-        executionMetadata,
-        workspaceFiles,
-        turnWorkspaceFiles,  // Per-turn workspace files for filtering
-        manifest,
-        isLegacy,
-        sessionStatus,
-        errorInfo,
-        turns,
-        perTurnData,  // Per-turn data for filtering
-        session: {
-            question: finalQuestion,
-            winner: finalWinner,
-            startTime,
-            durationSeconds,
-            cost: manifest?.total_cost || totals.estimated_cost || 0,
-            inputTokens: manifest?.total_tokens?.input || totals.input_tokens || 0,
-            outputTokens: manifest?.total_tokens?.output || totals.output_tokens || 0,
-            reasoningTokens: totals.reasoning_tokens || 0,
-            totalToolCalls: metrics.tools?.total_calls || 0,
-            totalRounds: metrics.rounds?.total_rounds || 0,
-            numAgents: manifest?.agents?.length || meta.num_agents || agentSources.size || Object.keys(metrics.agents || {}).length,
-            turnCount: manifest?.turn_count || turns.length || 1
-        },
-        answers,
-        votes,
-        agentOutputs,
-        files
-    };
+/**
+ * Process file content and add to files object
+ */
+function processFileContent(files, filename, path, content) {
+    // Try to parse JSON files
+    // Parse failures keep the raw string and are listed in the export diagnostics
+    if (filename.endsWith('.json')) {
+        try {
+            files[path] = JSON.parse(content);
+            recordFileParseError(files, path, null);
+        } catch (e) {
+            files[path] = content;
+            recordFileParseError(files, path, e);
+        }
+    } else if (filename.endsWith('.yaml') || filename.endsWith('.yml')) {
+        // Try to parse YAML files
+        try {
+            const parsed = parseYaml(content);
+            if (parsed && typeof parsed === 'object') {
+                files[path] = parsed;
+                files[path]._raw = content; // Keep raw for display
+            } else {
+                // Scalar or empty documents have nothing to structure
+                files[path] = content;
+            }
+            recordFileParseError(files, path, null);
+        } catch (e) {
+            files[path] = content;
+            recordFileParseError(files, path, e);
+        }
+    } else {
+        files[path] = content;
+    }
 }
 
+// =============================================================================
+// Session Source Adapters
+// =============================================================================
+
 /**
- * Get data for the current turn (or all data if no turn selected)
+ * Registered session sources, checked in registration order
+ * Each adapter: { name, param?, load(value, options) -> Promise<{ path: string content }>,
+ *                 getVersion?(value), renderFooter?(value), onRendered?(value, loaded) }
+ * - param: URL parameter that selects the adapter (e.g., "gist" for ?gist=ID)
+ * - load: resolves with a raw path -> string map; paths may be nested or flattened with "__"
+ * - getVersion: resolves with a version string used to detect stale cached copies
+ * - onRendered: called after the session is rendered (e.g., to add source-specific controls);
+ *   loaded is { fromCache, version } - the version recorded with a cached copy, null for fresh fetches
  */
-function getDataForCurrentTurn(data) {
-    console.log('[getDataForCurrentTurn] currentTurn:', currentTurn, 'type:', typeof currentTurn);
-    console.log('[getDataForCurrentTurn] perTurnData keys:', Object.keys(data.perTurnData || {}));
-    console.log('[getDataForCurrentTurn] perTurnData[currentTurn]:', data.perTurnData?.[currentTurn]);
+const sessionSources = [];
 
-    if (currentTurn === null || !data.perTurnData || !data.perTurnData[currentTurn]) {
-        console.log('[getDataForCurrentTurn] returning unfiltered data');
-        return data;
+/**
+ * Register a session source adapter (replaces any adapter with the same name)
+ * Exposed as window.registerSessionSource so deployments can add their own
+ * sources from a script included after app.js
+ * @param {Object} adapter - The adapter definition
+ */
+function registerSessionSource(adapter) {
+    if (!adapter || !adapter.name || typeof adapter.load !== 'function') {
+        throw new Error('Session source adapters need a name and a load() function');
+    }
+    const existingIdx = sessionSources.findIndex(s => s.name === adapter.name);
+    if (existingIdx !== -1) {
+        sessionSources[existingIdx] = adapter;
+    } else {
+        sessionSources.push(adapter);
     }
-    const turnData = data.perTurnData[currentTurn];
-    console.log('[getDataForCurrentTurn] turnData.coordination events:', turnData.coordination?.events?.length);
-    // Get workspace files for this turn, or fall back to all workspace files
-    const turnWsFiles = data.turnWorkspaceFiles?.[currentTurn] || data.workspaceFiles;
-    return {
-        ...data,
-        metrics: turnData.metrics || data.metrics,
-        status: turnData.status || data.status,
-        coordination: turnData.coordination || data.coordination,
-        snapshotMappings: turnData.snapshotMappings || data.snapshotMappings,
-        answers: turnData.answers || {},
-        workspaceFiles: turnWsFiles
-    };
 }
+window.registerSessionSource = registerSessionSource;
 
 /**
- * Format duration in seconds to human-readable string
+ * Find a registered session source by name
  */
-function formatDuration(seconds) {
-    if (!seconds) return 'N/A';
-    if (seconds < 60) return `${seconds.toFixed(1)}s`;
-    if (seconds < 3600) return `${(seconds / 60).toFixed(1)}m`;
-    return `${(seconds / 3600).toFixed(1)}h`;
+function getSessionSource(name) {
+    return sessionSources.find(s => s.name === name) || null;
 }
 
 /**
- * Format number with commas
+ * Pick the session source selected by the page URL parameters
+ * @returns {{source: Object, value: string}|null}
  */
-function formatNumber(num) {
-    return num.toLocaleString();
+function getSessionSourceFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    for (const source of sessionSources) {
+        const value = source.param ? params.get(source.param) : null;
+        if (value) {
+            return { source, value };
+        }
+    }
+    return null;
 }
 
 /**
- * Escape HTML entities
+ * Fetch a URL, turning network failures into a readable error
  */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+async function fetchSourceUrl(url, init = {}) {
+    let response;
+    try {
+        response = await fetch(url, init);
+    } catch {
+        throw new Error(`Could not reach ${url}. Check that the server is running and allows cross-origin requests.`);
+    }
+    if (!response.ok) {
+        if (response.status === 404) {
+            throw new Error(`Session source not found: ${url}`);
+        }
+        throw new Error(`Failed to load session source (HTTP ${response.status}): ${url}`);
+    }
+    return response;
 }
 
 /**
- * Render the session header
+ * Hash text to a short hex string (FNV-1a, for change detection only)
  */
-function renderHeader(data) {
-    // For multi-turn, show first turn's question initially (will be updated by turn selection)
-    const isMultiTurn = data.turns && data.turns.length > 1;
-    const displayQuestion = isMultiTurn && data.turns[0]?.question
-        ? data.turns[0].question
-        : data.session.question;
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
 
-    document.getElementById('question').textContent = displayQuestion;
-    document.getElementById('date').textContent = data.session.startTime
-        ? new Date(data.session.startTime * 1000).toLocaleString()
-        : 'N/A';
-    document.getElementById('duration').textContent = formatDuration(data.session.durationSeconds);
-    document.getElementById('cost').textContent = `$${data.session.cost.toFixed(4)}`;
-    document.getElementById('winner').textContent = data.session.winner || 'N/A';
+/**
+ * Get the version of a url/src source from its index (or root listing) response:
+ * the ETag or Last-Modified header, else a hash of the body (python http.server
+ * listings send neither)
+ */
+async function getSourceUrlVersion(url) {
+    const response = await fetchSourceUrl(url, { cache: 'no-cache' });
+    const validator = response.headers.get('etag') || response.headers.get('last-modified');
+    return validator || `body:${hashText(await response.text())}`;
+}
 
-    // Render session status banner
-    renderSessionStatus(data);
+/**
+ * Fetch a single export file and decode it like a local file (text, or base64 for binaries)
+ */
+async function fetchExportFile(url) {
+    const response = await fetchSourceUrl(url);
+    return decodeLocalFileBytes(new Uint8Array(await response.arrayBuffer()));
+}
 
-    // Render turn navigation if multi-turn
-    if (isMultiTurn) {
-        // Default to the last (most recent) turn+attempt
-        // Find the last turn in the manifest
-        const turns = data.manifest?.turns || [];
-        if (turns.length > 0) {
-            const lastTurn = turns[turns.length - 1];
-            currentTurn = `${lastTurn.turn_number}_${lastTurn.attempt_number || 1}`;
-        } else {
-            // Fallback: find last key in perTurnData
-            const keys = Object.keys(data.perTurnData || {}).sort();
-            currentTurn = keys.length > 0 ? keys[keys.length - 1] : '1_1';
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIdx = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIdx < items.length) {
+            const idx = nextIdx++;
+            results[idx] = await fn(items[idx], idx);
         }
-        renderTurnNavigation(data);
-        // Note: "Try This Session" is shown/hidden based on current turn in updateTurnDisplay
-    }
+    });
+    await Promise.all(workers);
+    return results;
 }
 
 /**
- * Render session status banner (complete/error/interrupted)
+ * Maximum parallel file fetches for url/src sources
  */
-function renderSessionStatus(data) {
-    const headerEl = document.querySelector('.session-header');
-    if (!headerEl) return;
+const SOURCE_FETCH_CONCURRENCY = 6;
 
-    // Remove existing status banner if any
-    const existingBanner = document.getElementById('session-status-banner');
-    if (existingBanner) {
-        existingBanner.remove();
+/**
+ * Safety limit on files collected from a crawled directory listing
+ */
+const MAX_LISTING_FILES = 5000;
+
+/**
+ * Normalize the entries of a session index JSON into [{ path, url?, content? }]
+ * Accepted shapes:
+ *   { "files": ["turn_1/attempt_1/status.json", ...] }
+ *   { "files": [{ "path": "...", "url": "..." }, { "path": "...", "content": "..." }] }
+ *   { "files": { "path": "url" } }
+ *   { "files": { "flattened__name.json": { "content": "...", "raw_url": "..." } } }  (gist JSON)
+ * A bare array is treated as the "files" list.
+ */
+function normalizeIndexEntries(index) {
+    const list = Array.isArray(index) ? index : index?.files;
+    if (!list || typeof list !== 'object') {
+        throw new Error('Session index must contain a "files" list');
     }
 
-    const status = data.sessionStatus || 'complete';
-    if (status === 'complete') return; // Don't show banner for complete sessions
+    if (Array.isArray(list)) {
+        return list.map(item => (typeof item === 'string'
+            ? { path: item }
+            : { path: item.path || item.name, url: item.url || item.raw_url, content: item.content }
+        )).filter(item => item.path);
+    }
 
-    const banner = document.createElement('div');
-    banner.id = 'session-status-banner';
-    banner.className = `status-banner status-${status}`;
+    return Object.entries(list).map(([path, value]) => (typeof value === 'string'
+        ? { path, url: value }
+        : { path, url: value?.url || value?.raw_url, content: value?.truncated ? undefined : value?.content }
+    ));
+}
 
-    let icon = '';
-    let message = '';
-    if (status === 'error') {
-        icon = '⚠️';
-        message = 'This session ended with an error';
-        if (data.errorInfo) {
-            message += `: ${data.errorInfo.type || 'unknown'} - ${data.errorInfo.message || 'No details available'}`;
-        }
-    } else if (status === 'interrupted') {
-        icon = '⏸️';
-        message = 'This session was interrupted before completion';
-    } else if (status === 'timeout') {
-        icon = '⏱️';
-        message = 'This session timed out';
+/**
+ * Load raw files from a manifest/index JSON (?url=)
+ * Relative file URLs resolve against "base_url" if given, else the index URL itself
+ */
+async function loadIndexSource(indexUrl) {
+    const response = await fetchSourceUrl(indexUrl);
+    let index;
+    try {
+        index = await response.json();
+    } catch {
+        throw new Error(`Session index is not valid JSON: ${indexUrl}`);
     }
 
-    banner.innerHTML = `<span class="status-icon">${icon}</span> <span class="status-message">${escapeHtml(message)}</span>`;
-    headerEl.insertBefore(banner, headerEl.firstChild);
+    const baseUrl = new URL(index.base_url || '.', new URL(indexUrl, window.location.href)).href;
+    const entries = normalizeIndexEntries(index);
+    const rawFiles = {};
+    await mapWithConcurrency(entries, SOURCE_FETCH_CONCURRENCY, async (entry) => {
+        if (typeof entry.content === 'string') {
+            rawFiles[entry.path] = entry.content;
+            return;
+        }
+        const fileUrl = new URL(entry.url || entry.path, baseUrl).href;
+        try {
+            rawFiles[entry.path] = await fetchExportFile(fileUrl);
+        } catch (e) {
+            console.error('Failed to fetch session file:', fileUrl, e);
+            rawFiles[entry.path] = '';
+        }
+    });
+    return rawFiles;
 }
 
 /**
- * Render turn navigation for multi-turn sessions
+ * Parse one directory listing page into file and subdirectory URLs
+ * Understands HTML index pages (python http.server, npx serve, nginx, Apache)
+ * and nginx's JSON autoindex format
+ * @param {string} body - Response body
+ * @param {string} contentType - Response Content-Type
+ * @param {string} dirUrl - Absolute URL of the listed directory (with trailing slash)
+ * @returns {{files: string[], dirs: string[]}}
  */
-function renderTurnNavigation(data) {
-    const headerEl = document.querySelector('.session-header');
-    if (!headerEl) return;
+function parseDirectoryListing(body, contentType, dirUrl) {
+    let hrefs = [];
+    if (contentType.includes('json')) {
+        const entries = JSON.parse(body);
+        hrefs = entries.map(e => (typeof e === 'string'
+            ? e
+            : encodeURIComponent(e.name) + (e.type === 'directory' ? '/' : '')));
+    } else {
+        const doc = new DOMParser().parseFromString(body, 'text/html');
+        hrefs = Array.from(doc.querySelectorAll('a[href]')).map(a => a.getAttribute('href'));
+    }
 
-    // Remove existing nav if any
-    const existingNav = document.getElementById('turn-navigation');
-    if (existingNav) {
-        existingNav.remove();
+    const files = new Set();
+    const dirs = new Set();
+    for (const href of hrefs) {
+        if (!href || href.startsWith('?') || href.startsWith('#')) continue;
+        const url = new URL(href, dirUrl);
+        url.hash = '';
+        // Only descend into children of this directory (skips parent links and sort links)
+        if (url.search || !url.href.startsWith(dirUrl) || url.href === dirUrl) continue;
+        if (url.pathname.endsWith('/')) {
+            dirs.add(url.href);
+        } else {
+            files.add(url.href);
+        }
     }
+    return { files: Array.from(files), dirs: Array.from(dirs) };
+}
 
-    const nav = document.createElement('div');
-    nav.id = 'turn-navigation';
-    nav.className = 'turn-navigation';
+/**
+ * Resolve a ?src= value to the absolute URL of its directory (with trailing slash)
+ */
+function getListingRootUrl(srcUrl) {
+    const rootUrl = new URL(srcUrl, window.location.href).href;
+    return rootUrl.endsWith('/') ? rootUrl : `${rootUrl}/`;
+}
 
-    // Header - show unique turn count (not attempt count)
-    const header = document.createElement('div');
-    header.className = 'turn-nav-header';
-    const uniqueTurns = data.session?.turnCount || new Set(data.turns.map(t => t.turn_number)).size;
-    const totalAttempts = data.turns.length;
-    const headerText = uniqueTurns === totalAttempts
-        ? `<strong>Turns:</strong> ${uniqueTurns} total`
-        : `<strong>Turn${uniqueTurns > 1 ? 's' : ''}:</strong> ${uniqueTurns} (${totalAttempts} attempts)`;
-    header.innerHTML = headerText;
-    nav.appendChild(header);
+/**
+ * Load raw files by crawling an HTTP directory listing (?src=)
+ * Useful for a local `massgen` results directory served with `python -m http.server`
+ */
+async function loadDirectoryListingSource(srcUrl) {
+    const rootUrl = getListingRootUrl(srcUrl);
+
+    const fileUrls = [];
+    const pending = [rootUrl];
+    const visited = new Set();
+    while (pending.length > 0) {
+        const dirUrl = pending.shift();
+        if (visited.has(dirUrl)) continue;
+        visited.add(dirUrl);
+
+        const response = await fetchSourceUrl(dirUrl);
+        const listing = parseDirectoryListing(
+            await response.text(),
+            response.headers.get('content-type') || '',
+            dirUrl
+        );
+        fileUrls.push(...listing.files);
+        pending.push(...listing.dirs);
+        if (fileUrls.length > MAX_LISTING_FILES) {
+            throw new Error(`Directory listing has more than ${MAX_LISTING_FILES} files: ${srcUrl}`);
+        }
+    }
 
-    // Turn tabs
-    const tabs = document.createElement('div');
-    tabs.className = 'turn-tabs';
+    const rootPath = new URL(rootUrl).pathname;
+    const rawFiles = {};
+    await mapWithConcurrency(fileUrls, SOURCE_FETCH_CONCURRENCY, async (fileUrl) => {
+        const path = decodeURIComponent(new URL(fileUrl).pathname.slice(rootPath.length));
+        if (isIgnoredLocalPath(path)) return;
+        try {
+            rawFiles[path] = await fetchExportFile(fileUrl);
+        } catch (e) {
+            console.error('Failed to fetch session file:', fileUrl, e);
+            rawFiles[path] = '';
+        }
+    });
+    return rawFiles;
+}
 
-    // Add individual turn tabs (no "All" tab - session totals are in header)
-    for (const turn of data.turns) {
-        const tab = document.createElement('button');
-        const statusIcon = turn.status === 'complete' ? '✓' :
-                           turn.status === 'error' ? '✗' : '○';
-        const statusClass = turn.status === 'complete' ? 'complete' :
-                            turn.status === 'error' ? 'error' : 'pending';
+/**
+ * Show a link to the session source URL in the footer
+ */
+function renderSourceLink(url) {
+    const container = document.getElementById('gist-link');
+    container.innerHTML = `Loaded from <a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a>`;
+}
 
-        // Build tab label - include attempt info if there were multiple attempts
-        let tabLabel = `Turn ${turn.turn_number}`;
-        if (turn.total_attempts && turn.total_attempts > 1) {
-            tabLabel += ` <span class="attempt-badge">(Attempt ${turn.attempt_number}/${turn.total_attempts})</span>`;
-        }
+// ?gist=ID loads the latest revision; ?gist=ID@SHA pins an earlier one
+registerSessionSource({
+    name: 'gist',
+    param: 'gist',
+    load: async (value, options) => {
+        const { id, rev } = parseGistSourceValue(value);
+        return collectGistFiles(await fetchGist(id, { ...options, rev }));
+    },
+    getVersion: async (value) => {
+        const { id, rev } = parseGistSourceValue(value);
+        return rev || getGistVersion(await fetchGist(id));
+    },
+    renderFooter: (value) => {
+        const { id, rev } = parseGistSourceValue(value);
+        renderGistLink(id, rev);
+    },
+    onRendered: (value, loaded) => renderGistRevisionBar(value, loaded)
+});
+
+registerSessionSource({
+    name: 'url',
+    param: 'url',
+    load: loadIndexSource,
+    getVersion: (value) => getSourceUrlVersion(new URL(value, window.location.href).href),
+    renderFooter: renderSourceLink
+});
+
+registerSessionSource({
+    name: 'src',
+    param: 'src',
+    load: loadDirectoryListingSource,
+    // Only the root listing is checked: new turns and agent directories show up there
+    getVersion: (value) => getSourceUrlVersion(getListingRootUrl(value)),
+    renderFooter: renderSourceLink
+});
 
-        // Create compound key for turn+attempt
-        const turnKey = `${turn.turn_number}_${turn.attempt_number || 1}`;
+// =============================================================================
+// Session Cache (IndexedDB) - offline reopen and recently viewed sessions
+// =============================================================================
 
-        tab.className = `turn-tab ${statusClass} ${currentTurn === turnKey ? 'active' : ''}`;
-        tab.innerHTML = `<span class="turn-status-icon">${statusIcon}</span> ${tabLabel}`;
-        tab.title = turn.question ? turn.question.substring(0, 100) : `Turn ${turn.turn_number}`;
-        tab.dataset.turnKey = turnKey;
-        tab.onclick = () => {
-            setCurrentTurn(turnKey);
-            updateTurnTabs();
-        };
-        tabs.appendChild(tab);
-    }
+const SESSION_CACHE_DB_NAME = 'massgen-viewer';
+const SESSION_CACHE_DB_VERSION = 1;
 
-    nav.appendChild(tabs);
+/**
+ * Object stores: session metadata (small, listed on the landing page) and the
+ * raw file maps (large, only read when a session is opened)
+ */
+const SESSION_META_STORE = 'sessions';
+const SESSION_FILES_STORE = 'session-files';
 
-    // Add conversation history button - use unique turn count
-    const historyBtn = document.createElement('button');
-    historyBtn.id = 'conversation-history-btn';
-    historyBtn.className = 'conversation-history-btn';
-    historyBtn.innerHTML = `<span class="history-icon">💬</span> ${uniqueTurns} turn${uniqueTurns > 1 ? 's' : ''}`;
-    historyBtn.onclick = () => toggleConversationHistory();
-    nav.appendChild(historyBtn);
+/**
+ * Total cached size before least recently viewed sessions are evicted (~200 MB of text)
+ */
+const MAX_SESSION_CACHE_BYTES = 200 * 1024 * 1024;
 
-    headerEl.appendChild(nav);
+let sessionCacheDbPromise = null;
 
-    // Create conversation history panel (hidden by default)
-    createConversationHistoryPanel(data);
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
 /**
- * Create the conversation history floating panel
+ * Open (and create on first use) the session cache database
+ * Resolves with null when IndexedDB is unavailable (e.g., some private browsing modes)
  */
-function createConversationHistoryPanel(data) {
-    // Remove existing panel if any
-    const existing = document.getElementById('conversation-history-panel');
-    if (existing) existing.remove();
-
-    const panel = document.createElement('div');
-    panel.id = 'conversation-history-panel';
-    panel.className = 'conversation-history-panel hidden';
-
-    // Header
-    const header = document.createElement('div');
-    header.className = 'history-panel-header';
-    header.innerHTML = `
-        <span>Conversation History</span>
-        <button class="history-close-btn" onclick="toggleConversationHistory()">✕</button>
-    `;
-    panel.appendChild(header);
+function openSessionCacheDb() {
+    if (!sessionCacheDbPromise) {
+        sessionCacheDbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            let request;
+            try {
+                request = indexedDB.open(SESSION_CACHE_DB_NAME, SESSION_CACHE_DB_VERSION);
+            } catch (e) {
+                console.error('Session cache unavailable:', e);
+                resolve(null);
+                return;
+            }
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSION_META_STORE)) {
+                    db.createObjectStore(SESSION_META_STORE, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(SESSION_FILES_STORE)) {
+                    db.createObjectStore(SESSION_FILES_STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Session cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return sessionCacheDbPromise;
+}
 
-    // Messages container
-    const messages = document.createElement('div');
-    messages.className = 'history-messages';
+/**
+ * Build the cache key for a source + value (e.g., "gist:abc123")
+ * Returns null for sources that cannot be reopened from a URL (local files)
+ */
+function getSessionCacheKey(source, value) {
+    if (!source.param || typeof value !== 'string') return null;
+    return `${source.name}:${value}`;
+}
 
-    // Build conversation from turns - only show unique turns (not each attempt)
-    // For each turn number, use the LAST (successful) attempt
-    const uniqueTurns = new Map();
-    for (const turn of data.turns) {
-        // Keep the last attempt for each turn number (overwrites earlier attempts)
-        uniqueTurns.set(turn.turn_number, turn);
+/**
+ * Estimate the stored size of a raw file map
+ */
+function estimateRawFilesSize(rawFiles) {
+    let size = 0;
+    for (const [path, content] of Object.entries(rawFiles)) {
+        size += path.length + (content ? content.length : 0);
     }
+    return size;
+}
 
-    for (const turn of uniqueTurns.values()) {
-        // User message (the question/prompt)
-        const userMsg = document.createElement('div');
-        userMsg.className = 'history-message user-message';
-        userMsg.innerHTML = `
-            <div class="message-header">
-                <span class="message-role user-role">👤 You</span>
-                <span class="message-turn">Turn ${turn.turn_number}</span>
-            </div>
-            <div class="message-content">${escapeHtml(turn.question || 'No question')}</div>
-        `;
-        messages.appendChild(userMsg);
-
-        // Assistant message (the final answer for this turn - from the last attempt)
-        const turnKey = `${turn.turn_number}_${turn.attempt_number || 1}`;
-        const turnAnswers = Object.values(data.answers || {}).filter(a =>
-            a.turnKey === turnKey && a.type === 'final_answer'
+/**
+ * List cached session metadata, most recently viewed first
+ */
+async function listCachedSessions() {
+    const db = await openSessionCacheDb();
+    if (!db) return [];
+    try {
+        const entries = await idbRequest(
+            db.transaction(SESSION_META_STORE).objectStore(SESSION_META_STORE).getAll()
         );
-        console.log('[ConvHistory] Turn', turn.turn_number, 'attempt', turn.attempt_number, 'turnAnswers count:', turnAnswers.length);
-        const finalAnswer = turnAnswers[0]?.content || findFinalAnswerForTurn(data, turn.turn_number);
-        console.log('[ConvHistory] Turn', turn.turn_number, 'finalAnswer length:', finalAnswer?.length);
+        return entries.sort((a, b) => b.lastViewedAt - a.lastViewedAt);
+    } catch (e) {
+        console.error('Failed to list cached sessions:', e);
+        return [];
+    }
+}
 
-        const assistantMsg = document.createElement('div');
-        assistantMsg.className = 'history-message assistant-message';
+/**
+ * Read a cached session (metadata plus raw files), or null if not cached
+ */
+async function getCachedSession(key) {
+    const db = await openSessionCacheDb();
+    if (!db) return null;
+    try {
+        const tx = db.transaction([SESSION_META_STORE, SESSION_FILES_STORE]);
+        const [meta, filesEntry] = await Promise.all([
+            idbRequest(tx.objectStore(SESSION_META_STORE).get(key)),
+            idbRequest(tx.objectStore(SESSION_FILES_STORE).get(key))
+        ]);
+        if (!meta || !filesEntry) return null;
+        return { ...meta, rawFiles: filesEntry.rawFiles };
+    } catch (e) {
+        console.error('Failed to read cached session:', e);
+        return null;
+    }
+}
 
-        const needsTruncation = finalAnswer && finalAnswer.length > 500;
-        const contentPreview = finalAnswer
-            ? (needsTruncation ? finalAnswer.substring(0, 500) + '...' : finalAnswer)
-            : 'No response recorded';
+/**
+ * Store a session's raw files and metadata, then evict old sessions over the size limit
+ * @param {Object} meta - { key, source, value, version, title }
+ * @param {Object} rawFiles - Raw path -> string content map
+ */
+async function putCachedSession(meta, rawFiles) {
+    const db = await openSessionCacheDb();
+    if (!db) return;
+    const now = Date.now();
+    const entry = {
+        ...meta,
+        size: estimateRawFilesSize(rawFiles),
+        fileCount: Object.keys(rawFiles).length,
+        cachedAt: now,
+        lastViewedAt: now
+    };
+    try {
+        const tx = db.transaction([SESSION_META_STORE, SESSION_FILES_STORE], 'readwrite');
+        tx.objectStore(SESSION_META_STORE).put(entry);
+        tx.objectStore(SESSION_FILES_STORE).put({ key: meta.key, rawFiles });
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        await evictSessionCache(MAX_SESSION_CACHE_BYTES, meta.key);
+    } catch (e) {
+        // Quota errors are not fatal - the session still renders, it just isn't cached
+        console.error('Failed to cache session:', e);
+    }
+}
 
-        // If truncation needed, show preview first; otherwise just show content
-        if (needsTruncation) {
-            assistantMsg.innerHTML = `
-                <div class="message-header">
-                    <span class="message-role assistant-role">🤖 MassGen</span>
-                    <span class="message-turn">Turn ${turn.turn_number}</span>
-                    <span class="message-winner">${turn.winner ? `Winner: ${turn.winner}` : ''}</span>
-                </div>
-                <div class="message-content message-preview">${escapeHtml(contentPreview)}</div>
-                <div class="message-content message-full hidden">${escapeHtml(finalAnswer)}</div>
-                <button class="show-more-btn" onclick="expandHistoryMessage(this)">▼ Show more</button>
-            `;
-        } else {
-            assistantMsg.innerHTML = `
-                <div class="message-header">
-                    <span class="message-role assistant-role">🤖 MassGen</span>
-                    <span class="message-turn">Turn ${turn.turn_number}</span>
-                    <span class="message-winner">${turn.winner ? `Winner: ${turn.winner}` : ''}</span>
-                </div>
-                <div class="message-content">${escapeHtml(contentPreview)}</div>
-            `;
+/**
+ * Update the last-viewed time of a cached session
+ */
+async function touchCachedSession(key) {
+    const db = await openSessionCacheDb();
+    if (!db) return;
+    try {
+        const store = db.transaction(SESSION_META_STORE, 'readwrite').objectStore(SESSION_META_STORE);
+        const meta = await idbRequest(store.get(key));
+        if (meta) {
+            meta.lastViewedAt = Date.now();
+            await idbRequest(store.put(meta));
         }
-        messages.appendChild(assistantMsg);
+    } catch (e) {
+        console.error('Failed to update cached session:', e);
     }
-
-    panel.appendChild(messages);
-    document.body.appendChild(panel);
 }
 
 /**
- * Find final answer for a specific turn from files
+ * Remove a session from the cache
  */
-function findFinalAnswerForTurn(data, turnNumber) {
-    const files = data.files || {};
-    for (const [path, content] of Object.entries(files)) {
-        const pathTurn = extractTurnFromPath(path);
-        if (pathTurn === turnNumber &&
-            (path.includes('final/') || path.includes('__final__')) &&
-            (path.endsWith('/answer.txt') || path.endsWith('__answer.txt'))) {
-            return content;
-        }
+async function deleteCachedSession(key) {
+    const db = await openSessionCacheDb();
+    if (!db) return;
+    try {
+        const tx = db.transaction([SESSION_META_STORE, SESSION_FILES_STORE], 'readwrite');
+        tx.objectStore(SESSION_META_STORE).delete(key);
+        tx.objectStore(SESSION_FILES_STORE).delete(key);
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    } catch (e) {
+        console.error('Failed to delete cached session:', e);
     }
-    return null;
 }
 
 /**
- * Toggle conversation history panel visibility
+ * Evict least recently viewed sessions until the cache fits in maxBytes
+ * @param {number} maxBytes - Size limit
+ * @param {string} keepKey - Session that must survive (the one being viewed)
  */
-function toggleConversationHistory() {
-    const panel = document.getElementById('conversation-history-panel');
-    if (panel) {
-        panel.classList.toggle('hidden');
+async function evictSessionCache(maxBytes, keepKey = null) {
+    const entries = await listCachedSessions();
+    let total = entries.reduce((sum, e) => sum + (e.size || 0), 0);
+    // listCachedSessions() is newest first, so evict from the end
+    for (let i = entries.length - 1; i >= 0 && total > maxBytes; i--) {
+        if (entries[i].key === keepKey) continue;
+        await deleteCachedSession(entries[i].key);
+        total -= entries[i].size || 0;
     }
 }
 
 /**
- * Expand a history message to show full content
+ * Format a byte count for display
  */
-function expandHistoryMessage(btn) {
-    const container = btn.parentElement;
-    const preview = container.querySelector('.message-preview');
-    const fullContent = container.querySelector('.message-full');
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-    if (fullContent && preview) {
-        const isExpanded = !fullContent.classList.contains('hidden');
-        if (isExpanded) {
-            // Collapse: show preview, hide full
-            fullContent.classList.add('hidden');
-            preview.classList.remove('hidden');
-            btn.textContent = '▼ Show more';
-        } else {
-            // Expand: hide preview, show full
-            preview.classList.add('hidden');
-            fullContent.classList.remove('hidden');
-            btn.textContent = '▲ Show less';
-        }
+/**
+ * Render the "recently viewed sessions" list on the landing page
+ */
+async function renderRecentSessions() {
+    const container = document.getElementById('recent-sessions');
+    if (!container) return;
+
+    const entries = await listCachedSessions();
+    if (entries.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const totalSize = entries.reduce((sum, e) => sum + (e.size || 0), 0);
+    let html = `
+        <div class="recent-sessions-header">
+            <h3>Recently Viewed</h3>
+            <span class="recent-sessions-size">${formatBytes(totalSize)} cached</span>
+            <button class="recent-clear-btn" data-action="clear-all">Clear all</button>
+        </div>
+        <ul class="recent-sessions-list">
+    `;
+    for (const entry of entries) {
+        const source = getSessionSource(entry.source);
+        if (!source?.param) continue;
+        const href = `?${encodeURIComponent(source.param)}=${encodeURIComponent(entry.value)}`;
+        html += `
+            <li class="recent-session">
+                <a class="recent-session-link" href="${escapeHtml(href)}" title="${escapeHtml(entry.title || entry.value)}">
+                    <span class="recent-session-title">${escapeHtml(entry.title || entry.value)}</span>
+                    <span class="recent-session-meta">${escapeHtml(entry.source)}: ${escapeHtml(entry.value)} · ${formatBytes(entry.size || 0)} · viewed ${new Date(entry.lastViewedAt).toLocaleString()}</span>
+                </a>
+                <button class="recent-remove-btn" data-key="${escapeHtml(entry.key)}" title="Remove from cache">✕</button>
+            </li>
+        `;
     }
+    html += '</ul>';
+    container.innerHTML = html;
+
+    container.querySelectorAll('.recent-remove-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await deleteCachedSession(btn.dataset.key);
+            renderRecentSessions();
+        });
+    });
+    container.querySelector('[data-action="clear-all"]').addEventListener('click', async () => {
+        for (const entry of entries) {
+            await deleteCachedSession(entry.key);
+        }
+        renderRecentSessions();
+    });
 }
 
 /**
- * Update turn tab active states and header metadata
+ * Show whether the session came from the cache, with a manual refresh button
+ * @param {Object} info - { cachedAt, fromCache, stale, offline }
  */
-function updateTurnTabs() {
-    const tabs = document.querySelectorAll('.turn-tab');
-    tabs.forEach(tab => {
-        // Each tab has data-turn-key attribute with compound key like "1_1"
-        const tabKey = tab.dataset.turnKey;
-        tab.classList.toggle('active', currentTurn === tabKey);
-    });
+function renderCacheStatus(info) {
+    const el = document.getElementById('cache-status');
+    if (!el) return;
+    if (!info) {
+        el.style.display = 'none';
+        el.innerHTML = '';
+        return;
+    }
 
-    // Update header to show current turn's metadata
-    // currentTurn is now a compound key like "1_1" (turn_attempt)
-    if (sessionData && sessionData.turns && currentTurn !== null) {
-        // Parse turn and attempt from compound key
-        const [turnNum, attemptNum] = currentTurn.split('_').map(Number);
-        const currentTurnData = sessionData.turns.find(t =>
-            t.turn_number === turnNum && (t.attempt_number || 1) === attemptNum
-        );
-        if (currentTurnData) {
-            // Update question
-            const questionEl = document.getElementById('question');
-            if (questionEl && currentTurnData.question) {
-                questionEl.textContent = currentTurnData.question;
-            }
+    let message;
+    if (info.offline) {
+        message = `Offline - showing cached copy from ${new Date(info.cachedAt).toLocaleString()}`;
+    } else if (info.stale) {
+        message = 'This session has been updated since it was cached';
+    } else if (info.fromCache) {
+        message = `Cached copy from ${new Date(info.cachedAt).toLocaleString()}`;
+    } else {
+        message = `Fetched ${new Date(info.cachedAt).toLocaleString()}`;
+    }
 
-            // Update winner
-            const winnerEl = document.getElementById('winner');
-            if (winnerEl) {
-                winnerEl.textContent = currentTurnData.winner || 'N/A';
-            }
+    // A stale notice means the cache already holds the newer version, so it reopens from there
+    el.className = `cache-status ${info.stale ? 'stale' : ''} ${info.offline ? 'offline' : ''}`;
+    el.innerHTML = `
+        <span class="cache-status-text">${escapeHtml(message)}</span>
+        <button class="cache-refresh-btn" onclick="refreshCurrentSession(${info.stale ? 'true' : 'false'})">↻ ${info.stale ? 'Show latest' : 'Refresh'}</button>
+    `;
+    el.style.display = '';
+}
+
+/**
+ * Load a session through a source adapter and render it
+ * URL-addressable sources are served from the IndexedDB cache when available and
+ * revalidated in the background; options.refresh forces a network fetch
+ * @param {Object} source - A registered session source adapter
+ * @param {*} value - The adapter input (URL parameter value, or dropped files)
+ * @param {Object} options - { refresh: boolean }
+ */
+async function loadSessionFromSource(source, value, options = {}) {
+    const cacheKey = getSessionCacheKey(source, value);
+    const cached = cacheKey && !options.refresh ? await getCachedSession(cacheKey) : null;
+
+    let rawFiles;
+    let version = null;
+    let cacheInfo = null;
+    // The cached entry actually shown, if any (its version is the one on screen)
+    let shownCopy = cached;
+    if (cached) {
+        rawFiles = cached.rawFiles;
+        cacheInfo = { fromCache: true, cachedAt: cached.cachedAt };
+        touchCachedSession(cacheKey);
+    } else {
+        // Read the version before the content: if the source changes in between, the copy is
+        // cached under the older version and the next revalidation fetches it again
+        if (cacheKey && source.getVersion) {
+            version = await source.getVersion(value).catch(() => null);
         }
+        try {
+            rawFiles = await source.load(value, options);
+        } catch (error) {
+            // Refresh failed (offline, rate limited, ...) - keep showing the cached copy if there is one
+            const fallback = cacheKey ? await getCachedSession(cacheKey) : null;
+            if (!fallback) throw error;
+            console.error('Failed to refresh session, using cached copy:', error);
+            rawFiles = fallback.rawFiles;
+            shownCopy = fallback;
+            cacheInfo = { fromCache: true, offline: true, cachedAt: fallback.cachedAt };
+        }
+    }
 
-        // Update date, duration, cost from per-turn data
-        const turnData = sessionData.perTurnData?.[currentTurn];
-        if (turnData) {
-            const statusMeta = turnData.status?.meta || {};
-            const metricsTotals = turnData.metrics?.totals || {};
+    const files = buildFilesMap(rawFiles || {});
+    if (Object.keys(files).length === 0) {
+        throw new Error('No session files found in this source.');
+    }
+    currentSource = { source, value };
+    renderSession(files);
+    if (source.renderFooter) {
+        source.renderFooter(value);
+    }
+    if (source.onRendered) {
+        source.onRendered(value, { fromCache: !!shownCopy, version: shownCopy?.version || null });
+    }
+    showContent();
 
-            // Date from turn's start time
-            const dateEl = document.getElementById('date');
-            if (dateEl && statusMeta.start_time) {
-                dateEl.textContent = new Date(statusMeta.start_time * 1000).toLocaleString();
-            }
+    if (!cacheKey) {
+        renderCacheStatus(null);
+        return;
+    }
 
-            // Duration from turn's elapsed time
-            const durationEl = document.getElementById('duration');
-            if (durationEl && statusMeta.elapsed_seconds) {
-                durationEl.textContent = formatDuration(statusMeta.elapsed_seconds);
-            }
+    if (!cacheInfo) {
+        await putCachedSession({
+            key: cacheKey,
+            source: source.name,
+            value,
+            version,
+            title: sessionData.session.question
+        }, rawFiles);
+        cacheInfo = { fromCache: false, cachedAt: Date.now() };
+    }
+    renderCacheStatus(cacheInfo);
 
-            // Cost from turn's metrics
-            const costEl = document.getElementById('cost');
-            if (costEl) {
-                const cost = metricsTotals.estimated_cost || 0;
-                costEl.textContent = `$${cost.toFixed(4)}`;
-            }
-        }
+    // Revalidate cached copies in the background; never swap content under the reader
+    if (cached && source.getVersion && navigator.onLine !== false) {
+        revalidateCachedSession(source, value, cached, cacheInfo);
     }
 }
 
 /**
- * Check if any agent uses claude_code backend (tool metrics not tracked for this backend)
+ * Check a cached session against its source and, when the source has a newer version,
+ * replace the cache entry with it (so reopening shows the new version) and flag the
+ * session as stale. Entries cached before their source reported versions are upgraded
+ * without a notice, since there is nothing to compare against.
  */
-function hasClaudeCodeBackend(data) {
-    // Check parsed config agents
-    const configAgents = data.executionMetadata?.config?.agents;
-    if (Array.isArray(configAgents)) {
-        for (const agent of configAgents) {
-            if (agent.backend?.type === 'claude_code') {
-                return true;
-            }
+async function revalidateCachedSession(source, value, cached, cacheInfo) {
+    try {
+        const version = await source.getVersion(value);
+        if (!version || version === cached.version) return;
+
+        const rawFiles = await source.load(value, {});
+        await putCachedSession({
+            key: cached.key,
+            source: source.name,
+            value,
+            version,
+            title: cached.title
+        }, rawFiles);
+
+        const stillViewing = currentSource?.source === source && currentSource.value === value;
+        if (cached.version && stillViewing) {
+            renderCacheStatus({ ...cacheInfo, stale: true });
         }
+    } catch (e) {
+        console.error('Failed to revalidate cached session:', e);
     }
-    // Also check raw YAML in case parsing didn't work
-    const rawYaml = data.executionMetadata?._raw;
-    if (rawYaml && rawYaml.includes('type: claude_code')) {
-        return true;
-    }
-    return false;
 }
 
 /**
- * Render stats grid
+ * Reload the current session: re-fetch from its source, bypassing the cache,
+ * or reopen the cached copy after a background revalidation replaced it
  */
-function renderStats(data) {
-    // Use turn-filtered data for stats
-    const filteredData = getDataForCurrentTurn(data);
-    const metrics = filteredData.metrics || {};
-    const totals = metrics.totals || {};
-
-    // If filtering by turn, use turn-specific totals; otherwise session totals
-    const cost = currentTurn !== null ? (totals.estimated_cost || 0) : data.session.cost;
-    const inputTokens = currentTurn !== null ? (totals.input_tokens || 0) : data.session.inputTokens;
-    const outputTokens = currentTurn !== null ? (totals.output_tokens || 0) : data.session.outputTokens;
-    const reasoningTokens = currentTurn !== null ? (totals.reasoning_tokens || 0) : data.session.reasoningTokens;
-    const totalTokens = inputTokens + outputTokens + reasoningTokens;
-    const totalRounds = currentTurn !== null ? (metrics.rounds?.total_rounds || 0) : data.session.totalRounds;
-    const totalToolCalls = currentTurn !== null ? (metrics.tools?.total_calls || 0) : data.session.totalToolCalls;
+window.refreshCurrentSession = async function(fromCache = false) {
+    if (!currentSource) return;
+    showLoading();
+    try {
+        await loadSessionFromSource(currentSource.source, currentSource.value, { refresh: !fromCache });
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        showError(error.message);
+    }
+};
 
-    document.getElementById('stat-cost').textContent = `$${cost.toFixed(4)}`;
-    document.getElementById('stat-tokens').textContent = formatNumber(totalTokens);
+// =============================================================================
+// Gist Revision History
+// =============================================================================
 
-    // For claude_code backend, tool calls aren't tracked - show asterisk
-    const toolsEl = document.getElementById('stat-tools');
-    const usesClaudeCode = hasClaudeCodeBackend(data);
-    if (usesClaudeCode && totalToolCalls === 0) {
-        toolsEl.textContent = '0*';
-        toolsEl.title = 'Tool calls are not tracked for claude_code backend agents';
-    } else {
-        toolsEl.textContent = totalToolCalls;
-        toolsEl.title = '';
-    }
+// Revision picker state: { id, history, currentRev }
+let gistRevisionState = null;
 
-    document.getElementById('stat-rounds').textContent = totalRounds;
-    document.getElementById('stat-agents').textContent = data.session.numAgents;
+/**
+ * Split a gist source value into id and optional revision
+ * e.g., "abc123@9f8e7d..." -> { id: "abc123", rev: "9f8e7d..." }
+ */
+function parseGistSourceValue(value) {
+    const [id, rev] = String(value).split('@');
+    return { id, rev: rev || null };
 }
 
 /**
- * Render agent cards
+ * Summarize the parts of an export that matter when comparing revisions
+ * @param {Object} files - Structured files map (from buildFilesMap)
+ * @returns {Object} { question, turns, finalAnswers, cost, tokens, paths }
  */
-function renderAgents(data) {
-    const container = document.getElementById('agents-container');
-    // Use turn-filtered data
-    const filteredData = getDataForCurrentTurn(data);
-    const agents = filteredData.metrics.agents || {};
-    const statusAgents = filteredData.status.agents || {};
-    const winner = data.session.winner;
+function summarizeSessionFiles(exportFiles) {
+    // Compare canonical models so a legacy revision lines up with a multi-turn one
+    const files = migrateExportFiles(exportFiles).files;
+    const manifest = parseSessionManifest(files);
 
-    // Also try to get agent list from execution metadata config
-    let configAgents = [];
-    if (data.executionMetadata?.config?.agents) {
-        const cfgAgents = data.executionMetadata.config.agents;
-        configAgents = Array.isArray(cfgAgents) ? cfgAgents : Object.values(cfgAgents);
-    }
-
-    // Fallback: try to extract agents from raw YAML if parsing didn't work
-    if (configAgents.length === 0 && data.executionMetadata?._raw) {
-        const rawYaml = data.executionMetadata._raw;
-        // Look for patterns like "- id: agent_a" followed by "model: xxx"
-        const agentMatches = rawYaml.matchAll(/- id: (\S+)[\s\S]*?model: (\S+)/g);
-        for (const match of agentMatches) {
-            configAgents.push({
-                id: match[1],
-                backend: { model: match[2] }
-            });
+    const turns = getTurnsFromManifest(manifest).map(t => ({
+        key: `${t.turn_number}_${t.attempt_number}`,
+        turnNumber: t.turn_number,
+        status: t.status || null
+    }));
+
+    // Final answers keyed by turn+attempt
+    const finalAnswers = {};
+    let question = manifest?.question || null;
+    let cost = 0;
+    let tokens = 0;
+    for (const [path, content] of Object.entries(files)) {
+        const isFinalAnswer = path.includes('final/') && path.endsWith('/answer.txt');
+        const turnAttempt = extractTurnAttemptFromPath(path);
+        if (isFinalAnswer && turnAttempt && typeof content === 'string') {
+            finalAnswers[turnAttempt.key] = content;
+        }
+        if (path.endsWith('metrics_summary.json') && typeof content === 'object') {
+            const totals = content.totals || {};
+            cost += totals.estimated_cost || 0;
+            tokens += (totals.input_tokens || 0) + (totals.output_tokens || 0) + (totals.reasoning_tokens || 0);
+            question = question || content.meta?.question || null;
         }
     }
-
-    // Also try coordination events for agent IDs
-    const coordAgentIds = new Set();
-    if (data.coordination?.events) {
-        data.coordination.events.forEach(e => {
-            if (e.agent_id) coordAgentIds.add(e.agent_id);
-        });
+    if (typeof manifest?.total_cost === 'number') {
+        cost = manifest.total_cost;
     }
 
-    // Collect all agent IDs from various sources
-    const allAgentIds = new Set([
-        ...Object.keys(agents),
-        ...Object.keys(statusAgents),
-        ...configAgents.map(a => a?.id).filter(Boolean),
-        ...coordAgentIds
-    ]);
+    return {
+        question: question || manifest?.turns?.[0]?.question || 'Unknown',
+        turns,
+        finalAnswers,
+        cost,
+        tokens,
+        paths: Object.keys(files)
+    };
+}
 
-    if (allAgentIds.size === 0) {
-        container.innerHTML = '<div class="no-data">No agent data available</div>';
-        return;
+/**
+ * Compare two session summaries (older -> newer)
+ * @returns {Object} { addedTurns, removedTurns, changedFinalAnswers, costDelta, tokenDelta, addedFiles, removedFiles }
+ */
+function diffSessionSummaries(older, newer) {
+    const olderTurnKeys = new Set(older.turns.map(t => t.key));
+    const newerTurnKeys = new Set(newer.turns.map(t => t.key));
+    const answerKeys = new Set([...Object.keys(older.finalAnswers), ...Object.keys(newer.finalAnswers)]);
+    const olderPaths = new Set(older.paths);
+    const newerPaths = new Set(newer.paths);
+
+    const changedFinalAnswers = [];
+    for (const key of answerKeys) {
+        const before = older.finalAnswers[key];
+        const after = newer.finalAnswers[key];
+        if (before !== after) {
+            changedFinalAnswers.push({ key, before: before ?? null, after: after ?? null });
+        }
     }
 
-    let html = '';
-    for (const agentId of Array.from(allAgentIds).sort()) {
-        const agentMetrics = agents[agentId] || {};
-        // Get config info for this agent
-        const agentConfig = configAgents.find(a => a?.id === agentId) || {};
-        const agentStatus = statusAgents[agentId] || {};
-        const isWinner = agentId === winner;
-
-        const tokenUsage = agentMetrics.token_usage || agentStatus.token_usage || {};
-        const inputTokens = tokenUsage.input_tokens || 0;
-        const outputTokens = tokenUsage.output_tokens || 0;
-        const cost = tokenUsage.estimated_cost || 0;
-        const status = agentStatus.status || (Object.keys(agentMetrics).length > 0 ? 'completed' : 'unknown');
-        const answerCount = agentStatus.answer_count || agentMetrics.round_history?.length || 0;
-        const model = agentConfig.backend?.model || 'unknown';
+    return {
+        addedTurns: newer.turns.filter(t => !olderTurnKeys.has(t.key)),
+        removedTurns: older.turns.filter(t => !newerTurnKeys.has(t.key)),
+        changedFinalAnswers,
+        olderCost: older.cost,
+        newerCost: newer.cost,
+        costDelta: newer.cost - older.cost,
+        olderTokens: older.tokens,
+        newerTokens: newer.tokens,
+        tokenDelta: newer.tokens - older.tokens,
+        addedFiles: newer.paths.filter(p => !olderPaths.has(p)),
+        removedFiles: older.paths.filter(p => !newerPaths.has(p))
+    };
+}
 
-        let voteInfo = 'N/A';
-        if (agentStatus.vote_cast) {
-            voteInfo = `Voted for: ${agentStatus.vote_cast.voted_for_label || agentStatus.vote_cast.voted_for_agent || ''}`;
-        }
-
-        html += `
-            <div class="agent-card ${isWinner ? 'winner' : ''}">
-                <div class="agent-header">
-                    <span class="agent-id">${escapeHtml(agentId)}</span>
-                    ${isWinner ? '<span class="winner-badge">Winner</span>' : ''}
-                </div>
-                <div class="agent-model">${escapeHtml(model)}</div>
-                <div class="agent-stats">
-                    <div class="agent-stat">
-                        <span class="agent-stat-label">Status</span>
-                        <span class="agent-stat-value">${escapeHtml(status)}</span>
-                    </div>
-                    <div class="agent-stat">
-                        <span class="agent-stat-label">Rounds</span>
-                        <span class="agent-stat-value">${answerCount}</span>
-                    </div>
-                    <div class="agent-stat">
-                        <span class="agent-stat-label">Input Tokens</span>
-                        <span class="agent-stat-value">${formatNumber(inputTokens)}</span>
-                    </div>
-                    <div class="agent-stat">
-                        <span class="agent-stat-label">Output Tokens</span>
-                        <span class="agent-stat-value">${formatNumber(outputTokens)}</span>
-                    </div>
-                    <div class="agent-stat">
-                        <span class="agent-stat-label">Cost</span>
-                        <span class="agent-stat-value">$${cost.toFixed(4)}</span>
-                    </div>
-                    <div class="agent-stat">
-                        <span class="agent-stat-label">Vote</span>
-                        <span class="agent-stat-value">${escapeHtml(voteInfo)}</span>
-                    </div>
-                </div>
-            </div>
-        `;
-    }
+/**
+ * Format a turn key ("2_1") for display ("Turn 2", or "Turn 2 (attempt 3)")
+ */
+function formatTurnKey(key) {
+    const [turn, attempt] = key.split('_');
+    return attempt && attempt !== '1' ? `Turn ${turn} (attempt ${attempt})` : `Turn ${turn}`;
+}
 
-    container.innerHTML = html;
+/**
+ * Describe a gist history entry for the revision pickers
+ */
+function formatGistRevision(entry, idx) {
+    const date = entry.committed_at ? new Date(entry.committed_at).toLocaleString() : 'unknown date';
+    const changes = entry.change_status
+        ? ` (+${entry.change_status.additions || 0} −${entry.change_status.deletions || 0})`
+        : '';
+    return `${idx === 0 ? 'Latest · ' : ''}${date} · ${entry.version.substring(0, 7)}${changes}`;
 }
 
 /**
- * Render tools breakdown
+ * Render the revision picker for gists that have been re-exported
+ * @param {string} value - Gist source value ("id" or "id@revision")
+ * @param {Object} loaded - { fromCache, version } of the copy being shown (see loadSessionFromSource)
  */
-function renderTools(data) {
-    const container = document.getElementById('tools-container');
-    // Use turn-filtered data for tools
-    const filteredData = getDataForCurrentTurn(data);
-    const tools = filteredData.metrics.tools?.by_tool || {};
+async function renderGistRevisionBar(value, loaded = {}) {
+    const bar = document.getElementById('revision-bar');
+    if (!bar) return;
+    bar.style.display = 'none';
 
-    if (Object.keys(tools).length === 0) {
-        // Show informative message if using claude_code backend
-        if (hasClaudeCodeBackend(data)) {
-            container.innerHTML = '<div class="no-data">Tool metrics are not tracked for claude_code backend agents.<br><span style="font-size: 0.85em; opacity: 0.7;">Claude Code runs as a subprocess and handles its own tool execution.</span></div>';
-        } else {
-            container.innerHTML = '<div class="no-data">No tool data available</div>';
-        }
+    const { id, rev } = parseGistSourceValue(value);
+    let history;
+    try {
+        // Always list history from the latest gist, even when viewing an older revision
+        history = await fetchGistHistory(id);
+    } catch (e) {
+        console.error('Failed to load gist history:', e);
         return;
     }
+    if (history.length < 2) return;
+
+    // The revision on screen: a cached copy of "latest" may predate history[0]
+    // (null when the cached copy has no recorded version)
+    const currentRev = rev || (loaded.fromCache ? loaded.version : history[0].version);
+    const currentIdx = Math.max(0, history.findIndex(h => h.version === currentRev));
+    // Default comparison: the revision before the current one (or the latest, if viewing the oldest)
+    const compareIdx = currentIdx + 1 < history.length ? currentIdx + 1 : 0;
+    gistRevisionState = { id, history, currentRev };
+
+    const options = (selectedIdx) => history.map((entry, idx) => `
+        <option value="${escapeHtml(entry.version)}" ${idx === selectedIdx ? 'selected' : ''}>${escapeHtml(formatGistRevision(entry, idx))}</option>
+    `).join('');
+
+    bar.innerHTML = `
+        <div class="revision-controls">
+            <label class="revision-label" for="revision-select">Revision</label>
+            <select id="revision-select" class="revision-select">${options(currentIdx)}</select>
+            <label class="revision-label" for="revision-compare-select">Compare with</label>
+            <select id="revision-compare-select" class="revision-select">${options(compareIdx)}</select>
+            <button class="cache-refresh-btn" onclick="compareGistRevisions()">Compare</button>
+        </div>
+        <div id="revision-diff" class="revision-diff"></div>
+    `;
+    bar.style.display = '';
 
-    // Sort by execution time
-    const sortedTools = Object.entries(tools)
-        .map(([name, data]) => ({
-            name,
-            calls: data.call_count || 0,
-            timeMs: data.total_execution_time_ms || 0
-        }))
-        .sort((a, b) => b.timeMs - a.timeMs)
-        .slice(0, 10);
+    document.getElementById('revision-select').addEventListener('change', (e) => {
+        selectGistRevision(e.target.value);
+    });
+}
 
-    const maxTime = Math.max(...sortedTools.map(t => t.timeMs), 1);
+/**
+ * Switch the viewer to another revision of the current gist
+ */
+window.selectGistRevision = async function(revision) {
+    if (!gistRevisionState) return;
+    const { id, history } = gistRevisionState;
+    const isLatest = revision === history[0].version;
+    const value = isLatest ? id : `${id}@${revision}`;
 
-    let html = '';
-    for (const tool of sortedTools) {
-        const barWidth = (tool.timeMs / maxTime * 100);
-        const timeStr = tool.timeMs < 1000 ? `${tool.timeMs.toFixed(0)}ms` : `${(tool.timeMs / 1000).toFixed(1)}s`;
+    const url = new URL(window.location.href);
+    url.searchParams.set('gist', value);
+    window.history.replaceState(null, '', url);
 
-        html += `
-            <div class="tool-bar">
-                <span class="tool-name">${escapeHtml(tool.name)}</span>
-                <div class="tool-bar-container">
-                    <div class="tool-bar-fill" style="width: ${barWidth}%"></div>
-                </div>
-                <span class="tool-stats">${tool.calls} calls, ${timeStr}</span>
-            </div>
-        `;
+    showLoading();
+    try {
+        // The cached copy of an unpinned gist may be an older revision than the latest
+        const cachedLatest = isLatest ? await getCachedSession(getSessionCacheKey(getSessionSource('gist'), id)) : null;
+        const refresh = !!cachedLatest && cachedLatest.version !== revision;
+        await loadSessionFromSource(getSessionSource('gist'), value, { refresh });
+    } catch (error) {
+        console.error('Error loading gist revision:', error);
+        showError(error.message);
     }
+};
 
-    container.innerHTML = html;
+/**
+ * Load the structured files of one gist revision (from the session cache when possible)
+ * Revisions are immutable, so a cached copy never needs revalidating
+ */
+async function loadGistRevisionFiles(id, revision) {
+    if (gistRevisionState?.currentRev === revision && sessionData.files) {
+        return sessionData.files;
+    }
+    const key = `gist:${id}@${revision}`;
+    const cached = await getCachedSession(key);
+    if (cached) {
+        return buildFilesMap(cached.rawFiles);
+    }
+    const rawFiles = await collectGistFiles(await fetchGist(id, { rev: revision }));
+    const files = buildFilesMap(rawFiles);
+    putCachedSession({
+        key,
+        source: 'gist',
+        value: `${id}@${revision}`,
+        version: revision,
+        title: summarizeSessionFiles(files).question
+    }, rawFiles);
+    return files;
 }
 
 /**
- * Render coordination graph - vertical timeline with columns per agent
- * Shows chronological rows with answers/votes, with context backpointers
+ * Compare the selected revision with the chosen one and show what changed
  */
-function renderTimeline(data) {
-    const container = document.getElementById('timeline-container');
-    // Use turn-filtered data
-    const filteredData = getDataForCurrentTurn(data);
-    const events = filteredData.coordination.events || [];
-    console.log('[renderTimeline] currentTurn:', currentTurn, 'events count:', events.length);
-
-    // Filter to only answers, votes, and final answer
-    const graphEvents = events.filter(e =>
-        e.event_type === 'new_answer' ||
-        e.event_type === 'vote_cast' ||
-        e.event_type === 'final_answer'
-    );
-
-    // Deduplicate final_answer events by agent_id (keep only the first one per agent)
-    const seenFinalAgents = new Set();
-    const dedupedEvents = graphEvents.filter(e => {
-        if (e.event_type === 'final_answer') {
-            const key = e.agent_id || 'unknown';
-            if (seenFinalAgents.has(key)) return false;
-            seenFinalAgents.add(key);
-        }
-        return true;
-    });
-
-    if (dedupedEvents.length === 0) {
-        container.innerHTML = '<div class="no-data">No coordination events available</div>';
+window.compareGistRevisions = async function() {
+    if (!gistRevisionState) return;
+    const container = document.getElementById('revision-diff');
+    const { id, history } = gistRevisionState;
+    const revA = document.getElementById('revision-select').value;
+    const revB = document.getElementById('revision-compare-select').value;
+    if (revA === revB) {
+        container.innerHTML = '<div class="no-data">Pick two different revisions to compare</div>';
         return;
     }
 
-    const startTime = data.coordination.session_metadata?.start_time || events[0]?.timestamp || 0;
-
-    // Collect all unique agents
-    const agentSet = new Set();
-    dedupedEvents.forEach(e => {
-        if (e.agent_id) agentSet.add(e.agent_id);
-    });
-    const agents = Array.from(agentSet).sort();
+    // History is newest first, so the higher index is the older revision
+    const idxA = history.findIndex(h => h.version === revA);
+    const idxB = history.findIndex(h => h.version === revB);
+    const [olderIdx, newerIdx] = idxA > idxB ? [idxA, idxB] : [idxB, idxA];
+    const olderRev = history[olderIdx].version;
+    const newerRev = history[newerIdx].version;
 
-    // Create agent to column index mapping and agent to number mapping (for X.Y labels)
-    const agentToCol = {};
-    const agentToNum = {};  // agent_a -> 1, agent_b -> 2
-    agents.forEach((agent, idx) => {
-        agentToCol[agent] = idx;
-        agentToNum[agent] = idx + 1;  // 1-indexed for display
-    });
+    container.innerHTML = '<div class="no-data">Loading revisions...</div>';
+    let diff;
+    try {
+        const [olderFiles, newerFiles] = await Promise.all([
+            loadGistRevisionFiles(id, olderRev),
+            loadGistRevisionFiles(id, newerRev)
+        ]);
+        diff = diffSessionSummaries(summarizeSessionFiles(olderFiles), summarizeSessionFiles(newerFiles));
+    } catch (error) {
+        console.error('Failed to compare revisions:', error);
+        container.innerHTML = `<div class="no-data">${escapeHtml(error.message)}</div>`;
+        return;
+    }
 
-    // Sort events by timestamp to create chronological rows
-    const sortedEvents = [...dedupedEvents].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    const signed = (n, fmt) => `${n >= 0 ? '+' : '−'}${fmt(Math.abs(n))}`;
+    const turnsHtml = diff.addedTurns.length > 0
+        ? diff.addedTurns.map(t => `<span class="revision-turn added">${escapeHtml(formatTurnKey(t.key))}</span>`).join(' ')
+        : '<span class="revision-muted">No new turns</span>';
+    const removedTurnsHtml = diff.removedTurns.length > 0
+        ? `<div class="revision-diff-row"><span class="revision-diff-label">Removed turns</span>${diff.removedTurns.map(t => `<span class="revision-turn removed">${escapeHtml(formatTurnKey(t.key))}</span>`).join(' ')}</div>`
+        : '';
+    const answersHtml = diff.changedFinalAnswers.length > 0
+        ? diff.changedFinalAnswers.map(c => {
+            const before = c.before === null ? 'none' : `${formatNumber(c.before.length)} chars`;
+            const after = c.after === null ? 'none' : `${formatNumber(c.after.length)} chars`;
+            return `<div>${escapeHtml(formatTurnKey(c.key))}: changed (${before} → ${after})</div>`;
+        }).join('')
+        : '<span class="revision-muted">Unchanged</span>';
 
-    // Build answer label mapping for context references
-    const answerLabelToRowCol = {}; // label -> { row, col, agentId, displayLabel }
-    const answerCountByAgent = {}; // agent -> count for generating labels
+    container.innerHTML = `
+        <div class="revision-diff-title">
+            ${escapeHtml(olderRev.substring(0, 7))} → ${escapeHtml(newerRev.substring(0, 7))}
+        </div>
+        <div class="revision-diff-row"><span class="revision-diff-label">New turns</span>${turnsHtml}</div>
+        ${removedTurnsHtml}
+        <div class="revision-diff-row"><span class="revision-diff-label">Final answer</span><div>${answersHtml}</div></div>
+        <div class="revision-diff-row">
+            <span class="revision-diff-label">Cost</span>
+            $${diff.olderCost.toFixed(4)} → $${diff.newerCost.toFixed(4)}
+            <span class="revision-delta ${diff.costDelta > 0 ? 'up' : diff.costDelta < 0 ? 'down' : ''}">(${signed(diff.costDelta, n => `$${n.toFixed(4)}`)})</span>
+        </div>
+        <div class="revision-diff-row">
+            <span class="revision-diff-label">Tokens</span>
+            ${formatNumber(diff.olderTokens)} → ${formatNumber(diff.newerTokens)}
+            <span class="revision-delta ${diff.tokenDelta > 0 ? 'up' : diff.tokenDelta < 0 ? 'down' : ''}">(${signed(diff.tokenDelta, formatNumber)})</span>
+        </div>
+        <div class="revision-diff-row">
+            <span class="revision-diff-label">Files</span>
+            ${diff.addedFiles.length} added, ${diff.removedFiles.length} removed
+        </div>
+    `;
+};
 
-    // First pass: assign labels to answers and build mapping
-    sortedEvents.forEach((event, rowIdx) => {
-        if (event.event_type === 'new_answer') {
-            const agentId = event.agent_id || 'unknown';
-            if (!answerCountByAgent[agentId]) answerCountByAgent[agentId] = 0;
-            answerCountByAgent[agentId]++;
-            // Use X.Y format where X is agent number (1, 2) and Y is answer count
-            const agentNum = agentToNum[agentId] || 1;
-            const displayLabel = `${agentNum}.${answerCountByAgent[agentId]}`;
-            // Keep original label for internal tracking
-            const internalLabel = event.context?.answer_label || `${agentId}.${answerCountByAgent[agentId]}`;
-            answerLabelToRowCol[displayLabel] = {
-                row: rowIdx,
-                col: agentToCol[agentId] ?? 0,
-                agentId,
-                displayLabel,
-                internalLabel
-            };
-        }
-    });
+// =============================================================================
+// Export Schemas and Diagnostics
+// =============================================================================
 
-    // Build rows data with context info
-    const rows = sortedEvents.map((event, rowIdx) => {
-        const agentId = event.agent_id || 'unknown';
-        const relTime = ((event.timestamp || 0) - startTime).toFixed(1);
-        const col = agentToCol[agentId] ?? 0;
-        const agentNum = agentToNum[agentId] || 1;
+// Prefix of files inside a turn attempt; legacy single-turn exports have none
+const EXPORT_ATTEMPT_PREFIX_PATTERN = /^turn_\d+\/attempt_\d+\//;
+// Files agents wrote into their workspaces belong to the task, not to the export format
+const WORKSPACE_PATH_PATTERN = /(?:^|\/)workspace\//;
 
-        let label = '';
-        let contextAnswers = []; // answer labels this one had in context
-        let votedForLabel = null;
-        let availableOptions = [];
+/**
+ * Get an export path relative to its turn attempt (unchanged for legacy exports)
+ */
+function getAttemptRelativePath(path) {
+    return path.replace(EXPORT_ATTEMPT_PREFIX_PATTERN, '');
+}
 
-        if (event.event_type === 'new_answer') {
-            // Compute display label in X.Y format
-            const agentAnswerNum = Object.values(answerLabelToRowCol)
-                .filter(info => info.agentId === agentId && info.row <= rowIdx)
-                .length;
-            label = `${agentNum}.${agentAnswerNum}`;
+/**
+ * JSON Schemas (draft-07 subset) for the export files the viewer reads
+ * Only fields the viewer relies on are constrained; extra fields are allowed
+ * Matchers get the path relative to its turn attempt (see getAttemptRelativePath)
+ */
+const TOKEN_USAGE_SCHEMA = {
+    type: 'object',
+    properties: {
+        input_tokens: { type: 'number', minimum: 0 },
+        output_tokens: { type: 'number', minimum: 0 },
+        reasoning_tokens: { type: 'number', minimum: 0 },
+        estimated_cost: { type: 'number', minimum: 0 }
+    }
+};
 
-            // Extract context answers - these are the answers available when this one was created
-            // Look for previous answers (use displayLabel)
-            for (const [displayLabel, info] of Object.entries(answerLabelToRowCol)) {
-                if (info.row < rowIdx) {
-                    contextAnswers.push(displayLabel);
+const EXPORT_SCHEMAS = [
+    {
+        name: 'session manifest',
+        match: (path) => path === '_session_manifest.json',
+        schema: {
+            type: 'object',
+            required: ['turns'],
+            properties: {
+                format_version: { type: 'string' },
+                session_type: { type: 'string' },
+                turn_count: { type: 'integer', minimum: 0 },
+                question: { type: 'string' },
+                winner: { type: ['string', 'null'] },
+                total_cost: { type: 'number', minimum: 0 },
+                total_tokens: {
+                    type: 'object',
+                    properties: {
+                        input: { type: 'number', minimum: 0 },
+                        output: { type: 'number', minimum: 0 }
+                    }
+                },
+                agents: { type: 'array' },
+                turns: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['turn_number'],
+                        properties: {
+                            turn_number: { type: 'integer', minimum: 1 },
+                            attempt_number: { type: 'integer', minimum: 1 },
+                            total_attempts: { type: 'integer', minimum: 1 },
+                            status: { type: 'string' },
+                            question: { type: 'string' }
+                        }
+                    }
                 }
             }
-        } else if (event.event_type === 'vote_cast') {
-            // Convert voted_for agent ID to display label
-            const votedForAgentId = event.context?.voted_for || event.details?.match(/voted for\s*(\S+)/i)?.[1] || null;
-            if (votedForAgentId) {
-                // Find the latest answer from this agent at vote time
-                const votedAgentNum = agentToNum[votedForAgentId];
-                if (votedAgentNum) {
-                    // Count answers from voted agent before this vote
-                    const votedAgentAnswerCount = Object.values(answerLabelToRowCol)
-                        .filter(info => info.agentId === votedForAgentId && info.row < rowIdx)
-                        .length;
-                    votedForLabel = `${votedAgentNum}.${votedAgentAnswerCount}`;
+        }
+    },
+    {
+        name: 'status',
+        match: (path) => path === 'status.json',
+        schema: {
+            type: 'object',
+            required: ['agents'],
+            properties: {
+                meta: {
+                    type: 'object',
+                    properties: {
+                        question: { type: 'string' },
+                        start_time: { type: 'number' },
+                        elapsed_seconds: { type: 'number', minimum: 0 }
+                    }
+                },
+                agents: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            status: { type: 'string' },
+                            answer_count: { type: 'integer', minimum: 0 },
+                            token_usage: TOKEN_USAGE_SCHEMA,
+                            vote_cast: { type: ['object', 'null'] }
+                        }
+                    }
+                },
+                results: {
+                    type: 'object',
+                    properties: {
+                        winner: { type: ['string', 'null'] }
+                    }
                 }
             }
-
-            // Get available options - all answers before this vote (use displayLabel)
-            for (const [displayLabel, info] of Object.entries(answerLabelToRowCol)) {
-                if (info.row < rowIdx) {
-                    availableOptions.push(displayLabel);
+        }
+    },
+    {
+        name: 'metrics summary',
+        match: (path) => path === 'metrics_summary.json',
+        schema: {
+            type: 'object',
+            required: ['totals'],
+            properties: {
+                meta: { type: 'object' },
+                totals: TOKEN_USAGE_SCHEMA,
+                agents: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            token_usage: TOKEN_USAGE_SCHEMA,
+                            round_history: { type: 'array' }
+                        }
+                    }
+                },
+                tools: {
+                    type: 'object',
+                    properties: {
+                        total_calls: { type: 'integer', minimum: 0 }
+                    }
+                },
+                rounds: {
+                    type: 'object',
+                    properties: {
+                        total_rounds: { type: 'integer', minimum: 0 }
+                    }
                 }
             }
-        } else if (event.event_type === 'final_answer') {
-            label = 'final';
         }
+    },
+    {
+        name: 'coordination events',
+        match: (path) => path === 'coordination_events.json',
+        schema: {
+            type: 'object',
+            required: ['events'],
+            properties: {
+                session_metadata: {
+                    type: 'object',
+                    properties: {
+                        user_prompt: { type: 'string' },
+                        start_time: { type: 'number' },
+                        end_time: { type: ['number', 'null'] },
+                        final_winner: { type: ['string', 'null'] }
+                    }
+                },
+                events: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['event_type', 'timestamp'],
+                        properties: {
+                            event_type: { type: 'string' },
+                            timestamp: { type: 'number' },
+                            agent_id: { type: ['string', 'null'] },
+                            details: { type: ['string', 'null'] },
+                            context: { type: ['object', 'null'] }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    {
+        name: 'snapshot mappings',
+        match: (path) => path === 'snapshot_mappings.json',
+        schema: { type: 'object' }
+    },
+    {
+        name: 'vote',
+        // Agent snapshots: agent_id/20251228_123456_789/vote.json
+        match: (path) => /^[^/]+\/\d{8}_[^/]+\/vote\.json$/.test(path),
+        schema: {
+            type: 'object',
+            required: ['voted_for'],
+            properties: {
+                voter_id: { type: 'string' },
+                voted_for: { type: 'string' },
+                voted_for_label: { type: ['string', 'null'] },
+                reason: { type: 'string' },
+                coordination_round: { type: 'integer', minimum: 0 },
+                available_options: { type: 'array' },
+                agent_mapping: { type: 'object' }
+            }
+        }
+    }
+];
+
+// Files every turn attempt (or a legacy single-turn export) should contain
+const REQUIRED_EXPORT_FILES = ['metrics_summary.json', 'status.json', 'coordination_events.json'];
+
+// Top-level files of a turn attempt that the viewer reads
+const KNOWN_EXPORT_FILES = new Set([
+    '_session_manifest.json',
+    'metrics_summary.json',
+    'status.json',
+    'coordination_events.json',
+    'snapshot_mappings.json',
+    'coordination_table.txt',
+    'execution_metadata.yaml',
+    'execution_metadata.yml',
+    'execution_metadata.json'
+]);
+
+// Stop listing violations for a file after this many
+const MAX_SCHEMA_ERRORS_PER_FILE = 20;
+
+// JSON/YAML parse failures per files map, keyed by path (see processFileContent)
+const fileParseErrors = new WeakMap();
 
-        return {
-            event,
-            agentId,
-            col,
-            relTime,
-            label,
-            contextAnswers,
-            votedForLabel,
-            availableOptions,
-            type: event.event_type
-        };
-    });
+/**
+ * Record (or clear, when error is null) a parse failure for a file
+ */
+function recordFileParseError(files, path, error) {
+    if (!fileParseErrors.has(files)) {
+        fileParseErrors.set(files, new Map());
+    }
+    if (error) {
+        // YAML errors append a code excerpt after the first line; the first line has the position
+        fileParseErrors.get(files).set(path, String(error.message || error).split('\n')[0]);
+    } else {
+        fileParseErrors.get(files).delete(path);
+    }
+}
 
-    // Generate HTML
-    let html = `
-        <div class="timeline-vertical-container">
-            <svg class="timeline-svg" id="timeline-svg"></svg>
-            <div class="timeline-vertical">
-                <div class="timeline-header">
-                    <div class="timeline-time-col">Time</div>
-                    ${agents.map(agent => `<div class="timeline-agent-col">${escapeHtml(agent)}</div>`).join('')}
-                </div>
-                <div class="timeline-body">
-    `;
+/**
+ * Get the JSON type name of a value ('integer' for whole numbers)
+ */
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
 
-    // Render each row
-    rows.forEach((row, rowIdx) => {
-        const cellsHtml = agents.map((agent, colIdx) => {
-            if (colIdx !== row.col) {
-                return '<div class="timeline-cell empty"></div>';
-            }
-
-            // This cell has content
-            let cellClass = 'timeline-cell';
-            let content = '';
-
-            if (row.type === 'new_answer') {
-                cellClass += ' answer-cell';
-                content = `
-                    <div class="timeline-node answer-node clickable" data-row="${rowIdx}" data-col="${colIdx}" data-label="${escapeHtml(row.label)}" data-agent-id="${escapeHtml(row.agentId)}" onclick="navigateToAnswer('${escapeHtml(row.agentId)}', '${escapeHtml(row.label)}')">
-                        <div class="node-bubble answer">
-                            <span class="node-icon">💬</span>
-                            <span class="node-label">${escapeHtml(row.label)}</span>
-                        </div>
-                    </div>
-                `;
-            } else if (row.type === 'vote_cast') {
-                cellClass += ' vote-cell';
-                content = `
-                    <div class="timeline-node vote-node clickable" data-row="${rowIdx}" data-col="${colIdx}" data-voted-for="${escapeHtml(row.votedForLabel || '')}" data-agent-id="${escapeHtml(row.agentId)}" onclick="navigateToVote('${escapeHtml(row.agentId)}')">
-                        <div class="node-bubble vote">
-                            <span class="node-icon">🗳️</span>
-                            <span class="node-label">Vote</span>
-                        </div>
-                        <div class="vote-target">→ ${escapeHtml(row.votedForLabel || '?')}</div>
-                    </div>
-                `;
-            } else if (row.type === 'final_answer') {
-                cellClass += ' final-cell';
-                content = `
-                    <div class="timeline-node final-node clickable" data-row="${rowIdx}" data-col="${colIdx}" data-agent-id="${escapeHtml(row.agentId)}" onclick="navigateToFinalAnswer()">
-                        <div class="node-bubble final">
-                            <span class="node-icon">✅</span>
-                            <span class="node-label">${escapeHtml(row.label)}</span>
-                        </div>
-                    </div>
-                `;
-            }
-
-            return `<div class="${cellClass}">${content}</div>`;
-        }).join('');
+/**
+ * Validate a value against a JSON Schema
+ * Supports type, required, properties, additionalProperties, items, enum and minimum
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema
+ * @param {string} pointer - JSON pointer of value, used in messages
+ * @param {Array} errors - Accumulator
+ * @returns {Array<{ pointer: string, message: string }>} The violations found
+ */
+function validateJsonSchema(value, schema, pointer = '', errors = []) {
+    if (errors.length >= MAX_SCHEMA_ERRORS_PER_FILE) return errors;
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = getJsonType(value);
+        const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            errors.push({ pointer, message: `expected ${allowed.join(' or ')}, got ${actual}` });
+            return errors;
+        }
+    }
 
-        html += `
-            <div class="timeline-row" data-row="${rowIdx}">
-                <div class="timeline-time-col">+${row.relTime}s</div>
-                ${cellsHtml}
-            </div>
-        `;
-    });
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ pointer, message: `expected one of ${schema.enum.join(', ')}` });
+    }
 
-    html += `
-                </div>
-            </div>
-        </div>
-    `;
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ pointer, message: `must be >= ${schema.minimum}` });
+    }
 
-    // Add legend
-    html += `
-        <div class="coord-legend">
-            <span class="legend-item"><span class="legend-dot answer"></span> Answer</span>
-            <span class="legend-item"><span class="legend-dot vote"></span> Vote</span>
-            <span class="legend-item"><span class="legend-dot final"></span> Final</span>
-            <span class="legend-item"><span class="legend-line context"></span> Context</span>
-            <span class="legend-item"><span class="legend-line voted"></span> Voted For</span>
-        </div>
-    `;
+    if (getJsonType(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push({ pointer, message: `missing required property "${key}"` });
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = schema.properties?.[key] || schema.additionalProperties;
+            if (childSchema && typeof childSchema === 'object') {
+                validateJsonSchema(child, childSchema, `${pointer}/${key}`, errors);
+            }
+        }
+    }
 
-    container.innerHTML = html;
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, idx) => validateJsonSchema(item, schema.items, `${pointer}/${idx}`, errors));
+    }
 
-    // Now draw SVG lines for context and votes
-    requestAnimationFrame(() => {
-        drawTimelineConnections(container, rows, answerLabelToRowCol);
-    });
+    return errors;
 }
 
 /**
- * Draw SVG connection lines between timeline nodes
+ * Check whether the viewer knows what to do with an export path
  */
-function drawTimelineConnections(container, rows, answerLabelToRowCol) {
-    const svg = container.querySelector('#timeline-svg');
-    if (!svg) return;
+function isKnownExportPath(path) {
+    const rest = getAttemptRelativePath(path);
+    return KNOWN_EXPORT_FILES.has(rest) ||
+        rest.startsWith('agent_outputs/') ||
+        rest.startsWith('final/') ||
+        // Agent snapshots: agent_id/20251228_123456_789/answer.txt, vote.json, workspace/...
+        /^[^/]+\/\d{8}_[^/]+\/./.test(rest) ||
+        /^[^/]+\/workspace\//.test(rest);
+}
 
-    const timelineContainer = container.querySelector('.timeline-vertical-container');
-    if (!timelineContainer) return;
+/**
+ * Find missing files, schema violations, unparseable files and unknown paths in an export
+ * @param {Object} files - Structured files map
+ * @param {Object|null} manifest - Parsed session manifest
+ * @returns {Object} { parseErrors, schemaErrors, missingFiles, unknownPaths, errorCount, warningCount }
+ */
+function validateExportFiles(files, manifest) {
+    const paths = Object.keys(files);
 
-    // Set SVG size to match container
-    const containerRect = timelineContainer.getBoundingClientRect();
-    svg.setAttribute('width', containerRect.width);
-    svg.setAttribute('height', containerRect.height);
+    const parseErrors = Array.from(fileParseErrors.get(files) || [])
+        .filter(([path]) => path in files && !WORKSPACE_PATH_PATTERN.test(path))
+        .map(([path, message]) => ({ path, message }));
+    const unparseable = new Set(parseErrors.map(e => e.path));
 
-    let svgContent = '';
+    const schemaErrors = [];
+    for (const [path, content] of Object.entries(files)) {
+        if (unparseable.has(path) || WORKSPACE_PATH_PATTERN.test(path)) continue;
+        const relativePath = getAttemptRelativePath(path);
+        const entry = EXPORT_SCHEMAS.find(s => s.match(relativePath));
+        if (!entry) continue;
+        const errors = validateJsonSchema(content, entry.schema);
+        if (errors.length > 0) {
+            schemaErrors.push({ path, schema: entry.name, errors });
+        }
+    }
 
-    // Process each row
-    rows.forEach((row, rowIdx) => {
-        const sourceNode = container.querySelector(`.timeline-node[data-row="${rowIdx}"]`);
-        if (!sourceNode) return;
+    // Turn attempts from paths and the manifest; a legacy export is one unprefixed attempt
+    const attemptPrefixes = new Set();
+    for (const path of paths) {
+        const info = extractTurnAttemptFromPath(path);
+        if (info) attemptPrefixes.add(`turn_${info.turn}/attempt_${info.attempt}/`);
+    }
+    for (const turn of getTurnsFromManifest(manifest)) {
+        if (typeof turn?.turn_number === 'number') {
+            attemptPrefixes.add(`turn_${turn.turn_number}/attempt_${turn.attempt_number || 1}/`);
+        }
+    }
 
-        const sourceRect = sourceNode.getBoundingClientRect();
-        const containerOffset = timelineContainer.getBoundingClientRect();
+    const missingFiles = [];
+    if (attemptPrefixes.size > 0 && !manifest) {
+        missingFiles.push({ path: '_session_manifest.json', message: 'Multi-turn export without a manifest; turn navigation is unavailable' });
+    }
+    const prefixes = attemptPrefixes.size > 0 ? Array.from(attemptPrefixes).sort() : [''];
+    for (const prefix of prefixes) {
+        const attemptPaths = paths.filter(p => p.startsWith(prefix));
+        if (prefix && attemptPaths.length === 0) {
+            missingFiles.push({ path: prefix, message: 'Listed in the manifest but no files were exported' });
+            continue;
+        }
+        for (const name of REQUIRED_EXPORT_FILES) {
+            if (!(prefix + name in files)) {
+                missingFiles.push({ path: prefix + name, message: 'Not found in export' });
+            }
+        }
+    }
+    if (!paths.some(p => p.includes('execution_metadata'))) {
+        missingFiles.push({ path: 'execution_metadata.yaml', message: 'Not found; agent models and "Try This Session" are unavailable' });
+    }
 
-        // Source point (left side of node)
-        const sourceX = sourceRect.left - containerOffset.left;
-        const sourceY = sourceRect.top - containerOffset.top + sourceRect.height / 2;
+    const unknownPaths = paths.filter(p => !isKnownExportPath(p));
 
-        if (row.type === 'new_answer' && row.contextAnswers.length > 0) {
-            // Draw lines to context answers (previous answers this one could see)
-            row.contextAnswers.forEach(contextLabel => {
-                const targetInfo = answerLabelToRowCol[contextLabel];
-                if (!targetInfo) return;
+    return {
+        parseErrors,
+        schemaErrors,
+        missingFiles,
+        unknownPaths,
+        errorCount: parseErrors.length + schemaErrors.length,
+        warningCount: missingFiles.length
+    };
+}
 
-                const targetNode = container.querySelector(`.timeline-node[data-label="${contextLabel}"]`);
-                if (!targetNode) return;
+/**
+ * Render the collapsible "Export diagnostics" panel
+ */
+function renderDiagnostics(data) {
+    const container = document.getElementById('diagnostics-container');
+    const diagnostics = data.diagnostics;
+    if (!container || !diagnostics) return;
+
+    const { parseErrors, schemaErrors, missingFiles, unknownPaths, migration, errorCount, warningCount } = diagnostics;
+    const wasOpen = container.querySelector('.collapsible')?.classList.contains('open');
+
+    const summaryParts = [];
+    if (errorCount > 0) summaryParts.push(`<span class="diagnostics-count error">${errorCount} error${errorCount === 1 ? '' : 's'}</span>`);
+    if (warningCount > 0) summaryParts.push(`<span class="diagnostics-count warning">${warningCount} missing file${warningCount === 1 ? '' : 's'}</span>`);
+    if (unknownPaths.length > 0) summaryParts.push(`<span class="diagnostics-count info">${unknownPaths.length} unknown path${unknownPaths.length === 1 ? '' : 's'}</span>`);
+    const summary = summaryParts.length > 0
+        ? summaryParts.join(' ')
+        : '<span class="diagnostics-count ok">No problems found</span>';
+
+    const group = (title, items) => items.length === 0 ? '' : `
+        <div class="diagnostics-group">
+            <div class="diagnostics-group-title">${title}</div>
+            <ul class="diagnostics-list">${items.join('')}</ul>
+        </div>
+    `;
+    const item = (path, message) => `
+        <li><code class="diagnostics-path">${escapeHtml(path)}</code><span class="diagnostics-message">${escapeHtml(message)}</span></li>
+    `;
 
-                const targetRect = targetNode.getBoundingClientRect();
-                const targetX = targetRect.right - containerOffset.left;
-                const targetY = targetRect.top - containerOffset.top + targetRect.height / 2;
+    let formatNote = '';
+    if (migration) {
+        const steps = migration.applied.length > 0 ? `upgraded via: ${migration.applied.join(' → ')}` : 'no upgrade needed';
+        formatNote = migration.supported
+            ? `<div class="diagnostics-format">Export format <code>${escapeHtml(migration.formatVersion)}</code> — ${escapeHtml(steps)}</div>`
+            : `<div class="diagnostics-format unsupported">Export format <code>${escapeHtml(migration.formatVersion)}</code> is newer than this viewer supports; showing it as-is</div>`;
+    }
 
-                // Draw a curved line from source to target
-                const midX = (sourceX + targetX) / 2;
-                svgContent += `
-                    <path class="context-line"
-                          d="M ${sourceX} ${sourceY} C ${midX} ${sourceY}, ${midX} ${targetY}, ${targetX} ${targetY}"
-                          fill="none" stroke="rgba(125, 207, 255, 0.3)" stroke-width="1.5"/>
-                `;
-            });
-        } else if (row.type === 'vote_cast') {
-            // Draw lines to all available options, with bold line to voted-for
-            row.availableOptions.forEach(optLabel => {
-                const targetInfo = answerLabelToRowCol[optLabel];
-                if (!targetInfo) return;
+    const body = formatNote + ([
+        group('Unparseable files', parseErrors.map(e => item(e.path, e.message))),
+        group('Schema violations', schemaErrors.map(e => item(
+            e.path,
+            `${e.schema}: ${e.errors.map(v => `${v.pointer || '/'} ${v.message}`).join('; ')}`
+        ))),
+        group('Missing files', missingFiles.map(e => item(e.path, e.message))),
+        group('Unknown paths (not used by the viewer)', unknownPaths.map(p => `<li><code class="diagnostics-path">${escapeHtml(p)}</code></li>`))
+    ].join('') || '<div class="no-data">All export files were found, parsed and match their schemas</div>');
 
-                const targetNode = container.querySelector(`.timeline-node[data-label="${optLabel}"]`);
-                if (!targetNode) return;
+    container.innerHTML = `
+        <div class="collapsible diagnostics-panel ${wasOpen ? 'open' : ''}">
+            <div class="collapsible-header">
+                <span>🩺 Export diagnostics ${summary}</span>
+                <span class="collapsible-icon">&#x25BC;</span>
+            </div>
+            <div class="collapsible-content">${body}</div>
+        </div>
+    `;
 
-                const targetRect = targetNode.getBoundingClientRect();
-                const targetX = targetRect.right - containerOffset.left;
-                const targetY = targetRect.top - containerOffset.top + targetRect.height / 2;
+    container.querySelector('.collapsible-header').addEventListener('click', function() {
+        this.parentElement.classList.toggle('open');
+    });
+}
 
-                const isVotedFor = optLabel === row.votedForLabel;
-                const strokeWidth = isVotedFor ? 3 : 1;
-                const strokeColor = isVotedFor ? 'rgba(158, 206, 106, 0.9)' : 'rgba(187, 154, 247, 0.25)';
+// =============================================================================
+// Session Data Extraction
+// =============================================================================
 
-                // Draw curved line
-                const midX = (sourceX + targetX) / 2;
-                svgContent += `
-                    <path class="vote-line ${isVotedFor ? 'voted-for' : ''}"
-                          d="M ${sourceX} ${sourceY} C ${midX} ${sourceY}, ${midX} ${targetY}, ${targetX} ${targetY}"
-                          fill="none" stroke="${strokeColor}" stroke-width="${strokeWidth}"/>
-                `;
-            });
+/**
+ * Extract agent info from path
+ * Paths are nested (flattened gist names are unflattened when loaded):
+ *   agent_a/timestamp/answer.txt
+ *   turn_1/attempt_1/agent_a/timestamp/answer.txt
+ */
+function extractAgentFromPath(path) {
+    const parts = path.split('/');
+    // Skip turn_X/attempt_Y prefixes if present
+    let startIdx = 0;
+    for (let i = 0; i < parts.length; i++) {
+        if (parts[i].startsWith('turn_') || parts[i].startsWith('attempt_')) {
+            startIdx = i + 1;
+        } else {
+            break;
         }
-    });
-
-    svg.innerHTML = svgContent;
+    }
+    const agentId = parts[startIdx] || null;
+    const timestamp = parts[startIdx + 1] || null;
+    return { agentId, timestamp, startIdx };
 }
 
 /**
- * Show node detail on click
+ * Classify an export file the session views are built from, by its path
+ * Shared by extractSessionData, the output logs and the search index so they agree
+ * @param {string} path - Nested, migrated export path
+ * @returns {Object|null} { kind, ... } or null for other files:
+ *   - workspace: { relativePath }, timestamp is 'final' or 'default' outside snapshot folders
+ *   - answer / final_answer / vote: agentId and timestamp from the snapshot folder
+ *   - log: { logName } only, for agent_outputs/<name>.txt (status and _latest copies excluded)
  */
-window.showNodeDetail = function(node) {
-    const detail = node.querySelector('.node-detail');
-    if (detail) {
-        const isVisible = detail.style.display !== 'none';
-        detail.style.display = isVisible ? 'none' : 'block';
+function classifyExportPath(path) {
+    const { agentId, timestamp } = extractAgentFromPath(path);
+
+    // Before answers and votes: agents may write files with those names
+    const wsIdx = path.indexOf('/workspace/');
+    if (wsIdx >= 0) {
+        const relativePath = path.substring(wsIdx + 11);
+        if (!agentId || !relativePath) return null;
+        const tsKey = timestamp || (path.includes('/final/') ? 'final' : 'default');
+        return { kind: 'workspace', agentId, timestamp: tsKey, relativePath };
     }
-};
+    if (path.endsWith('/answer.txt')) {
+        if (!agentId || !timestamp) return null;
+        return { kind: path.includes('final/') ? 'final_answer' : 'answer', agentId, timestamp };
+    }
+    if (path.endsWith('/vote.json')) {
+        return agentId ? { kind: 'vote', agentId, timestamp } : null;
+    }
+    if (path.includes('agent_outputs/') && path.endsWith('.txt')) {
+        const logName = path.split('/').pop().replace('.txt', '');
+        if (logName === 'system_status' || logName.endsWith('_latest')) return null;
+        return { kind: 'log', logName };
+    }
+    return null;
+}
 
 /**
- * Navigate to an answer in Agent Activity section
- * @param {string} agentId - The agent ID (e.g., "agent_a")
- * @param {string} answerLabel - The answer label in X.Y format (e.g., "1.2")
+ * Extract session data from parsed files
+ * The export is validated as shipped, then upgraded to the canonical model
+ * (see EXPORT_MIGRATIONS) before anything is extracted
  */
-window.navigateToAnswer = function(agentId, answerLabel) {
-    const container = document.getElementById('answers-container');
-    if (!container) return;
-
-    // Click the agent tab to switch to that agent
-    const agentTab = container.querySelector(`.agent-tab[data-agent="${agentId}"]`);
-    if (agentTab) {
-        agentTab.click();
+function extractSessionData(exportFiles) {
+    const diagnostics = validateExportFiles(exportFiles, parseSessionManifest(exportFiles));
+    const migration = migrateExportFiles(exportFiles);
+    diagnostics.migration = migration;
+    if (!migration.supported) {
+        diagnostics.warningCount++;
     }
+    const files = migration.files;
 
-    // Switch to the Answers sub-tab
-    setTimeout(() => {
-        const panel = container.querySelector(`.agent-panel[data-agent="${agentId}"]`);
-        if (panel) {
-            const answersSubTab = panel.querySelector('.sub-tab[data-subtab="answers"]');
-            if (answersSubTab) {
-                answersSubTab.click();
-            }
-        }
+    // Look for metrics/status files with various path patterns
+    // Store per-turn data for multi-turn filtering
+    let metrics = {};
+    let status = {};
+    let coordination = {};
+    let snapshotMappings = {};
 
-        // Find the answer collapsible with matching label and expand it
-        setTimeout(() => {
-            const answerCollapsibles = container.querySelectorAll('.answer-collapsible');
-            answerCollapsibles.forEach(collapsible => {
-                const numSpan = collapsible.querySelector('.answer-num');
-                if (numSpan && numSpan.textContent.trim() === answerLabel) {
-                    // Expand this collapsible
-                    collapsible.classList.add('open');
-                    // Scroll into view
-                    collapsible.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                    // Add highlight effect
-                    collapsible.classList.add('highlight-flash');
-                    setTimeout(() => collapsible.classList.remove('highlight-flash'), 2000);
-                }
-            });
-        }, 100);
-    }, 50);
-};
+    // Per-turn data storage: { "turn_attempt": { metrics, status, coordination, ... } }
+    // e.g., { "1_1": { ... }, "1_2": { ... }, "2_1": { ... } }
+    const perTurnData = {};
 
-/**
- * Navigate to votes in Agent Activity section
- * @param {string} agentId - The agent ID
- * @param {number} voteRound - Optional vote round number to expand
- */
-window.navigateToVote = function(agentId, voteRound) {
-    const container = document.getElementById('answers-container');
-    if (!container) return;
+    for (const [path, content] of Object.entries(files)) {
+        const turnAttempt = extractTurnAttemptFromPath(path);
+        const dataKey = turnAttempt?.key || null;
 
-    // Click the agent tab
-    const agentTab = container.querySelector(`.agent-tab[data-agent="${agentId}"]`);
-    if (agentTab) {
+        // Initialize per-turn storage if needed
+        if (dataKey !== null && !perTurnData[dataKey]) {
+            perTurnData[dataKey] = {
+                metrics: {},
+                status: {},
+                coordination: {},
+                snapshotMappings: {},
+                answers: {},
+                votes: {},
+                turnNumber: turnAttempt.turn,
+                attemptNumber: turnAttempt.attempt
+            };
+        }
+
+        if (path.endsWith('metrics_summary.json') && typeof content === 'object') {
+            metrics = content;
+            if (dataKey !== null) perTurnData[dataKey].metrics = content;
+        }
+        if (path.endsWith('status.json') && typeof content === 'object') {
+            status = content;
+            if (dataKey !== null) perTurnData[dataKey].status = content;
+        }
+        if (path.endsWith('coordination_events.json') && typeof content === 'object') {
+            coordination = content;
+            if (dataKey !== null) perTurnData[dataKey].coordination = content;
+        }
+        if (path.endsWith('snapshot_mappings.json') && typeof content === 'object') {
+            snapshotMappings = content;
+            if (dataKey !== null) perTurnData[dataKey].snapshotMappings = content;
+        }
+    }
+
+    // Build session summary
+    const meta = metrics.meta || {};
+    const statusMeta = status.meta || {};
+    const totals = metrics.totals || {};
+    const sessionMeta = coordination.session_metadata || {};
+
+    const question = meta.question || statusMeta.question || sessionMeta.user_prompt || 'Unknown';
+    const winner = meta.winner || status.results?.winner || sessionMeta.final_winner;
+
+    // Get timestamps
+    const startTime = statusMeta.start_time || sessionMeta.start_time;
+    const endTime = sessionMeta.end_time;
+    let durationSeconds = null;
+    if (startTime && endTime) {
+        durationSeconds = endTime - startTime;
+    } else if (statusMeta.elapsed_seconds) {
+        durationSeconds = statusMeta.elapsed_seconds;
+    }
+
+    // Extract answers from files
+    const answers = {};
+    for (const [path, content] of Object.entries(files)) {
+        const entry = classifyExportPath(path);
+        if ((entry?.kind === 'answer' || entry?.kind === 'final_answer') && typeof content === 'string') {
+            const turnAttempt = extractTurnAttemptFromPath(path);
+            const dataKey = turnAttempt?.key || null;
+            const { agentId, timestamp } = entry;
+            const label = `${agentId}.${timestamp}`;
+            const answerData = {
+                label,
+                agent_id: agentId,
+                timestamp: timestamp,
+                content: content,
+                turn: turnAttempt?.turn || null,
+                attempt: turnAttempt?.attempt || null,
+                turnKey: dataKey,
+                type: entry.kind
+            };
+            answers[label] = answerData;
+            // Also store in per-turn data
+            if (dataKey !== null && perTurnData[dataKey]) {
+                perTurnData[dataKey].answers[label] = answerData;
+            }
+        }
+    }
+
+    // Extract votes from files - collect ALL votes per agent, with turn info
+    const votes = {};
+    for (const [path, content] of Object.entries(files)) {
+        const entry = classifyExportPath(path);
+        if (entry?.kind === 'vote' && content && typeof content === 'object') {
+            const { agentId, timestamp } = entry;
+            if (!votes[agentId]) {
+                votes[agentId] = [];
+            }
+            votes[agentId].push({
+                agent_id: agentId,
+                voter_id: content.voter_id || agentId,
+                voted_for: content.voted_for,
+                voted_for_label: content.voted_for_label,
+                voted_for_anon: content.voted_for_anon,
+                available_options_labels: content.available_options_labels || [],
+                answer_label_to_agent: content.answer_label_to_agent || {},
+                reason: content.reason,
+                timestamp: timestamp || '',
+                coordination_round: content.coordination_round,
+                available_options: content.available_options || [],
+                agent_mapping: content.agent_mapping || {},
+                turn: extractTurnFromPath(path)
+            });
+        }
+    }
+    // Sort votes by coordination_round or timestamp
+    for (const agentId of Object.keys(votes)) {
+        votes[agentId].sort((a, b) => (a.coordination_round || 0) - (b.coordination_round || 0));
+    }
+
+    // Extract agent outputs (excluding _latest files)
+    // Paths like: turn_1/attempt_1/agent_outputs/agent_a.txt
+    const agentOutputs = {};
+    for (const [path, content] of Object.entries(files)) {
+        const entry = classifyExportPath(path);
+        if (entry?.kind === 'log') {
+            agentOutputs[entry.logName] = content;
+        }
+    }
+
+    // Extract execution metadata (config)
+    let executionMetadata = null;
+    for (const [path, content] of Object.entries(files)) {
+        if (path.includes('execution_metadata') && typeof content === 'object') {
+            executionMetadata = content;
+            break;
+        }
+    }
+
+    // Extract workspace files from any agent directory
+    // Handle paths with turn_X/attempt_Y prefix
+    // Paths like: turn_1/attempt_1/agent_a/timestamp/workspace/file.txt
+    //         or: turn_1/attempt_1/final/agent_a/workspace/file.txt
+    //         or: agent_a/timestamp/workspace/file.txt
+    // Key by agentId/timestamp so we can associate with specific answers
+    const workspaceFiles = {};  // { agentId: { timestamp: { filePath: content } } }
+    // Also track per-turn workspace files: { turnNumber: { agentId: { timestamp: { filePath: content } } } }
+    const turnWorkspaceFiles = {};
+    for (const [path, content] of Object.entries(files)) {
+        const entry = classifyExportPath(path);
+        if (entry?.kind === 'workspace' && typeof content === 'string') {
+            const { agentId, timestamp: tsKey, relativePath } = entry;
+            const turnNum = extractTurnFromPath(path);
+
+            if (!workspaceFiles[agentId]) {
+                workspaceFiles[agentId] = {};
+            }
+            if (!workspaceFiles[agentId][tsKey]) {
+                workspaceFiles[agentId][tsKey] = {};
+            }
+            workspaceFiles[agentId][tsKey][relativePath] = content;
+
+            // Also store in per-turn structure for filtering
+            if (turnNum !== null) {
+                if (!turnWorkspaceFiles[turnNum]) {
+                    turnWorkspaceFiles[turnNum] = {};
+                }
+                if (!turnWorkspaceFiles[turnNum][agentId]) {
+                    turnWorkspaceFiles[turnNum][agentId] = {};
+                }
+                if (!turnWorkspaceFiles[turnNum][agentId][tsKey]) {
+                    turnWorkspaceFiles[turnNum][agentId][tsKey] = {};
+                }
+                turnWorkspaceFiles[turnNum][agentId][tsKey][relativePath] = content;
+            }
+        }
+    }
+
+    // Count agents from various sources
+    const agentSources = new Set();
+    Object.keys(metrics.agents || {}).forEach(id => agentSources.add(id));
+    Object.keys(status.agents || {}).forEach(id => agentSources.add(id));
+    (coordination.events || []).forEach(e => e.agent_id && agentSources.add(e.agent_id));
+    getConfigAgents(executionMetadata).forEach(a => a?.id && agentSources.add(a.id));
+
+    // Parse manifest if available
+    const manifest = parseSessionManifest(files);
+    const isLegacy = migration.formatVersion === 'legacy';
+    const sessionStatus = getSessionStatus(manifest, files);
+    const errorInfo = getErrorInfo(manifest, files);
+    const turns = getTurnsFromManifest(manifest);
+
+    // Store manifest globally
+    sessionManifest = manifest;
+
+    // Override question and winner from manifest if available
+    const finalQuestion = manifest?.question || question;
+    const finalWinner = manifest?.winner || winner;
+
+    return {
+        metrics,
+        status,
+        coordination,
+        snapshotMappings,
+        executionMetadata,
+        workspaceFiles,
+        turnWorkspaceFiles,  // Per-turn workspace files for filtering
+        manifest,
+        isLegacy,
+        sessionStatus,
+        errorInfo,
+        turns,
+        perTurnData,  // Per-turn data for filtering
+        diagnostics,
+        session: {
+            question: finalQuestion,
+            winner: finalWinner,
+            startTime,
+            durationSeconds,
+            cost: manifest?.total_cost || totals.estimated_cost || 0,
+            inputTokens: manifest?.total_tokens?.input || totals.input_tokens || 0,
+            outputTokens: manifest?.total_tokens?.output || totals.output_tokens || 0,
+            reasoningTokens: totals.reasoning_tokens || 0,
+            totalToolCalls: metrics.tools?.total_calls || 0,
+            totalRounds: metrics.rounds?.total_rounds || 0,
+            numAgents: manifest?.agents?.length || meta.num_agents || agentSources.size || Object.keys(metrics.agents || {}).length,
+            turnCount: manifest?.turn_count || turns.length || 1
+        },
+        answers,
+        votes,
+        agentOutputs,
+        files
+    };
+}
+
+/**
+ * Get data for the current turn (or all data if no turn selected)
+ */
+function getDataForCurrentTurn(data) {
+    console.log('[getDataForCurrentTurn] currentTurn:', currentTurn, 'type:', typeof currentTurn);
+    console.log('[getDataForCurrentTurn] perTurnData keys:', Object.keys(data.perTurnData || {}));
+    console.log('[getDataForCurrentTurn] perTurnData[currentTurn]:', data.perTurnData?.[currentTurn]);
+
+    if (currentTurn === null || !data.perTurnData || !data.perTurnData[currentTurn]) {
+        console.log('[getDataForCurrentTurn] returning unfiltered data');
+        return data;
+    }
+    const turnData = data.perTurnData[currentTurn];
+    console.log('[getDataForCurrentTurn] turnData.coordination events:', turnData.coordination?.events?.length);
+    // Get workspace files for this turn, or fall back to all workspace files
+    const turnWsFiles = data.turnWorkspaceFiles?.[currentTurn] || data.workspaceFiles;
+    return {
+        ...data,
+        metrics: turnData.metrics || data.metrics,
+        status: turnData.status || data.status,
+        coordination: turnData.coordination || data.coordination,
+        snapshotMappings: turnData.snapshotMappings || data.snapshotMappings,
+        answers: turnData.answers || {},
+        workspaceFiles: turnWsFiles
+    };
+}
+
+/**
+ * Format duration in seconds to human-readable string
+ */
+function formatDuration(seconds) {
+    if (!seconds) return 'N/A';
+    if (seconds < 60) return `${seconds.toFixed(1)}s`;
+    if (seconds < 3600) return `${(seconds / 60).toFixed(1)}m`;
+    return `${(seconds / 3600).toFixed(1)}h`;
+}
+
+/**
+ * Format number with commas
+ */
+function formatNumber(num) {
+    return num.toLocaleString();
+}
+
+/**
+ * Escape HTML entities
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    // Quotes too, so the result is also safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the session header
+ */
+function renderHeader(data) {
+    // For multi-turn, show first turn's question initially (will be updated by turn selection)
+    const isMultiTurn = data.turns && data.turns.length > 1;
+    const displayQuestion = isMultiTurn && data.turns[0]?.question
+        ? data.turns[0].question
+        : data.session.question;
+
+    document.getElementById('question').textContent = displayQuestion;
+    document.getElementById('date').textContent = data.session.startTime
+        ? new Date(data.session.startTime * 1000).toLocaleString()
+        : 'N/A';
+    document.getElementById('duration').textContent = formatDuration(data.session.durationSeconds);
+    document.getElementById('cost').textContent = `$${data.session.cost.toFixed(4)}`;
+    document.getElementById('winner').textContent = data.session.winner || 'N/A';
+
+    // Render session status banner
+    renderSessionStatus(data);
+
+    // Render turn navigation if multi-turn
+    if (isMultiTurn) {
+        // Default to the last (most recent) turn+attempt
+        // Find the last turn in the manifest
+        const turns = data.manifest?.turns || [];
+        if (turns.length > 0) {
+            const lastTurn = turns[turns.length - 1];
+            currentTurn = `${lastTurn.turn_number}_${lastTurn.attempt_number || 1}`;
+        } else {
+            // Fallback: find last key in perTurnData
+            const keys = Object.keys(data.perTurnData || {}).sort();
+            currentTurn = keys.length > 0 ? keys[keys.length - 1] : '1_1';
+        }
+        renderTurnNavigation(data);
+        // Note: "Try This Session" is shown/hidden based on current turn in updateTurnDisplay
+    }
+}
+
+/**
+ * Render session status banner (complete/error/interrupted)
+ */
+function renderSessionStatus(data) {
+    const headerEl = document.querySelector('.session-header');
+    if (!headerEl) return;
+
+    // Remove existing status banner if any
+    const existingBanner = document.getElementById('session-status-banner');
+    if (existingBanner) {
+        existingBanner.remove();
+    }
+
+    const status = data.sessionStatus || 'complete';
+    if (status === 'complete') return; // Don't show banner for complete sessions
+
+    const banner = document.createElement('div');
+    banner.id = 'session-status-banner';
+    banner.className = `status-banner status-${status}`;
+
+    let icon = '';
+    let message = '';
+    if (status === 'error') {
+        icon = '⚠️';
+        message = 'This session ended with an error';
+        if (data.errorInfo) {
+            message += `: ${data.errorInfo.type || 'unknown'} - ${data.errorInfo.message || 'No details available'}`;
+        }
+    } else if (status === 'interrupted') {
+        icon = '⏸️';
+        message = 'This session was interrupted before completion';
+    } else if (status === 'timeout') {
+        icon = '⏱️';
+        message = 'This session timed out';
+    }
+
+    banner.innerHTML = `<span class="status-icon">${icon}</span> <span class="status-message">${escapeHtml(message)}</span>`;
+    headerEl.insertBefore(banner, headerEl.firstChild);
+}
+
+/**
+ * Render turn navigation for multi-turn sessions
+ */
+function renderTurnNavigation(data) {
+    const headerEl = document.querySelector('.session-header');
+    if (!headerEl) return;
+
+    // Remove existing nav if any
+    const existingNav = document.getElementById('turn-navigation');
+    if (existingNav) {
+        existingNav.remove();
+    }
+
+    const nav = document.createElement('div');
+    nav.id = 'turn-navigation';
+    nav.className = 'turn-navigation';
+
+    // Header - show unique turn count (not attempt count)
+    const header = document.createElement('div');
+    header.className = 'turn-nav-header';
+    const uniqueTurns = data.session?.turnCount || new Set(data.turns.map(t => t.turn_number)).size;
+    const totalAttempts = data.turns.length;
+    const headerText = uniqueTurns === totalAttempts
+        ? `<strong>Turns:</strong> ${uniqueTurns} total`
+        : `<strong>Turn${uniqueTurns > 1 ? 's' : ''}:</strong> ${uniqueTurns} (${totalAttempts} attempts)`;
+    header.innerHTML = headerText;
+    nav.appendChild(header);
+
+    // Turn tabs
+    const tabs = document.createElement('div');
+    tabs.className = 'turn-tabs';
+
+    // Add individual turn tabs (no "All" tab - session totals are in header)
+    for (const turn of data.turns) {
+        const tab = document.createElement('button');
+        const statusIcon = turn.status === 'complete' ? '✓' :
+                           turn.status === 'error' ? '✗' : '○';
+        const statusClass = turn.status === 'complete' ? 'complete' :
+                            turn.status === 'error' ? 'error' : 'pending';
+
+        // Build tab label - include attempt info if there were multiple attempts
+        let tabLabel = `Turn ${turn.turn_number}`;
+        if (turn.total_attempts && turn.total_attempts > 1) {
+            tabLabel += ` <span class="attempt-badge">(Attempt ${turn.attempt_number}/${turn.total_attempts})</span>`;
+        }
+
+        // Create compound key for turn+attempt
+        const turnKey = `${turn.turn_number}_${turn.attempt_number || 1}`;
+
+        tab.className = `turn-tab ${statusClass} ${currentTurn === turnKey ? 'active' : ''}`;
+        tab.innerHTML = `<span class="turn-status-icon">${statusIcon}</span> ${tabLabel}`;
+        tab.title = turn.question ? turn.question.substring(0, 100) : `Turn ${turn.turn_number}`;
+        tab.dataset.turnKey = turnKey;
+        tab.onclick = () => {
+            setCurrentTurn(turnKey);
+            updateTurnTabs();
+        };
+        tabs.appendChild(tab);
+    }
+
+    nav.appendChild(tabs);
+
+    // Add conversation history button - use unique turn count
+    const historyBtn = document.createElement('button');
+    historyBtn.id = 'conversation-history-btn';
+    historyBtn.className = 'conversation-history-btn';
+    historyBtn.innerHTML = `<span class="history-icon">💬</span> ${uniqueTurns} turn${uniqueTurns > 1 ? 's' : ''}`;
+    historyBtn.onclick = () => toggleConversationHistory();
+    nav.appendChild(historyBtn);
+
+    headerEl.appendChild(nav);
+
+    // Create conversation history panel (hidden by default)
+    createConversationHistoryPanel(data);
+}
+
+/**
+ * Create the conversation history floating panel
+ */
+function createConversationHistoryPanel(data) {
+    // Remove existing panel if any
+    const existing = document.getElementById('conversation-history-panel');
+    if (existing) existing.remove();
+
+    const panel = document.createElement('div');
+    panel.id = 'conversation-history-panel';
+    panel.className = 'conversation-history-panel hidden';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'history-panel-header';
+    header.innerHTML = `
+        <span>Conversation History</span>
+        <button class="history-close-btn" onclick="toggleConversationHistory()">✕</button>
+    `;
+    panel.appendChild(header);
+
+    // Messages container
+    const messages = document.createElement('div');
+    messages.className = 'history-messages';
+
+    // Build conversation from turns - only show unique turns (not each attempt)
+    // For each turn number, use the LAST (successful) attempt
+    const uniqueTurns = new Map();
+    for (const turn of data.turns) {
+        // Keep the last attempt for each turn number (overwrites earlier attempts)
+        uniqueTurns.set(turn.turn_number, turn);
+    }
+
+    for (const turn of uniqueTurns.values()) {
+        // User message (the question/prompt)
+        const userMsg = document.createElement('div');
+        userMsg.className = 'history-message user-message';
+        userMsg.innerHTML = `
+            <div class="message-header">
+                <span class="message-role user-role">👤 You</span>
+                <span class="message-turn">Turn ${turn.turn_number}</span>
+            </div>
+            <div class="message-content">${escapeHtml(turn.question || 'No question')}</div>
+        `;
+        messages.appendChild(userMsg);
+
+        // Assistant message (the final answer for this turn - from the last attempt)
+        const turnKey = `${turn.turn_number}_${turn.attempt_number || 1}`;
+        const turnAnswers = Object.values(data.answers || {}).filter(a =>
+            a.turnKey === turnKey && a.type === 'final_answer'
+        );
+        console.log('[ConvHistory] Turn', turn.turn_number, 'attempt', turn.attempt_number, 'turnAnswers count:', turnAnswers.length);
+        const finalAnswer = turnAnswers[0]?.content || findFinalAnswerForTurn(data, turn.turn_number);
+        console.log('[ConvHistory] Turn', turn.turn_number, 'finalAnswer length:', finalAnswer?.length);
+
+        const assistantMsg = document.createElement('div');
+        assistantMsg.className = 'history-message assistant-message';
+
+        const needsTruncation = finalAnswer && finalAnswer.length > 500;
+        const contentPreview = finalAnswer
+            ? (needsTruncation ? finalAnswer.substring(0, 500) + '...' : finalAnswer)
+            : 'No response recorded';
+
+        // If truncation needed, show preview first; otherwise just show content
+        if (needsTruncation) {
+            assistantMsg.innerHTML = `
+                <div class="message-header">
+                    <span class="message-role assistant-role">🤖 MassGen</span>
+                    <span class="message-turn">Turn ${turn.turn_number}</span>
+                    <span class="message-winner">${turn.winner ? `Winner: ${turn.winner}` : ''}</span>
+                </div>
+                <div class="message-content message-preview markdown-source">${escapeHtml(contentPreview)}</div>
+                <div class="message-content message-full hidden markdown-source">${escapeHtml(finalAnswer)}</div>
+                <button class="show-more-btn" onclick="expandHistoryMessage(this)">▼ Show more</button>
+            `;
+        } else {
+            assistantMsg.innerHTML = `
+                <div class="message-header">
+                    <span class="message-role assistant-role">🤖 MassGen</span>
+                    <span class="message-turn">Turn ${turn.turn_number}</span>
+                    <span class="message-winner">${turn.winner ? `Winner: ${turn.winner}` : ''}</span>
+                </div>
+                <div class="message-content ${finalAnswer ? 'markdown-source' : ''}">${escapeHtml(contentPreview)}</div>
+            `;
+        }
+        messages.appendChild(assistantMsg);
+    }
+
+    panel.appendChild(messages);
+    document.body.appendChild(panel);
+    renderMarkdownBlocks(panel);
+}
+
+/**
+ * Find final answer for a specific turn from files
+ */
+function findFinalAnswerForTurn(data, turnNumber) {
+    const files = data.files || {};
+    for (const [path, content] of Object.entries(files)) {
+        const pathTurn = extractTurnFromPath(path);
+        if (pathTurn === turnNumber && path.includes('final/') && path.endsWith('/answer.txt')) {
+            return content;
+        }
+    }
+    return null;
+}
+
+/**
+ * Toggle conversation history panel visibility
+ */
+function toggleConversationHistory() {
+    const panel = document.getElementById('conversation-history-panel');
+    if (panel) {
+        panel.classList.toggle('hidden');
+    }
+}
+
+/**
+ * Expand a history message to show full content
+ */
+function expandHistoryMessage(btn) {
+    const container = btn.parentElement;
+    const preview = container.querySelector('.message-preview');
+    const fullContent = container.querySelector('.message-full');
+
+    if (fullContent && preview) {
+        const isExpanded = !fullContent.classList.contains('hidden');
+        if (isExpanded) {
+            // Collapse: show preview, hide full
+            fullContent.classList.add('hidden');
+            preview.classList.remove('hidden');
+            btn.textContent = '▼ Show more';
+        } else {
+            // Expand: hide preview, show full
+            preview.classList.add('hidden');
+            fullContent.classList.remove('hidden');
+            btn.textContent = '▲ Show less';
+        }
+    }
+}
+
+/**
+ * Update turn tab active states and header metadata
+ */
+function updateTurnTabs() {
+    const tabs = document.querySelectorAll('.turn-tab');
+    tabs.forEach(tab => {
+        // Each tab has data-turn-key attribute with compound key like "1_1"
+        const tabKey = tab.dataset.turnKey;
+        tab.classList.toggle('active', currentTurn === tabKey);
+    });
+
+    // Update header to show current turn's metadata
+    // currentTurn is now a compound key like "1_1" (turn_attempt)
+    if (sessionData && sessionData.turns && currentTurn !== null) {
+        // Parse turn and attempt from compound key
+        const [turnNum, attemptNum] = currentTurn.split('_').map(Number);
+        const currentTurnData = sessionData.turns.find(t =>
+            t.turn_number === turnNum && (t.attempt_number || 1) === attemptNum
+        );
+        if (currentTurnData) {
+            // Update question
+            const questionEl = document.getElementById('question');
+            if (questionEl && currentTurnData.question) {
+                questionEl.textContent = currentTurnData.question;
+            }
+
+            // Update winner
+            const winnerEl = document.getElementById('winner');
+            if (winnerEl) {
+                winnerEl.textContent = currentTurnData.winner || 'N/A';
+            }
+        }
+
+        // Update date, duration, cost from per-turn data
+        const turnData = sessionData.perTurnData?.[currentTurn];
+        if (turnData) {
+            const statusMeta = turnData.status?.meta || {};
+            const metricsTotals = turnData.metrics?.totals || {};
+
+            // Date from turn's start time
+            const dateEl = document.getElementById('date');
+            if (dateEl && statusMeta.start_time) {
+                dateEl.textContent = new Date(statusMeta.start_time * 1000).toLocaleString();
+            }
+
+            // Duration from turn's elapsed time
+            const durationEl = document.getElementById('duration');
+            if (durationEl && statusMeta.elapsed_seconds) {
+                durationEl.textContent = formatDuration(statusMeta.elapsed_seconds);
+            }
+
+            // Cost from turn's metrics
+            const costEl = document.getElementById('cost');
+            if (costEl) {
+                const cost = metricsTotals.estimated_cost || 0;
+                costEl.textContent = `$${cost.toFixed(4)}`;
+            }
+        }
+    }
+}
+
+/**
+ * Get the agent configs from execution metadata
+ * Handles both list ("agents: [- id: ...]") and mapping ("agents: {agent_a: ...}") formats,
+ * and single-agent configs ("agent: {id: ..., backend: ...}")
+ * @returns {Object[]} Agent configs (empty if the metadata has none)
+ */
+function getConfigAgents(executionMetadata) {
+    const config = executionMetadata?.config;
+    if (!config?.agents && config?.agent && typeof config.agent === 'object' && !Array.isArray(config.agent)) {
+        return [config.agent];
+    }
+    const agents = config?.agents;
+    if (!agents || typeof agents !== 'object') return [];
+    if (Array.isArray(agents)) return agents;
+    // Mapping format: the key is the agent id unless the config sets one
+    return Object.entries(agents).map(([id, agent]) => ({ id, ...agent }));
+}
+
+/**
+ * Check if any agent uses claude_code backend (tool metrics not tracked for this backend)
+ */
+function hasClaudeCodeBackend(data) {
+    return getConfigAgents(data.executionMetadata).some(agent => agent?.backend?.type === 'claude_code');
+}
+
+/**
+ * Render stats grid
+ */
+function renderStats(data) {
+    // Use turn-filtered data for stats
+    const filteredData = getDataForCurrentTurn(data);
+    const metrics = filteredData.metrics || {};
+    const totals = metrics.totals || {};
+
+    // If filtering by turn, use turn-specific totals; otherwise session totals
+    const cost = currentTurn !== null ? (totals.estimated_cost || 0) : data.session.cost;
+    const inputTokens = currentTurn !== null ? (totals.input_tokens || 0) : data.session.inputTokens;
+    const outputTokens = currentTurn !== null ? (totals.output_tokens || 0) : data.session.outputTokens;
+    const reasoningTokens = currentTurn !== null ? (totals.reasoning_tokens || 0) : data.session.reasoningTokens;
+    const totalTokens = inputTokens + outputTokens + reasoningTokens;
+    const totalRounds = currentTurn !== null ? (metrics.rounds?.total_rounds || 0) : data.session.totalRounds;
+    const totalToolCalls = currentTurn !== null ? (metrics.tools?.total_calls || 0) : data.session.totalToolCalls;
+
+    document.getElementById('stat-cost').textContent = `$${cost.toFixed(4)}`;
+    document.getElementById('stat-tokens').textContent = formatNumber(totalTokens);
+
+    // For claude_code backend, tool calls aren't tracked - show asterisk
+    const toolsEl = document.getElementById('stat-tools');
+    const usesClaudeCode = hasClaudeCodeBackend(data);
+    if (usesClaudeCode && totalToolCalls === 0) {
+        toolsEl.textContent = '0*';
+        toolsEl.title = 'Tool calls are not tracked for claude_code backend agents';
+    } else {
+        toolsEl.textContent = totalToolCalls;
+        toolsEl.title = '';
+    }
+
+    document.getElementById('stat-rounds').textContent = totalRounds;
+    document.getElementById('stat-agents').textContent = data.session.numAgents;
+}
+
+/**
+ * Render agent cards
+ */
+function renderAgents(data) {
+    const container = document.getElementById('agents-container');
+    // Use turn-filtered data
+    const filteredData = getDataForCurrentTurn(data);
+    const agents = filteredData.metrics.agents || {};
+    const statusAgents = filteredData.status.agents || {};
+    const winner = data.session.winner;
+    // During replay, cards show each agent as of the current event
+    const asOf = getReplayTime();
+    const turnEvents = filteredData.coordination?.events || [];
+
+    // Also get agent list from execution metadata config
+    const configAgents = getConfigAgents(data.executionMetadata);
+
+    // Also try coordination events for agent IDs
+    const coordAgentIds = new Set();
+    if (data.coordination?.events) {
+        data.coordination.events.forEach(e => {
+            if (e.agent_id) coordAgentIds.add(e.agent_id);
+        });
+    }
+
+    // Collect all agent IDs from various sources
+    const allAgentIds = new Set([
+        ...Object.keys(agents),
+        ...Object.keys(statusAgents),
+        ...configAgents.map(a => a?.id).filter(Boolean),
+        ...coordAgentIds
+    ]);
+
+    if (allAgentIds.size === 0) {
+        container.innerHTML = '<div class="no-data">No agent data available</div>';
+        return;
+    }
+
+    let html = '';
+    for (const agentId of Array.from(allAgentIds).sort()) {
+        const agentMetrics = agents[agentId] || {};
+        // Get config info for this agent
+        const agentConfig = configAgents.find(a => a?.id === agentId) || {};
+        const agentStatus = statusAgents[agentId] || {};
+        let isWinner = agentId === winner;
+
+        const tokenUsage = agentMetrics.token_usage || agentStatus.token_usage || {};
+        let inputTokens = formatNumber(tokenUsage.input_tokens || 0);
+        let outputTokens = formatNumber(tokenUsage.output_tokens || 0);
+        let cost = `$${(tokenUsage.estimated_cost || 0).toFixed(4)}`;
+        let status = agentStatus.status || (Object.keys(agentMetrics).length > 0 ? 'completed' : 'unknown');
+        let answerCount = agentStatus.answer_count || agentMetrics.round_history?.length || 0;
+        const model = agentConfig.backend?.model || 'unknown';
+
+        let voteInfo = 'N/A';
+        if (agentStatus.vote_cast) {
+            voteInfo = `Voted for: ${agentStatus.vote_cast.voted_for_label || agentStatus.vote_cast.voted_for_agent || ''}`;
+        }
+
+        if (asOf !== null) {
+            const state = getAgentStateAt(turnEvents, agentMetrics, agentId, asOf);
+            status = state.status;
+            answerCount = state.answerCount;
+            voteInfo = state.votedFor ? `Voted for: ${state.votedFor}` : 'N/A';
+            isWinner = isWinner && state.decided;
+            // Without timed round history there's no way to split the totals, so don't show them
+            inputTokens = state.tokens ? formatNumber(state.tokens.input) : '—';
+            outputTokens = state.tokens ? formatNumber(state.tokens.output) : '—';
+            cost = state.tokens ? `$${state.tokens.cost.toFixed(4)}` : '—';
+        }
+
+        html += `
+            <div class="agent-card ${isWinner ? 'winner' : ''}">
+                <div class="agent-header">
+                    <span class="agent-id">${escapeHtml(agentId)}</span>
+                    ${isWinner ? '<span class="winner-badge">Winner</span>' : ''}
+                </div>
+                <div class="agent-model">${escapeHtml(model)}</div>
+                <div class="agent-stats">
+                    <div class="agent-stat">
+                        <span class="agent-stat-label">Status</span>
+                        <span class="agent-stat-value">${escapeHtml(status)}</span>
+                    </div>
+                    <div class="agent-stat">
+                        <span class="agent-stat-label">Rounds</span>
+                        <span class="agent-stat-value">${answerCount}</span>
+                    </div>
+                    <div class="agent-stat">
+                        <span class="agent-stat-label">Input Tokens</span>
+                        <span class="agent-stat-value">${inputTokens}</span>
+                    </div>
+                    <div class="agent-stat">
+                        <span class="agent-stat-label">Output Tokens</span>
+                        <span class="agent-stat-value">${outputTokens}</span>
+                    </div>
+                    <div class="agent-stat">
+                        <span class="agent-stat-label">Cost</span>
+                        <span class="agent-stat-value">${cost}</span>
+                    </div>
+                    <div class="agent-stat">
+                        <span class="agent-stat-label">Vote</span>
+                        <span class="agent-stat-value">${escapeHtml(voteInfo)}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    container.innerHTML = html;
+}
+
+// Round outcomes (the keys of rounds.by_outcome in metrics_summary.json) and their Gantt labels
+const ROUND_OUTCOMES = {
+    answer: 'Answer',
+    vote: 'Vote',
+    presentation: 'Presentation',
+    post_evaluation: 'Post-evaluation',
+    restarted: 'Restarted',
+    error: 'Error',
+    timeout: 'Timeout'
+};
+
+// Older round_history entries only record a round_type
+const ROUND_TYPE_OUTCOMES = {
+    initial_answer: 'answer',
+    answer: 'answer',
+    voting: 'vote',
+    vote: 'vote',
+    presentation: 'presentation',
+    final_presentation: 'presentation',
+    post_evaluation: 'post_evaluation'
+};
+
+// Events that end a round when round_history has no timings, and the outcome they imply
+const ROUND_ENDING_EVENTS = {
+    new_answer: 'answer',
+    vote_cast: 'vote',
+    final_answer: 'presentation',
+    restart_triggered: 'restarted',
+    agent_error: 'error',
+    error: 'error',
+    agent_timeout: 'timeout',
+    timeout: 'timeout'
+};
+
+/**
+ * Build each agent's rounds as time spans
+ * Uses round_history start/end times when present, otherwise splits the agent's
+ * events at the ones that end a round (answers, votes, restarts, errors...)
+ * @returns {Object} agentId -> [{ start, end, outcome, round }]
+ */
+function buildAgentRoundSpans(metricsAgents, events, startTime) {
+    const spans = {};
+
+    for (const [agentId, agentMetrics] of Object.entries(metricsAgents)) {
+        const rounds = (agentMetrics.round_history || [])
+            .map((round, idx) => ({
+                start: parseRoundTime(round.start_time),
+                end: parseRoundTime(round.end_time),
+                outcome: round.outcome || ROUND_TYPE_OUTCOMES[round.round_type] || 'answer',
+                round: round.round_number ?? idx + 1,
+                tokens: (round.token_usage || round).output_tokens
+            }))
+            .filter(round => round.start !== null && round.end !== null);
+        if (rounds.length > 0) spans[agentId] = rounds;
+    }
+
+    const sortedEvents = [...events].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    const eventAgents = new Set(sortedEvents.map(e => e.agent_id).filter(Boolean));
+    for (const agentId of eventAgents) {
+        if (spans[agentId]) continue;
+        const rounds = [];
+        let roundStart = startTime;
+        sortedEvents.forEach(e => {
+            if (e.agent_id !== agentId) return;
+            const outcome = ROUND_ENDING_EVENTS[e.event_type];
+            if (!outcome) return;
+            rounds.push({ start: roundStart, end: e.timestamp || roundStart, outcome, round: rounds.length + 1 });
+            roundStart = e.timestamp || roundStart;
+        });
+        if (rounds.length > 0) spans[agentId] = rounds;
+    }
+
+    return spans;
+}
+
+/**
+ * Render the per-agent Gantt chart: one lane per agent with a bar per round,
+ * tool-call ticks on top and the gaps between rounds counted as waiting time
+ */
+function renderAgentGantt(data) {
+    const container = document.getElementById('gantt-container');
+    if (!container) return;
+    // Use turn-filtered data
+    const filteredData = getDataForCurrentTurn(data);
+    const metrics = filteredData.metrics || {};
+    const events = filteredData.coordination?.events || [];
+    const eventStart = events.reduce((min, e) => Math.min(min, e.timestamp ?? Infinity), Infinity);
+    const sessionStart = filteredData.coordination?.session_metadata?.start_time;
+    const startTime = sessionStart ?? (Number.isFinite(eventStart) ? eventStart : 0);
+
+    const spans = buildAgentRoundSpans(metrics.agents || {}, events, startTime);
+    const agentIds = Object.keys(spans).sort();
+    if (agentIds.length === 0) {
+        container.innerHTML = '<div class="no-data">No round timing available</div>';
+        return;
+    }
+
+    // Chart runs from the first to the last thing we know happened
+    let chartStart = startTime;
+    let chartEnd = filteredData.coordination?.session_metadata?.end_time || startTime;
+    agentIds.forEach(agentId => spans[agentId].forEach(span => {
+        chartStart = Math.min(chartStart, span.start);
+        chartEnd = Math.max(chartEnd, span.end);
+    }));
+    events.forEach(e => { chartEnd = Math.max(chartEnd, e.timestamp || 0); });
+    const total = Math.max(chartEnd - chartStart, 0.001);
+    const toPct = (t) => ((t - chartStart) / total * 100).toFixed(3);
+
+    // Busy time per agent (overlapping rounds counted once); the bottleneck is the busiest agent
+    const busyByAgent = {};
+    agentIds.forEach(agentId => {
+        let busy = 0;
+        let coveredUntil = -Infinity;
+        [...spans[agentId]].sort((a, b) => a.start - b.start).forEach(span => {
+            const from = Math.max(span.start, coveredUntil);
+            if (span.end > from) busy += span.end - from;
+            coveredUntil = Math.max(coveredUntil, span.end);
+        });
+        busyByAgent[agentId] = busy;
+    });
+    const maxBusy = Math.max(...agentIds.map(agentId => busyByAgent[agentId]));
+    const busiest = agentIds.filter(agentId => busyByAgent[agentId] === maxBusy);
+    const bottleneck = agentIds.length > 1 && busiest.length === 1 ? busiest[0] : null;
+
+    const byOutcome = metrics.rounds?.by_outcome || {};
+    const outcomesShown = new Set(agentIds.flatMap(agentId => spans[agentId].map(span => span.outcome)));
+    Object.keys(byOutcome).forEach(outcome => { if (byOutcome[outcome] > 0) outcomesShown.add(outcome); });
+
+    let html = '<div class="gantt">';
+    agentIds.forEach(agentId => {
+        const busy = busyByAgent[agentId];
+        const waiting = Math.max(total - busy, 0);
+        const bars = spans[agentId].map(span => {
+            const width = Math.max((span.end - span.start) / total * 100, 0.4);
+            const label = ROUND_OUTCOMES[span.outcome] || span.outcome;
+            const title = `Round ${span.round}: ${label}\n+${(span.start - chartStart).toFixed(1)}s → +${(span.end - chartStart).toFixed(1)}s (${formatDuration(span.end - span.start)})`
+                + (span.tokens ? `\n${formatNumber(span.tokens)} output tokens` : '');
+            return `<div class="gantt-bar ${escapeHtml(span.outcome)}" style="left: ${toPct(span.start)}%; width: ${width.toFixed(3)}%" title="${escapeHtml(title)}"></div>`;
+        }).join('');
+        const ticks = events
+            .filter(e => e.agent_id === agentId && getEventTypeStyle(e.event_type).category === 'tool')
+            .map(e => {
+                const title = `${e.context?.tool_name || e.event_type} at +${((e.timestamp || 0) - chartStart).toFixed(1)}s`;
+                return `<div class="gantt-tick" style="left: ${toPct(e.timestamp || 0)}%" title="${escapeHtml(title)}"></div>`;
+            }).join('');
+
+        html += `
+            <div class="gantt-lane">
+                <div class="gantt-agent">
+                    <span class="gantt-agent-id">${escapeHtml(agentId)}</span>
+                    ${agentId === bottleneck ? '<span class="gantt-bottleneck" title="Busiest agent in this turn">bottleneck</span>' : ''}
+                    <span class="gantt-agent-time">busy ${formatDuration(busy)} · waiting ${formatDuration(waiting)} (${(waiting / total * 100).toFixed(0)}%)</span>
+                </div>
+                <div class="gantt-track">${bars}${ticks}</div>
+            </div>
+        `;
+    });
+
+    // Time axis with five evenly spaced marks
+    const marks = [0, 0.25, 0.5, 0.75, 1].map(f =>
+        `<span class="gantt-axis-mark" style="left: ${f * 100}%">+${(total * f).toFixed(total * f < 10 ? 1 : 0)}s</span>`
+    ).join('');
+    html += `
+        <div class="gantt-lane gantt-axis-lane">
+            <div class="gantt-agent"></div>
+            <div class="gantt-axis">${marks}</div>
+        </div>
+    </div>`;
+
+    // Legend, with the run's round counts from rounds.by_outcome where available
+    html += '<div class="gantt-legend">';
+    Array.from(outcomesShown).forEach(outcome => {
+        const count = byOutcome[outcome];
+        html += `<span class="legend-item"><span class="gantt-swatch ${escapeHtml(outcome)}"></span> ${escapeHtml(ROUND_OUTCOMES[outcome] || outcome)}${count ? ` (${count})` : ''}</span>`;
+    });
+    html += '<span class="legend-item"><span class="gantt-swatch tick"></span> Tool call</span>';
+    html += '<span class="legend-item"><span class="gantt-swatch idle"></span> Waiting</span>';
+    html += '</div>';
+
+    container.innerHTML = html;
+}
+
+/**
+ * Render tools breakdown
+ */
+function renderTools(data) {
+    const container = document.getElementById('tools-container');
+    // Use turn-filtered data for tools
+    const filteredData = getDataForCurrentTurn(data);
+    const tools = filteredData.metrics.tools?.by_tool || {};
+
+    if (Object.keys(tools).length === 0) {
+        // Show informative message if using claude_code backend
+        if (hasClaudeCodeBackend(data)) {
+            container.innerHTML = '<div class="no-data">Tool metrics are not tracked for claude_code backend agents.<br><span style="font-size: 0.85em; opacity: 0.7;">Claude Code runs as a subprocess and handles its own tool execution.</span></div>';
+        } else {
+            container.innerHTML = '<div class="no-data">No tool data available</div>';
+        }
+        return;
+    }
+
+    // Sort by execution time
+    const sortedTools = Object.entries(tools)
+        .map(([name, data]) => ({
+            name,
+            calls: data.call_count || 0,
+            timeMs: data.total_execution_time_ms || 0
+        }))
+        .sort((a, b) => b.timeMs - a.timeMs)
+        .slice(0, 10);
+
+    const maxTime = Math.max(...sortedTools.map(t => t.timeMs), 1);
+
+    let html = '';
+    for (const tool of sortedTools) {
+        const barWidth = (tool.timeMs / maxTime * 100);
+        const timeStr = tool.timeMs < 1000 ? `${tool.timeMs.toFixed(0)}ms` : `${(tool.timeMs / 1000).toFixed(1)}s`;
+
+        html += `
+            <div class="tool-bar">
+                <span class="tool-name">${escapeHtml(tool.name)}</span>
+                <div class="tool-bar-container">
+                    <div class="tool-bar-fill" style="width: ${barWidth}%"></div>
+                </div>
+                <span class="tool-stats">${tool.calls} calls, ${timeStr}</span>
+            </div>
+        `;
+    }
+
+    container.innerHTML = html;
+}
+
+/**
+ * Render coordination graph - vertical timeline with columns per agent
+ * Shows chronological rows with answers/votes, with context backpointers
+ */
+function renderTimeline(data) {
+    const container = document.getElementById('timeline-container');
+    // Use turn-filtered data
+    const filteredData = getDataForCurrentTurn(data);
+    const events = filteredData.coordination.events || [];
+    console.log('[renderTimeline] currentTurn:', currentTurn, 'events count:', events.length);
+
+    // Deduplicate final_answer events by agent_id (keep only the first one per agent)
+    const seenFinalAgents = new Set();
+    const dedupedEvents = events.filter(e => {
+        if (e.event_type === 'final_answer') {
+            const key = e.agent_id || 'unknown';
+            if (seenFinalAgents.has(key)) return false;
+            seenFinalAgents.add(key);
+        }
+        return true;
+    });
+
+    if (dedupedEvents.length === 0) {
+        container.innerHTML = '<div class="no-data">No coordination events available</div>';
+        timelineLayout = null;
+        renderReplayBar();
+        return;
+    }
+
+    const startTime = data.coordination.session_metadata?.start_time || events[0]?.timestamp || 0;
+
+    // Collect all unique agents
+    const agentSet = new Set();
+    dedupedEvents.forEach(e => {
+        if (e.agent_id) agentSet.add(e.agent_id);
+    });
+    const agents = Array.from(agentSet).sort();
+
+    // Create agent to column index mapping and agent to number mapping (for X.Y labels)
+    const agentToCol = {};
+    const agentToNum = {};  // agent_a -> 1, agent_b -> 2
+    agents.forEach((agent, idx) => {
+        agentToCol[agent] = idx;
+        agentToNum[agent] = idx + 1;  // 1-indexed for display
+    });
+
+    // Session-level events (no agent_id) get their own column after the agents
+    const columns = dedupedEvents.some(e => !e.agent_id) ? [...agents, TIMELINE_SESSION_COLUMN] : agents;
+    if (!('unknown' in agentToCol)) agentToCol.unknown = agents.length;
+
+    // Event types present, in first-seen order, with counts for the filter toggles
+    const typeCounts = {};
+    dedupedEvents.forEach(e => {
+        const type = e.event_type || 'unknown';
+        typeCounts[type] = (typeCounts[type] || 0) + 1;
+    });
+
+    // Sort events by timestamp to create chronological rows
+    const sortedEvents = [...dedupedEvents].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    // Build answer label mapping for context references
+    const answerLabelToRowCol = {}; // label -> { row, col, agentId, displayLabel }
+    const answerCountByAgent = {}; // agent -> count for generating labels
+
+    // First pass: assign labels to answers and build mapping
+    sortedEvents.forEach((event, rowIdx) => {
+        if (event.event_type === 'new_answer') {
+            const agentId = event.agent_id || 'unknown';
+            if (!answerCountByAgent[agentId]) answerCountByAgent[agentId] = 0;
+            answerCountByAgent[agentId]++;
+            // Use X.Y format where X is agent number (1, 2) and Y is answer count
+            const agentNum = agentToNum[agentId] || 1;
+            const displayLabel = `${agentNum}.${answerCountByAgent[agentId]}`;
+            // Keep original label for internal tracking
+            const internalLabel = event.context?.answer_label || `${agentId}.${answerCountByAgent[agentId]}`;
+            answerLabelToRowCol[displayLabel] = {
+                row: rowIdx,
+                col: agentToCol[agentId] ?? 0,
+                agentId,
+                displayLabel,
+                internalLabel
+            };
+        }
+    });
+
+    // Resolve the anonymized labels in context payloads and snapshot_mappings.json to X.Y labels
+    const labelIndex = buildAnswerLabelIndex(
+        sortedEvents, answerLabelToRowCol, filteredData.snapshotMappings || {}, filteredData.answers || {});
+    const contextEvents = events
+        .filter(e => e.event_type === 'context_received')
+        .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    // Build rows data with context info
+    const rows = sortedEvents.map((event, rowIdx) => {
+        const agentId = event.agent_id || 'unknown';
+        const relSeconds = Math.max((event.timestamp || 0) - startTime, 0);
+        const relTime = relSeconds.toFixed(1);
+        const col = agentToCol[agentId] ?? 0;
+        const agentNum = agentToNum[agentId] || 1;
+
+        let label = '';
+        let answerNum = 0;       // this agent's Nth answer
+        let contextAnswers = []; // answer labels this one had in context
+        let votedForLabel = null;
+        let availableOptions = [];
+        let seenLabels = [];     // anonymized labels as the agent saw them
+        let unresolved = [];     // context entries that match no answer in this turn
+        let unattributed = null; // why edges for this node can't be drawn
+
+        // What the agent was shown at its latest restart (answers and votes both build on it)
+        const contextEvent = findLatestContextEvent(contextEvents, agentId, event.timestamp);
+
+        if (event.event_type === 'new_answer') {
+            // Compute display label in X.Y format
+            const agentAnswerNum = Object.values(answerLabelToRowCol)
+                .filter(info => info.agentId === agentId && info.row <= rowIdx)
+                .length;
+            label = `${agentNum}.${agentAnswerNum}`;
+            answerNum = agentAnswerNum;
+
+            // Context: the answer's own payload, the agent's last context_received event,
+            // or the answer's snapshot mapping - never assumed from timing alone
+            const ownContext = getContextAnswerRefs(event.context);
+            const restartContext = getContextAnswerRefs(contextEvent?.context);
+            const context = ownContext || restartContext || getContextAnswerRefs(labelIndex.mappingByDisplay[label]);
+            if (context) {
+                // Agent IDs in a restart's context mean their latest answers at that restart
+                const contextTime = !ownContext && restartContext ? contextEvent.timestamp : event.timestamp;
+                seenLabels = context;
+                for (const ref of context) {
+                    const resolved = resolveAnswerRef(ref, labelIndex, contextTime);
+                    if (resolved && answerLabelToRowCol[resolved].row < rowIdx) {
+                        if (resolved !== label && !contextAnswers.includes(resolved)) contextAnswers.push(resolved);
+                    } else {
+                        unresolved.push(ref);
+                    }
+                }
+            } else if (Object.values(answerLabelToRowCol).some(info => info.row < rowIdx)) {
+                // With no earlier answers there was nothing to see; otherwise we can't know
+                const unmatched = labelIndex.unattributedMappings.filter(m => m.agentId === agentId).map(m => m.key);
+                unattributed = unmatched.length > 0
+                    ? `No context payload records which answers this agent saw, and snapshot mappings ${unmatched.join(', ')} match no answer snapshot in this export`
+                    : 'No context payload or snapshot mapping records which answers this agent saw';
+            }
+        } else if (event.event_type === 'vote_cast') {
+            const ownOptions = getContextAnswerRefs(event.context);
+            const options = ownOptions || getContextAnswerRefs(contextEvent?.context);
+            const optionsTime = !ownOptions && options ? contextEvent.timestamp : event.timestamp;
+            if (options) {
+                seenLabels = options;
+                for (const ref of options) {
+                    const resolved = resolveAnswerRef(ref, labelIndex, optionsTime);
+                    if (resolved && answerLabelToRowCol[resolved].row < rowIdx) {
+                        if (!availableOptions.includes(resolved)) availableOptions.push(resolved);
+                    } else {
+                        unresolved.push(ref);
+                    }
+                }
+            }
+
+            // Voted-for answer: an explicit label, or the voted agent's answer among the options
+            const votedRef = event.context?.voted_for_label || event.context?.voted_for_anon;
+            const votedForAgentId = event.context?.voted_for || event.details?.match(/voted for\s*(\S+)/i)?.[1] || null;
+            if (votedRef) {
+                votedForLabel = resolveAnswerRef(votedRef, labelIndex, optionsTime);
+            }
+            if (!votedForLabel && votedForAgentId) {
+                votedForLabel = availableOptions.find(opt => answerLabelToRowCol[opt].agentId === votedForAgentId) || null;
+            }
+            if (!votedForLabel) {
+                unattributed = votedRef || votedForAgentId
+                    ? `Can't tell which answer "${votedRef || votedForAgentId}" refers to`
+                    : 'The vote event does not say which answer was chosen';
+            }
+        } else if (event.event_type === 'final_answer') {
+            label = 'final';
+        }
+
+        return {
+            event,
+            agentId,
+            col,
+            relTime,
+            relSeconds,
+            label,
+            answerNum,
+            contextAnswers,
+            votedForLabel,
+            availableOptions,
+            seenLabels,
+            unresolved,
+            unattributed,
+            type: event.event_type
+        };
+    });
+
+    // In proportional mode rows are placed by elapsed time instead of stacked
+    const proportional = timelineView.proportional;
+    const duration = rows.reduce((max, row) => Math.max(max, row.relSeconds), 0);
+    const pxPerSecond = getTimelinePxPerSecond(duration);
+    const bodyStyle = proportional ? ` style="height: ${getTimelineBodyHeight(duration, pxPerSecond)}px"` : '';
+
+    // Generate HTML
+    let html = renderTimelineControls(proportional, pxPerSecond, duration);
+    html += renderTimelineFilters(typeCounts);
+    html += `
+        <div class="timeline-viewport">
+        <div class="timeline-vertical-container ${proportional ? 'proportional' : ''}">
+            <svg class="timeline-svg" id="timeline-svg"></svg>
+            <div class="timeline-vertical">
+                <div class="timeline-header">
+                    <div class="timeline-time-col">Time</div>
+                    ${columns.map(agent => `<div class="timeline-agent-col">${escapeHtml(agent === TIMELINE_SESSION_COLUMN ? 'session' : agent)}</div>`).join('')}
+                </div>
+                <div class="timeline-body"${bodyStyle}>
+    `;
+
+    // Render each row (hidden event types keep their row index so labels and edges stay stable)
+    let visibleRows = 0;
+    rows.forEach((row, rowIdx) => {
+        if (hiddenTimelineEventTypes.has(row.type || 'unknown')) return;
+        visibleRows++;
+        const cellsHtml = columns.map((agent, colIdx) => {
+            if (colIdx !== row.col) {
+                return '<div class="timeline-cell empty"></div>';
+            }
+
+            // This cell has content
+            let cellClass = 'timeline-cell';
+            let content = '';
+
+            const flag = renderAttributionFlag(row);
+            const title = getAttributionTitle(row);
+            const detail = renderNodeDetail(row);
+            const infoButton = '<button class="node-info-btn" title="Event details" onclick="event.stopPropagation(); showNodeDetail(this.closest(\'.timeline-node\'))">ⓘ</button>';
+
+            if (row.type === 'new_answer') {
+                cellClass += ' answer-cell';
+                content = `
+                    <div class="timeline-node answer-node clickable ${row.unattributed ? 'unattributed' : ''}" data-row="${rowIdx}" data-col="${colIdx}" data-label="${escapeHtml(row.label)}" data-agent-id="${escapeHtml(row.agentId)}" title="${escapeHtml(title)}" onclick="navigateToAnswer('${escapeHtml(row.agentId)}', '${escapeHtml(row.label)}')">
+                        <div class="node-bubble answer">
+                            <span class="node-icon">💬</span>
+                            <span class="node-label">${escapeHtml(row.label)}</span>
+                            ${flag}
+                            ${infoButton}
+                            ${row.answerNum > 1 ? `<button class="node-info-btn" title="Compare with previous answer from this agent" data-compare-agent="${escapeHtml(row.agentId)}" data-answer-num="${row.answerNum}">⇄</button>` : ''}
+                        </div>
+                        ${detail}
+                    </div>
+                `;
+            } else if (row.type === 'vote_cast') {
+                cellClass += ' vote-cell';
+                content = `
+                    <div class="timeline-node vote-node clickable ${row.unattributed ? 'unattributed' : ''}" data-row="${rowIdx}" data-col="${colIdx}" data-voted-for="${escapeHtml(row.votedForLabel || '')}" data-agent-id="${escapeHtml(row.agentId)}" title="${escapeHtml(title)}" onclick="navigateToVote('${escapeHtml(row.agentId)}')">
+                        <div class="node-bubble vote">
+                            <span class="node-icon">🗳️</span>
+                            <span class="node-label">Vote</span>
+                            ${flag}
+                            ${infoButton}
+                        </div>
+                        <div class="vote-target">→ ${escapeHtml(row.votedForLabel || '?')}</div>
+                        ${detail}
+                    </div>
+                `;
+            } else if (row.type === 'final_answer') {
+                cellClass += ' final-cell';
+                content = `
+                    <div class="timeline-node final-node clickable" data-row="${rowIdx}" data-col="${colIdx}" data-agent-id="${escapeHtml(row.agentId)}" onclick="navigateToFinalAnswer()">
+                        <div class="node-bubble final">
+                            <span class="node-icon">✅</span>
+                            <span class="node-label">${escapeHtml(row.label)}</span>
+                            ${infoButton}
+                        </div>
+                        ${detail}
+                    </div>
+                `;
+            } else {
+                // Every other event type: glyph + short label, click for the raw payload
+                const style = getEventTypeStyle(row.type);
+                const label = style.category === 'tool' && row.event.context?.tool_name ? row.event.context.tool_name : style.label;
+                cellClass += ' event-cell';
+                content = `
+                    <div class="timeline-node event-node clickable" data-row="${rowIdx}" data-col="${colIdx}" data-agent-id="${escapeHtml(row.agentId)}" title="${escapeHtml(row.event.details || style.label)}" onclick="showNodeDetail(this)">
+                        <div class="node-bubble event ${style.category}">
+                            <span class="node-icon">${style.glyph}</span>
+                            <span class="node-label">${escapeHtml(label)}</span>
+                        </div>
+                        ${detail}
+                    </div>
+                `;
+            }
+
+            return `<div class="${cellClass}">${content}</div>`;
+        }).join('');
+
+        html += `
+            <div class="timeline-row" data-row="${rowIdx}"${proportional ? ` style="top: ${row.relSeconds * pxPerSecond}px"` : ''}>
+                <div class="timeline-time-col">+${row.relTime}s</div>
+                ${cellsHtml}
+            </div>
+        `;
+    });
+
+    if (visibleRows === 0) {
+        html += '<div class="no-data">All event types are hidden</div>';
+    }
+
+    html += `
+                </div>
+            </div>
+        </div>
+        ${proportional ? '<div class="timeline-minimap" title="Click or drag to scroll"></div>' : ''}
+        </div>
+    `;
+
+    // Add legend
+    html += `
+        <div class="coord-legend">
+            <span class="legend-item"><span class="legend-dot answer"></span> Answer</span>
+            <span class="legend-item"><span class="legend-dot vote"></span> Vote</span>
+            <span class="legend-item"><span class="legend-dot final"></span> Final</span>
+            <span class="legend-item"><span class="legend-line context"></span> Context</span>
+            <span class="legend-item"><span class="legend-line voted"></span> Voted For</span>
+            <span class="legend-item"><span class="node-flag">?</span> Unattributed</span>
+        </div>
+    `;
+
+    container.innerHTML = html;
+    // Event types come from the export, so they're passed as data rather than in inline handlers
+    container.querySelectorAll('.timeline-filter[data-type]').forEach(chip => {
+        chip.addEventListener('click', () => toggleTimelineEventType(chip.dataset.type));
+    });
+    bindCompareButtons(container);
+    timelineLayout = { container, rows, answerLabelToRowCol, duration, columnCount: columns.length };
+    if (replayState.active) applyReplayToTimeline(false);
+
+    // Now draw SVG lines for context and votes
+    requestAnimationFrame(() => {
+        drawTimelineConnections(container, rows, answerLabelToRowCol);
+        if (proportional) {
+            attachTimelineZoomPan(container);
+            renderTimelineMinimap();
+        }
+    });
+    renderReplayBar();
+}
+
+// ============================================================================
+// Timeline Time Axis (proportional mode, zoom, pan, minimap)
+// ============================================================================
+
+// Row height in proportional mode; rows overlap when events are closer than this at the current zoom
+const TIMELINE_PROPORTIONAL_ROW_HEIGHT = 56;
+// Body height the automatic zoom fits the whole session into
+const TIMELINE_FIT_HEIGHT_PX = 520;
+const TIMELINE_MIN_PX_PER_SECOND = 0.01;
+const TIMELINE_MAX_PX_PER_SECOND = 400;
+const TIMELINE_ZOOM_STEP = 1.5;
+
+// View settings survive re-renders (turn switches, filters, live updates);
+// pxPerSecond is null until the user zooms, meaning "fit the session"
+const timelineView = { proportional: false, pxPerSecond: null };
+
+// What the last renderTimeline drew, so zooming can move rows and redraw lines without re-rendering
+let timelineLayout = null;
+
+/**
+ * Scale for the proportional axis: the user's zoom, or one that fits the session
+ */
+function getTimelinePxPerSecond(duration) {
+    if (timelineView.pxPerSecond) return timelineView.pxPerSecond;
+    if (duration <= 0) return 1;
+    return Math.min(Math.max(TIMELINE_FIT_HEIGHT_PX / duration, TIMELINE_MIN_PX_PER_SECOND), TIMELINE_MAX_PX_PER_SECOND);
+}
+
+function getTimelineBodyHeight(duration, pxPerSecond) {
+    return Math.ceil(duration * pxPerSecond) + TIMELINE_PROPORTIONAL_ROW_HEIGHT;
+}
+
+/**
+ * Format a seconds-per-100px zoom level for the toolbar
+ */
+function formatTimelineScale(pxPerSecond) {
+    const seconds = 100 / pxPerSecond;
+    if (seconds < 1) return `${(seconds * 1000).toFixed(0)}ms / 100px`;
+    if (seconds < 120) return `${seconds.toFixed(seconds < 10 ? 1 : 0)}s / 100px`;
+    return `${(seconds / 60).toFixed(1)}m / 100px`;
+}
+
+/**
+ * Render the time axis mode toggle and zoom buttons
+ */
+function renderTimelineControls(proportional, pxPerSecond, duration) {
+    const zoom = proportional ? `
+        <button class="timeline-control" onclick="zoomTimeline(1 / ${TIMELINE_ZOOM_STEP})" title="Zoom out">−</button>
+        <span class="timeline-zoom-level" id="timeline-zoom-level">${formatTimelineScale(pxPerSecond)}</span>
+        <button class="timeline-control" onclick="zoomTimeline(${TIMELINE_ZOOM_STEP})" title="Zoom in">+</button>
+        <button class="timeline-control" onclick="resetTimelineZoom()" title="Fit the whole session">Fit</button>
+        <span class="timeline-control-hint">Scroll to zoom, drag to pan</span>
+    ` : '';
+    return `
+        <div class="timeline-controls">
+            <button class="timeline-control ${proportional ? 'active' : ''}" onclick="toggleTimelineProportional()" title="Place events by elapsed time (${duration.toFixed(1)}s total)">
+                ⏱️ Proportional time
+            </button>
+            ${zoom}
+        </div>
+    `;
+}
+
+/**
+ * Switch between one-row-per-event and proportional time
+ */
+window.toggleTimelineProportional = function() {
+    timelineView.proportional = !timelineView.proportional;
+    if (sessionData) renderTimeline(sessionData);
+};
+
+/**
+ * Zoom by a factor around the middle of the visible timeline
+ */
+window.zoomTimeline = function(factor) {
+    if (!timelineLayout) return;
+    setTimelineZoom(getTimelinePxPerSecond(timelineLayout.duration) * factor);
+};
+
+/**
+ * Go back to fitting the whole session
+ */
+window.resetTimelineZoom = function() {
+    timelineView.pxPerSecond = null;
+    if (!timelineLayout) return;
+    applyTimelineZoom(getTimelinePxPerSecond(timelineLayout.duration));
+    const scroller = timelineLayout.container.querySelector('.timeline-vertical-container');
+    if (scroller) scroller.scrollTop = 0;
+};
+
+/**
+ * Set the zoom, keeping the moment under anchorY (px from the top of the visible area) in place
+ */
+function setTimelineZoom(pxPerSecond, anchorY = null) {
+    if (!timelineLayout) return;
+    const scroller = timelineLayout.container.querySelector('.timeline-vertical-container');
+    const header = timelineLayout.container.querySelector('.timeline-header');
+    if (!scroller) return;
+
+    const previous = getTimelinePxPerSecond(timelineLayout.duration);
+    const next = Math.min(Math.max(pxPerSecond, TIMELINE_MIN_PX_PER_SECOND), TIMELINE_MAX_PX_PER_SECOND);
+    const headerHeight = header?.offsetHeight || 0;
+    const anchor = anchorY ?? scroller.clientHeight / 2;
+    const anchorSeconds = (scroller.scrollTop + anchor - headerHeight) / previous;
+
+    timelineView.pxPerSecond = next;
+    applyTimelineZoom(next);
+    scroller.scrollTop = Math.max(anchorSeconds * next + headerHeight - anchor, 0);
+}
+
+/**
+ * Move rows to the given scale and redraw everything that depends on node positions
+ */
+function applyTimelineZoom(pxPerSecond) {
+    const { container, rows, answerLabelToRowCol, duration } = timelineLayout;
+    const body = container.querySelector('.timeline-body');
+    if (body) body.style.height = `${getTimelineBodyHeight(duration, pxPerSecond)}px`;
+    container.querySelectorAll('.timeline-row[data-row]').forEach(rowEl => {
+        const row = rows[parseInt(rowEl.dataset.row, 10)];
+        if (row) rowEl.style.top = `${row.relSeconds * pxPerSecond}px`;
+    });
+    const level = container.querySelector('#timeline-zoom-level');
+    if (level) level.textContent = formatTimelineScale(pxPerSecond);
+
+    drawTimelineConnections(container, rows, answerLabelToRowCol);
+    renderTimelineMinimap();
+}
+
+/**
+ * Wheel zooms and dragging the background pans (proportional mode only)
+ */
+function attachTimelineZoomPan(container) {
+    const scroller = container.querySelector('.timeline-vertical-container');
+    if (!scroller) return;
+
+    scroller.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const anchorY = e.clientY - scroller.getBoundingClientRect().top;
+        setTimelineZoom(getTimelinePxPerSecond(timelineLayout.duration) * Math.exp(-e.deltaY * 0.0015), anchorY);
+    }, { passive: false });
+
+    scroller.addEventListener('mousedown', (e) => {
+        if (e.button !== 0 || e.target.closest('.timeline-node, button')) return;
+        e.preventDefault();
+        const start = { x: e.clientX, y: e.clientY, top: scroller.scrollTop, left: scroller.scrollLeft };
+        scroller.classList.add('panning');
+        const onMove = (moveEvent) => {
+            scroller.scrollTop = start.top - (moveEvent.clientY - start.y);
+            scroller.scrollLeft = start.left - (moveEvent.clientX - start.x);
+        };
+        const onUp = () => {
+            scroller.classList.remove('panning');
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+        };
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
+    });
+
+    scroller.addEventListener('scroll', updateTimelineMinimapViewport);
+}
+
+/**
+ * Draw the minimap: one tick per visible event, plus the visible-window frame
+ */
+function renderTimelineMinimap() {
+    if (!timelineLayout) return;
+    const { container, rows, columnCount } = timelineLayout;
+    const minimap = container.querySelector('.timeline-minimap');
+    const scroller = container.querySelector('.timeline-vertical-container');
+    if (!minimap || !scroller) return;
+
+    const header = container.querySelector('.timeline-header');
+    const headerHeight = header?.offsetHeight || 0;
+    const totalHeight = scroller.scrollHeight || 1;
+    const width = 100 / Math.max(columnCount, 1);
+
+    const ticks = [];
+    container.querySelectorAll('.timeline-row[data-row]').forEach(rowEl => {
+        const row = rows[parseInt(rowEl.dataset.row, 10)];
+        if (!row) return;
+        const top = (headerHeight + rowEl.offsetTop + TIMELINE_PROPORTIONAL_ROW_HEIGHT / 2) / totalHeight * 100;
+        const category = getEventTypeStyle(row.type).category;
+        ticks.push(`<div class="minimap-tick ${category}" style="top: ${top.toFixed(2)}%; left: ${(row.col * width).toFixed(2)}%; width: ${width.toFixed(2)}%"></div>`);
+    });
+    minimap.innerHTML = ticks.join('') + '<div class="minimap-viewport"></div>';
+    updateTimelineMinimapViewport();
+
+    if (!minimap.dataset.bound) {
+        minimap.dataset.bound = 'true';
+        minimap.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const scrollTo = (clientY) => {
+                const rect = minimap.getBoundingClientRect();
+                const fraction = (clientY - rect.top) / rect.height;
+                scroller.scrollTop = fraction * scroller.scrollHeight - scroller.clientHeight / 2;
+            };
+            scrollTo(e.clientY);
+            const onMove = (moveEvent) => scrollTo(moveEvent.clientY);
+            const onUp = () => {
+                window.removeEventListener('mousemove', onMove);
+                window.removeEventListener('mouseup', onUp);
+            };
+            window.addEventListener('mousemove', onMove);
+            window.addEventListener('mouseup', onUp);
+        });
+    }
+}
+
+/**
+ * Move the minimap frame to match the timeline's scroll position
+ */
+function updateTimelineMinimapViewport() {
+    if (!timelineLayout) return;
+    const scroller = timelineLayout.container.querySelector('.timeline-vertical-container');
+    const frame = timelineLayout.container.querySelector('.minimap-viewport');
+    if (!scroller || !frame) return;
+    const total = scroller.scrollHeight || 1;
+    frame.style.top = `${scroller.scrollTop / total * 100}%`;
+    frame.style.height = `${Math.min(scroller.clientHeight / total, 1) * 100}%`;
+}
+
+// Node positions change with the layout width, so redraw the lines on resize
+window.addEventListener('resize', () => {
+    if (!timelineLayout || !document.body.contains(timelineLayout.container)) return;
+    requestAnimationFrame(() => {
+        drawTimelineConnections(timelineLayout.container, timelineLayout.rows, timelineLayout.answerLabelToRowCol);
+        renderTimelineMinimap();
+    });
+});
+
+/**
+ * Glyph, label and color category for each coordination event type
+ * Unknown types fall back to a generic style (see getEventTypeStyle)
+ */
+const EVENT_TYPE_STYLES = {
+    new_answer: { glyph: '💬', label: 'Answer', category: 'answer' },
+    vote_cast: { glyph: '🗳️', label: 'Vote', category: 'vote' },
+    final_answer: { glyph: '✅', label: 'Final', category: 'final' },
+    context_received: { glyph: '📥', label: 'Context', category: 'info' },
+    restart_triggered: { glyph: '🔄', label: 'Restart', category: 'restart' },
+    restart_completed: { glyph: '↩️', label: 'Restarted', category: 'restart' },
+    iteration_start: { glyph: '▶️', label: 'Round start', category: 'round' },
+    iteration_end: { glyph: '⏹️', label: 'Round end', category: 'round' },
+    round_start: { glyph: '▶️', label: 'Round start', category: 'round' },
+    round_end: { glyph: '⏹️', label: 'Round end', category: 'round' },
+    status_change: { glyph: '🔀', label: 'Status', category: 'info' },
+    tool_call: { glyph: '🔧', label: 'Tool call', category: 'tool' },
+    mcp_tool_call: { glyph: '🔧', label: 'MCP tool', category: 'tool' },
+    tool_result: { glyph: '📤', label: 'Tool result', category: 'tool' },
+    agent_error: { glyph: '❌', label: 'Error', category: 'error' },
+    error: { glyph: '❌', label: 'Error', category: 'error' },
+    agent_timeout: { glyph: '⏱️', label: 'Timeout', category: 'error' },
+    timeout: { glyph: '⏱️', label: 'Timeout', category: 'error' },
+    agent_cancelled: { glyph: '🚫', label: 'Cancelled', category: 'error' },
+    final_agent_selected: { glyph: '🏆', label: 'Winner selected', category: 'presentation' },
+    final_round_start: { glyph: '🎤', label: 'Presentation', category: 'presentation' },
+    presentation_start: { glyph: '🎤', label: 'Presentation', category: 'presentation' }
+};
+
+// Column key for events that aren't tied to an agent
+const TIMELINE_SESSION_COLUMN = '__session__';
+
+// Event types the user has toggled off in the timeline filters
+const hiddenTimelineEventTypes = new Set();
+
+/**
+ * Get the display style for an event type
+ */
+function getEventTypeStyle(type) {
+    return EVENT_TYPE_STYLES[type] || {
+        glyph: '•',
+        label: String(type || 'unknown').replace(/_/g, ' '),
+        category: 'info'
+    };
+}
+
+/**
+ * Render the per-type filter toggles above the timeline
+ * @param {Object} typeCounts - { event_type: count }
+ */
+function renderTimelineFilters(typeCounts) {
+    const chips = Object.entries(typeCounts).map(([type, count]) => {
+        const style = getEventTypeStyle(type);
+        const active = !hiddenTimelineEventTypes.has(type);
+        return `
+            <button class="timeline-filter ${style.category} ${active ? 'active' : ''}" title="${active ? 'Hide' : 'Show'} ${escapeHtml(type)} events" data-type="${escapeHtml(type)}">
+                <span class="node-icon">${style.glyph}</span> ${escapeHtml(style.label)} <span class="timeline-filter-count">${count}</span>
+            </button>
+        `;
+    }).join('');
+    const reset = hiddenTimelineEventTypes.size > 0
+        ? '<button class="timeline-filter-reset" onclick="showAllTimelineEventTypes()">Show all</button>'
+        : '';
+    return `<div class="timeline-filters">${chips}${reset}</div>`;
+}
+
+/**
+ * Show or hide one event type in the timeline
+ */
+window.toggleTimelineEventType = function(type) {
+    if (hiddenTimelineEventTypes.has(type)) {
+        hiddenTimelineEventTypes.delete(type);
+    } else {
+        hiddenTimelineEventTypes.add(type);
+    }
+    if (sessionData) renderTimeline(sessionData);
+};
+
+/**
+ * Clear all timeline event type filters
+ */
+window.showAllTimelineEventTypes = function() {
+    hiddenTimelineEventTypes.clear();
+    if (sessionData) renderTimeline(sessionData);
+};
+
+/**
+ * Render the hidden details popover for a timeline node (raw event payload)
+ */
+function renderNodeDetail(row) {
+    const event = row.event;
+    const style = getEventTypeStyle(row.type);
+    const context = event.context && typeof event.context === 'object' && Object.keys(event.context).length > 0
+        ? `<div class="node-detail-label">context</div><pre class="node-detail-json">${escapeHtml(JSON.stringify(event.context, null, 2))}</pre>`
+        : '';
+    return `
+        <div class="node-detail" style="display: none;" onclick="event.stopPropagation()">
+            <div class="node-detail-title">${style.glyph} ${escapeHtml(event.event_type || 'unknown')}</div>
+            <div class="node-detail-meta">+${escapeHtml(row.relTime)}s · ${escapeHtml(event.agent_id || 'session')}</div>
+            ${event.details ? `<div class="node-detail-label">details</div><div class="node-detail-text">${escapeHtml(String(event.details))}</div>` : ''}
+            ${context}
+        </div>
+    `;
+}
+
+/**
+ * Get the answer snapshot directory a snapshot_mappings.json entry points at
+ * From its path (".../agent_a/20251014_101500_123456/answer.txt") or its timestamp
+ * @returns {string|null} The folder timestamp, or null if the entry doesn't name one
+ */
+function getMappingSnapshotDir(mapping) {
+    const fromPath = String(mapping.path || '').split('/').find(part => /^\d{8}_\d{6}/.test(part));
+    if (fromPath) return fromPath;
+    return typeof mapping.timestamp === 'string' && /^\d{8}_\d{6}/.test(mapping.timestamp) ? mapping.timestamp : null;
+}
+
+/**
+ * Index timeline answers by the labels other records use to refer to them
+ * - answer labels from new_answer event context ("agent1.2")
+ * - snapshot_mappings.json keys/labels, matched by the answer snapshot directory they point at
+ *   (an agent's Nth answer folder is its Nth answer); entries whose folder isn't in the
+ *   export are listed as unattributed rather than guessed
+ * @param {Object} answers - The turn's answers (label -> { agent_id, timestamp, type })
+ * @returns {Object} { byLabel: { ref: displayLabel }, byAgent: { agentId: [{ displayLabel, timestamp }] },
+ *                     mappingByDisplay: { displayLabel: snapshot mapping },
+ *                     unattributedMappings: [{ key, agentId }] }
+ */
+function buildAnswerLabelIndex(sortedEvents, answerLabelToRowCol, snapshotMappings, answers = {}) {
+    const byLabel = {};
+    const byAgent = {};
+    const mappingByDisplay = {};
+    const unattributedMappings = [];
+
+    const answersInOrder = Object.values(answerLabelToRowCol).sort((a, b) => a.row - b.row);
+    for (const info of answersInOrder) {
+        const context = sortedEvents[info.row].context || {};
+        const ref = context.answer_label || context.label;
+        if (ref) byLabel[ref] = info.displayLabel;
+        if (!byAgent[info.agentId]) byAgent[info.agentId] = [];
+        byAgent[info.agentId].push({ displayLabel: info.displayLabel, timestamp: sortedEvents[info.row].timestamp || 0 });
+    }
+
+    // Answer snapshot folders per agent, oldest first; the nth folder is the agent's nth answer
+    const snapshotDirs = {};
+    for (const answer of Object.values(answers)) {
+        if (answer.type === 'final_answer' || !answer.agent_id || !answer.timestamp) continue;
+        if (!snapshotDirs[answer.agent_id]) snapshotDirs[answer.agent_id] = [];
+        snapshotDirs[answer.agent_id].push(answer.timestamp);
+    }
+    Object.values(snapshotDirs).forEach(dirs => dirs.sort());
+
+    for (const [key, mapping] of Object.entries(snapshotMappings)) {
+        if (!mapping || typeof mapping !== 'object' || !mapping.agent_id) continue;
+        const isAnswer = mapping.type ? mapping.type === 'answer' : String(mapping.path || '').endsWith('answer.txt');
+        if (!isAnswer) continue;
+
+        // A labeled answer event wins over the snapshot folder
+        const agentId = mapping.agent_id;
+        const dirIdx = (snapshotDirs[agentId] || []).indexOf(getMappingSnapshotDir(mapping));
+        const displayLabel = byLabel[mapping.label] || byLabel[key] ||
+            (dirIdx !== -1 ? byAgent[agentId]?.[dirIdx]?.displayLabel : null);
+        if (!displayLabel) {
+            unattributedMappings.push({ key, agentId });
+            continue;
+        }
+        byLabel[key] = displayLabel;
+        if (mapping.label) byLabel[mapping.label] = displayLabel;
+        mappingByDisplay[displayLabel] = mapping;
+    }
+
+    return { byLabel, byAgent, mappingByDisplay, unattributedMappings };
+}
+
+/**
+ * Get the answer references a context payload lists
+ * Accepts a list of labels/agent IDs, or an object keyed by them
+ * @returns {string[]|null} null when the payload doesn't record context
+ */
+function getContextAnswerRefs(context) {
+    if (!context || typeof context !== 'object') return null;
+    const refs = context.available_answers ?? context.available_answer_labels ??
+        context.answer_labels ?? context.context_labels ?? context.available_options_labels;
+    if (Array.isArray(refs)) return refs.map(String);
+    if (refs && typeof refs === 'object') return Object.keys(refs);
+    return null;
+}
+
+/**
+ * Resolve an answer reference to a timeline display label
+ * An agent ID resolves to that agent's latest answer at the given time (what a restart shows)
+ * @returns {string|null} The X.Y label, or null if the reference matches no answer
+ */
+function resolveAnswerRef(ref, labelIndex, atTimestamp) {
+    if (labelIndex.byLabel[ref]) return labelIndex.byLabel[ref];
+    const agentAnswers = labelIndex.byAgent[ref];
+    if (agentAnswers) {
+        const seen = agentAnswers.filter(a => a.timestamp <= (atTimestamp ?? Infinity));
+        return seen.length > 0 ? seen[seen.length - 1].displayLabel : null;
+    }
+    return null;
+}
+
+/**
+ * Find an agent's most recent context_received event at or before a time
+ * @param {Array} contextEvents - context_received events sorted by timestamp
+ */
+function findLatestContextEvent(contextEvents, agentId, timestamp) {
+    let latest = null;
+    for (const event of contextEvents) {
+        if ((event.timestamp || 0) > (timestamp || 0)) break;
+        if (event.agent_id === agentId) latest = event;
+    }
+    return latest;
+}
+
+/**
+ * Render the "?" marker for timeline nodes whose edges are missing or incomplete
+ */
+function renderAttributionFlag(row) {
+    if (!row.unattributed && row.unresolved.length === 0) return '';
+    return '<span class="node-flag">?</span>';
+}
+
+/**
+ * Describe what a timeline node's edges are based on (node tooltip)
+ */
+function getAttributionTitle(row) {
+    const lines = [];
+    if (row.seenLabels.length > 0) {
+        lines.push(`Saw: ${row.seenLabels.join(', ')}`);
+    }
+    if (row.unresolved.length > 0) {
+        lines.push(`Not found in this turn: ${row.unresolved.join(', ')}`);
+    }
+    if (row.unattributed) {
+        lines.push(row.unattributed);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Draw SVG connection lines between timeline nodes
+ */
+function drawTimelineConnections(container, rows, answerLabelToRowCol) {
+    const svg = container.querySelector('#timeline-svg');
+    if (!svg) return;
+
+    const timelineContainer = container.querySelector('.timeline-vertical-container');
+    if (!timelineContainer) return;
+
+    // Size the SVG to the scrollable content, so lines below the fold (or after zooming) aren't clipped
+    svg.setAttribute('width', timelineContainer.scrollWidth);
+    svg.setAttribute('height', timelineContainer.scrollHeight);
+
+    let svgContent = '';
+
+    // Process each row
+    rows.forEach((row, rowIdx) => {
+        if (isReplayPending(rowIdx)) return;
+        const sourceNode = container.querySelector(`.timeline-node[data-row="${rowIdx}"]`);
+        if (!sourceNode) return;
+
+        const sourceRect = sourceNode.getBoundingClientRect();
+        // Viewport rects are relative to the visible area; shift them into scrolled content coordinates
+        const visibleRect = timelineContainer.getBoundingClientRect();
+        const containerOffset = {
+            left: visibleRect.left - timelineContainer.scrollLeft,
+            top: visibleRect.top - timelineContainer.scrollTop
+        };
+
+        // Source point (left side of node)
+        const sourceX = sourceRect.left - containerOffset.left;
+        const sourceY = sourceRect.top - containerOffset.top + sourceRect.height / 2;
+
+        if (row.type === 'new_answer' && row.contextAnswers.length > 0) {
+            // Draw lines to context answers (previous answers this one could see)
+            row.contextAnswers.forEach(contextLabel => {
+                const targetInfo = answerLabelToRowCol[contextLabel];
+                if (!targetInfo) return;
+
+                const targetNode = container.querySelector(`.timeline-node[data-label="${contextLabel}"]`);
+                if (!targetNode) return;
+
+                const targetRect = targetNode.getBoundingClientRect();
+                const targetX = targetRect.right - containerOffset.left;
+                const targetY = targetRect.top - containerOffset.top + targetRect.height / 2;
+
+                // Draw a curved line from source to target
+                const midX = (sourceX + targetX) / 2;
+                svgContent += `
+                    <path class="context-line"
+                          d="M ${sourceX} ${sourceY} C ${midX} ${sourceY}, ${midX} ${targetY}, ${targetX} ${targetY}"
+                          fill="none" stroke="rgba(125, 207, 255, 0.3)" stroke-width="1.5"/>
+                `;
+            });
+        } else if (row.type === 'vote_cast') {
+            // Draw lines to all available options, with bold line to voted-for
+            row.availableOptions.forEach(optLabel => {
+                const targetInfo = answerLabelToRowCol[optLabel];
+                if (!targetInfo) return;
+
+                const targetNode = container.querySelector(`.timeline-node[data-label="${optLabel}"]`);
+                if (!targetNode) return;
+
+                const targetRect = targetNode.getBoundingClientRect();
+                const targetX = targetRect.right - containerOffset.left;
+                const targetY = targetRect.top - containerOffset.top + targetRect.height / 2;
+
+                const isVotedFor = optLabel === row.votedForLabel;
+                const strokeWidth = isVotedFor ? 3 : 1;
+                const strokeColor = isVotedFor ? 'rgba(158, 206, 106, 0.9)' : 'rgba(187, 154, 247, 0.25)';
+
+                // Draw curved line
+                const midX = (sourceX + targetX) / 2;
+                svgContent += `
+                    <path class="vote-line ${isVotedFor ? 'voted-for' : ''}"
+                          d="M ${sourceX} ${sourceY} C ${midX} ${sourceY}, ${midX} ${targetY}, ${targetX} ${targetY}"
+                          fill="none" stroke="${strokeColor}" stroke-width="${strokeWidth}"/>
+                `;
+            });
+        }
+    });
+
+    svg.innerHTML = svgContent;
+}
+
+/**
+ * Show node detail on click
+ */
+window.showNodeDetail = function(node) {
+    const detail = node.querySelector('.node-detail');
+    if (detail) {
+        const isVisible = detail.style.display !== 'none';
+        closeNodeDetails();
+        detail.style.display = isVisible ? 'none' : 'block';
+    }
+};
+
+/**
+ * Close any open timeline node detail popovers
+ */
+function closeNodeDetails() {
+    document.querySelectorAll('.timeline-node .node-detail').forEach(detail => {
+        detail.style.display = 'none';
+    });
+}
+
+// Clicking anywhere outside a timeline node closes its popover
+document.addEventListener('click', (e) => {
+    if (!e.target.closest?.('.timeline-node')) {
+        closeNodeDetails();
+    }
+});
+
+/**
+ * Navigate to an answer in Agent Activity section
+ * @param {string} agentId - The agent ID (e.g., "agent_a")
+ * @param {string} answerLabel - The answer label in X.Y format (e.g., "1.2")
+ */
+window.navigateToAnswer = function(agentId, answerLabel, scroll = true) {
+    const container = document.getElementById('answers-container');
+    if (!container) return;
+
+    // Click the agent tab to switch to that agent
+    const agentTab = container.querySelector(`.agent-tab[data-agent="${agentId}"]`);
+    if (agentTab) {
+        agentTab.click();
+    }
+
+    // Switch to the Answers sub-tab
+    setTimeout(() => {
+        const panel = container.querySelector(`.agent-panel[data-agent="${agentId}"]`);
+        if (panel) {
+            const answersSubTab = panel.querySelector('.sub-tab[data-subtab="answers"]');
+            if (answersSubTab) {
+                answersSubTab.click();
+            }
+        }
+
+        // Find the answer collapsible with matching label and expand it
+        setTimeout(() => {
+            const answerCollapsibles = container.querySelectorAll('.answer-collapsible');
+            answerCollapsibles.forEach(collapsible => {
+                const numSpan = collapsible.querySelector('.answer-num');
+                if (numSpan && numSpan.textContent.trim() === answerLabel) {
+                    // Expand this collapsible
+                    collapsible.classList.add('open');
+                    // Scroll into view
+                    if (scroll) collapsible.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    // Add highlight effect
+                    collapsible.classList.add('highlight-flash');
+                    setTimeout(() => collapsible.classList.remove('highlight-flash'), 2000);
+                }
+            });
+        }, 100);
+    }, 50);
+};
+
+/**
+ * Navigate to votes in Agent Activity section
+ * @param {string} agentId - The agent ID
+ * @param {number} voteRound - Optional vote round number to expand (defaults to the latest vote)
+ * @param {boolean} scroll - Scroll the vote into view
+ */
+window.navigateToVote = function(agentId, voteRound, scroll = true) {
+    const container = document.getElementById('answers-container');
+    if (!container) return;
+
+    // Click the agent tab
+    const agentTab = container.querySelector(`.agent-tab[data-agent="${agentId}"]`);
+    if (agentTab) {
         agentTab.click();
     }
 
-    // Switch to the Votes sub-tab
-    setTimeout(() => {
-        const panel = container.querySelector(`.agent-panel[data-agent="${agentId}"]`);
-        if (panel) {
-            const votesSubTab = panel.querySelector('.sub-tab[data-subtab="votes"]');
-            if (votesSubTab) {
-                votesSubTab.click();
-            }
+    // Switch to the Votes sub-tab
+    setTimeout(() => {
+        const panel = container.querySelector(`.agent-panel[data-agent="${agentId}"]`);
+        if (panel) {
+            const votesSubTab = panel.querySelector('.sub-tab[data-subtab="votes"]');
+            if (votesSubTab) {
+                votesSubTab.click();
+            }
+
+            // Expand the latest vote (or specific round if provided)
+            setTimeout(() => {
+                const voteCollapsibles = Array.from(panel.querySelectorAll('.vote-collapsible'));
+                if (voteCollapsibles.length > 0) {
+                    // Expand the requested round, or the latest vote (last one)
+                    const roundVote = voteRound
+                        ? voteCollapsibles.find(v => v.dataset.round === String(voteRound))
+                        : null;
+                    const targetVote = roundVote || voteCollapsibles[voteCollapsibles.length - 1];
+                    targetVote.classList.add('open');
+                    if (scroll) targetVote.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    // Add highlight effect
+                    targetVote.classList.add('highlight-flash');
+                    setTimeout(() => targetVote.classList.remove('highlight-flash'), 2000);
+                }
+            }, 100);
+        }
+    }, 50);
+};
+
+/**
+ * Navigate to final answer section
+ */
+window.navigateToFinalAnswer = function() {
+    const finalAnswerSection = document.querySelector('.final-answer-section');
+    if (finalAnswerSection) {
+        finalAnswerSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        // Add highlight effect
+        finalAnswerSection.classList.add('highlight-flash');
+        setTimeout(() => finalAnswerSection.classList.remove('highlight-flash'), 2000);
+    }
+};
+
+// ============================================================================
+// Replay Mode (step through a turn's coordination events)
+// ============================================================================
+
+// Playback speeds offered in the replay bar (multiples of real time)
+const REPLAY_SPEEDS = [1, 2, 5, 10, 30, 60];
+// Real gaps between events are scaled by the speed, then clamped so playback neither stalls nor blurs
+const REPLAY_MIN_STEP_MS = 200;
+const REPLAY_MAX_STEP_MS = 3000;
+
+// index is how many of the timeline's rows have been revealed (the current event is rows[index - 1])
+const replayState = { active: false, playing: false, index: 0, speed: 5, timer: null };
+
+// Agent status implied by each kind of event (status_change events carry their own)
+const REPLAY_STATUS_BY_EVENT = {
+    context_received: 'working',
+    iteration_start: 'working',
+    round_start: 'working',
+    tool_call: 'working',
+    mcp_tool_call: 'working',
+    tool_result: 'working',
+    restart_triggered: 'restarting',
+    restart_completed: 'working',
+    new_answer: 'answered',
+    vote_cast: 'voted',
+    agent_error: 'error',
+    error: 'error',
+    agent_timeout: 'timeout',
+    timeout: 'timeout',
+    agent_cancelled: 'cancelled',
+    final_round_start: 'presenting',
+    presentation_start: 'presenting',
+    final_answer: 'completed'
+};
+
+/**
+ * Timestamp of the current replay event, or null when not replaying
+ */
+function getReplayTime() {
+    if (!replayState.active || !timelineLayout || replayState.index === 0) {
+        return replayState.active ? -Infinity : null;
+    }
+    return timelineLayout.rows[replayState.index - 1]?.event.timestamp || 0;
+}
+
+/**
+ * Whether a timeline row is still hidden by the replay
+ */
+function isReplayPending(rowIdx) {
+    return replayState.active && rowIdx >= replayState.index;
+}
+
+/**
+ * Parse a round_history time (epoch seconds or an ISO string)
+ */
+function parseRoundTime(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') {
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : parsed / 1000;
+    }
+    return null;
+}
+
+/**
+ * Reconstruct an agent card's values as of a moment in the turn
+ * @param {Array} events - The turn's coordination events
+ * @param {Object} agentMetrics - metrics_summary.json entry for the agent
+ * @returns {{ status, answerCount, votedFor, decided, tokens: { input, output, cost } | null }}
+ */
+function getAgentStateAt(events, agentMetrics, agentId, asOf) {
+    let status = 'waiting';
+    let answerCount = 0;
+    let votedFor = null;
+    let decided = false;
+
+    [...events]
+        .filter(e => (e.timestamp || 0) <= asOf)
+        .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+        .forEach(e => {
+            if (e.event_type === 'final_answer' || e.event_type === 'final_agent_selected') decided = true;
+            if (e.agent_id !== agentId) return;
+            if (e.event_type === 'new_answer') answerCount++;
+            if (e.event_type === 'vote_cast') {
+                votedFor = e.context?.voted_for_label || e.context?.voted_for || '?';
+            }
+            if (e.event_type === 'status_change') {
+                status = e.context?.status || e.context?.new_status || e.details || status;
+            } else if (REPLAY_STATUS_BY_EVENT[e.event_type]) {
+                status = REPLAY_STATUS_BY_EVENT[e.event_type];
+            }
+        });
+
+    // Token totals come from rounds that had finished by then
+    let tokens = null;
+    (agentMetrics.round_history || []).forEach(round => {
+        const end = parseRoundTime(round.end_time ?? round.timestamp ?? round.start_time);
+        if (end === null) return;
+        tokens = tokens || { input: 0, output: 0, cost: 0 };
+        if (end > asOf) return;
+        const usage = round.token_usage || round;
+        tokens.input += usage.input_tokens || 0;
+        tokens.output += usage.output_tokens || 0;
+        tokens.cost += usage.estimated_cost || 0;
+    });
+
+    return { status, answerCount, votedFor, decided, tokens };
+}
+
+/**
+ * Render the playback bar above the timeline
+ */
+function renderReplayBar() {
+    const bar = document.getElementById('replay-bar');
+    if (!bar) return;
+    const total = timelineLayout?.rows.length || 0;
+
+    if (total === 0) {
+        bar.className = 'replay-bar';
+        bar.innerHTML = '';
+        return;
+    }
+
+    if (!replayState.active) {
+        bar.className = 'replay-bar';
+        bar.innerHTML = `<button class="replay-btn replay-start" onclick="startReplay()" title="Step through this turn event by event">▶ Replay session</button>`;
+        return;
+    }
+
+    bar.className = 'replay-bar active';
+    bar.innerHTML = `
+        <button class="replay-btn" onclick="stepReplay(-1)" title="Previous event">⏮</button>
+        <button class="replay-btn" id="replay-play" onclick="toggleReplayPlayback()" title="Play / pause"></button>
+        <button class="replay-btn" onclick="stepReplay(1)" title="Next event">⏭</button>
+        <input type="range" class="replay-scrub" id="replay-scrub" min="0" max="${total}" value="${replayState.index}" oninput="seekReplay(this.value)">
+        <span class="replay-position" id="replay-position"></span>
+        <select class="replay-speed" onchange="setReplaySpeed(this.value)" title="Playback speed">
+            ${REPLAY_SPEEDS.map(speed => `<option value="${speed}" ${speed === replayState.speed ? 'selected' : ''}>${speed}×</option>`).join('')}
+        </select>
+        <button class="replay-btn" onclick="exitReplay()" title="Exit replay">✕</button>
+    `;
+    updateReplayBar();
+}
+
+/**
+ * Refresh the parts of the playback bar that change every step
+ */
+function updateReplayBar() {
+    const play = document.getElementById('replay-play');
+    const scrub = document.getElementById('replay-scrub');
+    const position = document.getElementById('replay-position');
+    if (!play || !timelineLayout) return;
+
+    const rows = timelineLayout.rows;
+    play.textContent = replayState.playing ? '⏸' : '▶';
+    scrub.value = replayState.index;
+
+    const current = rows[replayState.index - 1];
+    if (!current) {
+        position.textContent = `0 / ${rows.length} · start`;
+        return;
+    }
+    const style = getEventTypeStyle(current.type);
+    const label = current.label && current.type === 'new_answer' ? ` ${current.label}` : '';
+    position.textContent = `${replayState.index} / ${rows.length} · +${current.relTime}s · ${style.glyph} ${current.agentId} ${style.label}${label}`;
+}
+
+/**
+ * Reveal the timeline up to the current event and highlight it
+ * @param {boolean} redraw - Redraw the connection lines (skipped while the timeline is still rendering)
+ */
+function applyReplayToTimeline(redraw = true) {
+    if (!timelineLayout) return;
+    const { container, rows, answerLabelToRowCol } = timelineLayout;
+    const scroller = container.querySelector('.timeline-vertical-container');
+
+    container.querySelectorAll('.timeline-row[data-row]').forEach(rowEl => {
+        const rowIdx = parseInt(rowEl.dataset.row, 10);
+        rowEl.classList.toggle('replay-pending', isReplayPending(rowIdx));
+        rowEl.classList.toggle('replay-current', replayState.active && rowIdx === replayState.index - 1);
+    });
+
+    // Keep the current event in view inside the timeline (without scrolling the page)
+    const currentRow = container.querySelector('.timeline-row.replay-current');
+    if (currentRow && scroller) {
+        const rowTop = currentRow.getBoundingClientRect().top - scroller.getBoundingClientRect().top;
+        if (rowTop < 0 || rowTop > scroller.clientHeight - currentRow.offsetHeight) {
+            scroller.scrollTop += rowTop - scroller.clientHeight / 2;
+        }
+    }
+
+    if (redraw) {
+        drawTimelineConnections(container, rows, answerLabelToRowCol);
+    }
+}
+
+/**
+ * Move the replay to a position and update everything that follows it
+ * @param {number} index - Number of events revealed
+ * @param {boolean} openActivity - Open the current answer or vote in Agent Activity
+ */
+function setReplayIndex(index, openActivity = true) {
+    if (!timelineLayout) return;
+    const rows = timelineLayout.rows;
+    replayState.index = Math.min(Math.max(index, 0), rows.length);
+
+    applyReplayToTimeline();
+    renderAgents(sessionData);
+    updateReplayBar();
+
+    const current = rows[replayState.index - 1];
+    if (!openActivity || !current) return;
+    if (current.type === 'new_answer') {
+        navigateToAnswer(current.agentId, current.label, false);
+    } else if (current.type === 'vote_cast') {
+        // Votes without a recorded round are numbered in order, like the Votes tab does
+        const voteNumber = rows
+            .slice(0, replayState.index)
+            .filter(r => r.type === 'vote_cast' && r.agentId === current.agentId).length;
+        navigateToVote(current.agentId, current.event.context?.coordination_round || voteNumber, false);
+    }
+}
+
+/**
+ * Schedule the next step using the real gap between events
+ */
+function scheduleReplayStep() {
+    clearTimeout(replayState.timer);
+    if (!replayState.playing || !timelineLayout) return;
+
+    const rows = timelineLayout.rows;
+    if (replayState.index >= rows.length) {
+        replayState.playing = false;
+        updateReplayBar();
+        return;
+    }
+    const current = rows[replayState.index - 1];
+    const next = rows[replayState.index];
+    const gapMs = current ? ((next.event.timestamp || 0) - (current.event.timestamp || 0)) * 1000 / replayState.speed : 0;
+    const delay = Math.min(Math.max(gapMs, REPLAY_MIN_STEP_MS), REPLAY_MAX_STEP_MS);
+
+    replayState.timer = setTimeout(() => {
+        setReplayIndex(replayState.index + 1);
+        scheduleReplayStep();
+    }, delay);
+}
+
+/**
+ * Enter replay mode from the start of the current turn
+ */
+window.startReplay = function() {
+    if (!timelineLayout) return;
+    replayState.active = true;
+    replayState.playing = true;
+    renderReplayBar();
+    setReplayIndex(0, false);
+    scheduleReplayStep();
+};
+
+window.toggleReplayPlayback = function() {
+    if (!timelineLayout) return;
+    replayState.playing = !replayState.playing;
+    // Playing from the end starts over
+    if (replayState.playing && replayState.index >= timelineLayout.rows.length) {
+        setReplayIndex(0, false);
+    }
+    updateReplayBar();
+    scheduleReplayStep();
+};
+
+window.stepReplay = function(delta) {
+    replayState.playing = false;
+    clearTimeout(replayState.timer);
+    setReplayIndex(replayState.index + delta);
+};
+
+window.seekReplay = function(value) {
+    replayState.playing = false;
+    clearTimeout(replayState.timer);
+    setReplayIndex(parseInt(value, 10));
+};
+
+window.setReplaySpeed = function(value) {
+    replayState.speed = parseFloat(value) || 1;
+    scheduleReplayStep();
+};
+
+/**
+ * Leave replay mode and restore the full session view
+ * @param {boolean} rerender - Re-render the timeline and agent cards (callers about to re-render pass false)
+ */
+function exitReplay(rerender = true) {
+    clearTimeout(replayState.timer);
+    const wasActive = replayState.active;
+    replayState.active = false;
+    replayState.playing = false;
+    replayState.index = 0;
+    if (!wasActive || !rerender) return;
+
+    applyReplayToTimeline();
+    renderAgents(sessionData);
+    renderReplayBar();
+}
+window.exitReplay = exitReplay;
+
+/**
+ * Render inline workspace files within an answer - split pane layout
+ */
+function renderInlineWorkspace(agentId, timestamp, workspaceFiles) {
+    const fileEntries = Object.entries(workspaceFiles).sort();
+    if (fileEntries.length === 0) return '';
+
+    const workspaceId = `ws_${agentId}_${timestamp}`.replace(/[^a-zA-Z0-9]/g, '_');
+
+    // Build file tree (left pane)
+    let fileTreeHtml = '';
+    for (const [filePath, content] of fileEntries) {
+        const fileId = `${agentId}__${timestamp}__${filePath}`.replace(/[^a-zA-Z0-9]/g, '_');
+        const fileType = getWorkspaceFileType(filePath, content);
+        const sizeStr = formatBytes(getWorkspaceFileSize(content, fileType));
+
+        const isPreviewable = window.canPreviewArtifact ? window.canPreviewArtifact(filePath, content) : false;
+
+        const fileName = filePath.split('/').pop();
+        fileTreeHtml += `
+            <div class="ws-tree-file" data-file-id="${fileId}" data-workspace-id="${workspaceId}" onclick="selectWorkspaceFile('${workspaceId}', '${fileId}')" title="${escapeHtml(fileName)}">
+                <span class="ws-tree-icon">${fileType.icon}</span>
+                <span class="ws-tree-name">${escapeHtml(fileName)}</span>
+                <span class="ws-tree-size">${sizeStr}</span>
+            </div>
+        `;
+    }
+
+    // Build preview pane data (stored in JS, rendered on selection)
+    // "<" is escaped so file content containing </script> (HTML, notebooks) can't end the tag early
+    const previewDataScript = `
+        <script type="application/json" id="ws-data-${workspaceId}">
+            ${JSON.stringify(Object.fromEntries(fileEntries.map(([path, content]) => {
+                const { ext, mime, kind, binary: isBinary } = getWorkspaceFileType(path, content);
+                const pdfPath = path + '.pdf';
+                const hasPdfVersion = isOfficeDocument(path) && pdfPath in workspaceFiles;
+                return [
+                    `${agentId}__${timestamp}__${path}`.replace(/[^a-zA-Z0-9]/g, '_'),
+                    { path, content, ext, mime, kind, isBinary, hasPdfVersion, pdfPath: hasPdfVersion ? pdfPath : null }
+                ];
+            }))).replace(/</g, '\\u003c')}
+        </script>
+    `;
+
+    // Get first file for initial preview
+    const firstFileId = fileEntries.length > 0
+        ? `${agentId}__${timestamp}__${fileEntries[0][0]}`.replace(/[^a-zA-Z0-9]/g, '_')
+        : null;
+
+    const html = `
+        <div class="inline-workspace split-pane" id="${workspaceId}">
+            <div class="inline-workspace-header">
+                <span class="inline-ws-icon">📁</span>
+                <span class="inline-ws-title">Workspace Files (${fileEntries.length})</span>
+                <button class="ws-action-btn ws-diff-btn" data-agent="${escapeHtml(agentId)}" data-timestamp="${escapeHtml(timestamp)}" onclick="toggleWorkspaceDiff(this)" title="Files added, removed and modified compared with another snapshot">± Changes</button>
+            </div>
+            <div class="ws-diff-panel" style="display: none;"></div>
+            <div class="ws-split-container">
+                <div class="ws-file-tree">
+                    ${fileTreeHtml}
+                </div>
+                <div class="ws-preview-pane" id="preview-${workspaceId}">
+                    <div class="ws-preview-placeholder">
+                        <span>👈 Select a file to preview</span>
+                    </div>
+                </div>
+            </div>
+            ${previewDataScript}
+        </div>
+    `;
+
+    // Auto-select first file after render
+    if (firstFileId) {
+        setTimeout(() => selectWorkspaceFile(workspaceId, firstFileId), 0);
+    }
+
+    return html;
+}
+
+// Blob URL (PDF, video or audio) shown in each workspace's preview pane, by workspace ID;
+// revoked when the pane shows another file, so each selection doesn't leak its blob
+const workspacePreviewBlobUrls = new Map();
+
+/**
+ * Record the blob URL a workspace preview pane now shows, revoking the one it replaced
+ */
+function setWorkspacePreviewBlobUrl(workspaceId, url) {
+    const previous = workspacePreviewBlobUrls.get(workspaceId);
+    if (previous && previous !== url) URL.revokeObjectURL(previous);
+    if (url) {
+        workspacePreviewBlobUrls.set(workspaceId, url);
+    } else {
+        workspacePreviewBlobUrls.delete(workspaceId);
+    }
+}
+
+/**
+ * Read a split-pane workspace's embedded file data
+ * @param {string} workspaceId - The workspace element ID
+ * @returns {Object|null} File data by file ID, or null when missing or unreadable
+ */
+function readWorkspaceData(workspaceId) {
+    const dataScript = document.getElementById(`ws-data-${workspaceId}`);
+    if (!dataScript) return null;
+
+    try {
+        return JSON.parse(dataScript.textContent);
+    } catch (e) {
+        console.error('Failed to parse workspace data:', e);
+        return null;
+    }
+}
+
+/**
+ * Select and preview a file in the split-pane workspace
+ */
+function selectWorkspaceFile(workspaceId, fileId) {
+    const workspace = document.getElementById(workspaceId);
+    if (!workspace) return;
+
+    // Update selected state in file tree
+    workspace.querySelectorAll('.ws-tree-file').forEach(f => f.classList.remove('selected'));
+    const selectedFile = workspace.querySelector(`.ws-tree-file[data-file-id="${fileId}"]`);
+    if (selectedFile) selectedFile.classList.add('selected');
+
+    // Get file data from embedded JSON
+    const filesData = readWorkspaceData(workspaceId);
+    const fileData = filesData?.[fileId];
+    if (!fileData) return;
+
+    const previewPane = document.getElementById(`preview-${workspaceId}`);
+    if (!previewPane) return;
+
+    // Build preview content
+    const { path, content, ext, mime, kind, isBinary, hasPdfVersion, pdfPath } = fileData;
+    const isPdf = kind === 'pdf';
+    const isImage = kind === 'image';
+    // Blob URLs rather than data URIs: Chrome limits data URIs in iframes to ~2MB (and media is as large)
+    const isMedia = isBinary && (kind === 'video' || kind === 'audio');
+    const blobUrl = isPdf || isMedia ? base64ToBlobUrl(content, mime) : null;
+    const isPreviewable = window.canPreviewArtifact ? window.canPreviewArtifact(path, content) : false;
+
+    // Action buttons
+    const previewButton = isPreviewable
+        ? `<button class="ws-action-btn preview-btn" onclick="event.stopPropagation(); openArtifactPreviewFromElement(this)" data-filename="${escapeHtml(path)}" data-workspace-id="${workspaceId}" data-fileid="${fileId}" data-has-pdf="${hasPdfVersion}" data-pdf-path="${hasPdfVersion ? escapeHtml(pdfPath) : ''}">👁️ Preview</button>`
+        : '';
+
+    let contentHtml;
+    if (isPdf) {
+        if (blobUrl) {
+            contentHtml = `
+                <div class="ws-preview-content pdf">
+                    <iframe src="${blobUrl}" style="width:100%; height:100%; border:none;"></iframe>
+                </div>
+            `;
+        } else {
+            // Fallback if blob creation fails
+            contentHtml = `
+                <div class="ws-preview-content binary">
+                    <div class="ws-binary-notice">
+                        <span class="ws-binary-icon">📄</span>
+                        <p>PDF file</p>
+                        <p class="ws-binary-hint">Use Download to view</p>
+                    </div>
+                </div>
+            `;
+        }
+    } else if (isImage) {
+        contentHtml = `
+            <div class="ws-preview-content image">
+                <img src="data:${mime};base64,${content}" />
+            </div>
+        `;
+    } else if (isMedia && blobUrl) {
+        contentHtml = `
+            <div class="ws-preview-content media">
+                <${kind} controls src="${blobUrl}"></${kind}>
+            </div>
+        `;
+    } else if (isBinary) {
+        const fileType = getWorkspaceFileType(path, content);
+        contentHtml = `
+            <div class="ws-preview-content binary">
+                <div class="ws-binary-notice">
+                    <span class="ws-binary-icon">${fileType.icon}</span>
+                    <p>${FILE_KIND_LABELS[kind] || 'Binary file'}${ext ? ` (${escapeHtml(ext.toUpperCase())})` : ''} · ${formatBytes(getWorkspaceFileSize(content, fileType))}</p>
+                    <p class="ws-binary-hint">${hasPdfVersion ? 'PDF preview available' : 'Use Download to save'}</p>
+                </div>
+            </div>
+        `;
+    } else if (getDataTableFormat(path)) {
+        // Filled in by mountDataTable below
+        contentHtml = '<div class="ws-preview-content table"></div>';
+    } else if (isNotebookFile(path)) {
+        // Filled in by mountNotebook below
+        contentHtml = '<div class="ws-preview-content notebook-preview"></div>';
+    } else {
+        // Text/code files
+        contentHtml = `
+            <div class="ws-preview-content code">
+                ${renderCodeViewer(content, path, fileId)}
+            </div>
+        `;
+    }
+
+    previewPane.innerHTML = `
+        <div class="ws-preview-header">
+            <span class="ws-preview-filename">${escapeHtml(path)}</span>
+            <div class="ws-preview-actions">
+                ${previewButton}
+                ${!isBinary ? `<button class="ws-action-btn" onclick="copyToClipboard(\`${escapeHtml(content).replace(/`/g, '\\`')}\`)">📋 Copy</button>` : ''}
+                <button class="ws-action-btn" onclick="downloadWorkspaceFileInline('${fileId}', '${escapeHtml(path)}')">⬇️ Download</button>
+            </div>
+        </div>
+        ${contentHtml}
+    `;
+    setWorkspacePreviewBlobUrl(workspaceId, blobUrl);
+    const tableEl = previewPane.querySelector('.ws-preview-content.table');
+    if (tableEl) {
+        mountDataTable(tableEl, content, path);
+    }
+    const notebookEl = previewPane.querySelector('.ws-preview-content.notebook-preview');
+    if (notebookEl) {
+        mountNotebook(notebookEl, content);
+    }
+    highlightCodeViewer(previewPane.querySelector('.code-viewer'));
+}
+
+// ============================================================================
+// Workspace Snapshot Diff (changes between answer workspaces)
+// ============================================================================
+
+// Lines of unchanged context shown around each change
+const WORKSPACE_DIFF_CONTEXT = 3;
+
+// Diff results per open panel, for drawing a file's hunks when it's expanded
+const workspaceDiffs = new WeakMap();
+
+/**
+ * Every workspace snapshot in the current turn, oldest first per agent, final workspaces last
+ * Final workspaces are stored under the "final" agent, keyed by the presenting agent
+ * @returns {Array<{ key, agentId, timestamp, label, files, isFinal }>}
+ */
+function getWorkspaceSnapshots(workspaceFiles) {
+    const snapshots = [];
+    const finals = [];
+    for (const [agentId, byTimestamp] of Object.entries(workspaceFiles || {}).sort()) {
+        for (const timestamp of Object.keys(byTimestamp).sort()) {
+            const isFinal = agentId === 'final' || timestamp === 'final';
+            const snapshot = {
+                key: `${agentId}/${timestamp}`,
+                agentId,
+                timestamp,
+                label: agentId === 'final' ? `Final workspace (${timestamp})` : timestamp === 'final' ? `Final workspace (${agentId})` : `${agentId} · ${timestamp}`,
+                files: byTimestamp[timestamp] || {},
+                isFinal
+            };
+            (isFinal ? finals : snapshots).push(snapshot);
+        }
+    }
+    return [...snapshots, ...finals];
+}
+
+/**
+ * The snapshot a workspace is compared with by default: the agent's previous answer,
+ * or for a final workspace, the presenting agent's last answer
+ */
+function getDefaultDiffBase(snapshots, current) {
+    if (current.isFinal) {
+        const presenter = current.agentId === 'final' ? current.timestamp : current.agentId;
+        const own = snapshots.filter(snap => snap.agentId === presenter && !snap.isFinal);
+        return own[own.length - 1] || null;
+    }
+    const own = snapshots.filter(snap => snap.agentId === current.agentId && !snap.isFinal);
+    const idx = own.findIndex(snap => snap.key === current.key);
+    return idx > 0 ? own[idx - 1] : null;
+}
+
+/**
+ * Line-level diff of two texts
+ * @returns {{ lines: Array<{ type, text, oldNo, newNo }>, added, removed, truncated }}
+ */
+function diffLines(oldText, newText) {
+    const oldLines = oldText === '' ? [] : oldText.split('\n');
+    const newLines = newText === '' ? [] : newText.split('\n');
+
+    // Common prefix and suffix don't need the full diff
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    let middle = myersDiff(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd));
+    const truncated = middle === null;
+    if (truncated) {
+        middle = [
+            ...oldLines.slice(start, oldEnd).map((_, i) => ({ type: 'delete', a: i })),
+            ...newLines.slice(start, newEnd).map((_, i) => ({ type: 'insert', b: i }))
+        ];
+    }
+
+    const lines = [];
+    for (let i = 0; i < start; i++) {
+        lines.push({ type: 'equal', text: oldLines[i], oldNo: i + 1, newNo: i + 1 });
+    }
+    middle.forEach(step => {
+        const oldIdx = step.a !== undefined ? start + step.a : null;
+        const newIdx = step.b !== undefined ? start + step.b : null;
+        lines.push({
+            type: step.type,
+            text: step.type === 'insert' ? newLines[newIdx] : oldLines[oldIdx],
+            oldNo: oldIdx !== null ? oldIdx + 1 : null,
+            newNo: newIdx !== null ? newIdx + 1 : null
+        });
+    });
+    for (let i = 0; oldEnd + i < oldLines.length; i++) {
+        lines.push({ type: 'equal', text: oldLines[oldEnd + i], oldNo: oldEnd + i + 1, newNo: newEnd + i + 1 });
+    }
+
+    return {
+        lines,
+        added: lines.filter(line => line.type === 'insert').length,
+        removed: lines.filter(line => line.type === 'delete').length,
+        truncated
+    };
+}
+
+/**
+ * Compare two snapshots file by file
+ * @returns {Array<{ path, status, binary, oldSize, newSize, diff }>} Changed files first, sorted by path
+ */
+function diffWorkspaceSnapshots(oldFiles, newFiles) {
+    const paths = Array.from(new Set([...Object.keys(oldFiles), ...Object.keys(newFiles)])).sort();
+    const statusOrder = { added: 0, removed: 0, modified: 0, unchanged: 1 };
+    return paths.map(path => {
+        const oldContent = oldFiles[path];
+        const newContent = newFiles[path];
+        // Binary files are stored as base64, so they're compared by size only
+        const binary = [oldContent, newContent].some(c => c !== undefined && getWorkspaceFileType(path, c).binary);
+        const sizeOf = (content) => content === undefined ? null : getWorkspaceFileSize(content, getWorkspaceFileType(path, content));
+        const status = oldContent === undefined ? 'added'
+            : newContent === undefined ? 'removed'
+            : oldContent === newContent ? 'unchanged' : 'modified';
+        return {
+            path,
+            status,
+            binary,
+            oldSize: sizeOf(oldContent),
+            newSize: sizeOf(newContent),
+            diff: binary || status === 'unchanged' ? null : diffLines(oldContent || '', newContent || '')
+        };
+    }).sort((a, b) => statusOrder[a.status] - statusOrder[b.status]);
+}
+
+/**
+ * Unified diff hunks for one file
+ */
+function renderWorkspaceDiffHunks(diff) {
+    const changed = diff.lines.map((line, idx) => line.type !== 'equal' ? idx : -1).filter(idx => idx >= 0);
+    // Merge changes whose context windows touch into hunks
+    const hunks = [];
+    changed.forEach(idx => {
+        const from = Math.max(0, idx - WORKSPACE_DIFF_CONTEXT);
+        const to = Math.min(diff.lines.length - 1, idx + WORKSPACE_DIFF_CONTEXT);
+        const last = hunks[hunks.length - 1];
+        if (last && from <= last.to + 1) {
+            last.to = to;
+        } else {
+            hunks.push({ from, to });
+        }
+    });
+
+    let html = '<table class="ws-diff-lines">';
+    hunks.forEach(({ from, to }) => {
+        const slice = diff.lines.slice(from, to + 1);
+        const oldStart = slice.find(line => line.oldNo !== null)?.oldNo || 0;
+        const newStart = slice.find(line => line.newNo !== null)?.newNo || 0;
+        const oldCount = slice.filter(line => line.oldNo !== null).length;
+        const newCount = slice.filter(line => line.newNo !== null).length;
+        html += `<tr class="ws-diff-hunk"><td colspan="3">@@ -${oldStart},${oldCount} +${newStart},${newCount} @@</td></tr>`;
+        slice.forEach(line => {
+            const sign = line.type === 'insert' ? '+' : line.type === 'delete' ? '-' : ' ';
+            html += `
+                <tr class="ws-diff-line ${line.type}">
+                    <td class="ws-diff-num">${line.oldNo ?? ''}</td>
+                    <td class="ws-diff-num">${line.newNo ?? ''}</td>
+                    <td class="ws-diff-code">${sign} ${escapeHtml(line.text)}</td>
+                </tr>
+            `;
+        });
+    });
+    html += '</table>';
+    if (diff.truncated) {
+        html += '<div class="ws-diff-note">Too many changes for a line-by-line match; showing the changed region as removed and added.</div>';
+    }
+    return html;
+}
+
+/**
+ * Format a size change like "1.2 KB → 1.5 KB (+300 B)"
+ */
+function formatSizeDelta(oldSize, newSize) {
+    if (oldSize === null) return formatBytes(newSize);
+    if (newSize === null) return formatBytes(oldSize);
+    const delta = newSize - oldSize;
+    return `${formatBytes(oldSize)} → ${formatBytes(newSize)} (${delta >= 0 ? '+' : '−'}${formatBytes(Math.abs(delta))})`;
+}
+
+/**
+ * Draw the change list for a workspace panel against its selected base snapshot
+ */
+function renderWorkspaceDiff(panel) {
+    const { agent: agentId, timestamp } = panel.dataset;
+    const workspaceFiles = getDataForCurrentTurn(sessionData).workspaceFiles || {};
+    const snapshots = getWorkspaceSnapshots(workspaceFiles);
+    const current = snapshots.find(snap => snap.key === `${agentId}/${timestamp}`);
+    if (!current) {
+        panel.innerHTML = '<div class="no-data">Snapshot not found</div>';
+        return;
+    }
+
+    if (panel.dataset.base === undefined) {
+        panel.dataset.base = getDefaultDiffBase(snapshots, current)?.key || '';
+    }
+    const base = snapshots.find(snap => snap.key === panel.dataset.base) || null;
+    // Comparing with a final workspace reads forward: this snapshot → final
+    const forward = base?.isFinal && !current.isFinal;
+    const [from, to] = forward ? [current, base] : [base, current];
+    const files = diffWorkspaceSnapshots(from?.files || {}, to.files);
+    workspaceDiffs.set(panel, files);
+
+    const counts = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+    files.forEach(file => counts[file.status]++);
+
+    const options = snapshots
+        .filter(snap => snap.key !== current.key)
+        .map(snap => `<option value="${escapeHtml(snap.key)}" ${snap.key === panel.dataset.base ? 'selected' : ''}>${escapeHtml(snap.label)}</option>`)
+        .join('');
+
+    let html = `
+        <div class="ws-diff-header">
+            <label>Compare with
+                <select onchange="setWorkspaceDiffBase(this)">
+                    <option value="" ${!base ? 'selected' : ''}>Nothing (all files added)</option>
+                    ${options}
+                </select>
+            </label>
+            <span class="ws-diff-direction">${escapeHtml(from ? from.label : 'empty')} → ${escapeHtml(to.label)}</span>
+        </div>
+        <div class="answer-compare-stats">
+            <span class="diff-stat added">${counts.added} added</span>
+            <span class="diff-stat removed">${counts.removed} removed</span>
+            <span class="diff-stat modified">${counts.modified} modified</span>
+            <span>${counts.unchanged} unchanged</span>
+        </div>
+    `;
+
+    if (counts.added + counts.removed + counts.modified === 0) {
+        html += '<div class="no-data">No changes</div>';
+    }
+    files.filter(file => file.status !== 'unchanged').forEach((file, idx) => {
+        const detail = file.binary
+            ? formatSizeDelta(file.oldSize, file.newSize)
+            : `<span class="diff-stat added">+${file.diff.added}</span> <span class="diff-stat removed">−${file.diff.removed}</span>`;
+        html += `
+            <div class="ws-diff-file" data-index="${idx}">
+                <div class="ws-diff-file-header" onclick="toggleWorkspaceDiffFile(this)">
+                    <span class="ws-diff-status ${file.status}">${file.status[0].toUpperCase()}</span>
+                    <span class="ws-diff-path">${escapeHtml(file.path)}</span>
+                    <span class="ws-diff-detail">${detail}</span>
+                </div>
+                <div class="ws-diff-body"></div>
+            </div>
+        `;
+    });
+    panel.innerHTML = html;
+}
+
+window.toggleWorkspaceDiff = function(button) {
+    const workspace = button.closest('.inline-workspace');
+    const panel = workspace?.querySelector('.ws-diff-panel');
+    if (!panel) return;
+    const show = panel.style.display === 'none';
+    panel.style.display = show ? '' : 'none';
+    button.classList.toggle('active', show);
+    if (show) {
+        panel.dataset.agent = button.dataset.agent;
+        panel.dataset.timestamp = button.dataset.timestamp;
+        renderWorkspaceDiff(panel);
+    }
+};
+
+window.setWorkspaceDiffBase = function(select) {
+    const panel = select.closest('.ws-diff-panel');
+    panel.dataset.base = select.value;
+    renderWorkspaceDiff(panel);
+};
+
+window.toggleWorkspaceDiffFile = function(header) {
+    const fileEl = header.parentElement;
+    const body = fileEl.querySelector('.ws-diff-body');
+    fileEl.classList.toggle('open');
+    if (!fileEl.classList.contains('open') || body.innerHTML) return;
+
+    const files = workspaceDiffs.get(fileEl.closest('.ws-diff-panel')) || [];
+    const file = files.filter(f => f.status !== 'unchanged')[parseInt(fileEl.dataset.index, 10)];
+    if (!file) return;
+    body.innerHTML = file.binary
+        ? `<div class="ws-diff-note">Binary file · ${escapeHtml(formatSizeDelta(file.oldSize, file.newSize))}</div>`
+        : renderWorkspaceDiffHunks(file.diff);
+};
+
+// ============================================================================
+// Code Viewer (workspace previews: highlighting, line numbers, folding, line links)
+// ============================================================================
+
+// File extension → highlight.js language (all in the vendored common bundle)
+const CODE_LANGUAGES = {
+    py: 'python', pyw: 'python',
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    json: 'json', yaml: 'yaml', yml: 'yaml',
+    sh: 'bash', bash: 'bash', zsh: 'bash',
+    html: 'xml', htm: 'xml', xml: 'xml', svg: 'xml',
+    css: 'css', scss: 'scss', less: 'less',
+    md: 'markdown', markdown: 'markdown',
+    sql: 'sql', go: 'go', rs: 'rust',
+    java: 'java', kt: 'kotlin', swift: 'swift', c: 'c', h: 'c', cpp: 'cpp', cc: 'cpp', hpp: 'cpp', cs: 'csharp',
+    rb: 'ruby', php: 'php', lua: 'lua', r: 'r', pl: 'perl',
+    toml: 'ini', ini: 'ini', cfg: 'ini', diff: 'diff', patch: 'diff'
+};
+// Local copies in lib/vendor, shared with markdown rendering and loaded on first use
+const HIGHLIGHT_SCRIPT = 'lib/vendor/highlight.min.js';
+const HIGHLIGHT_STYLESHEET = 'lib/vendor/highlight-tokyo-night-dark.min.css';
+// Larger files keep line numbers and folding but skip highlighting
+const CODE_HIGHLIGHT_MAX_CHARS = 200000;
+const CODE_WRAP_STORAGE_KEY = 'massgen-viewer.code-wrap';
+// Viewer element → promise for its highlighting, so it only runs once
+const codeViewerHighlights = new WeakMap();
+
+/**
+ * Load highlight.js and its theme
+ */
+function loadHighlighter() {
+    loadStylesheet(HIGHLIGHT_STYLESHEET);
+    return loadScript(HIGHLIGHT_SCRIPT);
+}
+
+function isCodeWrapped() {
+    try {
+        return localStorage.getItem(CODE_WRAP_STORAGE_KEY) === 'wrap';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Foldable regions by indentation: a line followed by more-indented lines,
+ * up to the last of them (so closing brackets stay visible)
+ * @returns {Array<{ start, end }>} 0-based line indexes
+ */
+function findFoldRanges(lines) {
+    const ranges = [];
+    const open = [];
+    let lastNonBlank = -1;
+    const closeTo = (indent) => {
+        while (open.length > 0 && open[open.length - 1].indent >= indent) {
+            const region = open.pop();
+            if (lastNonBlank > region.start) ranges.push({ start: region.start, end: lastNonBlank });
+        }
+    };
+    lines.forEach((line, idx) => {
+        if (line.trim() === '') return;
+        const indent = line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+        closeTo(indent);
+        open.push({ start: idx, indent });
+        lastNonBlank = idx;
+    });
+    closeTo(0);
+    return ranges.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Split highlighted HTML into lines, closing and reopening spans that cross line breaks
+ */
+function splitHighlightedLines(html) {
+    const lines = [];
+    const openTags = [];
+    let current = '';
+    const tagPattern = /(<span[^>]*>|<\/span>)|([^<]+)/g;
+    let match;
+    while ((match = tagPattern.exec(html)) !== null) {
+        if (match[1]) {
+            if (match[1] === '</span>') openTags.pop();
+            else openTags.push(match[1]);
+            current += match[1];
+            continue;
+        }
+        const parts = match[2].split('\n');
+        parts.forEach((part, idx) => {
+            if (idx > 0) {
+                lines.push(current + '</span>'.repeat(openTags.length));
+                current = openTags.join('');
+            }
+            current += part;
+        });
+    }
+    lines.push(current);
+    return lines;
+}
+
+/**
+ * A numbered, foldable code block; highlighting is added by highlightCodeViewer once it's shown
+ * @param {string} content - File text
+ * @param {string} path - File path (picks the language)
+ * @param {string|null} linkId - Id used in #file=…&lines=… links, or null for no links
+ */
+function renderCodeViewer(content, path, linkId = null) {
+    const lines = String(content).split('\n');
+    const language = CODE_LANGUAGES[path.split('.').pop().toLowerCase()] || null;
+    const foldStarts = new Map(findFoldRanges(lines).map(range => [range.start, range.end]));
+
+    const rows = lines.map((line, idx) => {
+        const foldEnd = foldStarts.get(idx);
+        return `<div class="code-line" data-line="${idx + 1}"${foldEnd !== undefined ? ` data-fold-end="${foldEnd + 1}"` : ''}><span class="code-gutter">${foldEnd !== undefined ? '<span class="code-fold" title="Fold">▾</span>' : ''}<span class="code-ln">${idx + 1}</span></span><span class="code-src">${escapeHtml(line)}</span></div>`;
+    }).join('');
+
+    return `
+        <div class="code-viewer ${isCodeWrapped() ? 'wrap' : ''}" data-language="${language || ''}" data-link-id="${linkId ? escapeHtml(linkId) : ''}">
+            <div class="code-toolbar">
+                <span class="code-language">${escapeHtml(language || 'text')} · ${formatNumber(lines.length)} line${lines.length !== 1 ? 's' : ''}</span>
+                <button class="code-btn code-wrap-btn" onclick="toggleCodeWrap()">${isCodeWrapped() ? 'No wrap' : 'Wrap'}</button>
+                ${foldStarts.size > 0 ? `
+                    <button class="code-btn" onclick="setCodeFolds(this, true)">Fold all</button>
+                    <button class="code-btn" onclick="setCodeFolds(this, false)">Unfold all</button>
+                ` : ''}
+            </div>
+            <div class="code-body">${rows}</div>
+        </div>
+    `;
+}
+
+/**
+ * The source text shown in a code viewer (without line numbers or fold markers)
+ * @param {Element} root - The viewer or an element containing one
+ * @returns {string|null} Null when there is no viewer
+ */
+function getCodeViewerText(root) {
+    const viewer = root?.classList.contains('code-viewer') ? root : root?.querySelector('.code-viewer');
+    if (!viewer) return null;
+    return Array.from(viewer.querySelectorAll('.code-src')).map(src => src.textContent).join('\n');
+}
+
+/**
+ * Highlight a code viewer's lines in place (once) and wire up folding and line selection
+ * @returns {Promise} Resolves when highlighting is done (or skipped)
+ */
+function highlightCodeViewer(viewer) {
+    if (!viewer) return Promise.resolve();
+    if (!codeViewerHighlights.has(viewer)) {
+        codeViewerHighlights.set(viewer, setupCodeViewer(viewer));
+    }
+    return codeViewerHighlights.get(viewer);
+}
+
+async function setupCodeViewer(viewer) {
+    viewer.querySelector('.code-body').addEventListener('click', (e) => {
+        const line = e.target.closest('.code-line');
+        if (!line) return;
+        if (e.target.closest('.code-fold')) {
+            line.classList.toggle('folded');
+            applyCodeFolds(viewer);
+        } else if (e.target.closest('.code-ln')) {
+            selectCodeLines(viewer, parseInt(line.dataset.line, 10), e.shiftKey);
+        }
+    });
+
+    const language = viewer.dataset.language;
+    const sources = Array.from(viewer.querySelectorAll('.code-src'));
+    const text = getCodeViewerText(viewer);
+    if (!language || text.length > CODE_HIGHLIGHT_MAX_CHARS) return;
+
+    try {
+        await loadHighlighter();
+    } catch (e) {
+        console.error('Syntax highlighting unavailable:', e);
+        return;
+    }
+    if (!hljs.getLanguage(language)) return;
+    const lines = splitHighlightedLines(hljs.highlight(text, { language, ignoreIllegals: true }).value);
+    sources.forEach((src, idx) => {
+        src.innerHTML = lines[idx] ?? '';
+    });
+}
+
+/**
+ * Hide the lines inside folded regions
+ */
+function applyCodeFolds(viewer) {
+    const lines = Array.from(viewer.querySelectorAll('.code-line'));
+    const hidden = new Array(lines.length).fill(false);
+    lines.forEach((line, idx) => {
+        if (!line.classList.contains('folded')) return;
+        const end = parseInt(line.dataset.foldEnd, 10);
+        for (let i = idx + 1; i < end; i++) hidden[i] = true;
+    });
+    lines.forEach((line, idx) => {
+        line.classList.toggle('fold-hidden', hidden[idx]);
+        const fold = line.querySelector('.code-fold');
+        if (fold) {
+            fold.textContent = line.classList.contains('folded') ? '▸' : '▾';
+            fold.title = line.classList.contains('folded') ? 'Unfold' : 'Fold';
+        }
+    });
+}
+
+/**
+ * Select a line (or extend the selection with shift) and put it in the URL
+ */
+function selectCodeLines(viewer, line, extend = false) {
+    const anchor = extend && viewer.dataset.selStart ? parseInt(viewer.dataset.selStart, 10) : line;
+    const start = Math.min(anchor, line);
+    const end = Math.max(anchor, line);
+    viewer.dataset.selStart = String(anchor);
+    highlightCodeLines(viewer, start, end, false);
+
+    const linkId = viewer.dataset.linkId;
+    if (linkId) {
+        const hash = `#file=${encodeURIComponent(linkId)}&lines=${start}${end !== start ? `-${end}` : ''}`;
+        window.history.replaceState(null, '', hash);
+    }
+}
+
+/**
+ * Mark a line range as selected, unfolding it if needed
+ */
+function highlightCodeLines(viewer, start, end, scroll = true) {
+    const lines = Array.from(viewer.querySelectorAll('.code-line'));
+    lines.forEach(line => {
+        const num = parseInt(line.dataset.line, 10);
+        line.classList.toggle('selected', num >= start && num <= end);
+        // Unfold regions that hide the selection
+        if (line.classList.contains('folded') && num < start && parseInt(line.dataset.foldEnd, 10) >= start) {
+            line.classList.remove('folded');
+        }
+    });
+    applyCodeFolds(viewer);
+    if (scroll) {
+        lines[start - 1]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+window.toggleCodeWrap = function() {
+    const wrap = !isCodeWrapped();
+    try {
+        localStorage.setItem(CODE_WRAP_STORAGE_KEY, wrap ? 'wrap' : 'nowrap');
+    } catch {
+        // Not persisted; still applies to the open viewers
+    }
+    document.querySelectorAll('.code-viewer').forEach(viewer => viewer.classList.toggle('wrap', wrap));
+    document.querySelectorAll('.code-wrap-btn').forEach(btn => {
+        btn.textContent = wrap ? 'No wrap' : 'Wrap';
+    });
+};
+
+window.setCodeFolds = function(button, fold) {
+    const viewer = button.closest('.code-viewer');
+    viewer.querySelectorAll('.code-line[data-fold-end]').forEach(line => line.classList.toggle('folded', fold));
+    applyCodeFolds(viewer);
+};
+
+/**
+ * Open the workspace file and lines named in a #file=…&lines=… link
+ */
+async function openLinkedCodeLines() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const fileId = params.get('file');
+    if (!fileId || !sessionData.files) return;
+    const [start, end] = (params.get('lines') || '').split('-').map(n => parseInt(n, 10));
+
+    // Search documents already know how to find and open any turn's workspace file
+    const doc = buildSearchIndex(sessionData).find(d => d.source === 'workspace' &&
+        `${d.target.agentId}__${d.target.timestamp}__${d.target.filePath}`.replace(/[^a-zA-Z0-9]/g, '_') === fileId);
+    if (!doc) return;
+    if (doc.turnKey && doc.turnKey !== currentTurn && sessionData.perTurnData?.[doc.turnKey]) {
+        setCurrentTurn(doc.turnKey);
+        // Let the re-render's deferred work (workspace auto-select) run first
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    const viewer = revealSearchTarget(doc)?.querySelector('.code-viewer');
+    if (viewer && start) {
+        highlightCodeLines(viewer, start, end || start);
+    }
+}
+
+window.addEventListener('hashchange', openLinkedCodeLines);
+
+// ============================================================================
+// Data Table Preview (CSV / TSV / JSONL workspace files)
+// ============================================================================
+
+// File extension → delimiter, or 'jsonl' for one JSON value per line
+const DATA_TABLE_FORMATS = { csv: ',', tsv: '\t', tab: '\t', jsonl: 'jsonl', ndjson: 'jsonl' };
+// Rows past this are left out (and the table says so)
+const DATA_TABLE_MAX_ROWS = 200000;
+// Rows are absolutely positioned at a fixed height so only the visible ones are in the DOM
+const DATA_TABLE_ROW_HEIGHT = 26;
+const DATA_TABLE_OVERSCAN_ROWS = 15;
+const DATA_TABLE_HISTOGRAM_BINS = 20;
+const DATA_TABLE_NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+const DATA_TABLE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Table root element → { columns, rows, view, sort, filter, chartColumn, ... }
+const dataTables = new WeakMap();
+
+/**
+ * Whether a file is shown as a table
+ * @returns {string|null} Delimiter or 'jsonl', null for other files
+ */
+function getDataTableFormat(path) {
+    return DATA_TABLE_FORMATS[String(path).split('.').pop().toLowerCase()] || null;
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting, CRLF or LF line ends)
+ * @returns {{ records: string[][], truncated: boolean }}
+ */
+function parseDelimited(text, delimiter) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let i = 0;
+    const endRecord = () => {
+        record.push(field);
+        // Skip blank lines rather than treating them as one-cell rows
+        if (record.length > 1 || record[0] !== '') records.push(record);
+        record = [];
+        field = '';
+    };
+    while (i < text.length) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            // Header plus the row limit
+            if (records.length > DATA_TABLE_MAX_ROWS) {
+                return { records: records.slice(0, DATA_TABLE_MAX_ROWS + 1), truncated: true };
+            }
+        } else {
+            field += ch;
+        }
+        i++;
+    }
+    if (field !== '' || record.length > 0) endRecord();
+    return { records, truncated: false };
+}
+
+/**
+ * Turn file content into columns and string rows
+ * JSONL objects become one column per key (in order of first appearance); other values go in a "value" column
+ * @returns {{ columns: string[], rows: string[][], skipped: number, truncated: boolean }}
+ */
+function parseDataTable(content, format) {
+    if (format !== 'jsonl') {
+        // A .csv that uses semicolons (common in European locales)
+        const firstLine = content.split('\n', 1)[0];
+        const delimiter = format === ',' && firstLine.split(';').length > firstLine.split(',').length ? ';' : format;
+        const { records, truncated } = parseDelimited(content.replace(/^\uFEFF/, ''), delimiter);
+        const header = records[0] || [];
+        const width = Math.max(header.length, ...records.slice(1, 1000).map(r => r.length));
+        const columns = Array.from({ length: width }, (_, idx) => header[idx]?.trim() || `column_${idx + 1}`);
+        const rows = records.slice(1).map(r => columns.map((_, idx) => r[idx] ?? ''));
+        return { columns, rows, skipped: 0, truncated };
+    }
+
+    const columns = [];
+    const columnIndex = new Map();
+    const objects = [];
+    let skipped = 0;
+    let truncated = false;
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        if (objects.length >= DATA_TABLE_MAX_ROWS) {
+            truncated = true;
+            break;
+        }
+        let value;
+        try {
+            value = JSON.parse(line);
+        } catch {
+            skipped++;
+            continue;
+        }
+        const obj = value && typeof value === 'object' && !Array.isArray(value) ? value : { value };
+        Object.keys(obj).forEach(key => {
+            if (!columnIndex.has(key)) {
+                columnIndex.set(key, columns.length);
+                columns.push(key);
+            }
+        });
+        objects.push(obj);
+    }
+    const toCell = (v) => v === null || v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+    const rows = objects.map(obj => columns.map(key => toCell(obj[key])));
+    return { columns, rows, skipped, truncated };
+}
+
+/**
+ * Infer a column's type from its non-empty cells and compute summary stats
+ * @returns {{ type: string, values: Array, stats: Object }} values are sortable (numbers for number/date columns)
+ */
+function analyzeDataColumn(rows, colIdx) {
+    const cells = rows.map(row => row[colIdx]);
+    const present = cells.filter(cell => cell.trim() !== '');
+    const missing = cells.length - present.length;
+
+    let type = 'string';
+    if (present.length === 0) type = 'empty';
+    else if (present.every(cell => DATA_TABLE_NUMBER_PATTERN.test(cell.trim()))) type = 'number';
+    else if (present.every(cell => /^(true|false)$/i.test(cell.trim()))) type = 'boolean';
+    else if (present.every(cell => DATA_TABLE_DATE_PATTERN.test(cell.trim()) && !isNaN(Date.parse(cell.trim())))) type = 'date';
+
+    const values = cells.map(cell => {
+        const trimmed = cell.trim();
+        if (trimmed === '') return null;
+        if (type === 'number') return parseFloat(trimmed);
+        if (type === 'date') return Date.parse(trimmed);
+        if (type === 'boolean') return trimmed.toLowerCase() === 'true';
+        return cell;
+    });
+
+    const stats = { missing };
+    const numbers = values.filter(v => v !== null);
+    if (type === 'number' || type === 'date') {
+        let sum = 0;
+        stats.min = Infinity;
+        stats.max = -Infinity;
+        numbers.forEach(v => {
+            sum += v;
+            if (v < stats.min) stats.min = v;
+            if (v > stats.max) stats.max = v;
+        });
+        if (type === 'number') stats.mean = sum / numbers.length;
+    } else if (type === 'boolean') {
+        stats.trueCount = numbers.filter(Boolean).length;
+        stats.falseCount = numbers.length - stats.trueCount;
+    } else if (type === 'string') {
+        const counts = new Map();
+        present.forEach(cell => counts.set(cell, (counts.get(cell) || 0) + 1));
+        stats.unique = counts.size;
+        let top = null;
+        counts.forEach((count, cell) => {
+            if (!top || count > top.count) top = { cell, count };
+        });
+        stats.top = top;
+    }
+    return { type, values, stats };
+}
+
+/**
+ * Format a number or date cell value for the stats line and chart axis
+ */
+function formatDataValue(value, type) {
+    if (type === 'date') return new Date(value).toISOString().slice(0, 10);
+    if (Number.isInteger(value)) return formatNumber(value);
+    return Math.abs(value) >= 1000 || Math.abs(value) < 0.01
+        ? value.toPrecision(3)
+        : value.toFixed(2);
+}
+
+function renderDataColumnStats(column) {
+    const { type, stats } = column;
+    const parts = [];
+    if (type === 'number' || type === 'date') {
+        parts.push(`${formatDataValue(stats.min, type)} – ${formatDataValue(stats.max, type)}`);
+        if (type === 'number') parts.push(`mean ${formatDataValue(stats.mean, type)}`);
+    } else if (type === 'boolean') {
+        parts.push(`${formatNumber(stats.trueCount)} true · ${formatNumber(stats.falseCount)} false`);
+    } else if (type === 'string') {
+        parts.push(`${formatNumber(stats.unique)} unique`);
+        if (stats.top && stats.top.count > 1) {
+            parts.push(`top “${stats.top.cell.length > 20 ? stats.top.cell.slice(0, 20) + '…' : stats.top.cell}” ×${formatNumber(stats.top.count)}`);
+        }
+    }
+    if (stats.missing > 0) parts.push(`${formatNumber(stats.missing)} missing`);
+    return escapeHtml(parts.join(' · '));
+}
+
+/**
+ * Render a data file as a sortable, filterable table into a container
+ * @param {Element} container - Emptied and filled with the table
+ * @param {string} content - File text
+ * @param {string} path - File path (picks the format)
+ */
+function mountDataTable(container, content, path) {
+    if (typeof content !== 'string') {
+        container.innerHTML = '<div class="data-table-invalid">No data to show (the file content is not available)</div>';
+        return;
+    }
+
+    const format = getDataTableFormat(path);
+    const { columns: names, rows, skipped, truncated } = parseDataTable(content, format);
+    const columns = names.map((name, idx) => ({ name, ...analyzeDataColumn(rows, idx) }));
+
+    // Column widths from the header and a sample of cells, in characters
+    const widths = columns.map((column, idx) => {
+        const longest = rows.slice(0, 200).reduce((max, row) => Math.max(max, row[idx].length), column.name.length + 3);
+        return Math.min(Math.max(longest, 6), 40);
+    });
+    const gridColumns = `${String(rows.length).length + 2}ch ${widths.map(w => `minmax(${w + 2}ch, 1fr)`).join(' ')}`;
+    const chartable = columns.map((column, idx) => ({ column, idx })).filter(({ column }) => column.type === 'number' || column.type === 'date');
+
+    const notes = [];
+    if (truncated) notes.push(`first ${formatNumber(DATA_TABLE_MAX_ROWS)} rows only`);
+    if (skipped > 0) notes.push(`${formatNumber(skipped)} invalid line${skipped !== 1 ? 's' : ''} skipped`);
+
+    container.innerHTML = `
+        <div class="data-table">
+            <div class="data-table-toolbar">
+                <input type="text" class="data-table-filter" placeholder="Filter rows…" spellcheck="false">
+                <span class="data-table-status"></span>
+                ${notes.length > 0 ? `<span class="data-table-note">${escapeHtml(notes.join(' · '))}</span>` : ''}
+                ${chartable.length > 0 ? `
+                    <label class="data-table-chart-select">Chart
+                        <select>
+                            <option value="">None</option>
+                            ${chartable.map(({ column, idx }) => `<option value="${idx}">${escapeHtml(column.name)}</option>`).join('')}
+                        </select>
+                    </label>
+                ` : ''}
+            </div>
+            <div class="data-table-chart" style="display: none;"></div>
+            <div class="data-table-viewport" style="--data-table-columns: ${gridColumns}">
+                <div class="data-table-head">
+                    <div class="data-table-cell data-table-rownum">#</div>
+                    ${columns.map((column, idx) => `
+                        <div class="data-table-cell data-table-th" data-col="${idx}" title="Sort by ${escapeHtml(column.name)}">
+                            <div class="data-table-th-name"><span>${escapeHtml(column.name)}</span><span class="data-table-sort"></span></div>
+                            <div class="data-table-th-type type-${column.type}">${column.type}</div>
+                            <div class="data-table-th-stats">${renderDataColumnStats(column)}</div>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="data-table-spacer"></div>
+            </div>
+        </div>
+    `;
+
+    const root = container.querySelector('.data-table');
+    const table = {
+        columns,
+        rows,
+        view: rows.map((_, idx) => idx),
+        sort: null,
+        filter: '',
+        chartColumn: null,
+        viewport: root.querySelector('.data-table-viewport')
+    };
+    dataTables.set(root, table);
+
+    table.viewport.addEventListener('scroll', () => renderDataTableRows(root));
+    root.querySelector('.data-table-head').addEventListener('click', (e) => {
+        const th = e.target.closest('.data-table-th');
+        if (!th) return;
+        const col = parseInt(th.dataset.col, 10);
+        // Ascending → descending → file order
+        if (table.sort?.col !== col) table.sort = { col, dir: 1 };
+        else if (table.sort.dir === 1) table.sort.dir = -1;
+        else table.sort = null;
+        updateDataTableView(root);
+    });
+    let filterTimer = null;
+    root.querySelector('.data-table-filter').addEventListener('input', (e) => {
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(() => {
+            table.filter = e.target.value.trim().toLowerCase();
+            updateDataTableView(root);
+        }, 150);
+    });
+    root.querySelector('.data-table-chart-select select')?.addEventListener('change', (e) => {
+        table.chartColumn = e.target.value === '' ? null : parseInt(e.target.value, 10);
+        renderDataTableChart(root);
+    });
+
+    updateDataTableView(root);
+    return root;
+}
+
+/**
+ * Re-apply the filter and sort, then redraw
+ */
+function updateDataTableView(root) {
+    const table = dataTables.get(root);
+    const { rows, filter, sort } = table;
+
+    table.view = [];
+    rows.forEach((row, idx) => {
+        if (!filter || row.some(cell => cell.toLowerCase().includes(filter))) table.view.push(idx);
+    });
+    if (sort) {
+        const values = table.columns[sort.col].values;
+        const collator = new Intl.Collator(undefined, { numeric: true });
+        table.view.sort((a, b) => {
+            const va = values[a];
+            const vb = values[b];
+            // Missing values last in both directions
+            if (va === null || vb === null) return va === vb ? a - b : va === null ? 1 : -1;
+            if (va === vb) return a - b;
+            if (typeof va === 'string') return collator.compare(va, vb) * sort.dir;
+            return (va < vb ? -1 : 1) * sort.dir;
+        });
+    }
+
+    root.querySelectorAll('.data-table-th').forEach(th => {
+        const col = parseInt(th.dataset.col, 10);
+        th.querySelector('.data-table-sort').textContent = sort?.col === col ? (sort.dir === 1 ? '▲' : '▼') : '';
+    });
+    root.querySelector('.data-table-status').textContent = filter
+        ? `${formatNumber(table.view.length)} of ${formatNumber(rows.length)} rows × ${table.columns.length} columns`
+        : `${formatNumber(rows.length)} row${rows.length !== 1 ? 's' : ''} × ${table.columns.length} column${table.columns.length !== 1 ? 's' : ''}`;
+
+    table.viewport.scrollTop = 0;
+    renderDataTableRows(root);
+    renderDataTableChart(root);
+}
+
+/**
+ * Draw the rows in (and near) the viewport
+ */
+function renderDataTableRows(root) {
+    const table = dataTables.get(root);
+    const viewport = table.viewport;
+    const spacer = viewport.querySelector('.data-table-spacer');
+    spacer.style.height = `${table.view.length * DATA_TABLE_ROW_HEIGHT}px`;
+
+    const first = Math.max(0, Math.floor(viewport.scrollTop / DATA_TABLE_ROW_HEIGHT) - DATA_TABLE_OVERSCAN_ROWS);
+    const visible = Math.ceil((viewport.clientHeight || 400) / DATA_TABLE_ROW_HEIGHT);
+    const last = Math.min(table.view.length, first + visible + DATA_TABLE_OVERSCAN_ROWS * 2);
+
+    let html = '';
+    for (let viewIdx = first; viewIdx < last; viewIdx++) {
+        const rowIdx = table.view[viewIdx];
+        const cells = table.rows[rowIdx].map((cell, col) =>
+            `<div class="data-table-cell type-${table.columns[col].type}" title="${escapeHtml(cell)}">${escapeHtml(cell)}</div>`).join('');
+        html += `<div class="data-table-row" style="top: ${viewIdx * DATA_TABLE_ROW_HEIGHT}px"><div class="data-table-cell data-table-rownum">${rowIdx + 1}</div>${cells}</div>`;
+    }
+    spacer.innerHTML = html;
+}
+
+/**
+ * Histogram of the chosen numeric or date column over the filtered rows
+ */
+function renderDataTableChart(root) {
+    const table = dataTables.get(root);
+    const chartEl = root.querySelector('.data-table-chart');
+    if (table.chartColumn === null) {
+        chartEl.style.display = 'none';
+        chartEl.innerHTML = '';
+        return;
+    }
+
+    const column = table.columns[table.chartColumn];
+    const values = table.view.map(idx => column.values[idx]).filter(v => v !== null);
+    chartEl.style.display = '';
+    if (values.length === 0) {
+        chartEl.innerHTML = '<div class="data-table-note">No values in the filtered rows</div>';
+        return;
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(v => {
+        if (v < min) min = v;
+        if (v > max) max = v;
+    });
+    const binCount = min === max ? 1 : DATA_TABLE_HISTOGRAM_BINS;
+    const binWidth = (max - min) / binCount || 1;
+    const bins = new Array(binCount).fill(0);
+    values.forEach(v => {
+        bins[Math.min(binCount - 1, Math.floor((v - min) / binWidth))]++;
+    });
+    const peak = Math.max(...bins);
+
+    const width = 640;
+    const height = 160;
+    const pad = { left: 44, right: 12, top: 10, bottom: 24 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const barW = plotW / binCount;
+
+    let svg = `<svg class="data-table-histogram" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">`;
+    [0, peak].forEach(count => {
+        const y = pad.top + (1 - count / peak) * plotH;
+        svg += `<line class="grid" x1="${pad.left}" x2="${pad.left + plotW}" y1="${y}" y2="${y}"/>`;
+        svg += `<text class="axis" x="${pad.left - 6}" y="${y + 4}" text-anchor="end">${formatNumber(count)}</text>`;
+    });
+    bins.forEach((count, idx) => {
+        const barH = count / peak * plotH;
+        const from = min + idx * binWidth;
+        const to = min === max ? max : from + binWidth;
+        const title = `${formatDataValue(from, column.type)} – ${formatDataValue(to, column.type)}: ${formatNumber(count)} row${count !== 1 ? 's' : ''}`;
+        svg += `<rect class="bar" x="${(pad.left + idx * barW + 1).toFixed(1)}" y="${(pad.top + plotH - barH).toFixed(1)}" width="${Math.max(barW - 2, 1).toFixed(1)}" height="${barH.toFixed(1)}"><title>${escapeHtml(title)}</title></rect>`;
+    });
+    svg += `<text class="axis" x="${pad.left}" y="${height - 6}">${escapeHtml(formatDataValue(min, column.type))}</text>`;
+    svg += `<text class="axis" x="${pad.left + plotW}" y="${height - 6}" text-anchor="end">${escapeHtml(formatDataValue(max, column.type))}</text>`;
+    svg += `<text class="axis" x="${pad.left + plotW / 2}" y="${height - 6}" text-anchor="middle">${escapeHtml(column.name)} (${formatNumber(values.length)} values)</text>`;
+    svg += '</svg>';
+    chartEl.innerHTML = svg;
+}
+
+// ============================================================================
+// Notebook Preview (.ipynb cells and stored outputs)
+// ============================================================================
+
+// Output MIME types in the order they're preferred (the first one a bundle has is shown)
+const NOTEBOOK_OUTPUT_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/svg+xml', 'text/html', 'text/markdown', 'text/latex', 'application/json', 'text/plain'];
+
+function isNotebookFile(path) {
+    return String(path).split('.').pop().toLowerCase() === 'ipynb';
+}
+
+/**
+ * Notebook text fields are either a string or a list of lines
+ */
+function joinNotebookText(value) {
+    return Array.isArray(value) ? value.join('') : String(value ?? '');
+}
+
+/**
+ * HTML for one stored output; HTML outputs are left as escaped text until mountNotebook sanitizes them
+ */
+function renderNotebookOutput(output) {
+    if (output.output_type === 'stream') {
+        return `<pre class="notebook-stream ${output.name === 'stderr' ? 'stderr' : ''}">${escapeHtml(joinNotebookText(output.text))}</pre>`;
+    }
+    if (output.output_type === 'error') {
+        // Tracebacks carry terminal colors
+        let state = ANSI_DEFAULT_STATE;
+        const lines = (output.traceback || [`${output.ename}: ${output.evalue}`]).join('\n').split('\n').map(raw => {
+            const { segments, endState } = parseAnsiLine(raw, state);
+            state = endState;
+            return renderLogLineHtml(segments, []);
+        });
+        return `<pre class="notebook-error">${lines.join('\n')}</pre>`;
+    }
+
+    const data = output.data || {};
+    const type = NOTEBOOK_OUTPUT_TYPES.find(t => data[t] !== undefined);
+    if (!type) return '';
+    const value = type === 'application/json' ? JSON.stringify(data[type], null, 2) : joinNotebookText(data[type]);
+    switch (type) {
+        case 'image/png':
+        case 'image/jpeg':
+        case 'image/gif':
+            return `<img class="notebook-image" src="data:${type};base64,${escapeHtml(value.replace(/\s/g, ''))}" alt="Output image">`;
+        case 'image/svg+xml':
+            // As an <img> the SVG can't run scripts
+            return `<img class="notebook-image" src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(value)}" alt="Output image">`;
+        case 'text/html':
+            return `<div class="notebook-html">${escapeHtml(value)}</div>`;
+        case 'text/markdown':
+        case 'text/latex':
+            return `<div class="notebook-markdown markdown-source">${escapeHtml(value)}</div>`;
+        default:
+            return `<pre class="notebook-text">${escapeHtml(value)}</pre>`;
+    }
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the cells of a parsed notebook, checking the parts the renderer relies on
+ * (nbformat 4 "cells", or nbformat 3 "worksheets[0].cells")
+ * @throws {Error} Describing the first problem, when the JSON isn't a notebook
+ */
+function getNotebookCells(notebook) {
+    if (!isPlainObject(notebook)) throw new Error('not a JSON object');
+    if (notebook.metadata != null && !isPlainObject(notebook.metadata)) throw new Error('"metadata" is not an object');
+
+    let cells = notebook.cells;
+    if (cells === undefined && Array.isArray(notebook.worksheets)) {
+        cells = isPlainObject(notebook.worksheets[0]) ? notebook.worksheets[0].cells ?? [] : [];
+    }
+    if (!Array.isArray(cells)) throw new Error('"cells" is not a list');
+
+    cells.forEach((cell, idx) => {
+        if (!isPlainObject(cell)) throw new Error(`cell ${idx + 1} is not an object`);
+        if (cell.outputs === undefined) return;
+        if (!Array.isArray(cell.outputs)) throw new Error(`cell ${idx + 1} "outputs" is not a list`);
+        cell.outputs.forEach(output => {
+            if (!isPlainObject(output)) throw new Error(`cell ${idx + 1} has an output that is not an object`);
+            if (output.traceback !== undefined && !Array.isArray(output.traceback)) {
+                throw new Error(`cell ${idx + 1} "traceback" is not a list`);
+            }
+            if (output.data !== undefined && !isPlainObject(output.data)) {
+                throw new Error(`cell ${idx + 1} output "data" is not an object`);
+            }
+        });
+    });
+    return cells;
+}
+
+/**
+ * HTML for a whole notebook
+ * @param {string} content - The .ipynb JSON
+ */
+function renderNotebookHtml(content) {
+    let notebook;
+    let cells;
+    try {
+        notebook = JSON.parse(content);
+        cells = getNotebookCells(notebook);
+    } catch (e) {
+        return `<div class="notebook-invalid">Not a valid notebook (${escapeHtml(e.message)})</div>`;
+    }
+    const metadata = notebook.metadata || {};
+    const language = metadata.language_info?.name || metadata.kernelspec?.language || 'python';
+
+    const cellsHtml = cells.map(cell => {
+        const source = joinNotebookText(cell.source ?? cell.input);
+        if (cell.cell_type === 'markdown') {
+            return `<div class="notebook-cell markdown"><div class="notebook-prompt"></div><div class="notebook-markdown markdown-source">${escapeHtml(source)}</div></div>`;
+        }
+        if (cell.cell_type !== 'code') {
+            return `<div class="notebook-cell raw"><div class="notebook-prompt"></div><pre class="notebook-text">${escapeHtml(source)}</pre></div>`;
+        }
+        const count = cell.execution_count ?? cell.prompt_number ?? ' ';
+        const outputs = (cell.outputs || []).map(output => {
+            const prompt = output.output_type === 'execute_result' ? `Out [${output.execution_count ?? count}]:` : '';
+            return `<div class="notebook-output"><div class="notebook-prompt out">${prompt}</div><div class="notebook-output-body">${renderNotebookOutput(output)}</div></div>`;
+        }).join('');
+        return `
+            <div class="notebook-cell code">
+                <div class="notebook-input"><div class="notebook-prompt">In [${escapeHtml(String(count))}]:</div><pre class="notebook-code"><code class="language-${escapeHtml(language)}">${escapeHtml(source)}</code></pre></div>
+                ${outputs}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="notebook">
+            <div class="notebook-meta">${escapeHtml(metadata.kernelspec?.display_name || language)} · ${cells.length} cell${cells.length !== 1 ? 's' : ''}</div>
+            ${cellsHtml || '<div class="notebook-invalid">Empty notebook</div>'}
+        </div>
+    `;
+}
+
+/**
+ * Render a notebook into a container, then render its markdown, sanitize HTML outputs
+ * and highlight code once the libraries have loaded
+ * Never rejects, so callers can fire and forget it
+ */
+async function mountNotebook(container, content) {
+    try {
+        container.innerHTML = renderNotebookHtml(content);
+    } catch (e) {
+        console.error('Failed to render notebook:', e);
+        container.innerHTML = `<div class="notebook-invalid">Not a valid notebook (${escapeHtml(e.message)})</div>`;
+        return;
+    }
+
+    try {
+        await renderMarkdownBlocks(container);
+        await loadMarkdownLibs();
+        container.querySelectorAll('.notebook-html').forEach(el => {
+            el.innerHTML = sanitizeHtml(el.textContent);
+        });
+        container.querySelectorAll('.notebook-code code').forEach(code => {
+            const language = (code.className.match(/language-([\w+-]+)/) || [])[1];
+            if (language && hljs.getLanguage(language)) hljs.highlightElement(code);
+        });
+    } catch (e) {
+        // HTML outputs stay as escaped text and code stays plain
+        console.error('Failed to finish rendering notebook:', e);
+    }
+}
+
+/**
+ * Render answers and votes - tabbed by agent, then sub-tabs for answers/votes
+ */
+function renderAnswers(data) {
+    const container = document.getElementById('answers-container');
+    // Use turn-filtered data
+    const filteredData = getDataForCurrentTurn(data);
+    const answers = filteredData.answers;
+    // Filter votes by current turn (extract turn number from compound key)
+    const allVotes = data.votes;
+    const votes = {};
+    const currentTurnNum = currentTurn ? parseInt(currentTurn.split('_')[0], 10) : null;
+    for (const [agentId, agentVotes] of Object.entries(allVotes)) {
+        const filteredVotes = agentVotes.filter(v =>
+            currentTurnNum === null || v.turn === null || v.turn === currentTurnNum
+        );
+        if (filteredVotes.length > 0) {
+            votes[agentId] = filteredVotes;
+        }
+    }
+    const winner = data.session.winner;
+    // Use turn-filtered workspace files
+    const workspaceFiles = filteredData.workspaceFiles || {};
+    const statusAgents = filteredData.status?.agents || {};
+
+    // Filter out final answers - they're shown in the Final Answer section
+    const intermediateAnswers = Object.entries(answers)
+        .filter(([label, answer]) => answer.type !== 'final_answer')
+        .sort((a, b) => a[0].localeCompare(b[0]));
+
+    // Build a map of all answer labels to their content (for vote options display)
+    const allAnswerLabels = {};
+    intermediateAnswers.forEach(([label, answer]) => {
+        // Extract short label like "1.1" from full label
+        const shortLabel = extractShortLabel(label);
+        allAnswerLabels[shortLabel] = {
+            fullLabel: label,
+            agentId: answer.agent_id,
+            content: answer.content
+        };
+    });
+
+    // Group answers by agent
+    const answersByAgent = {};
+    intermediateAnswers.forEach(([label, answer]) => {
+        const agentId = answer.agent_id;
+        if (!answersByAgent[agentId]) {
+            answersByAgent[agentId] = [];
+        }
+        answersByAgent[agentId].push({ label, answer });
+    });
+
+    // Get all agent IDs - include agents with errors but no answers
+    const allAgentIds = new Set(Object.keys(answersByAgent));
+    Object.keys(statusAgents).forEach(id => allAgentIds.add(id));
+    const agentIds = Array.from(allAgentIds).sort();
+
+    // Get error info for each agent
+    const agentErrors = {};
+    for (const [agentId, agentStatus] of Object.entries(statusAgents)) {
+        if (agentStatus.error) {
+            agentErrors[agentId] = agentStatus.error;
+        } else if (agentStatus.status === 'error') {
+            agentErrors[agentId] = { type: 'error', message: 'Agent encountered an error' };
+        }
+    }
+
+    if (agentIds.length === 0) {
+        container.innerHTML = '<div class="no-data">No agent activity recorded</div>';
+        setAnswerCompareOptions(data, []);
+        return;
+    }
+
+    // Every answer under its display label, for the compare panel
+    const compareOptions = [];
+
+    // Build agent tabs
+    let html = '<div class="agent-tabs">';
+    agentIds.forEach((agentId, index) => {
+        const isWinner = agentId === winner;
+        const isFirst = index === 0;
+        const hasError = !!agentErrors[agentId];
+        const answerCount = answersByAgent[agentId]?.length || 0;
+        html += `
+            <div class="agent-tab ${isFirst ? 'active' : ''} ${isWinner ? 'winner-tab' : ''} ${hasError ? 'error-tab' : ''}" data-agent="${escapeHtml(agentId)}">
+                ${escapeHtml(agentId)}
+                ${isWinner ? '<span class="winner-dot"></span>' : ''}
+                ${hasError && !isWinner ? '<span class="error-dot" title="Agent error">!</span>' : ''}
+                <span class="tab-count">${answerCount}</span>
+            </div>
+        `;
+    });
+    html += '</div>';
+
+    // Build content panels for each agent
+    html += '<div class="agent-panels">';
+    agentIds.forEach((agentId, agentIndex) => {
+        const agentAnswers = answersByAgent[agentId] || [];
+        const agentVotes = votes[agentId] || []; // Array of votes
+        const agentWorkspaceByTimestamp = workspaceFiles[agentId] || {}; // { timestamp: { filePath: content } }
+        const isFirst = agentIndex === 0;
+        const agentError = agentErrors[agentId];
+
+        // Determine agent number (1, 2, etc.) for answer labeling
+        const agentNum = agentIndex + 1;
+
+        html += `<div class="agent-panel ${isFirst ? 'active' : ''}" data-agent="${escapeHtml(agentId)}">`;
+
+        // Sub-tabs for Answers and Votes only (workspace is now inside each answer)
+        html += `
+            <div class="sub-tabs">
+                <div class="sub-tab active" data-subtab="answers">
+                    Answers <span class="sub-tab-count">${agentAnswers.length}</span>
+                </div>
+                <div class="sub-tab" data-subtab="votes">
+                    Votes ${agentVotes.length > 0 ? `<span class="sub-tab-count">${agentVotes.length}</span>` : ''}
+                </div>
+            </div>
+        `;
+
+        // Answers sub-panel - now includes workspace files for each answer
+        html += '<div class="sub-panel active" data-subtab="answers">';
+
+        // Show error banner if agent has error and no answers
+        if (agentError && agentAnswers.length === 0) {
+            html += `
+                <div class="agent-error-banner">
+                    <span class="error-icon">⚠️</span>
+                    <div class="error-details">
+                        <div class="error-type">${escapeHtml(agentError.type || 'Error')}</div>
+                        <div class="error-message">${escapeHtml(agentError.message || 'Agent encountered an error')}</div>
+                    </div>
+                </div>
+            `;
+        }
+
+        agentAnswers.forEach(({ label, answer }, idx) => {
+            const answerNum = idx + 1;
+            const shortLabel = `${agentNum}.${answerNum}`;
+            compareOptions.push({ key: label, shortLabel, agentId, answerNum, content: answer.content || '' });
+
+            // Get workspace files for this specific answer (by timestamp)
+            const answerTimestamp = answer.timestamp;
+            const answerWorkspace = agentWorkspaceByTimestamp[answerTimestamp] || {};
+            const wsFileCount = Object.keys(answerWorkspace).length;
+
+            html += `
+                <div class="collapsible answer-collapsible" data-label="${escapeHtml(label)}">
+                    <div class="collapsible-header">
+                        <span class="answer-num">${escapeHtml(shortLabel)}</span>
+                        <span class="answer-label-small">${escapeHtml(label)}</span>
+                        ${wsFileCount > 0 ? `<span class="ws-badge" title="Workspace files">📁 ${wsFileCount}</span>` : ''}
+                        <span class="collapsible-icon">&#x25BC;</span>
+                    </div>
+                        <div class="collapsible-content">
+                        ${answerNum > 1 ? `<button class="answer-compare-btn" data-compare-agent="${escapeHtml(agentId)}" data-answer-num="${answerNum}">⇄ Compare with ${agentNum}.${answerNum - 1}</button>` : ''}
+                        <div class="answer-text markdown-source">${escapeHtml(answer.content || 'No content available')}</div>
+                        ${wsFileCount > 0 ? renderInlineWorkspace(agentId, answerTimestamp, answerWorkspace) : ''}
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+
+        // Votes sub-panel - show ALL votes
+        html += '<div class="sub-panel" data-subtab="votes">';
+        if (agentVotes.length > 0) {
+            agentVotes.forEach((vote, voteIdx) => {
+                // Older logs get their labels from the export migrations (labelV1Votes)
+                const votedForLabel = vote.voted_for_label || vote.voted_for || 'N/A';
+                const round = vote.coordination_round || (voteIdx + 1);
+                const availableLabels = vote.available_options_labels || [];
+                const labelToAgent = vote.answer_label_to_agent || {};
+
+                html += `
+                    <div class="collapsible vote-collapsible ${voteIdx === agentVotes.length - 1 ? 'latest-vote' : ''}" data-round="${escapeHtml(String(round))}">
+                        <div class="collapsible-header">
+                            <span class="vote-round">Round ${round}</span>
+                            <span class="vote-choice">→ ${escapeHtml(votedForLabel)}</span>
+                            ${voteIdx === agentVotes.length - 1 ? '<span class="latest-badge">Latest</span>' : ''}
+                            <span class="collapsible-icon">&#x25BC;</span>
+                        </div>
+                        <div class="collapsible-content">
+                            <div class="vote-options-section">
+                                <div class="vote-options-header">Available Options:</div>
+                                <div class="vote-options-list">
+                `;
+
+                availableLabels.forEach(label => {
+                    const agentForLabel = labelToAgent[label] || '';
+                    const isSelected = label === votedForLabel;
+                    html += `
+                        <div class="vote-option ${isSelected ? 'voted-for' : ''}">
+                            <span class="vote-option-label">${escapeHtml(label)}</span>
+                            ${agentForLabel ? `<span class="vote-option-agent">(${escapeHtml(agentForLabel)})</span>` : ''}
+                            ${isSelected ? '<span class="vote-option-check">✓</span>' : ''}
+                        </div>
+                    `;
+                });
+
+                html += `
+                                </div>
+                            </div>
+                            <div class="vote-detail">
+                                <div class="vote-detail-reason">
+                                    <div class="vote-detail-label">Reason:</div>
+                                    <div class="vote-reason-text">${escapeHtml(String(vote.reason || 'No reason provided'))}</div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            });
+        } else {
+            html += '<div class="no-data">No votes recorded for this agent</div>';
+        }
+        html += '</div>';
+
+        html += '</div>'; // close agent-panel
+    });
+    html += '</div>';
+
+    container.innerHTML = html;
+    renderMarkdownBlocks(container);
+    setAnswerCompareOptions(data, compareOptions);
+    bindCompareButtons(container);
+
+    // Add click handlers for agent tabs
+    container.querySelectorAll('.agent-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            const agentId = tab.dataset.agent;
+            // Update tabs
+            container.querySelectorAll('.agent-tab').forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            // Update panels
+            container.querySelectorAll('.agent-panel').forEach(p => p.classList.remove('active'));
+            container.querySelector(`.agent-panel[data-agent="${agentId}"]`)?.classList.add('active');
+        });
+    });
+
+    // Add click handlers for sub-tabs
+    container.querySelectorAll('.sub-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            const panel = tab.closest('.agent-panel');
+            const subtab = tab.dataset.subtab;
+            // Update sub-tabs
+            panel.querySelectorAll('.sub-tab').forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            // Update sub-panels
+            panel.querySelectorAll('.sub-panel').forEach(p => p.classList.remove('active'));
+            panel.querySelector(`.sub-panel[data-subtab="${subtab}"]`)?.classList.add('active');
+        });
+    });
+
+    // Add click handlers for collapsibles
+    container.querySelectorAll('.collapsible-header').forEach(header => {
+        header.addEventListener('click', () => {
+            header.parentElement.classList.toggle('open');
+        });
+    });
+}
+
+/**
+ * Extract short label like "1.1" from full answer label
+ */
+function extractShortLabel(fullLabel) {
+    // Try to find pattern like "agent1.1" or similar
+    const match = fullLabel.match(/(\d+)\.?(\d+)?$/);
+    if (match) {
+        return match[2] ? `${match[1]}.${match[2]}` : match[1];
+    }
+    // Fallback - use last part after dot
+    const parts = fullLabel.split('.');
+    return parts[parts.length - 1] || fullLabel;
+}
+
+// ============================================================================
+// Vote Overview (matrix per coordination round, vote share over time)
+// ============================================================================
+
+// Line colors for the vote share chart, cycled per answer label
+const VOTE_SHARE_COLORS = ['#7dcfff', '#9ece6a', '#bb9af7', '#e0af68', '#f7768e', '#73daca', '#ff9e64', '#2ac3de'];
+
+/**
+ * Parse a vote folder timestamp (YYYYMMDD_HHMMSS[_micro]) to epoch seconds, or null
+ */
+function parseFolderTimestamp(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})(?:_?(\d+))?/);
+    if (!match) return null;
+    const [, y, mo, d, h, mi, sec, frac] = match;
+    const ms = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+    return ms / 1000 + (frac ? parseFloat(`0.${frac}`) : 0);
+}
+
+/**
+ * The current turn's votes in the order they were cast, with display labels
+ * @returns {Array<{ voter, candidate, label, round, time, vote }>}
+ */
+function getTurnVoteSequence(data) {
+    const currentTurnNum = currentTurn ? parseInt(currentTurn.split('_')[0], 10) : null;
+    const sequence = [];
+    for (const [agentId, agentVotes] of Object.entries(data.votes || {})) {
+        agentVotes
+            .filter(v => currentTurnNum === null || v.turn === null || v.turn === currentTurnNum)
+            .forEach((vote, idx) => {
+                const rawLabel = vote.voted_for_label || vote.voted_for || '?';
+                sequence.push({
+                    voter: vote.voter_id || agentId,
+                    candidate: vote.voted_for || vote.answer_label_to_agent?.[rawLabel] || rawLabel,
+                    label: extractShortLabel(rawLabel),
+                    round: vote.coordination_round ?? idx + 1,
+                    time: parseFolderTimestamp(vote.timestamp),
+                    vote
+                });
+            });
+    }
+    return sequence.sort((a, b) =>
+        (a.round - b.round) || ((a.time ?? 0) - (b.time ?? 0)) || a.voter.localeCompare(b.voter)
+    );
+}
+
+/**
+ * Find the vote that decided the winner: in the last round, the vote after which
+ * the winner led every other candidate for the rest of the round
+ */
+function findDecidingVote(roundVotes, winner) {
+    if (!winner) return null;
+    const counts = {};
+    let deciding = null;
+    roundVotes.forEach(entry => {
+        counts[entry.candidate] = (counts[entry.candidate] || 0) + 1;
+        const winnerCount = counts[winner] || 0;
+        const bestOther = Math.max(0, ...Object.entries(counts).filter(([c]) => c !== winner).map(([, n]) => n));
+        if (winnerCount > bestOther) {
+            if (!deciding) deciding = entry;
+        } else {
+            deciding = null;
+        }
+    });
+    return deciding;
+}
+
+/**
+ * Render the vote matrices and the vote share chart
+ */
+function renderVoteOverview(data) {
+    const section = document.getElementById('votes-section');
+    const container = document.getElementById('votes-overview');
+    if (!section || !container) return;
+
+    const sequence = getTurnVoteSequence(data);
+    if (sequence.length === 0) {
+        section.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+    section.style.display = '';
+
+    const filteredData = getDataForCurrentTurn(data);
+    const winner = filteredData.status?.results?.winner ||
+        filteredData.coordination?.session_metadata?.final_winner ||
+        data.session.winner;
+
+    const rounds = Array.from(new Set(sequence.map(entry => entry.round))).sort((a, b) => a - b);
+    const lastRound = rounds[rounds.length - 1];
+    const deciding = findDecidingVote(sequence.filter(entry => entry.round === lastRound), winner);
+
+    // Track each voter's previous choice to flag changes between rounds
+    const previousChoice = {};
+    let html = '<div class="vote-matrices">';
+    rounds.forEach(round => {
+        const roundVotes = sequence.filter(entry => entry.round === round);
+        const voters = Array.from(new Set(roundVotes.map(entry => entry.voter))).sort();
+        // Candidates: every option shown to the voters plus anything voted for
+        const candidates = new Set();
+        roundVotes.forEach(entry => {
+            (entry.vote.available_options_labels || []).forEach(label => {
+                candidates.add(entry.vote.answer_label_to_agent?.[label] || label);
+            });
+            candidates.add(entry.candidate);
+        });
+        const candidateList = Array.from(candidates).sort();
+
+        const tally = {};
+        roundVotes.forEach(entry => { tally[entry.candidate] = (tally[entry.candidate] || 0) + 1; });
+        const top = Math.max(...Object.values(tally));
+        const leaders = Object.keys(tally).filter(c => tally[c] === top);
+        const isTie = leaders.length > 1;
+
+        html += `
+            <div class="vote-matrix">
+                <div class="vote-matrix-title">
+                    Round ${escapeHtml(String(round))}
+                    ${isTie ? `<span class="vote-flag tie" title="Tied between ${escapeHtml(leaders.join(', '))}">Tie</span>` : ''}
+                    ${round === lastRound && winner ? `<span class="vote-matrix-winner">Winner: ${escapeHtml(winner)}</span>` : ''}
+                </div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Voter ↓ / Candidate →</th>
+                            ${candidateList.map(c => `<th class="${c === winner ? 'winner' : ''}">${escapeHtml(c)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        voters.forEach(voter => {
+            const entries = roundVotes.filter(entry => entry.voter === voter);
+            const latest = entries[entries.length - 1];
+            const changedFrom = previousChoice[voter] && previousChoice[voter] !== latest.candidate ? previousChoice[voter] : null;
+            previousChoice[voter] = latest.candidate;
+
+            html += `<tr><th>${escapeHtml(voter)}${changedFrom ? ` <span class="vote-flag changed" title="Changed from ${escapeHtml(changedFrom)}">changed</span>` : ''}</th>`;
+            candidateList.forEach(candidate => {
+                const votedHere = entries.filter(entry => entry.candidate === candidate);
+                if (votedHere.length === 0) {
+                    html += '<td></td>';
+                    return;
+                }
+                const isDeciding = votedHere.includes(deciding);
+                const reason = votedHere[votedHere.length - 1].vote.reason;
+                const title = `${voter} → ${votedHere.map(e => e.label).join(', ')}${isDeciding ? '\nDeciding vote' : ''}${reason ? `\n\n${reason}` : ''}`;
+                html += `<td class="voted ${isDeciding ? 'deciding' : ''}" title="${escapeHtml(title)}">${escapeHtml(votedHere.map(e => e.label).join(', '))}${isDeciding ? ' ★' : ''}</td>`;
+            });
+            html += '</tr>';
+        });
+        html += `
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th>Votes</th>
+                            ${candidateList.map(c => `<td class="${leaders.includes(c) ? 'leader' : ''}">${tally[c] || 0}</td>`).join('')}
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    });
+    html += '</div>';
+
+    html += renderVoteShareChart(sequence);
+    html += `
+        <div class="vote-overview-legend">
+            <span class="legend-item"><span class="vote-deciding-swatch">★</span> Deciding vote</span>
+            <span class="legend-item"><span class="vote-flag tie">Tie</span> Top candidates tied</span>
+            <span class="legend-item"><span class="vote-flag changed">changed</span> Voter switched candidates since their previous round</span>
+        </div>
+    `;
+
+    container.innerHTML = html;
+}
+
+/**
+ * Line chart of each answer label's share of the current votes after every vote
+ * (a voter's later vote replaces their earlier one)
+ */
+function renderVoteShareChart(sequence) {
+    const width = 640;
+    const height = 220;
+    const pad = { left: 40, right: 90, top: 12, bottom: 28 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+
+    const labels = Array.from(new Set(sequence.map(entry => entry.label)));
+    const current = {};
+    const points = sequence.map(entry => {
+        current[entry.voter] = entry.label;
+        const total = Object.keys(current).length;
+        const shares = {};
+        labels.forEach(label => {
+            shares[label] = Object.values(current).filter(l => l === label).length / total;
+        });
+        return shares;
+    });
 
-            // Expand the latest vote (or specific round if provided)
-            setTimeout(() => {
-                const voteCollapsibles = panel.querySelectorAll('.vote-collapsible');
-                if (voteCollapsibles.length > 0) {
-                    // Expand the latest vote (last one)
-                    const targetVote = voteCollapsibles[voteCollapsibles.length - 1];
-                    targetVote.classList.add('open');
-                    targetVote.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                    // Add highlight effect
-                    targetVote.classList.add('highlight-flash');
-                    setTimeout(() => targetVote.classList.remove('highlight-flash'), 2000);
-                }
-            }, 100);
-        }
-    }, 50);
+    const x = (idx) => pad.left + (sequence.length === 1 ? plotW / 2 : idx / (sequence.length - 1) * plotW);
+    const y = (share) => pad.top + (1 - share) * plotH;
+
+    let svg = `<svg class="vote-share-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">`;
+    [0, 0.5, 1].forEach(share => {
+        svg += `<line class="grid" x1="${pad.left}" x2="${pad.left + plotW}" y1="${y(share)}" y2="${y(share)}"/>`;
+        svg += `<text class="axis" x="${pad.left - 6}" y="${y(share) + 4}" text-anchor="end">${share * 100}%</text>`;
+    });
+    svg += `<text class="axis" x="${pad.left + plotW / 2}" y="${height - 6}" text-anchor="middle">Votes cast (in order)</text>`;
+
+    labels.forEach((label, labelIdx) => {
+        const color = VOTE_SHARE_COLORS[labelIdx % VOTE_SHARE_COLORS.length];
+        const path = points.map((shares, idx) => `${idx === 0 ? 'M' : 'L'} ${x(idx).toFixed(1)} ${y(shares[label]).toFixed(1)}`).join(' ');
+        svg += `<path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>`;
+        points.forEach((shares, idx) => {
+            const entry = sequence[idx];
+            if (entry.label !== label) return;
+            const when = entry.time !== null ? ` at ${new Date(entry.time * 1000).toISOString().slice(11, 19)}` : '';
+            const title = `Vote ${idx + 1} (round ${entry.round}${when}): ${entry.voter} → ${label}\n${label}: ${(shares[label] * 100).toFixed(0)}% of current votes`;
+            svg += `<circle cx="${x(idx).toFixed(1)}" cy="${y(shares[label]).toFixed(1)}" r="4" fill="${color}"><title>${escapeHtml(title)}</title></circle>`;
+        });
+        const last = points[points.length - 1][label];
+        svg += `<text class="series-label" x="${pad.left + plotW + 8}" y="${y(last) + 4}" fill="${color}">${escapeHtml(label)} ${(last * 100).toFixed(0)}%</text>`;
+    });
+    svg += '</svg>';
+
+    return `
+        <div class="vote-share">
+            <div class="vote-matrix-title">Vote share over time</div>
+            ${svg}
+        </div>
+    `;
+}
+
+// ============================================================================
+// Global Search (Ctrl/Cmd+K across every turn)
+// ============================================================================
+
+// Result groups, in display order
+const SEARCH_SOURCES = {
+    answer: 'Answers',
+    vote: 'Vote reasons',
+    final: 'Final answer',
+    log: 'Agent output logs',
+    workspace: 'Workspace files',
+    config: 'Configuration'
+};
+const SEARCH_MAX_RESULTS = 500;
+const SEARCH_MAX_MATCHES_PER_DOCUMENT = 50;
+// Characters of context shown on each side of a match
+const SEARCH_SNIPPET_CONTEXT = 60;
+const SEARCH_DEBOUNCE_MS = 150;
+
+// The index is rebuilt whenever sessionData is replaced (a new session or a live update)
+const searchState = {
+    open: false,
+    caseSensitive: false,
+    regex: false,
+    index: null,
+    indexedData: null,
+    pattern: null,
+    results: [],
+    active: -1,
+    timer: null
 };
 
 /**
- * Navigate to final answer section
+ * Collect every searchable text in the session, across all turns
+ * @returns {Array<{ source, turnKey, title, text, target }>}
  */
-window.navigateToFinalAnswer = function() {
-    const finalAnswerSection = document.querySelector('.final-answer-section');
-    if (finalAnswerSection) {
-        finalAnswerSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        // Add highlight effect
-        finalAnswerSection.classList.add('highlight-flash');
-        setTimeout(() => finalAnswerSection.classList.remove('highlight-flash'), 2000);
+function buildSearchIndex(data) {
+    const documents = [];
+    const add = (source, path, title, text, target = {}) => {
+        if (typeof text !== 'string' || !text) return;
+        const turnKey = path ? extractTurnAttemptFromPath(path)?.key || null : null;
+        documents.push({ source, turnKey, title, text, target });
+    };
+
+    for (const [path, content] of Object.entries(data.files || {})) {
+        const entry = classifyExportPath(path);
+        if (!entry) continue;
+        const { agentId, timestamp } = entry;
+
+        if (entry.kind === 'final_answer' && typeof content === 'string') {
+            add('final', path, 'Final answer', content);
+        } else if (entry.kind === 'answer' && typeof content === 'string') {
+            add('answer', path, `${agentId} · ${timestamp}`, content, { agentId, label: `${agentId}.${timestamp}` });
+        } else if (entry.kind === 'vote' && content && typeof content === 'object') {
+            const round = content.coordination_round;
+            add('vote', path, `${agentId} · ${round ? `round ${round}` : timestamp} → ${content.voted_for_label || content.voted_for || '?'}`,
+                content.reason ? String(content.reason) : '', { agentId, round });
+        } else if (entry.kind === 'log') {
+            add('log', path, entry.logName, getPlainLogText(content), { agentId: entry.logName });
+        } else if (entry.kind === 'workspace' && typeof content === 'string' && !getWorkspaceFileType(entry.relativePath, content).binary) {
+            const { relativePath } = entry;
+            add('workspace', path, `${agentId === 'final' ? 'final answer' : `${agentId} · ${timestamp}`} · ${relativePath}`, content,
+                { agentId, timestamp, filePath: relativePath });
+        }
     }
-};
+
+    const config = data.executionMetadata;
+    if (config) {
+        add('config', null, 'Execution metadata', config._raw || JSON.stringify(config, null, 2));
+    }
+    return documents;
+}
 
 /**
- * Render inline workspace files within an answer - split pane layout
+ * Build the search RegExp from the query and options
+ * @throws {SyntaxError} For an invalid regular expression
  */
-function renderInlineWorkspace(agentId, timestamp, workspaceFiles) {
-    const fileEntries = Object.entries(workspaceFiles).sort();
-    if (fileEntries.length === 0) return '';
-
-    const workspaceId = `ws_${agentId}_${timestamp}`.replace(/[^a-zA-Z0-9]/g, '_');
+function buildSearchPattern(query) {
+    const source = searchState.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, searchState.caseSensitive ? 'g' : 'gi');
+}
 
-    // Build file tree (left pane)
-    let fileTreeHtml = '';
-    for (const [filePath, content] of fileEntries) {
-        const fileExt = filePath.split('.').pop().toLowerCase();
-        const fileId = `${agentId}__${timestamp}__${filePath}`.replace(/[^a-zA-Z0-9]/g, '_');
+/**
+ * Find matches of a pattern in every indexed document
+ * @returns {Array<{ docIndex, start, end, matchIndex }>}
+ */
+function searchDocuments(documents, pattern) {
+    const results = [];
+    documents.forEach((doc, docIndex) => {
+        pattern.lastIndex = 0;
+        let matchIndex = 0;
+        let match;
+        while (matchIndex < SEARCH_MAX_MATCHES_PER_DOCUMENT && results.length < SEARCH_MAX_RESULTS &&
+            (match = pattern.exec(doc.text)) !== null) {
+            if (match[0] === '') {
+                // Zero-length matches (e.g. /^/m) would loop forever and highlight nothing
+                pattern.lastIndex++;
+                continue;
+            }
+            results.push({ docIndex, start: match.index, end: match.index + match[0].length, matchIndex });
+            matchIndex++;
+        }
+    });
+    return results;
+}
 
-        // Check if this is a binary/base64 file
-        const isBinaryFile = ['pdf', 'pptx', 'docx', 'xlsx', 'png', 'jpg', 'jpeg', 'gif', 'webp'].includes(fileExt);
-        // For binary files, calculate size from base64 (base64 is ~4/3 of original size)
-        const estimatedSize = isBinaryFile ? Math.floor(content.length * 0.75) : content.length;
-        const sizeStr = estimatedSize > 1024
-            ? `${(estimatedSize / 1024).toFixed(1)} KB`
-            : `${estimatedSize} B`;
+/**
+ * Display name for a turn key like "2_1"
+ */
+function formatSearchTurn(turnKey) {
+    if (!turnKey) return 'All turns';
+    const [turn, attempt] = turnKey.split('_');
+    return attempt && attempt !== '1' ? `Turn ${turn} · attempt ${attempt}` : `Turn ${turn}`;
+}
 
-        const isPreviewable = window.canPreviewArtifact ? window.canPreviewArtifact(filePath, content) : false;
+/**
+ * A match with surrounding context on one line, the match itself highlighted
+ */
+function renderSearchSnippet(text, start, end) {
+    const from = Math.max(0, start - SEARCH_SNIPPET_CONTEXT);
+    const to = Math.min(text.length, end + SEARCH_SNIPPET_CONTEXT);
+    const flatten = (value) => value.replace(/\s+/g, ' ');
+    return `${from > 0 ? '…' : ''}${escapeHtml(flatten(text.slice(from, start)))}<mark>${escapeHtml(flatten(text.slice(start, end)))}</mark>${escapeHtml(flatten(text.slice(end, to)))}${to < text.length ? '…' : ''}`;
+}
 
-        const fileName = filePath.split('/').pop();
-        fileTreeHtml += `
-            <div class="ws-tree-file" data-file-id="${fileId}" data-workspace-id="${workspaceId}" onclick="selectWorkspaceFile('${workspaceId}', '${fileId}')" title="${escapeHtml(fileName)}">
-                <span class="ws-tree-icon">${getFileIcon(fileExt)}</span>
-                <span class="ws-tree-name">${escapeHtml(fileName)}</span>
-                <span class="ws-tree-size">${sizeStr}</span>
-            </div>
-        `;
+/**
+ * Run the query in the search box and render grouped results
+ */
+function runSearch() {
+    const input = document.getElementById('search-input');
+    const resultsEl = document.getElementById('search-results');
+    const summaryEl = document.getElementById('search-summary');
+    if (!input || !resultsEl || !summaryEl) return;
+
+    const query = input.value;
+    searchState.results = [];
+    searchState.active = -1;
+    if (!query) {
+        summaryEl.textContent = 'Searches answers, vote reasons, agent logs, the final answer, config and text workspace files in every turn';
+        resultsEl.innerHTML = '';
+        return;
     }
 
-    // Build preview pane data (stored in JS, rendered on selection)
-    const previewDataScript = `
-        <script type="application/json" id="ws-data-${workspaceId}">
-            ${JSON.stringify(Object.fromEntries(fileEntries.map(([path, content]) => {
-                const ext = path.split('.').pop().toLowerCase();
-                const isBinary = ['pdf', 'pptx', 'docx', 'xlsx', 'png', 'jpg', 'jpeg', 'gif', 'webp'].includes(ext);
-                const pdfPath = path + '.pdf';
-                const hasPdfVersion = isOfficeDocument(path) && workspaceFiles[pdfPath];
-                return [
-                    `${agentId}__${timestamp}__${path}`.replace(/[^a-zA-Z0-9]/g, '_'),
-                    { path, content, ext, isBinary, hasPdfVersion, pdfPath: hasPdfVersion ? pdfPath : null }
-                ];
-            })))}
-        </script>
-    `;
+    try {
+        searchState.pattern = buildSearchPattern(query);
+    } catch (e) {
+        summaryEl.innerHTML = `<span class="search-error">${escapeHtml(e.message)}</span>`;
+        resultsEl.innerHTML = '';
+        return;
+    }
 
-    // Get first file for initial preview
-    const firstFileId = fileEntries.length > 0
-        ? `${agentId}__${timestamp}__${fileEntries[0][0]}`.replace(/[^a-zA-Z0-9]/g, '_')
-        : null;
+    if (searchState.indexedData !== sessionData) {
+        searchState.index = buildSearchIndex(sessionData);
+        searchState.indexedData = sessionData;
+    }
+    const documents = searchState.index;
+    const matches = searchDocuments(documents, searchState.pattern);
+
+    // Group by source, then turn
+    const sourceOrder = Object.keys(SEARCH_SOURCES);
+    const groups = new Map();
+    matches.forEach(match => {
+        const doc = documents[match.docIndex];
+        const key = `${doc.source}|${doc.turnKey || ''}`;
+        if (!groups.has(key)) groups.set(key, { source: doc.source, turnKey: doc.turnKey, matches: [] });
+        groups.get(key).matches.push(match);
+    });
+    const turnSortKey = (turnKey) => (turnKey || '0_0').split('_').map(n => parseInt(n, 10));
+    const sortedGroups = Array.from(groups.values()).sort((a, b) => {
+        const bySource = sourceOrder.indexOf(a.source) - sourceOrder.indexOf(b.source);
+        if (bySource !== 0) return bySource;
+        const [ta, aa] = turnSortKey(a.turnKey);
+        const [tb, ab] = turnSortKey(b.turnKey);
+        return (ta - tb) || (aa - ab);
+    });
 
-    const html = `
-        <div class="inline-workspace split-pane" id="${workspaceId}">
-            <div class="inline-workspace-header">
-                <span class="inline-ws-icon">📁</span>
-                <span class="inline-ws-title">Workspace Files (${fileEntries.length})</span>
-            </div>
-            <div class="ws-split-container">
-                <div class="ws-file-tree">
-                    ${fileTreeHtml}
+    let html = '';
+    sortedGroups.forEach(group => {
+        html += `
+            <div class="search-group">
+                <div class="search-group-title">
+                    ${escapeHtml(SEARCH_SOURCES[group.source])}
+                    <span class="search-group-turn">${escapeHtml(formatSearchTurn(group.turnKey))}</span>
+                    <span class="search-group-count">${group.matches.length}</span>
                 </div>
-                <div class="ws-preview-pane" id="preview-${workspaceId}">
-                    <div class="ws-preview-placeholder">
-                        <span>👈 Select a file to preview</span>
-                    </div>
+        `;
+        group.matches.forEach(match => {
+            const doc = documents[match.docIndex];
+            const resultIndex = searchState.results.length;
+            searchState.results.push(match);
+            html += `
+                <div class="search-result" data-index="${resultIndex}" onclick="openSearchResult(${resultIndex})">
+                    <div class="search-result-title">${escapeHtml(doc.title)}</div>
+                    <div class="search-result-snippet">${renderSearchSnippet(doc.text, match.start, match.end)}</div>
                 </div>
-            </div>
-            ${previewDataScript}
-        </div>
-    `;
+            `;
+        });
+        html += '</div>';
+    });
 
-    // Auto-select first file after render
-    if (firstFileId) {
-        setTimeout(() => selectWorkspaceFile(workspaceId, firstFileId), 0);
+    const count = searchState.results.length;
+    summaryEl.textContent = count === 0
+        ? 'No matches'
+        : `${count}${count >= SEARCH_MAX_RESULTS ? '+' : ''} match${count !== 1 ? 'es' : ''} in ${new Set(matches.map(m => m.docIndex)).size} of ${documents.length} documents`;
+    resultsEl.innerHTML = html;
+    if (count > 0) setActiveSearchResult(0);
+}
+
+/**
+ * Move the keyboard selection in the result list
+ */
+function setActiveSearchResult(index) {
+    const resultsEl = document.getElementById('search-results');
+    if (!resultsEl || searchState.results.length === 0) return;
+    searchState.active = Math.max(0, Math.min(index, searchState.results.length - 1));
+    resultsEl.querySelectorAll('.search-result').forEach(el => {
+        el.classList.toggle('active', el.dataset.index === String(searchState.active));
+    });
+    resultsEl.querySelector('.search-result.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+window.openSearch = function() {
+    const overlay = document.getElementById('search-overlay');
+    const input = document.getElementById('search-input');
+    if (!overlay || !input) return;
+    searchState.open = true;
+    overlay.classList.add('active');
+    input.focus();
+    input.select();
+    runSearch();
+};
+
+window.closeSearch = function() {
+    searchState.open = false;
+    clearTimeout(searchState.timer);
+    document.getElementById('search-overlay')?.classList.remove('active');
+};
+
+window.scheduleSearch = function() {
+    clearTimeout(searchState.timer);
+    searchState.timer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+};
+
+window.toggleSearchOption = function(option) {
+    searchState[option] = !searchState[option];
+    document.getElementById(`search-option-${option}`)?.classList.toggle('active', searchState[option]);
+    runSearch();
+    document.getElementById('search-input')?.focus();
+};
+
+window.handleSearchKey = function(event) {
+    if (event.key === 'ArrowDown') {
+        event.preventDefault();
+        setActiveSearchResult(searchState.active + 1);
+    } else if (event.key === 'ArrowUp') {
+        event.preventDefault();
+        setActiveSearchResult(searchState.active - 1);
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        // Results may be a keystroke behind the debounce
+        clearTimeout(searchState.timer);
+        if (searchState.active < 0) runSearch();
+        if (searchState.active >= 0) openSearchResult(searchState.active);
     }
+};
 
-    return html;
+/**
+ * Switch to an agent's tab and sub-tab in Agent Activity
+ * @returns {Element|null} The agent's panel
+ */
+function revealAgentPanel(agentId, subtab) {
+    const container = document.getElementById('answers-container');
+    if (!container) return null;
+    container.querySelector(`.agent-tab[data-agent="${agentId}"]`)?.click();
+    const panel = container.querySelector(`.agent-panel[data-agent="${agentId}"]`);
+    panel?.querySelector(`.sub-tab[data-subtab="${subtab}"]`)?.click();
+    return panel;
 }
 
 /**
- * Select and preview a file in the split-pane workspace
+ * Open the answer collapsible for a full answer label (agent_a.20250101_120000)
  */
-function selectWorkspaceFile(workspaceId, fileId) {
-    const workspace = document.getElementById(workspaceId);
-    if (!workspace) return;
+function revealAnswer(agentId, label) {
+    const panel = revealAgentPanel(agentId, 'answers');
+    const collapsible = Array.from(panel?.querySelectorAll('.answer-collapsible') || [])
+        .find(el => el.dataset.label === label);
+    collapsible?.classList.add('open');
+    return collapsible || null;
+}
 
-    // Update selected state in file tree
-    workspace.querySelectorAll('.ws-tree-file').forEach(f => f.classList.remove('selected'));
-    const selectedFile = workspace.querySelector(`.ws-tree-file[data-file-id="${fileId}"]`);
-    if (selectedFile) selectedFile.classList.add('selected');
+/**
+ * Show a search result's document in the page (opening tabs and collapsibles)
+ * @returns {Element|null} The element holding the document's text
+ */
+function revealSearchTarget(doc, result) {
+    const { agentId, label, round, timestamp, filePath } = doc.target;
+    switch (doc.source) {
+        case 'answer':
+            return revealAnswer(agentId, label)?.querySelector('.answer-text') || null;
+        case 'vote': {
+            const panel = revealAgentPanel(agentId, 'votes');
+            const votes = Array.from(panel?.querySelectorAll('.vote-collapsible') || []);
+            const vote = votes.find(el => round && el.dataset.round === String(round)) || votes[votes.length - 1];
+            vote?.classList.add('open');
+            return vote?.querySelector('.vote-reason-text') || null;
+        }
+        case 'final':
+            return document.querySelector('#final-answer .final-answer-text');
+        case 'log': {
+            // Logs are virtualized, so the viewer highlights the match itself
+            const lineStart = doc.text.lastIndexOf('\n', result.start - 1) + 1;
+            const lineEnd = doc.text.indexOf('\n', result.start);
+            const lineIdx = doc.text.slice(0, lineStart).split('\n').length - 1;
+            clearSearchHighlights();
+            revealAgentLogLine(agentId, lineIdx, result.start - lineStart,
+                Math.min(result.end, lineEnd < 0 ? doc.text.length : lineEnd) - lineStart);
+            return null;
+        }
+        case 'config': {
+            const collapsible = document.querySelector('#config-container .collapsible');
+            collapsible?.classList.add('open');
+            return collapsible?.querySelector('.config-block') || null;
+        }
+        case 'workspace': {
+            // Workspaces are shown inline with the answer they were saved with (or the final answer)
+            if (agentId !== 'final' && !revealAnswer(agentId, `${agentId}.${timestamp}`)) return null;
+            const workspaceId = `ws_${agentId}_${timestamp}`.replace(/[^a-zA-Z0-9]/g, '_');
+            const fileId = `${agentId}__${timestamp}__${filePath}`.replace(/[^a-zA-Z0-9]/g, '_');
+            if (!document.getElementById(workspaceId)) return null;
+            selectWorkspaceFile(workspaceId, fileId);
+            return document.querySelector(`#preview-${workspaceId} .ws-preview-content`);
+        }
+        default:
+            return null;
+    }
+}
 
-    // Get file data from embedded JSON
-    const dataScript = document.getElementById(`ws-data-${workspaceId}`);
-    if (!dataScript) return;
+/**
+ * Remove the previous search's highlight
+ */
+function clearSearchHighlights() {
+    logViewers.forEach(viewer => { viewer.highlight = null; });
+    document.querySelectorAll('mark.search-hit').forEach(mark => {
+        const parent = mark.parentNode;
+        mark.replaceWith(...mark.childNodes);
+        parent.normalize();
+    });
+}
 
-    let filesData;
-    try {
-        filesData = JSON.parse(dataScript.textContent);
-    } catch (e) {
-        console.error('Failed to parse workspace data:', e);
-        return;
+/**
+ * Wrap the result's match inside an element in a <mark> and scroll to it
+ * Rendered markdown differs from the source text, so the pattern is run again on the
+ * element's own text and the same-numbered match is used
+ */
+async function highlightSearchMatch(root, result) {
+    clearSearchHighlights();
+    // Markdown may still be waiting on its libraries; highlight the rendered text
+    if (root.classList.contains('markdown-source')) {
+        await renderMarkdownBlocks(root.parentElement);
+    }
+    // Code is re-rendered once highlighted; only its source lines count as text
+    const codeViewer = root.querySelector('.code-viewer');
+    if (codeViewer) {
+        await highlightCodeViewer(codeViewer);
     }
 
-    const fileData = filesData[fileId];
-    if (!fileData) return;
+    const nodes = [];
+    let text = '';
+    let codeLine = null;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const parent = walker.currentNode.parentElement;
+        if (codeViewer) {
+            const lineEl = parent.closest('.code-line');
+            if (!lineEl || parent.closest('.code-gutter')) continue;
+            // Empty lines have no text node, so count the line breaks between numbers
+            const line = parseInt(lineEl.dataset.line, 10);
+            if (codeLine !== null) text += '\n'.repeat(line - codeLine);
+            codeLine = line;
+        }
+        nodes.push({ node: walker.currentNode, start: text.length });
+        text += walker.currentNode.nodeValue;
+    }
 
-    const previewPane = document.getElementById(`preview-${workspaceId}`);
-    if (!previewPane) return;
+    const found = searchDocuments([{ text }], searchState.pattern);
+    const match = found[Math.min(result.matchIndex, found.length - 1)];
+    if (!match) {
+        root.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        root.classList.add('highlight-flash');
+        setTimeout(() => root.classList.remove('highlight-flash'), 2000);
+        return;
+    }
 
-    // Build preview content
-    const { path, content, ext, isBinary, hasPdfVersion, pdfPath } = fileData;
-    const isPdf = ext === 'pdf';
-    const isImage = ['png', 'jpg', 'jpeg', 'gif', 'webp'].includes(ext);
-    const isPreviewable = window.canPreviewArtifact ? window.canPreviewArtifact(path, content) : false;
+    const startEntry = nodes.filter(n => n.start <= match.start).pop();
+    const endEntry = nodes.filter(n => n.start < match.end).pop();
+    const range = document.createRange();
+    range.setStart(startEntry.node, match.start - startEntry.start);
+    range.setEnd(endEntry.node, match.end - endEntry.start);
+    const mark = document.createElement('mark');
+    mark.className = 'search-hit';
+    mark.appendChild(range.extractContents());
+    range.insertNode(mark);
+    const markLine = mark.closest('.code-line');
+    if (markLine) {
+        // Unfold around the match
+        const lineNumber = parseInt(markLine.dataset.line, 10);
+        highlightCodeLines(codeViewer, lineNumber, lineNumber, false);
+    }
+    mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
 
-    // Action buttons
-    const previewButton = isPreviewable
-        ? `<button class="ws-action-btn preview-btn" onclick="event.stopPropagation(); openArtifactPreviewFromElement(this)" data-filename="${escapeHtml(path)}" data-fileid="${fileId}" data-has-pdf="${hasPdfVersion}" data-pdf-path="${hasPdfVersion ? escapeHtml(pdfPath) : ''}">👁️ Preview</button>`
-        : '';
+/**
+ * Jump to a search result: switch turns, open its tab or collapsible and highlight the match
+ */
+window.openSearchResult = async function(resultIndex) {
+    const result = searchState.results[resultIndex];
+    if (!result) return;
+    const doc = searchState.index[result.docIndex];
+    closeSearch();
+
+    if (doc.turnKey && doc.turnKey !== currentTurn && sessionData.perTurnData?.[doc.turnKey]) {
+        setCurrentTurn(doc.turnKey);
+        // Let the re-render's deferred work (workspace auto-select) run before highlighting
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    const target = revealSearchTarget(doc, result);
+    if (target) {
+        await highlightSearchMatch(target, result);
+    }
+};
 
-    let contentHtml;
-    if (isPdf) {
-        // Use Blob URL to bypass Chrome's ~2MB data URI limit for iframes
-        const blobUrl = base64ToBlobUrl(content, 'application/pdf');
-        if (blobUrl) {
-            contentHtml = `
-                <div class="ws-preview-content pdf">
-                    <iframe src="${blobUrl}" style="width:100%; height:100%; border:none;"></iframe>
-                </div>
-            `;
+document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        // Only once a session is showing
+        if (!sessionData.files) return;
+        e.preventDefault();
+        if (searchState.open) {
+            closeSearch();
         } else {
-            // Fallback if blob creation fails
-            contentHtml = `
-                <div class="ws-preview-content binary">
-                    <div class="ws-binary-notice">
-                        <span class="ws-binary-icon">📄</span>
-                        <p>PDF file</p>
-                        <p class="ws-binary-hint">Use Download to view</p>
-                    </div>
-                </div>
-            `;
+            openSearch();
         }
-    } else if (isImage) {
-        const mimeType = ext === 'png' ? 'image/png' :
-                       ext === 'gif' ? 'image/gif' :
-                       ext === 'webp' ? 'image/webp' : 'image/jpeg';
-        contentHtml = `
-            <div class="ws-preview-content image">
-                <img src="data:${mimeType};base64,${content}" />
-            </div>
-        `;
-    } else if (isBinary) {
-        contentHtml = `
-            <div class="ws-preview-content binary">
-                <div class="ws-binary-notice">
-                    <span class="ws-binary-icon">📄</span>
-                    <p>Binary file (${ext.toUpperCase()})</p>
-                    <p class="ws-binary-hint">${hasPdfVersion ? 'PDF preview available' : 'Use Download to save'}</p>
-                </div>
-            </div>
-        `;
-    } else {
-        // Text/code files
-        contentHtml = `
-            <div class="ws-preview-content code">
-                <pre><code>${escapeHtml(content)}</code></pre>
-            </div>
-        `;
+    } else if (e.key === 'Escape' && searchState.open) {
+        closeSearch();
     }
+});
 
-    previewPane.innerHTML = `
-        <div class="ws-preview-header">
-            <span class="ws-preview-filename">${escapeHtml(path)}</span>
-            <div class="ws-preview-actions">
-                ${previewButton}
-                ${!isBinary ? `<button class="ws-action-btn" onclick="copyToClipboard(\`${escapeHtml(content).replace(/`/g, '\\`')}\`)">📋 Copy</button>` : ''}
-                <button class="ws-action-btn" onclick="downloadWorkspaceFileInline('${fileId}', '${escapeHtml(path)}')">⬇️ Download</button>
-            </div>
-        </div>
-        ${contentHtml}
-    `;
+// ============================================================================
+// Markdown Rendering (answers, final answer, conversation history)
+// ============================================================================
+
+// localStorage key for the raw/rendered preference
+const MARKDOWN_MODE_STORAGE_KEY = 'massgen-viewer.markdown-mode';
+
+// Local copies in lib/vendor, loaded the first time markdown is rendered
+const MARKDOWN_SCRIPTS = ['lib/vendor/marked.min.js', 'lib/vendor/purify.min.js', HIGHLIGHT_SCRIPT];
+const MARKDOWN_STYLESHEETS = [HIGHLIGHT_STYLESHEET];
+
+// KaTeX loads its fonts relative to its stylesheet, so it comes from the CDN (cached by sw.js)
+// and only when a block actually contains math
+const KATEX_BASE_URL = 'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/';
+const KATEX_SCRIPT = { src: `${KATEX_BASE_URL}katex.min.js`, integrity: 'sha384-7zkQWkzuo3B5mTepMUcHkMB5jZaolc2xDwL6VFqjFALcbeS9Ggm/Yr2r3Dy4lfFg' };
+const KATEX_STYLESHEET = { href: `${KATEX_BASE_URL}katex.min.css`, integrity: 'sha384-nB0miv6/jRmo5UMMR1wu3Gz6NLsoTkbqJghGIsx//Rlm+ZU03BU6SQNC66uf4l5+' };
+
+// Original markdown of each rendered block, for switching back to raw
+const markdownSources = new WeakMap();
+// Unmount functions of Mermaid diagrams mounted inside rendered blocks
+const markdownCleanups = new WeakMap();
+
+let markdownLibsPromise = null;
+let markdownConfigured = false;
+
+function isMarkdownRendered() {
+    try {
+        return localStorage.getItem(MARKDOWN_MODE_STORAGE_KEY) !== 'raw';
+    } catch {
+        return true;
+    }
 }
 
 /**
- * Render answers and votes - tabbed by agent, then sub-tabs for answers/votes
+ * Load marked, DOMPurify and highlight.js, and configure them once
  */
-function renderAnswers(data) {
-    const container = document.getElementById('answers-container');
-    // Use turn-filtered data
-    const filteredData = getDataForCurrentTurn(data);
-    const answers = filteredData.answers;
-    // Filter votes by current turn (extract turn number from compound key)
-    const allVotes = data.votes;
-    const votes = {};
-    const currentTurnNum = currentTurn ? parseInt(currentTurn.split('_')[0], 10) : null;
-    for (const [agentId, agentVotes] of Object.entries(allVotes)) {
-        const filteredVotes = agentVotes.filter(v =>
-            currentTurnNum === null || v.turn === null || v.turn === currentTurnNum
-        );
-        if (filteredVotes.length > 0) {
-            votes[agentId] = filteredVotes;
-        }
+function loadMarkdownLibs() {
+    if (!markdownLibsPromise) {
+        MARKDOWN_STYLESHEETS.forEach(href => loadStylesheet(href));
+        markdownLibsPromise = Promise.all(MARKDOWN_SCRIPTS.map(src => loadScript(src)))
+            .then(() => {
+                configureMarkdown();
+            })
+            .catch(e => {
+                markdownLibsPromise = null;
+                throw e;
+            });
     }
-    const winner = data.session.winner;
-    // Use turn-filtered workspace files
-    const workspaceFiles = filteredData.workspaceFiles || {};
-    const statusAgents = filteredData.status?.agents || {};
-
-    // Filter out final answers - they're shown in the Final Answer section
-    const intermediateAnswers = Object.entries(answers)
-        .filter(([label, answer]) => answer.type !== 'final_answer')
-        .sort((a, b) => a[0].localeCompare(b[0]));
+    return markdownLibsPromise;
+}
 
-    // Build a map of all answer labels to their content (for vote options display)
-    const allAnswerLabels = {};
-    intermediateAnswers.forEach(([label, answer]) => {
-        // Extract short label like "1.1" from full label
-        const shortLabel = extractShortLabel(label);
-        allAnswerLabels[shortLabel] = {
-            fullLabel: label,
-            agentId: answer.agent_id,
-            content: answer.content
-        };
+/**
+ * Math tokens for marked: $$...$$ / \[...\] blocks and $...$ / \(...\) inline
+ * They render as placeholders holding the TeX, which KaTeX fills in after sanitizing
+ */
+function configureMarkdown() {
+    if (markdownConfigured) return;
+    markdownConfigured = true;
+
+    const mathPlaceholder = (tex, display) =>
+        `<span class="math-${display ? 'display' : 'inline'}" data-tex="${escapeHtml(tex)}">${escapeHtml(tex)}</span>`;
+
+    marked.use({
+        gfm: true,
+        extensions: [
+            {
+                name: 'mathBlock',
+                level: 'block',
+                start: (src) => src.match(/^ {0,3}(\$\$|\\\[)/m)?.index,
+                tokenizer(src) {
+                    const match = src.match(/^ {0,3}(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\])[ \t]*(?:\n|$)/);
+                    if (match) {
+                        return { type: 'mathBlock', raw: match[0], text: (match[1] ?? match[2]).trim() };
+                    }
+                },
+                renderer: (token) => `<p>${mathPlaceholder(token.text, true)}</p>\n`
+            },
+            {
+                name: 'mathInline',
+                level: 'inline',
+                start: (src) => src.match(/\$|\\\(/)?.index,
+                tokenizer(src) {
+                    // $...$ needs non-space just inside both dollars and no digit right after,
+                    // so prices like "$5 and $10" stay text
+                    const match = src.match(/^\$\$([^$]+?)\$\$/) ||
+                        src.match(/^\$(?=\S)((?:\\\$|[^$\n])+?)(?<=\S)\$(?!\d)/) ||
+                        src.match(/^\\\(([\s\S]+?)\\\)/);
+                    if (match) {
+                        return { type: 'mathInline', raw: match[0], text: match[1], display: match[0].startsWith('$$') };
+                    }
+                },
+                renderer: (token) => mathPlaceholder(token.text, token.display)
+            }
+        ]
     });
 
-    // Group answers by agent
-    const answersByAgent = {};
-    intermediateAnswers.forEach(([label, answer]) => {
-        const agentId = answer.agent_id;
-        if (!answersByAgent[agentId]) {
-            answersByAgent[agentId] = [];
+    // Links from model output open in a new tab and can't reach back into the viewer
+    DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+        if (node.tagName === 'A' && node.getAttribute('href')) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
         }
-        answersByAgent[agentId].push({ label, answer });
     });
+}
 
-    // Get all agent IDs - include agents with errors but no answers
-    const allAgentIds = new Set(Object.keys(answersByAgent));
-    Object.keys(statusAgents).forEach(id => allAgentIds.add(id));
-    const agentIds = Array.from(allAgentIds).sort();
+/**
+ * Markdown to sanitized HTML
+ */
+function renderMarkdownHtml(markdown) {
+    return sanitizeHtml(marked.parse(String(markdown || '')));
+}
 
-    // Get error info for each agent
-    const agentErrors = {};
-    for (const [agentId, agentStatus] of Object.entries(statusAgents)) {
-        if (agentStatus.error) {
-            agentErrors[agentId] = agentStatus.error;
-        } else if (agentStatus.status === 'error') {
-            agentErrors[agentId] = { type: 'error', message: 'Agent encountered an error' };
-        }
+/**
+ * Sanitize model- or tool-written HTML
+ * Only plain formatting tags are kept; scripts, styles, forms, frames and event handlers are stripped
+ */
+function sanitizeHtml(html) {
+    return DOMPurify.sanitize(html, {
+        USE_PROFILES: { html: true },
+        FORBID_TAGS: ['style', 'form', 'input', 'button', 'textarea', 'select', 'iframe', 'object', 'embed'],
+        FORBID_ATTR: ['style']
+    });
+}
+
+/**
+ * Highlight code, typeset math and draw Mermaid diagrams inside a rendered block
+ */
+async function enhanceMarkdownBlock(el) {
+    el.querySelectorAll('pre code').forEach(code => {
+        const language = (code.className.match(/language-([\w+-]+)/) || [])[1];
+        if (language === 'mermaid') return;
+        if (language && !hljs.getLanguage(language)) return;
+        hljs.highlightElement(code);
+    });
+
+    const cleanups = [];
+    const renderers = window.MassGenRenderers;
+    if (renderers?.MermaidPreview) {
+        el.querySelectorAll('pre code.language-mermaid').forEach(code => {
+            const holder = document.createElement('div');
+            holder.className = 'markdown-mermaid';
+            code.parentElement.replaceWith(holder);
+            cleanups.push(renderers.render(holder, renderers.React.createElement(renderers.MermaidPreview, {
+                content: code.textContent,
+                fileName: 'diagram.mmd'
+            })));
+        });
     }
+    if (cleanups.length > 0) markdownCleanups.set(el, cleanups);
 
-    if (agentIds.length === 0) {
-        container.innerHTML = '<div class="no-data">No agent activity recorded</div>';
+    const mathNodes = el.querySelectorAll('[data-tex]');
+    if (mathNodes.length === 0) return;
+    try {
+        loadStylesheet(KATEX_STYLESHEET.href, KATEX_STYLESHEET.integrity);
+        await loadScript(KATEX_SCRIPT.src, KATEX_SCRIPT.integrity);
+    } catch (e) {
+        // Math stays as its TeX source
+        console.warn('KaTeX unavailable:', e);
         return;
     }
-
-    // Build agent tabs
-    let html = '<div class="agent-tabs">';
-    agentIds.forEach((agentId, index) => {
-        const isWinner = agentId === winner;
-        const isFirst = index === 0;
-        const hasError = !!agentErrors[agentId];
-        const answerCount = answersByAgent[agentId]?.length || 0;
-        html += `
-            <div class="agent-tab ${isFirst ? 'active' : ''} ${isWinner ? 'winner-tab' : ''} ${hasError ? 'error-tab' : ''}" data-agent="${escapeHtml(agentId)}">
-                ${escapeHtml(agentId)}
-                ${isWinner ? '<span class="winner-dot"></span>' : ''}
-                ${hasError && !isWinner ? '<span class="error-dot" title="Agent error">!</span>' : ''}
-                <span class="tab-count">${answerCount}</span>
-            </div>
-        `;
+    mathNodes.forEach(node => {
+        katex.render(node.dataset.tex, node, {
+            displayMode: node.classList.contains('math-display'),
+            throwOnError: false
+        });
     });
-    html += '</div>';
+}
 
-    // Build content panels for each agent
-    html += '<div class="agent-panels">';
-    agentIds.forEach((agentId, agentIndex) => {
-        const agentAnswers = answersByAgent[agentId] || [];
-        const agentVotes = votes[agentId] || []; // Array of votes
-        const agentWorkspaceByTimestamp = workspaceFiles[agentId] || {}; // { timestamp: { filePath: content } }
-        const isFirst = agentIndex === 0;
-        const agentError = agentErrors[agentId];
+/**
+ * Render (or restore to raw text) every .markdown-source block inside a container
+ * Blocks are written as escaped text first, so they read fine before the libraries load
+ */
+async function renderMarkdownBlocks(root) {
+    if (!root) return;
+    const blocks = Array.from(root.querySelectorAll('.markdown-source'));
+    if (blocks.length === 0) return;
 
-        // Determine agent number (1, 2, etc.) for answer labeling
-        const agentNum = agentIndex + 1;
+    if (!isMarkdownRendered()) {
+        blocks.forEach(showMarkdownRaw);
+        return;
+    }
 
-        html += `<div class="agent-panel ${isFirst ? 'active' : ''}" data-agent="${escapeHtml(agentId)}">`;
+    try {
+        await loadMarkdownLibs();
+    } catch (e) {
+        console.error('Markdown rendering unavailable:', e);
+        return;
+    }
 
-        // Sub-tabs for Answers and Votes only (workspace is now inside each answer)
-        html += `
-            <div class="sub-tabs">
-                <div class="sub-tab active" data-subtab="answers">
-                    Answers <span class="sub-tab-count">${agentAnswers.length}</span>
-                </div>
-                <div class="sub-tab" data-subtab="votes">
-                    Votes ${agentVotes.length > 0 ? `<span class="sub-tab-count">${agentVotes.length}</span>` : ''}
-                </div>
-            </div>
-        `;
+    for (const block of blocks) {
+        if (block.classList.contains('markdown-body')) continue;
+        const source = markdownSources.get(block) ?? block.textContent;
+        markdownSources.set(block, source);
+        block.innerHTML = renderMarkdownHtml(source);
+        block.classList.add('markdown-body');
+        enhanceMarkdownBlock(block);
+    }
+}
 
-        // Answers sub-panel - now includes workspace files for each answer
-        html += '<div class="sub-panel active" data-subtab="answers">';
+/**
+ * Put a block's original markdown back as plain text
+ */
+function showMarkdownRaw(block) {
+    if (!block.classList.contains('markdown-body')) return;
+    (markdownCleanups.get(block) || []).forEach(unmount => unmount());
+    markdownCleanups.delete(block);
+    block.textContent = markdownSources.get(block) ?? block.textContent;
+    block.classList.remove('markdown-body');
+}
 
-        // Show error banner if agent has error and no answers
-        if (agentError && agentAnswers.length === 0) {
-            html += `
-                <div class="agent-error-banner">
-                    <span class="error-icon">⚠️</span>
-                    <div class="error-details">
-                        <div class="error-type">${escapeHtml(agentError.type || 'Error')}</div>
-                        <div class="error-message">${escapeHtml(agentError.message || 'Agent encountered an error')}</div>
-                    </div>
-                </div>
-            `;
-        }
+/**
+ * Update the raw/rendered toggle buttons
+ */
+function updateMarkdownToggles() {
+    const rendered = isMarkdownRendered();
+    document.querySelectorAll('.markdown-toggle').forEach(btn => {
+        btn.textContent = rendered ? 'Show raw' : 'Render markdown';
+        btn.title = rendered ? 'Show the original markdown text' : 'Render headings, tables, code, math and diagrams';
+    });
+}
 
-        agentAnswers.forEach(({ label, answer }, idx) => {
-            const answerNum = idx + 1;
-            const shortLabel = `${agentNum}.${answerNum}`;
+/**
+ * Switch every answer between raw text and rendered markdown
+ */
+window.toggleMarkdownMode = function() {
+    try {
+        localStorage.setItem(MARKDOWN_MODE_STORAGE_KEY, isMarkdownRendered() ? 'raw' : 'rendered');
+    } catch (e) {
+        console.error('Failed to store markdown preference:', e);
+    }
+    updateMarkdownToggles();
+    renderMarkdownBlocks(document.getElementById('answers-container'));
+    renderMarkdownBlocks(document.getElementById('final-answer'));
+    renderMarkdownBlocks(document.getElementById('conversation-history-panel'));
+};
 
-            // Get workspace files for this specific answer (by timestamp)
-            // For final answers (which have __final__ instead of a timestamp), use 'final' as the key
-            const isFinalAnswer = label.includes('/final/') || label.includes('__final__');
-            let answerTimestamp = answer.timestamp;
-            if (!answerTimestamp) {
-                if (isFinalAnswer) {
-                    answerTimestamp = 'final';
-                } else {
-                    // Try to extract timestamp from label
-                    // Label might be like: turn_1__attempt_1__agent_a__20251231_065145__answer.txt
-                    const parts = label.split('__');
-                    for (const part of parts) {
-                        if (part.match(/^\d{8}_\d+/)) {
-                            answerTimestamp = part;
-                            break;
-                        }
-                    }
-                }
-            }
-            const answerWorkspace = agentWorkspaceByTimestamp[answerTimestamp] || {};
-            const wsFileCount = Object.keys(answerWorkspace).length;
+// ============================================================================
+// Answer Compare (word-level diff between any two answers)
+// ============================================================================
 
-            html += `
-                <div class="collapsible answer-collapsible">
-                    <div class="collapsible-header">
-                        <span class="answer-num">${escapeHtml(shortLabel)}</span>
-                        <span class="answer-label-small">${escapeHtml(label)}</span>
-                        ${wsFileCount > 0 ? `<span class="ws-badge" title="Workspace files">📁 ${wsFileCount}</span>` : ''}
-                        <span class="collapsible-icon">&#x25BC;</span>
-                    </div>
-                    <div class="collapsible-content">
-                        <div class="answer-text">${escapeHtml(answer.content || 'No content available')}</div>
-                        ${wsFileCount > 0 ? renderInlineWorkspace(agentId, answerTimestamp, answerWorkspace) : ''}
-                    </div>
-                </div>
-            `;
-        });
-        html += '</div>';
+// Past this many edits the word diff is skipped and the answers are shown as a full replacement
+const DIFF_MAX_EDIT_DISTANCE = 4000;
+const FINAL_ANSWER_COMPARE_KEY = '__final__';
 
-        // Votes sub-panel - show ALL votes
-        html += '<div class="sub-panel" data-subtab="votes">';
-        if (agentVotes.length > 0) {
-            // Create fallback agent ID to X.Y label mapping (for old logs without labels)
-            const agentToLabelFallback = {};
-            agentIds.forEach((aid, aidx) => {
-                const agentAnswerCount = answersByAgent[aid]?.length || 1;
-                agentToLabelFallback[aid] = `${aidx + 1}.${agentAnswerCount}`;
-            });
+// options: [{ key, shortLabel, agentId, answerNum, content }] from the last renderAnswers
+const answerCompareState = { open: false, left: null, right: null, mode: 'split', options: [] };
 
-            agentVotes.forEach((vote, voteIdx) => {
-                const votedForRaw = vote.voted_for || 'N/A';
-                // Prefer voted_for_label from new logs, fallback to computed label
-                const votedForLabel = vote.voted_for_label || agentToLabelFallback[votedForRaw] || votedForRaw;
-                const round = vote.coordination_round || (voteIdx + 1);
+/**
+ * Split text into words with their trailing whitespace, so the diff can be rendered losslessly
+ */
+function tokenizeForDiff(text) {
+    return String(text || '').match(/\s+|\S+\s*/g) || [];
+}
 
-                // Prefer available_options_labels from new logs, fallback to available_options
-                const availableLabels = vote.available_options_labels || [];
-                const availableOptions = vote.available_options || [];
-                const labelToAgent = vote.answer_label_to_agent || {};
+/**
+ * Myers diff over two arrays of comparison keys
+ * @returns {Array|null} Edit script of { type: 'equal'|'delete'|'insert', a, b } index pairs
+ *   (a for equal/delete, b for equal/insert), or null when the edit distance exceeds the limit
+ */
+function myersDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let found = false;
+
+    for (let d = 0; d <= Math.min(max, DIFF_MAX_EDIT_DISTANCE) && !found; d++) {
+        // Keep only the diagonals this step can read; backtracking needs them
+        trace.push(v.slice(offset - d, offset + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+    if (!found) return null;
+
+    const script = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const prev = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && prev[k - 1 + d] < prev[k + 1 + d])) ? k + 1 : k - 1;
+        const prevX = prev[prevK + d];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            script.push({ type: 'equal', a: --x, b: --y });
+        }
+        if (x === prevX) {
+            script.push({ type: 'insert', b: --y });
+        } else {
+            script.push({ type: 'delete', a: --x });
+        }
+    }
+    while (x > 0 && y > 0) {
+        script.push({ type: 'equal', a: --x, b: --y });
+    }
+    return script.reverse();
+}
 
-                html += `
-                    <div class="collapsible vote-collapsible ${voteIdx === agentVotes.length - 1 ? 'latest-vote' : ''}">
-                        <div class="collapsible-header">
-                            <span class="vote-round">Round ${round}</span>
-                            <span class="vote-choice">→ ${escapeHtml(votedForLabel)}</span>
-                            ${voteIdx === agentVotes.length - 1 ? '<span class="latest-badge">Latest</span>' : ''}
-                            <span class="collapsible-icon">&#x25BC;</span>
-                        </div>
-                        <div class="collapsible-content">
-                            <div class="vote-options-section">
-                                <div class="vote-options-header">Available Options:</div>
-                                <div class="vote-options-list">
-                `;
+/**
+ * Word-level diff of two texts
+ * Words are compared without their whitespace, so re-wrapped text still lines up
+ * @returns {{ ops: Array<{ type, oldText, newText }>, stats: Object, truncated: boolean }}
+ */
+function diffWords(oldText, newText) {
+    const oldTokens = tokenizeForDiff(oldText);
+    const newTokens = tokenizeForDiff(newText);
+    const oldKeys = oldTokens.map(t => t.trim());
+    const newKeys = newTokens.map(t => t.trim());
+
+    // Common prefix and suffix don't need the full diff
+    let start = 0;
+    while (start < oldKeys.length && start < newKeys.length && oldKeys[start] === newKeys[start]) start++;
+    let oldEnd = oldKeys.length;
+    let newEnd = newKeys.length;
+    while (oldEnd > start && newEnd > start && oldKeys[oldEnd - 1] === newKeys[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
 
-                // Use new label format if available, otherwise fall back to old format
-                if (availableLabels.length > 0) {
-                    // New format: show labels with agent IDs
-                    availableLabels.forEach(label => {
-                        const agentForLabel = labelToAgent[label] || '';
-                        const isSelected = label === votedForLabel || (vote.voted_for_label && label === vote.voted_for_label);
-                        html += `
-                            <div class="vote-option ${isSelected ? 'voted-for' : ''}">
-                                <span class="vote-option-label">${escapeHtml(label)}</span>
-                                ${agentForLabel ? `<span class="vote-option-agent">(${escapeHtml(agentForLabel)})</span>` : ''}
-                                ${isSelected ? '<span class="vote-option-check">✓</span>' : ''}
-                            </div>
-                        `;
-                    });
-                } else {
-                    // Old format: show agent IDs with computed labels
-                    availableOptions.forEach(opt => {
-                        const isSelected = opt === votedForRaw;
-                        const optLabel = agentToLabelFallback[opt] || opt;
-                        html += `
-                            <div class="vote-option ${isSelected ? 'voted-for' : ''}">
-                                <span class="vote-option-label">${escapeHtml(optLabel)}</span>
-                                <span class="vote-option-agent">(${escapeHtml(opt)})</span>
-                                ${isSelected ? '<span class="vote-option-check">✓</span>' : ''}
-                            </div>
-                        `;
-                    });
-                }
+    let middle = myersDiff(oldKeys.slice(start, oldEnd), newKeys.slice(start, newEnd));
+    const truncated = middle === null;
+    if (truncated) {
+        middle = [
+            ...oldKeys.slice(start, oldEnd).map((_, i) => ({ type: 'delete', a: i })),
+            ...newKeys.slice(start, newEnd).map((_, i) => ({ type: 'insert', b: i }))
+        ];
+    }
 
-                html += `
-                                </div>
-                            </div>
-                            <div class="vote-detail">
-                                <div class="vote-detail-reason">
-                                    <div class="vote-detail-label">Reason:</div>
-                                    <div class="vote-reason-text">${escapeHtml(String(vote.reason || 'No reason provided'))}</div>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                `;
-            });
+    const script = [
+        ...oldKeys.slice(0, start).map((_, i) => ({ type: 'equal', a: i - start, b: i - start })),
+        ...middle,
+        ...oldKeys.slice(oldEnd).map((_, i) => ({ type: 'equal', a: oldEnd - start + i, b: newEnd - start + i }))
+    ];
+
+    // Merge runs of the same kind into text chunks and count words
+    const ops = [];
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+    script.forEach(step => {
+        const oldToken = step.a !== undefined ? oldTokens[start + step.a] : '';
+        const newToken = step.b !== undefined ? newTokens[start + step.b] : '';
+        const isWord = /\S/.test(oldToken || newToken);
+        if (isWord) {
+            if (step.type === 'equal') stats.unchanged++;
+            else if (step.type === 'delete') stats.removed++;
+            else stats.added++;
+        }
+        const last = ops[ops.length - 1];
+        if (last && last.type === step.type) {
+            last.oldText += step.type === 'insert' ? '' : oldToken;
+            last.newText += step.type === 'delete' ? '' : newToken;
         } else {
-            html += '<div class="no-data">No votes recorded for this agent</div>';
+            ops.push({
+                type: step.type,
+                oldText: step.type === 'insert' ? '' : oldToken,
+                newText: step.type === 'delete' ? '' : newToken
+            });
         }
-        html += '</div>';
+    });
+
+    const totalWords = stats.unchanged * 2 + stats.added + stats.removed;
+    stats.similarity = totalWords > 0 ? (stats.unchanged * 2) / totalWords : 1;
+    return { ops, stats, truncated };
+}
+
+/**
+ * Store the answers the compare panel can pick from and re-render it
+ * Called by renderAnswers; the current turn's final answer is added as an extra option
+ */
+function setAnswerCompareOptions(data, options) {
+    const { finalAnswer, fromFile } = findCurrentFinalAnswer(data);
+    answerCompareState.options = fromFile
+        ? [...options, { key: FINAL_ANSWER_COMPARE_KEY, shortLabel: 'Final answer', agentId: null, answerNum: null, content: finalAnswer }]
+        : options;
+
+    // Drop selections that don't exist in this turn
+    const keys = new Set(answerCompareState.options.map(o => o.key));
+    if (!keys.has(answerCompareState.left)) answerCompareState.left = null;
+    if (!keys.has(answerCompareState.right)) answerCompareState.right = null;
+    renderAnswerCompare();
+}
+
+/**
+ * Render the compare panel above the agent tabs
+ */
+function renderAnswerCompare() {
+    const container = document.getElementById('answer-compare');
+    if (!container) return;
+    const { options, open, mode } = answerCompareState;
 
-        html += '</div>'; // close agent-panel
-    });
-    html += '</div>';
+    if (options.length < 2) {
+        container.innerHTML = '';
+        return;
+    }
+    if (!open) {
+        container.innerHTML = '<button class="answer-compare-btn" onclick="openAnswerCompare()">⇄ Compare answers</button>';
+        return;
+    }
 
-    container.innerHTML = html;
+    const left = options.find(o => o.key === answerCompareState.left) || options[0];
+    const right = options.find(o => o.key === answerCompareState.right) || options[options.length - 1];
+    const optionHtml = (selected) => options.map(o =>
+        `<option value="${escapeHtml(o.key)}" ${o.key === selected.key ? 'selected' : ''}>${escapeHtml(o.shortLabel)}${o.agentId ? ` (${escapeHtml(o.agentId)})` : ''}</option>`
+    ).join('');
+
+    const { ops, stats, truncated } = diffWords(left.content, right.content);
+    const renderSide = (side) => ops.map(op => {
+        if (op.type === 'equal') return escapeHtml(side === 'old' ? op.oldText : op.newText);
+        if (op.type === 'delete' && side === 'old') return `<del class="diff-del">${escapeHtml(op.oldText)}</del>`;
+        if (op.type === 'insert' && side === 'new') return `<ins class="diff-ins">${escapeHtml(op.newText)}</ins>`;
+        return '';
+    }).join('');
+    const inline = ops.map(op => {
+        if (op.type === 'equal') return escapeHtml(op.newText);
+        if (op.type === 'delete') return `<del class="diff-del">${escapeHtml(op.oldText)}</del>`;
+        return `<ins class="diff-ins">${escapeHtml(op.newText)}</ins>`;
+    }).join('');
+
+    const body = mode === 'inline'
+        ? `<div class="answer-text diff-text">${inline}</div>`
+        : `
+            <div class="diff-split">
+                <div class="answer-text diff-text">${renderSide('old')}</div>
+                <div class="answer-text diff-text">${renderSide('new')}</div>
+            </div>
+        `;
 
-    // Store workspace files globally for copy/download
-    window._workspaceFiles = workspaceFiles;
+    container.innerHTML = `
+        <div class="answer-compare-panel">
+            <div class="answer-compare-controls">
+                <select onchange="setAnswerCompareSide('left', this.value)" title="Older answer">${optionHtml(left)}</select>
+                <button class="answer-compare-btn" onclick="swapAnswerCompare()" title="Swap">⇄</button>
+                <select onchange="setAnswerCompareSide('right', this.value)" title="Newer answer">${optionHtml(right)}</select>
+                <div class="answer-compare-mode">
+                    <button class="${mode === 'split' ? 'active' : ''}" onclick="setAnswerCompareMode('split')">Side by side</button>
+                    <button class="${mode === 'inline' ? 'active' : ''}" onclick="setAnswerCompareMode('inline')">Inline</button>
+                </div>
+                <button class="answer-compare-btn" onclick="closeAnswerCompare()" title="Close compare">✕</button>
+            </div>
+            <div class="answer-compare-stats">
+                <span class="diff-stat added">+${stats.added} words</span>
+                <span class="diff-stat removed">−${stats.removed} words</span>
+                <span class="diff-stat">${stats.unchanged} unchanged</span>
+                <span class="diff-stat">${(stats.similarity * 100).toFixed(0)}% similar</span>
+                ${truncated ? '<span class="diff-stat removed">Too many changes for a word diff; showing full replacement</span>' : ''}
+            </div>
+            ${body}
+        </div>
+    `;
+}
 
-    // Add click handlers for agent tabs
-    container.querySelectorAll('.agent-tab').forEach(tab => {
-        tab.addEventListener('click', () => {
-            const agentId = tab.dataset.agent;
-            // Update tabs
-            container.querySelectorAll('.agent-tab').forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
-            // Update panels
-            container.querySelectorAll('.agent-panel').forEach(p => p.classList.remove('active'));
-            container.querySelector(`.agent-panel[data-agent="${agentId}"]`)?.classList.add('active');
-        });
-    });
+window.openAnswerCompare = function() {
+    answerCompareState.open = true;
+    renderAnswerCompare();
+};
 
-    // Add click handlers for sub-tabs
-    container.querySelectorAll('.sub-tab').forEach(tab => {
-        tab.addEventListener('click', () => {
-            const panel = tab.closest('.agent-panel');
-            const subtab = tab.dataset.subtab;
-            // Update sub-tabs
-            panel.querySelectorAll('.sub-tab').forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
-            // Update sub-panels
-            panel.querySelectorAll('.sub-panel').forEach(p => p.classList.remove('active'));
-            panel.querySelector(`.sub-panel[data-subtab="${subtab}"]`)?.classList.add('active');
-        });
-    });
+window.closeAnswerCompare = function() {
+    answerCompareState.open = false;
+    renderAnswerCompare();
+};
 
-    // Add click handlers for collapsibles
-    container.querySelectorAll('.collapsible-header').forEach(header => {
-        header.addEventListener('click', () => {
-            header.parentElement.classList.toggle('open');
+window.setAnswerCompareSide = function(side, key) {
+    answerCompareState[side] = key;
+    renderAnswerCompare();
+};
+
+window.swapAnswerCompare = function() {
+    const { options } = answerCompareState;
+    const left = answerCompareState.left || options[0]?.key;
+    const right = answerCompareState.right || options[options.length - 1]?.key;
+    answerCompareState.left = right;
+    answerCompareState.right = left;
+    renderAnswerCompare();
+};
+
+window.setAnswerCompareMode = function(mode) {
+    answerCompareState.mode = mode;
+    renderAnswerCompare();
+};
+
+/**
+ * Compare an agent's Nth answer with its previous one (timeline and answer shortcut)
+ * @param {string} agentId - The agent ID
+ * @param {number} answerNum - 1-based answer number for that agent
+ */
+/**
+ * Wire up "compare with previous answer" buttons
+ * Agent IDs come from the export, so they're passed as data rather than in inline handlers
+ * @param {Element} container - Element containing buttons with data-compare-agent and data-answer-num
+ */
+function bindCompareButtons(container) {
+    container.querySelectorAll('[data-compare-agent]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            compareWithPreviousAnswer(btn.dataset.compareAgent, parseInt(btn.dataset.answerNum, 10));
         });
     });
 }
 
+window.compareWithPreviousAnswer = function(agentId, answerNum) {
+    const agentOptions = answerCompareState.options.filter(o => o.agentId === agentId && o.answerNum);
+    const current = agentOptions.find(o => o.answerNum === answerNum);
+    const previous = agentOptions.find(o => o.answerNum === answerNum - 1);
+    if (!current || !previous) return;
+
+    answerCompareState.open = true;
+    answerCompareState.left = previous.key;
+    answerCompareState.right = current.key;
+    renderAnswerCompare();
+    document.getElementById('answer-compare')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
 /**
- * Extract short label like "1.1" from full answer label
+ * Find the current turn's final answer text and the agent that gave it
+ * Falls back to the coordination table when the export has no final answer file
+ * @returns {{ finalAnswer: string, finalAgentId: string|null, fromFile: boolean }}
  */
-function extractShortLabel(fullLabel) {
-    // Try to find pattern like "agent1.1" or similar
-    const match = fullLabel.match(/(\d+)\.?(\d+)?$/);
-    if (match) {
-        return match[2] ? `${match[1]}.${match[2]}` : match[1];
+function findCurrentFinalAnswer(data) {
+    const filteredFiles = filterFilesByTurn(data.files);
+
+    for (const [path, content] of Object.entries(filteredFiles)) {
+        if (path.includes('final/') && path.endsWith('/answer.txt')) {
+            // Extract agent ID from path
+            const { agentId } = extractAgentFromPath(path);
+            return { finalAnswer: content, finalAgentId: agentId, fromFile: true };
+        }
     }
-    // Fallback - use last part after dot
-    const parts = fullLabel.split('.');
-    return parts[parts.length - 1] || fullLabel;
+
+    // Try coordination table
+    const tablePath = Object.keys(filteredFiles).find(path => path.endsWith('coordination_table.txt'));
+    return { finalAnswer: tablePath ? filteredFiles[tablePath] : '', finalAgentId: null, fromFile: false };
 }
 
 /**
@@ -2349,31 +7966,13 @@ function extractShortLabel(fullLabel) {
 function renderFinalAnswer(data) {
     const container = document.getElementById('final-answer');
 
-    // Use turn-filtered files and data
-    const filteredFiles = filterFilesByTurn(data.files);
+    // Use turn-filtered data
     const filteredData = getDataForCurrentTurn(data);
     const workspaceFiles = filteredData.workspaceFiles || {};
+    const { finalAnswer, finalAgentId, fromFile } = findCurrentFinalAnswer(data);
 
-    // Try to find final answer in files
-    let finalAnswer = '';
-    let finalAgentId = null;
-    for (const [path, content] of Object.entries(filteredFiles)) {
-        if ((path.includes('final/') || path.includes('__final__')) && (path.endsWith('/answer.txt') || path.endsWith('__answer.txt'))) {
-            finalAnswer = content;
-            // Extract agent ID from path
-            const { agentId } = extractAgentFromPath(path);
-            finalAgentId = agentId;
-            break;
-        }
-    }
-
-    if (!finalAnswer) {
-        // Try coordination table
-        finalAnswer = data.files['coordination_table.txt'] || '';
-    }
-
-    // Build HTML with answer text
-    let html = `<div class="final-answer-text">${escapeHtml(finalAnswer || 'No final answer available')}</div>`;
+    // Build HTML with answer text (the coordination table fallback is preformatted, not markdown)
+    let html = `<div class="final-answer-text ${fromFile ? 'markdown-source' : ''}">${escapeHtml(finalAnswer || 'No final answer available')}</div>`;
 
     // Add workspace files for the final answer if available
     if (finalAgentId && workspaceFiles[finalAgentId]) {
@@ -2400,6 +7999,7 @@ function renderFinalAnswer(data) {
     }
 
     container.innerHTML = html;
+    renderMarkdownBlocks(container);
 }
 
 /**
@@ -2411,11 +8011,9 @@ function renderOutputs(data) {
     // Filter agent outputs by current turn
     const outputs = {};
     for (const [path, content] of Object.entries(data.files || {})) {
-        // Handle both formats: turn_X/attempt_Y/agent_outputs/agent.txt and turn_X__attempt_Y__agent_outputs__agent.txt
-        const isAgentOutput = path.includes('agent_outputs/') || path.includes('__agent_outputs__');
-        const isTextFile = path.endsWith('.txt');
-
-        if (isAgentOutput && isTextFile) {
+        // turn_X/attempt_Y/agent_outputs/agent.txt
+        const entry = classifyExportPath(path);
+        if (entry?.kind === 'log') {
             // Use compound key for filtering (turn_attempt, e.g., "1_2")
             const turnAttempt = extractTurnAttemptFromPath(path);
             const fileKey = turnAttempt?.key || null;
@@ -2423,23 +8021,7 @@ function renderOutputs(data) {
             if (currentTurn !== null && fileKey !== null && fileKey !== currentTurn) {
                 continue;
             }
-
-            // Extract agent name from path
-            let filename;
-            if (path.includes('__agent_outputs__')) {
-                // Flattened: turn_1__attempt_1__agent_outputs__agent_a.txt
-                const parts = path.split('__');
-                filename = parts[parts.length - 1].replace('.txt', '');
-            } else {
-                // Nested: turn_1/attempt_1/agent_outputs/agent_a.txt
-                const parts = path.split('/');
-                filename = parts[parts.length - 1].replace('.txt', '');
-            }
-
-            // Skip system_status and _latest files
-            if (filename !== 'system_status' && !filename.endsWith('_latest')) {
-                outputs[filename] = content;
-            }
+            outputs[entry.logName] = content;
         }
     }
 
@@ -2448,16 +8030,29 @@ function renderOutputs(data) {
         return;
     }
 
+    // Logs are parsed and drawn when first opened, so large ones don't block the page
+    logViewers.clear();
     let html = '';
     for (const [agentId, output] of Object.entries(outputs).sort()) {
+        const content = typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+        logViewers.set(agentId, { content, lines: null });
+        const lineCount = content.split('\n').length;
         html += `
-            <div class="collapsible">
+            <div class="collapsible" data-agent="${escapeHtml(agentId)}">
                 <div class="collapsible-header">
                     <span>${escapeHtml(agentId)} Output Log</span>
+                    <span class="log-size">${formatNumber(lineCount)} line${lineCount !== 1 ? 's' : ''} · ${formatBytes(content.length)}</span>
                     <span class="collapsible-icon">&#x25BC;</span>
                 </div>
                 <div class="collapsible-content">
-                    <div class="agent-log">${escapeHtml(output)}</div>
+                    <div class="log-toolbar">
+                        <input type="text" class="log-filter" placeholder="Filter lines..." spellcheck="false">
+                        <span class="log-status"></span>
+                        <button class="log-btn log-error-btn">Next error</button>
+                        <button class="log-btn" data-fold="true">Fold sections</button>
+                        <button class="log-btn" data-fold="false">Unfold all</button>
+                    </div>
+                    <div class="agent-log log-viewport"><div class="log-spacer"></div></div>
                 </div>
             </div>
         `;
@@ -2468,9 +8063,413 @@ function renderOutputs(data) {
     // Add click handlers
     container.querySelectorAll('.collapsible-header').forEach(header => {
         header.addEventListener('click', () => {
-            header.parentElement.classList.toggle('open');
+            const collapsible = header.parentElement;
+            collapsible.classList.toggle('open');
+            if (collapsible.classList.contains('open')) {
+                openAgentLog(collapsible.dataset.agent);
+            }
         });
     });
+
+    // Agent IDs come from log filenames in the export, so toolbars read them from data-agent
+    // rather than having them in inline handlers
+    container.querySelectorAll('.collapsible').forEach(collapsible => {
+        const agentId = collapsible.dataset.agent;
+        collapsible.querySelector('.log-filter').addEventListener('input', (e) => filterAgentLog(agentId, e.target.value));
+        collapsible.querySelector('.log-error-btn').addEventListener('click', () => jumpToNextLogError(agentId));
+        collapsible.querySelectorAll('.log-btn[data-fold]').forEach(btn => {
+            btn.addEventListener('click', () => setAgentLogFolds(agentId, btn.dataset.fold === 'true'));
+        });
+    });
+}
+
+// ============================================================================
+// Agent Log Viewer (ANSI colors, foldable sections, virtualized rows)
+// ============================================================================
+
+// Rows are absolutely positioned at a fixed height so only the visible ones are in the DOM
+const LOG_LINE_HEIGHT = 18;
+const LOG_OVERSCAN_ROWS = 20;
+// Lines that start a foldable section; the section runs to the next blank line or section start
+const LOG_SECTION_TYPES = [
+    { kind: 'tool_call', label: 'Tool call', pattern: /^\s*(?:🔧|🛠\uFE0F?|\[(?:MCP )?Tool(?: Call)?\]|(?:MCP )?Tool call\b|Calling (?:MCP )?tool\b)/i },
+    { kind: 'tool_result', label: 'Tool result', pattern: /^\s*(?:📊|✅|\[Tool Result\]|Tool (?:result|response)\b|Result from\b)/i },
+    { kind: 'reasoning', label: 'Reasoning', pattern: /^\s*(?:💭|🧠|🤔|\[(?:Reasoning|Thinking)\]|(?:Reasoning|Thinking)(?: summary)?:)/i },
+    { kind: 'answer', label: 'Answer submission', pattern: /^\s*(?:📝|\[new_answer\]|new_answer\b|(?:Submitting|Submitted|Providing) (?:a |new )*answer\b)/i },
+    { kind: 'vote', label: 'Vote', pattern: /^\s*(?:🗳\uFE0F?|\[vote\]|Vot(?:ing|ed?) for\b)/i }
+];
+const LOG_ERROR_PATTERN = /\b(?:error|exception|traceback|failed|failure)\b|❌/i;
+// CSI sequences (colors, cursor moves), OSC sequences (titles, links) and other two-byte escapes
+const ANSI_ESCAPE_PATTERN = /\x1b\[([0-9;?]*)([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+const ANSI_DEFAULT_STATE = { fg: null, bg: null, bold: false, dim: false, italic: false, underline: false };
+
+// Per-agent viewer state: { content, lines, sections, folded, filter, rows, errorLines, ... }
+const logViewers = new Map();
+
+/**
+ * Split a log into display lines; a carriage return overwrites the line like a terminal does
+ */
+function splitLogLines(content) {
+    return content.replace(/\r\n/g, '\n').split('\n').map(line => {
+        const cr = line.lastIndexOf('\r');
+        return cr >= 0 ? line.slice(cr + 1) : line;
+    });
+}
+
+/**
+ * The plain text of a log, as shown in the viewer (used by search)
+ */
+function getPlainLogText(content) {
+    return splitLogLines(content).map(line => line.replace(ANSI_ESCAPE_PATTERN, '')).join('\n');
+}
+
+/**
+ * An xterm 256-color palette entry: 0-15 stay palette indexes (themed by CSS), the rest are rgb()
+ */
+function ansi256Color(n) {
+    if (n < 16) return n;
+    if (n >= 232) {
+        const gray = 8 + (n - 232) * 10;
+        return `rgb(${gray}, ${gray}, ${gray})`;
+    }
+    const levels = [0, 95, 135, 175, 215, 255];
+    const idx = n - 16;
+    return `rgb(${levels[Math.floor(idx / 36)]}, ${levels[Math.floor(idx / 6) % 6]}, ${levels[idx % 6]})`;
+}
+
+/**
+ * Apply an SGR ("…m") parameter list to a style state
+ */
+function applySgr(state, params) {
+    const next = { ...state };
+    const codes = params === '' ? [0] : params.split(';').map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+        if (code === 0) Object.assign(next, ANSI_DEFAULT_STATE);
+        else if (code === 1) next.bold = true;
+        else if (code === 2) next.dim = true;
+        else if (code === 3) next.italic = true;
+        else if (code === 4) next.underline = true;
+        else if (code === 22) next.bold = next.dim = false;
+        else if (code === 23) next.italic = false;
+        else if (code === 24) next.underline = false;
+        else if (code >= 30 && code <= 37) next.fg = code - 30;
+        else if (code >= 90 && code <= 97) next.fg = code - 90 + 8;
+        else if (code === 39) next.fg = null;
+        else if (code >= 40 && code <= 47) next.bg = code - 40;
+        else if (code >= 100 && code <= 107) next.bg = code - 100 + 8;
+        else if (code === 49) next.bg = null;
+        else if (code === 38 || code === 48) {
+            const key = code === 38 ? 'fg' : 'bg';
+            if (codes[i + 1] === 5) {
+                next[key] = ansi256Color(codes[i + 2] || 0);
+                i += 2;
+            } else if (codes[i + 1] === 2) {
+                next[key] = `rgb(${codes[i + 2] || 0}, ${codes[i + 3] || 0}, ${codes[i + 4] || 0})`;
+                i += 4;
+            }
+        }
+    }
+    return next;
+}
+
+/**
+ * Split one raw line into styled text segments
+ * @returns {{ segments: Array<{ text, state }>, text: string, endState: Object }}
+ */
+function parseAnsiLine(raw, startState) {
+    const segments = [];
+    let state = startState;
+    let lastIndex = 0;
+    ANSI_ESCAPE_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = ANSI_ESCAPE_PATTERN.exec(raw)) !== null) {
+        if (match.index > lastIndex) segments.push({ text: raw.slice(lastIndex, match.index), state });
+        if (match[2] === 'm') state = applySgr(state, match[1]);
+        lastIndex = ANSI_ESCAPE_PATTERN.lastIndex;
+    }
+    if (lastIndex < raw.length) segments.push({ text: raw.slice(lastIndex), state });
+    return { segments, text: segments.map(seg => seg.text).join(''), endState: state };
+}
+
+/**
+ * Opening tag for a styled segment, or '' for the default style
+ */
+function ansiSpanOpen(state) {
+    const classes = [];
+    const styles = [];
+    if (typeof state.fg === 'number') classes.push(`ansi-fg-${state.fg}`);
+    else if (state.fg) styles.push(`color: ${state.fg}`);
+    if (typeof state.bg === 'number') classes.push(`ansi-bg-${state.bg}`);
+    else if (state.bg) styles.push(`background: ${state.bg}`);
+    ['bold', 'dim', 'italic', 'underline'].forEach(attr => state[attr] && classes.push(`ansi-${attr}`));
+    if (classes.length === 0 && styles.length === 0) return '';
+    return `<span${classes.length ? ` class="${classes.join(' ')}"` : ''}${styles.length ? ` style="${styles.join('; ')}"` : ''}>`;
+}
+
+/**
+ * HTML for a line's segments, wrapping the given plain-text ranges in <mark>
+ */
+function renderLogLineHtml(segments, marks) {
+    let html = '';
+    let offset = 0;
+    segments.forEach(seg => {
+        const open = ansiSpanOpen(seg.state);
+        let inner = '';
+        let pos = 0;
+        while (pos < seg.text.length) {
+            const abs = offset + pos;
+            const mark = marks.find(m => m.start <= abs && abs < m.end);
+            const next = mark
+                ? Math.min(seg.text.length, mark.end - offset)
+                : Math.min(seg.text.length, ...marks.filter(m => m.start > abs).map(m => m.start - offset));
+            const piece = escapeHtml(seg.text.slice(pos, next));
+            inner += mark ? `<mark class="${mark.className}">${piece}</mark>` : piece;
+            pos = next;
+        }
+        html += open ? `${open}${inner}</span>` : inner;
+        offset += seg.text.length;
+    });
+    return html;
+}
+
+/**
+ * Parse a log's lines, ANSI state, sections and error lines (once, on first open)
+ */
+function initLogViewer(viewer) {
+    const rawLines = splitLogLines(viewer.content);
+    let state = ANSI_DEFAULT_STATE;
+    viewer.lines = rawLines.map(raw => {
+        const parsed = parseAnsiLine(raw, state);
+        const line = { raw, text: parsed.text, startState: state };
+        state = parsed.endState;
+        return line;
+    });
+
+    // Sections: a header line, then everything up to a blank line or the next header
+    viewer.sections = [];
+    viewer.sectionAt = new Map();
+    let current = null;
+    viewer.lines.forEach((line, idx) => {
+        const type = LOG_SECTION_TYPES.find(t => t.pattern.test(line.text));
+        if (type) {
+            current = { kind: type.kind, label: type.label, start: idx, end: idx };
+            viewer.sections.push(current);
+            viewer.sectionAt.set(idx, current);
+        } else if (current && line.text.trim() !== '') {
+            current.end = idx;
+        } else {
+            current = null;
+        }
+        line.section = current;
+    });
+
+    viewer.errorLines = viewer.lines.reduce((acc, line, idx) => {
+        if (LOG_ERROR_PATTERN.test(line.text)) acc.push(idx);
+        return acc;
+    }, []);
+    viewer.errorSet = new Set(viewer.errorLines);
+    viewer.folded = new Set();
+    viewer.filter = '';
+    viewer.currentLine = -1;
+    viewer.highlight = null;
+    updateLogRows(viewer);
+}
+
+/**
+ * Recompute which lines are shown (filter, then folds)
+ */
+function updateLogRows(viewer) {
+    const filter = viewer.filter.toLowerCase();
+    viewer.rows = [];
+    viewer.lines.forEach((line, idx) => {
+        if (filter) {
+            if (line.text.toLowerCase().includes(filter)) viewer.rows.push(idx);
+            return;
+        }
+        const section = line.section;
+        if (section && section.start !== idx && viewer.folded.has(section.start)) return;
+        viewer.rows.push(idx);
+    });
+}
+
+/**
+ * Draw the rows in (and near) the viewport
+ */
+function renderLogRows(viewer) {
+    const viewport = viewer.viewport;
+    if (!viewport || !viewer.lines) return;
+    const spacer = viewport.querySelector('.log-spacer');
+    spacer.style.height = `${viewer.rows.length * LOG_LINE_HEIGHT}px`;
+
+    const first = Math.max(0, Math.floor(viewport.scrollTop / LOG_LINE_HEIGHT) - LOG_OVERSCAN_ROWS);
+    const visible = Math.ceil((viewport.clientHeight || 400) / LOG_LINE_HEIGHT);
+    const last = Math.min(viewer.rows.length, first + visible + LOG_OVERSCAN_ROWS * 2);
+    const gutterWidth = `${String(viewer.lines.length).length + 3}ch`;
+    const filter = viewer.filter.toLowerCase();
+
+    let html = '';
+    for (let rowIdx = first; rowIdx < last; rowIdx++) {
+        const lineIdx = viewer.rows[rowIdx];
+        const line = viewer.lines[lineIdx];
+        const { segments } = parseAnsiLine(line.raw, line.startState);
+
+        const marks = [];
+        if (filter) {
+            const lower = line.text.toLowerCase();
+            for (let at = lower.indexOf(filter); at >= 0; at = lower.indexOf(filter, at + filter.length)) {
+                marks.push({ start: at, end: at + filter.length, className: 'log-filter-hit' });
+            }
+        }
+        if (viewer.highlight?.line === lineIdx) {
+            marks.push({ start: viewer.highlight.start, end: viewer.highlight.end, className: 'search-hit' });
+        }
+
+        const header = viewer.sectionAt.get(lineIdx);
+        const foldable = header && header.end > header.start && !filter;
+        const isFolded = foldable && viewer.folded.has(lineIdx);
+        const classes = ['log-row'];
+        if (line.section) classes.push(`log-section-${line.section.kind}`);
+        if (header) classes.push('log-section-start');
+        if (viewer.errorSet.has(lineIdx)) classes.push('log-error');
+        if (lineIdx === viewer.currentLine) classes.push('current');
+
+        html += `
+            <div class="${classes.join(' ')}" style="top: ${rowIdx * LOG_LINE_HEIGHT}px">
+                <span class="log-gutter" style="width: ${gutterWidth}">${foldable ? `<span class="log-fold" data-line="${lineIdx}" title="${isFolded ? 'Unfold' : 'Fold'} ${escapeHtml(header.label.toLowerCase())}">${isFolded ? '▸' : '▾'}</span>` : ''}${lineIdx + 1}</span>
+                <span class="log-text">${renderLogLineHtml(segments, marks)}${isFolded ? `<span class="log-folded-note">… ${header.end - header.start} more line${header.end - header.start !== 1 ? 's' : ''}</span>` : ''}</span>
+            </div>
+        `;
+    }
+    spacer.innerHTML = html;
+}
+
+/**
+ * Refresh the toolbar counts for a log
+ */
+function updateLogStatus(viewer) {
+    const collapsible = viewer.viewport?.closest('.collapsible');
+    if (!collapsible) return;
+    const status = collapsible.querySelector('.log-status');
+    if (status) {
+        const sections = viewer.sections.filter(sec => sec.end > sec.start).length;
+        status.textContent = viewer.filter
+            ? `${formatNumber(viewer.rows.length)} of ${formatNumber(viewer.lines.length)} lines`
+            : `${sections} foldable section${sections !== 1 ? 's' : ''}`;
+    }
+    const errorBtn = collapsible.querySelector('.log-error-btn');
+    if (errorBtn) {
+        errorBtn.textContent = `Next error (${viewer.errorLines.length})`;
+        errorBtn.disabled = viewer.errorLines.length === 0;
+    }
+}
+
+/**
+ * Set up (on first call) and draw an agent's log
+ * @returns {Object|null} The viewer
+ */
+function openAgentLog(agentId) {
+    const viewer = logViewers.get(agentId);
+    const collapsible = Array.from(document.querySelectorAll('#outputs-container .collapsible'))
+        .find(el => el.dataset.agent === agentId);
+    if (!viewer || !collapsible) return null;
+
+    if (!viewer.lines) {
+        initLogViewer(viewer);
+        viewer.viewport = collapsible.querySelector('.log-viewport');
+        viewer.viewport.addEventListener('scroll', () => renderLogRows(viewer));
+        viewer.viewport.addEventListener('click', (e) => {
+            const fold = e.target.closest('.log-fold');
+            if (!fold) return;
+            const line = parseInt(fold.dataset.line, 10);
+            if (viewer.folded.has(line)) viewer.folded.delete(line);
+            else viewer.folded.add(line);
+            updateLogRows(viewer);
+            renderLogRows(viewer);
+        });
+        updateLogStatus(viewer);
+    }
+    renderLogRows(viewer);
+    return viewer;
+}
+
+/**
+ * Scroll a log so a line is in the middle of the viewport
+ */
+function scrollLogToLine(viewer, lineIdx) {
+    const rowIdx = viewer.rows.indexOf(lineIdx);
+    if (rowIdx < 0) return;
+    const viewport = viewer.viewport;
+    viewport.scrollTop = Math.max(0, rowIdx * LOG_LINE_HEIGHT - ((viewport.clientHeight || 400) - LOG_LINE_HEIGHT) / 2);
+    renderLogRows(viewer);
+    viewport.closest('.collapsible')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Make a line visible: clear a filter that hides it and unfold its section
+ */
+function revealLogLine(viewer, lineIdx) {
+    if (viewer.filter && !viewer.lines[lineIdx].text.toLowerCase().includes(viewer.filter.toLowerCase())) {
+        viewer.filter = '';
+        const input = viewer.viewport.closest('.collapsible')?.querySelector('.log-filter');
+        if (input) input.value = '';
+    }
+    const section = viewer.lines[lineIdx].section;
+    if (section) viewer.folded.delete(section.start);
+    updateLogRows(viewer);
+    updateLogStatus(viewer);
+    viewer.currentLine = lineIdx;
+    scrollLogToLine(viewer, lineIdx);
+}
+
+/**
+ * Open an agent's log at a line and highlight a range of it (used by search)
+ */
+function revealAgentLogLine(agentId, lineIdx, start, end) {
+    const collapsible = Array.from(document.querySelectorAll('#outputs-container .collapsible'))
+        .find(el => el.dataset.agent === agentId);
+    collapsible?.classList.add('open');
+    const viewer = openAgentLog(agentId);
+    if (!viewer || !viewer.lines[lineIdx]) return;
+    viewer.highlight = { line: lineIdx, start, end };
+    revealLogLine(viewer, lineIdx);
+}
+
+/**
+ * Show only the log lines containing a filter string
+ */
+function filterAgentLog(agentId, value) {
+    const viewer = openAgentLog(agentId);
+    if (!viewer) return;
+    viewer.filter = value;
+    updateLogRows(viewer);
+    updateLogStatus(viewer);
+    viewer.viewport.scrollTop = 0;
+    renderLogRows(viewer);
+}
+
+/**
+ * Reveal the next error line after the current one
+ */
+function jumpToNextLogError(agentId) {
+    const viewer = openAgentLog(agentId);
+    if (!viewer || viewer.errorLines.length === 0) return;
+    // Wrap around to the first error after the last one
+    const next = viewer.errorLines.find(idx => idx > viewer.currentLine) ?? viewer.errorLines[0];
+    revealLogLine(viewer, next);
+}
+
+/**
+ * Fold every section of a log, or unfold them all
+ */
+function setAgentLogFolds(agentId, fold) {
+    const viewer = openAgentLog(agentId);
+    if (!viewer) return;
+    viewer.folded = fold
+        ? new Set(viewer.sections.filter(sec => sec.end > sec.start).map(sec => sec.start))
+        : new Set();
+    updateLogRows(viewer);
+    renderLogRows(viewer);
 }
 
 /**
@@ -2492,24 +8491,7 @@ function renderConfig(data) {
     const gitBranch = config.git?.branch || '';
     const gitCommit = config.git?.commit?.substring(0, 8) || '';
 
-    // Get agent configs - handle both array and object formats
-    let agents = config.config?.agents || [];
-    if (!Array.isArray(agents)) {
-        // Convert object to array if needed
-        agents = Object.values(agents);
-    }
-
-    // Fallback: extract agents from raw YAML if parsing didn't work
-    if (agents.length === 0 && config._raw) {
-        const rawYaml = config._raw;
-        const agentMatches = [...rawYaml.matchAll(/- id: (\S+)[\s\S]*?model: (\S+)/g)];
-        for (const match of agentMatches) {
-            agents.push({
-                id: match[1],
-                backend: { model: match[2] }
-            });
-        }
-    }
+    const agents = getConfigAgents(config);
 
     const agentSummary = agents.length > 0
         ? agents.map(a => {
@@ -2565,46 +8547,11 @@ function renderConfig(data) {
 }
 
 /**
- * Generate a simple YAML string from config object
+ * Generate a YAML string from config object
+ * Multi-line strings (e.g., system messages) are written as block scalars so they round-trip
  */
 function generateConfigYaml(config) {
-    // Simple YAML generator for the config
-    function toYaml(obj, indent = 0) {
-        const spaces = '  '.repeat(indent);
-        let yaml = '';
-
-        for (const [key, value] of Object.entries(obj)) {
-            if (value === null || value === undefined) {
-                yaml += `${spaces}${key}: null\n`;
-            } else if (Array.isArray(value)) {
-                yaml += `${spaces}${key}:\n`;
-                for (const item of value) {
-                    if (typeof item === 'object' && item !== null) {
-                        yaml += `${spaces}- `;
-                        const itemYaml = toYaml(item, indent + 2).trimStart();
-                        yaml += itemYaml.replace(/^  /, '');
-                    } else {
-                        yaml += `${spaces}- ${item}\n`;
-                    }
-                }
-            } else if (typeof value === 'object') {
-                yaml += `${spaces}${key}:\n`;
-                yaml += toYaml(value, indent + 1);
-            } else if (typeof value === 'string') {
-                // Quote strings that might need it
-                if (value.includes(':') || value.includes('#') || value.includes('\n')) {
-                    yaml += `${spaces}${key}: "${value.replace(/"/g, '\\"')}"\n`;
-                } else {
-                    yaml += `${spaces}${key}: ${value}\n`;
-                }
-            } else {
-                yaml += `${spaces}${key}: ${value}\n`;
-            }
-        }
-        return yaml;
-    }
-
-    return toYaml(config);
+    return jsyaml.dump(config, { schema: getYamlSchema(), lineWidth: -1, noRefs: true });
 }
 
 /**
@@ -2652,9 +8599,10 @@ window.downloadConfig = function() {
 /**
  * Render gist link
  */
-function renderGistLink(gistId) {
+function renderGistLink(gistId, revision = null) {
     const container = document.getElementById('gist-link');
-    container.innerHTML = `<a href="https://gist.github.com/${gistId}" target="_blank">View raw data on GitHub Gist</a>`;
+    const path = revision ? `${gistId}/${revision}` : gistId;
+    container.innerHTML = `<a href="https://gist.github.com/${escapeHtml(path)}" target="_blank">View raw data on GitHub Gist</a>`;
 }
 
 /**
@@ -2722,26 +8670,21 @@ function renderTreeNode(node, agentId, depth = 0) {
     // Render files in this directory (sorted)
     const sortedFiles = Array.from(node.files.entries()).sort((a, b) => a[0].localeCompare(b[0]));
     for (const [fileName, fileData] of sortedFiles) {
-        const fileExt = fileName.split('.').pop().toLowerCase();
-        const langClass = ['py', 'js', 'ts', 'json', 'yaml', 'yml', 'sh', 'html', 'css', 'md', 'txt'].includes(fileExt)
-            ? `language-${fileExt}` : '';
         const fileId = `${agentId}__${fileData.path}`.replace(/[^a-zA-Z0-9]/g, '_');
-        const sizeStr = fileData.content.length > 1024
-            ? `${(fileData.content.length / 1024).toFixed(1)} KB`
-            : `${fileData.content.length} B`;
+        const sizeStr = formatBytes(getWorkspaceFileSize(fileData.content, getWorkspaceFileType(fileName, fileData.content)));
 
         // Check if file can be previewed using React renderers
         const isPreviewable = window.canPreviewArtifact ? window.canPreviewArtifact(fileName, fileData.content) : false;
         const previewBadge = isPreviewable ? '<span class="preview-badge">Preview</span>' : '';
         // Use smart preview for Office documents (will use PDF version if available)
         const previewButton = isPreviewable
-            ? `<button class="tree-file-preview" onclick="event.stopPropagation(); openSmartArtifactPreview(sessionData.workspaceFiles['${escapeHtml(agentId)}']['${escapeHtml(fileData.path)}'], '${escapeHtml(fileName)}', '${escapeHtml(agentId)}', '${escapeHtml(fileData.path)}')">Preview</button>`
+            ? '<button class="tree-file-preview" onclick="event.stopPropagation(); openTreeFilePreview(this)">Preview</button>'
             : '';
 
         html += `
-            <div class="tree-file" id="file-${fileId}" style="padding-left: ${indent}px">
+            <div class="tree-file" id="file-${fileId}" data-agent-id="${escapeHtml(agentId)}" data-path="${escapeHtml(fileData.path)}" style="padding-left: ${indent}px">
                 <div class="tree-file-header" onclick="toggleWorkspaceFile('${fileId}')">
-                    <span class="tree-file-icon">${getFileIcon(fileExt)}</span>
+                    <span class="tree-file-icon">${getFileIcon(fileName, fileData.content)}</span>
                     <span class="tree-file-name">${escapeHtml(fileName)}${previewBadge}</span>
                     <span class="tree-file-size">${sizeStr}</span>
                     <span class="tree-file-toggle">▶</span>
@@ -2756,9 +8699,7 @@ function renderTreeNode(node, agentId, depth = 0) {
                             ⬇️ Download
                         </button>
                     </div>
-                    <div class="workspace-file-code">
-                        <pre class="${langClass}">${escapeHtml(fileData.content)}</pre>
-                    </div>
+                    <div class="workspace-file-code"></div>
                 </div>
             </div>
         `;
@@ -2767,6 +8708,25 @@ function renderTreeNode(node, agentId, depth = 0) {
     return html;
 }
 
+/**
+ * Render an expanded tree file's body: a code viewer, or a notice for binary files
+ * @param {string} path - File path within the workspace
+ * @param {string} content - File content (base64 for binary files)
+ */
+function renderTreeFileBody(path, content) {
+    const fileType = getWorkspaceFileType(path, content);
+    if (!fileType.binary) {
+        return renderCodeViewer(content, path);
+    }
+    return `
+        <div class="ws-binary-notice">
+            <span class="ws-binary-icon">${fileType.icon}</span>
+            <p>${FILE_KIND_LABELS[fileType.kind] || 'Binary file'}${fileType.ext ? ` (${escapeHtml(fileType.ext.toUpperCase())})` : ''} · ${formatBytes(getWorkspaceFileSize(content, fileType))}</p>
+            <p class="ws-binary-hint">Use Download to save</p>
+        </div>
+    `;
+}
+
 /**
  * Count total files in a tree node (recursive)
  */
@@ -2795,12 +8755,11 @@ window.toggleTreeFolder = function(folderId) {
  */
 function flattenWorkspaceFiles(agentFiles) {
     const flat = {};
-    for (const [timestamp, files] of Object.entries(agentFiles)) {
-        if (typeof files === 'object') {
-            for (const [path, content] of Object.entries(files)) {
-                // Prefix with timestamp if multiple timestamps exist
-                flat[path] = content;
-            }
+    const snapshots = Object.entries(agentFiles).filter(([, files]) => files && typeof files === 'object');
+    for (const [timestamp, files] of snapshots) {
+        for (const [path, content] of Object.entries(files)) {
+            // Prefix with timestamp if multiple timestamps exist, so same-named files don't overwrite each other
+            flat[snapshots.length > 1 ? `${timestamp}/${path}` : path] = content;
         }
     }
     return flat;
@@ -2871,23 +8830,10 @@ function renderWorkspace(data) {
 }
 
 /**
- * Get icon for file extension
+ * Get icon for a workspace file (from its detected type)
  */
-function getFileIcon(ext) {
-    const icons = {
-        'py': '🐍',
-        'js': '📜',
-        'ts': '📘',
-        'json': '📋',
-        'yaml': '⚙️',
-        'yml': '⚙️',
-        'md': '📝',
-        'txt': '📄',
-        'html': '🌐',
-        'css': '🎨',
-        'sh': '💻',
-    };
-    return icons[ext] || '📄';
+function getFileIcon(path, content) {
+    return getWorkspaceFileType(path, content).icon;
 }
 
 /**
@@ -2897,6 +8843,16 @@ window.toggleWorkspaceFile = function(fileId) {
     const fileEl = document.getElementById(`file-${fileId}`);
     if (fileEl) {
         fileEl.classList.toggle('expanded');
+        // Build and highlight on first expand rather than for every file up front
+        if (fileEl.classList.contains('expanded')) {
+            const codeEl = fileEl.querySelector('.workspace-file-code');
+            if (codeEl && !codeEl.dataset.rendered) {
+                const { agentId, path } = fileEl.dataset;
+                codeEl.innerHTML = renderTreeFileBody(path, window._workspaceFiles?.[agentId]?.[path] ?? '');
+                codeEl.dataset.rendered = 'true';
+            }
+            highlightCodeViewer(fileEl.querySelector('.code-viewer'));
+        }
     }
 };
 
@@ -2928,7 +8884,8 @@ window.downloadWorkspaceFile = function(agentId, filePath) {
     if (!content) return;
 
     const filename = filePath.split('/').pop();
-    const blob = new Blob([content], { type: 'text/plain' });
+    const blob = createWorkspaceFileBlob(filePath, content);
+    if (!blob) return;
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -2940,14 +8897,14 @@ window.downloadWorkspaceFile = function(agentId, filePath) {
 };
 
 /**
- * Copy inline workspace file content (extracts content from the pre element)
+ * Copy inline workspace file content (extracts content from the code viewer)
  */
 window.copyWorkspaceFileInline = function(fileId) {
     const fileEl = document.getElementById(`file-${fileId}`);
-    const pre = fileEl?.querySelector('.workspace-file-code pre');
-    if (!pre) return;
+    const text = getCodeViewerText(fileEl?.querySelector('.workspace-file-code'));
+    if (text === null) return;
 
-    navigator.clipboard.writeText(pre.textContent).then(() => {
+    navigator.clipboard.writeText(text).then(() => {
         const btn = fileEl?.querySelector('.ws-action-btn');
         if (btn) {
             const original = btn.innerHTML;
@@ -2985,41 +8942,8 @@ window.downloadWorkspaceFileInline = function(fileId, filePath) {
     }
 
     const filename = filePath.split('/').pop();
-    const { content, isBinary, ext } = fileData;
-
-    let blob;
-    if (isBinary) {
-        // Decode base64 for binary files
-        try {
-            const byteCharacters = atob(content);
-            const byteNumbers = new Array(byteCharacters.length);
-            for (let i = 0; i < byteCharacters.length; i++) {
-                byteNumbers[i] = byteCharacters.charCodeAt(i);
-            }
-            const byteArray = new Uint8Array(byteNumbers);
-
-            // Determine MIME type
-            const mimeTypes = {
-                'pdf': 'application/pdf',
-                'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-                'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-                'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-                'png': 'image/png',
-                'jpg': 'image/jpeg',
-                'jpeg': 'image/jpeg',
-                'gif': 'image/gif',
-                'webp': 'image/webp'
-            };
-            const mimeType = mimeTypes[ext] || 'application/octet-stream';
-            blob = new Blob([byteArray], { type: mimeType });
-        } catch (e) {
-            console.error('Failed to decode binary file:', e);
-            return;
-        }
-    } else {
-        // Text file
-        blob = new Blob([content], { type: 'text/plain' });
-    }
+    const blob = createWorkspaceFileBlob(fileData.path, fileData.content);
+    if (!blob) return;
 
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -3031,33 +8955,85 @@ window.downloadWorkspaceFileInline = function(fileId, filePath) {
     URL.revokeObjectURL(url);
 };
 
+// Pending and finished lazy loads, by URL (JSZip, markdown and math libraries)
+const loadedAssets = new Map();
+
+/**
+ * Load a script once (shared by every lazy-loaded library)
+ * @param {string} src - Script URL
+ * @param {string} integrity - Optional SRI hash for third-party hosts
+ */
+function loadScript(src, integrity = null) {
+    if (!loadedAssets.has(src)) {
+        loadedAssets.set(src, new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            if (integrity) {
+                script.integrity = integrity;
+                script.crossOrigin = 'anonymous';
+            }
+            script.onload = () => resolve();
+            script.onerror = () => {
+                loadedAssets.delete(src);
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        }));
+    }
+    return loadedAssets.get(src);
+}
+
+/**
+ * Add a stylesheet once
+ */
+function loadStylesheet(href, integrity = null) {
+    if (loadedAssets.has(href)) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    if (integrity) {
+        link.integrity = integrity;
+        link.crossOrigin = 'anonymous';
+    }
+    document.head.appendChild(link);
+    loadedAssets.set(href, Promise.resolve());
+}
+
+/**
+ * Load JSZip (local vendor copy, precached by the service worker) on first use
+ * @returns {Promise<Function>} Resolves with the JSZip constructor
+ */
+function loadJSZip() {
+    if (typeof JSZip !== 'undefined') {
+        return Promise.resolve(JSZip);
+    }
+    return loadScript('lib/vendor/jszip.min.js').then(() => JSZip);
+}
+
 /**
  * Download all workspace files for an agent as a zip
- * Uses JSZip library loaded from CDN
+ * Uses JSZip library loaded on demand
  */
 window.downloadWorkspaceZip = async function(agentId) {
     const files = window._workspaceFiles?.[agentId];
     if (!files || Object.keys(files).length === 0) return;
 
-    // Check if JSZip is loaded, if not load it
-    if (typeof JSZip === 'undefined') {
-        const script = document.createElement('script');
-        script.src = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
-        script.integrity = 'sha512-XMVd28F1oH/O71fzwBnV7HucLxVwtxf26XV8P4wPk26EDxuGZ91N8bsOttmnomcCD3CS5ZMRL50H0GgOHvegtg==';
-        script.crossOrigin = 'anonymous';
-        script.onload = () => createAndDownloadZip(agentId, files);
-        document.head.appendChild(script);
-    } else {
-        createAndDownloadZip(agentId, files);
+    try {
+        await loadJSZip();
+    } catch (e) {
+        console.error('Failed to load JSZip:', e);
+        return;
     }
+    createAndDownloadZip(agentId, files);
 };
 
 async function createAndDownloadZip(agentId, files) {
     const zip = new JSZip();
 
-    // Add all files to the zip
+    // Add all files to the zip (binary files are stored as their decoded bytes)
     for (const [filePath, content] of Object.entries(files)) {
-        zip.file(filePath, content);
+        zip.file(filePath, content, { base64: getWorkspaceFileType(filePath, content).binary });
     }
 
     // Generate and download
@@ -3076,7 +9052,8 @@ async function createAndDownloadZip(agentId, files) {
  * Copy final answer to clipboard
  */
 window.copyFinalAnswer = function() {
-    const content = document.getElementById('final-answer').textContent;
+    // Copy the original markdown, not the rendered text
+    const content = sessionData ? findCurrentFinalAnswer(sessionData).finalAnswer : document.getElementById('final-answer').textContent;
     navigator.clipboard.writeText(content).then(() => {
         const btn = document.querySelector('.copy-btn');
         btn.textContent = 'Copied!';
@@ -3106,6 +9083,20 @@ window.openArtifactPreview = function(content, fileName, relatedFiles = {}) {
     const container = document.getElementById('artifact-preview-container');
     const titleEl = document.getElementById('artifact-preview-title');
 
+    // Data files and notebooks are rendered here rather than by the React bundle
+    if (getDataTableFormat(fileName)) {
+        titleEl.textContent = fileName;
+        mountDataTable(container, content, fileName);
+        modal.classList.add('active');
+        return;
+    }
+    if (isNotebookFile(fileName)) {
+        titleEl.textContent = fileName;
+        mountNotebook(container, content);
+        modal.classList.add('active');
+        return;
+    }
+
     if (!window.MassGenRenderers) {
         console.error('MassGen Renderers bundle not loaded');
         container.innerHTML = '<div class="error">Artifact preview not available - renderer bundle not loaded</div>';
@@ -3209,6 +9200,9 @@ window.closeArtifactPreview = function() {
  * @returns {boolean}
  */
 window.canPreviewArtifact = function(fileName, content) {
+    if (getDataTableFormat(fileName) || isNotebookFile(fileName)) {
+        return true;
+    }
     if (!window.MassGenRenderers || typeof window.MassGenRenderers.canPreviewFile !== 'function') {
         return false;
     }
@@ -3223,10 +9217,8 @@ window.canPreviewArtifact = function(fileName, content) {
  * @returns {Object|null} {content, pdfPath} if found, null otherwise
  */
 function findPdfVersionForOfficeDoc(agentId, filePath) {
-    if (!sessionData || !sessionData.workspaceFiles) return null;
-
     const pdfPath = getPdfVersionPath(filePath);
-    const agentFiles = sessionData.workspaceFiles[agentId];
+    const agentFiles = window._workspaceFiles?.[agentId];
 
     if (agentFiles && agentFiles[pdfPath]) {
         return { content: agentFiles[pdfPath], pdfPath };
@@ -3258,99 +9250,735 @@ window.openSmartArtifactPreview = function(content, fileName, agentId, filePath)
 };
 
 /**
- * Open artifact preview from a button element (reads content from sibling pre element)
+ * Open artifact preview for a workspace tree file (reads content from the agent's flattened files)
+ * @param {HTMLElement} buttonEl - The preview button inside the tree file element
+ */
+window.openTreeFilePreview = function(buttonEl) {
+    const { agentId, path } = buttonEl.closest('.tree-file').dataset;
+    const content = window._workspaceFiles?.[agentId]?.[path];
+    if (content === undefined) {
+        console.error('Could not find workspace file:', path);
+        return;
+    }
+
+    openSmartArtifactPreview(content, path.split('/').pop(), agentId, path);
+};
+
+/**
+ * Open artifact preview from a split-pane preview button (reads content from the workspace's embedded JSON)
  * For Office documents, uses the PDF version if available for better quality
  * @param {HTMLElement} buttonEl - The preview button element
  */
 window.openArtifactPreviewFromElement = function(buttonEl) {
-    const fileName = buttonEl.dataset.filename;
-    const fileId = buttonEl.dataset.fileid;
+    const { filename: fileName, fileid: fileId, workspaceId, pdfPath } = buttonEl.dataset;
     const hasPdf = buttonEl.dataset.hasPdf === 'true';
-    const pdfPath = buttonEl.dataset.pdfPath;
 
-    // Find the file container and get content from the pre element
-    const fileContainer = document.getElementById('file-' + fileId);
-    if (!fileContainer) {
-        console.error('Could not find file container:', fileId);
+    const filesData = readWorkspaceData(workspaceId);
+    const fileData = filesData?.[fileId];
+    if (!fileData) {
+        console.error('Could not find file data for:', fileId);
         return;
     }
 
-    // For Office documents with PDF version, find and use the PDF content
+    // For Office documents with PDF version, use the PDF content
     if (hasPdf && pdfPath) {
-        // The PDF file should be in the same parent container (inline-workspace-files)
-        const pdfFileId = fileId.replace(fileName.replace(/[^a-zA-Z0-9]/g, '_'), pdfPath.replace(/[^a-zA-Z0-9]/g, '_'));
-        const pdfContainer = document.getElementById('file-' + pdfFileId);
-        if (pdfContainer) {
-            const pdfPreElement = pdfContainer.querySelector('.workspace-file-code pre');
-            if (pdfPreElement) {
-                openArtifactPreview(pdfPreElement.textContent, pdfPath);
-                return;
-            }
+        const pdfData = Object.values(filesData).find(file => file.path === pdfPath);
+        if (pdfData) {
+            openArtifactPreview(pdfData.content, pdfPath);
+            return;
         }
-        // If we can't find the PDF container, try looking in the same parent
-        const parent = fileContainer.closest('.inline-workspace-files');
-        if (parent) {
-            const allFiles = parent.querySelectorAll('.workspace-file');
-            for (const file of allFiles) {
-                const header = file.querySelector('.workspace-file-path');
-                if (header && header.textContent.includes(pdfPath)) {
-                    const pdfPre = file.querySelector('.workspace-file-code pre');
-                    if (pdfPre) {
-                        openArtifactPreview(pdfPre.textContent, pdfPath);
-                        return;
-                    }
-                }
+    }
+
+    openArtifactPreview(fileData.content, fileName);
+};
+
+// =============================================================================
+// Local Export Loading (drag-and-drop / file picker)
+// =============================================================================
+
+/**
+ * Path segments that are part of the export layout itself and must never be
+ * stripped as a wrapper directory
+ */
+const EXPORT_ROOT_SEGMENT_PATTERN = /^(turn_\d+|attempt_\d+|final|agent_outputs)$/;
+
+/**
+ * Encode raw bytes as base64 (same encoding massgen export uses for binary gist files)
+ * @param {Uint8Array} bytes - The raw file bytes
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode local file bytes into the string form used by the gist loader
+ * Valid UTF-8 becomes text; anything else is treated as binary and base64-encoded
+ * @param {Uint8Array} bytes - The raw file bytes
+ * @returns {string}
+ */
+function decodeLocalFileBytes(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return bytesToBase64(bytes);
+    }
+}
+
+/**
+ * Check if a local path is OS/archiver noise rather than export content
+ */
+function isIgnoredLocalPath(path) {
+    const parts = path.split('/');
+    const baseName = parts[parts.length - 1];
+    return parts.some(p => p === '__MACOSX') || baseName === '.DS_Store' || baseName === 'Thumbs.db';
+}
+
+/**
+ * Strip wrapper directories shared by every entry
+ * e.g., "my_export/turn_1/attempt_1/status.json" -> "turn_1/attempt_1/status.json"
+ * @param {Array<{path: string}>} entries - Entries with slash-separated paths
+ * @returns {Array<{path: string}>} Entries with the common root removed
+ */
+function stripCommonRootDir(entries) {
+    let result = entries;
+    while (result.length > 0) {
+        const firstSegments = new Set();
+        let allNested = true;
+        for (const entry of result) {
+            const slashIdx = entry.path.indexOf('/');
+            if (slashIdx === -1) {
+                allNested = false;
+                break;
             }
+            firstSegments.add(entry.path.slice(0, slashIdx));
+        }
+        if (!allNested || firstSegments.size !== 1) break;
+        const root = firstSegments.values().next().value;
+        if (EXPORT_ROOT_SEGMENT_PATTERN.test(root)) break;
+        result = result.map(entry => ({ ...entry, path: entry.path.slice(root.length + 1) }));
+    }
+    return result;
+}
+
+/**
+ * Read all file entries out of a zip archive
+ * @param {Blob} zipFile - The zip file
+ * @param {string} prefix - Directory the zip was found in (empty for top level)
+ * @returns {Promise<Array<{path: string, bytes: Uint8Array}>>}
+ */
+async function readZipEntries(zipFile, prefix = '') {
+    const JSZipLib = await loadJSZip();
+    const zip = await JSZipLib.loadAsync(zipFile);
+    const reads = [];
+    zip.forEach((relativePath, entry) => {
+        if (entry.dir) return;
+        reads.push(entry.async('uint8array').then(bytes => ({ path: prefix + relativePath, bytes })));
+    });
+    return Promise.all(reads);
+}
+
+/**
+ * Recursively collect files from a dropped FileSystemEntry (file or directory)
+ * @param {FileSystemEntry} entry - Entry from DataTransferItem.webkitGetAsEntry()
+ * @param {string} prefix - Path of the parent directory
+ * @returns {Promise<Array<{path: string, file: File}>>}
+ */
+async function readDroppedEntry(entry, prefix = '') {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ path: prefix + entry.name, file }];
+    }
+    if (!entry.isDirectory) return [];
+
+    // readEntries() returns results in batches, so keep reading until empty
+    const reader = entry.createReader();
+    const children = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        children.push(...batch);
+    } while (batch.length > 0);
+
+    const nested = await Promise.all(
+        children.map(child => readDroppedEntry(child, `${prefix}${entry.name}/`))
+    );
+    return nested.flat();
+}
+
+/**
+ * Read local files into a raw path -> string content map (the 'file' source)
+ * Zip archives are expanded in place; folder paths and flattened "__" names both work
+ * @param {Array<{path: string, file: File}>} localFiles - Files with their relative paths
+ * @returns {Promise<Object>} Map of relative path to text (or base64 for binaries)
+ */
+async function readLocalFiles(localFiles) {
+    const entries = [];
+    for (const { path, file } of localFiles) {
+        if (isIgnoredLocalPath(path)) continue;
+        if (path.toLowerCase().endsWith('.zip')) {
+            const prefix = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+            entries.push(...await readZipEntries(file, prefix));
+        } else {
+            entries.push({ path, bytes: new Uint8Array(await file.arrayBuffer()) });
         }
     }
 
-    // Fall back to original content
-    const preElement = fileContainer.querySelector('.workspace-file-code pre');
-    if (!preElement) {
-        console.error('Could not find pre element in file container');
-        return;
+    const rawFiles = {};
+    const exportEntries = stripCommonRootDir(entries.filter(e => !isIgnoredLocalPath(e.path)));
+    for (const { path, bytes } of exportEntries) {
+        rawFiles[path] = decodeLocalFileBytes(bytes);
     }
+    return rawFiles;
+}
 
-    const content = preElement.textContent;
-    openArtifactPreview(content, fileName);
-};
+registerSessionSource({
+    name: 'file',
+    load: readLocalFiles
+});
 
 /**
- * Main initialization
+ * Load and render a session from local files (zip or export folder)
+ * @param {Array<{path: string, file: File}>} localFiles - Files with their relative paths
+ * @param {string} label - Display name of the dropped source
  */
-async function init() {
-    const gistId = getGistId();
+async function loadLocalExport(localFiles, label) {
+    showLoading();
+    try {
+        await loadSessionFromSource(getSessionSource('file'), localFiles);
+        renderLocalSourceLabel(label);
+    } catch (error) {
+        console.error('Error loading local export:', error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Handle files chosen via the zip/folder pickers
+ * @param {FileList} fileList - Files from an <input type="file">
+ */
+function handleLocalFileInput(fileList) {
+    const localFiles = Array.from(fileList).map(file => ({
+        path: file.webkitRelativePath || file.name,
+        file
+    }));
+    if (localFiles.length === 0) return;
+    const label = localFiles.length === 1 ? localFiles[0].file.name : localFiles[0].path.split('/')[0];
+    loadLocalExport(localFiles, label);
+}
+
+/**
+ * Handle a drop event containing a zip, a folder, or loose export files
+ * @param {DragEvent} event - The drop event
+ */
+async function handleLocalDrop(event) {
+    const items = Array.from(event.dataTransfer?.items || []);
+    // webkitGetAsEntry() must be called synchronously, before the event is released
+    const entries = items
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+
+    let localFiles;
+    if (entries.length > 0 && entries.every(Boolean)) {
+        localFiles = (await Promise.all(entries.map(entry => readDroppedEntry(entry)))).flat();
+    } else {
+        localFiles = Array.from(event.dataTransfer?.files || []).map(file => ({ path: file.name, file }));
+    }
+    if (localFiles.length === 0) return;
+
+    const label = entries.length === 1 && entries[0] ? entries[0].name : `${localFiles.length} files`;
+    loadLocalExport(localFiles, label);
+}
+
+/**
+ * Wire up the landing drop zone, file pickers, and page-wide drag-and-drop
+ */
+function initLocalDropZone() {
+    const zipInput = document.getElementById('local-zip-input');
+    const dirInput = document.getElementById('local-dir-input');
+    [zipInput, dirInput].forEach(input => {
+        if (!input) return;
+        input.addEventListener('change', () => {
+            handleLocalFileInput(input.files);
+            input.value = '';
+        });
+    });
+
+    // Accept drops anywhere on the page, so another export can replace the current one
+    let dragDepth = 0;
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+    window.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        dragDepth++;
+        document.body.classList.add('drag-active');
+    });
+    window.addEventListener('dragleave', (e) => {
+        if (!hasFiles(e)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) document.body.classList.remove('drag-active');
+    });
+    window.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    window.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        document.body.classList.remove('drag-active');
+        // Reading dropped folders can fail (e.g., permissions) before loadLocalExport takes over
+        handleLocalDrop(e).catch(error => {
+            console.error('Error reading dropped files:', error);
+            showError(error.message);
+        });
+    });
+}
+
+/**
+ * Show where a locally loaded session came from in the footer
+ */
+function renderLocalSourceLabel(label) {
+    const container = document.getElementById('gist-link');
+    container.textContent = `Loaded from local export: ${label}`;
+}
+
+/**
+ * Extract session data from a files map and render every section
+ */
+function renderSession(files) {
+    // Reset per-session UI state so a second load starts clean
+    currentTurn = null;
+    document.getElementById('turn-navigation')?.remove();
+    document.getElementById('conversation-history-panel')?.remove();
+    document.getElementById('try-session-section').style.display = '';
+    document.getElementById('revision-bar').style.display = 'none';
+    exitReplay(false);
+    updateMarkdownToggles();
+
+    sessionData = extractSessionData(files);
+
+    // Render all sections
+    renderHeader(sessionData);
+    renderStats(sessionData);
+    renderAgents(sessionData);
+    renderTools(sessionData);
+    renderAgentGantt(sessionData);
+    renderTimeline(sessionData);
+    renderVoteOverview(sessionData);
+    renderAnswers(sessionData);
+    renderFinalAnswer(sessionData);
+    renderWorkspace(sessionData);
+    renderOutputs(sessionData);
+    renderConfig(sessionData);
+    renderDiagnostics(sessionData);
+    // After the workspace panes' deferred auto-select
+    setTimeout(openLinkedCodeLines, 0);
+}
+
+// =============================================================================
+// Live Mode (follow a running session over WebSocket / Server-Sent Events)
+// =============================================================================
 
-    if (!gistId) {
-        showError('No session ID provided. Add ?gist=YOUR_GIST_ID to the URL. Learn more at https://github.com/massgen/MassGen');
+// Live session state: { url, connection, files, eventsPath, status, following, ... }
+let liveSession = null;
+
+// Minimum time between re-renders while events stream in
+const LIVE_RENDER_INTERVAL_MS = 250;
+// Reconnect attempts before giving up (EventSource retries on its own schedule, so its
+// failed attempts are counted instead)
+const LIVE_MAX_RETRIES = 5;
+// Distance from the bottom of the timeline that still counts as "at the latest event"
+const LIVE_FOLLOW_THRESHOLD_PX = 40;
+
+/**
+ * Start following a live session
+ * Message protocol (JSON, one message per WebSocket frame / SSE data line):
+ *   { "type": "file", "path": "turn_1/attempt_1/status.json", "content": "..." }  add or replace a file
+ *   { "type": "event", "path": "...coordination_events.json", "event": { ... } }  append a coordination event
+ *   { "type": "end" }                                                          session finished
+ * On every (re)connect the server is expected to send the full current state first.
+ * @param {string} url - ws:// or wss:// for WebSocket, http:// or https:// for Server-Sent Events
+ */
+function startLiveSession(url) {
+    liveSession = {
+        url,
+        connection: null,
+        files: {},
+        eventsPath: null,
+        status: 'connecting',
+        following: true,
+        retries: 0,
+        rendered: false,
+        renderTimer: null,
+        lastRenderAt: 0,
+        changedPaths: new Set(),
+        eventsChanged: false
+    };
+    document.getElementById('loading-message').textContent = 'Waiting for live session...';
+    showLoading();
+    connectLiveSession();
+}
+
+/**
+ * Open the WebSocket or EventSource connection for the live session
+ */
+function connectLiveSession() {
+    const live = liveSession;
+    const isWebSocket = /^wss?:/i.test(live.url);
+    let connection;
+    try {
+        connection = isWebSocket ? new WebSocket(live.url) : new EventSource(live.url);
+    } catch (e) {
+        showError(`Invalid live session URL: ${live.url}`);
         return;
     }
+    live.connection = connection;
+
+    connection.onopen = () => {
+        // The server replays the full state on connect, so start from a clean slate
+        live.files = {};
+        live.eventsPath = null;
+        live.retries = 0;
+        live.changedPaths.add('*');
+        setLiveStatus('live');
+    };
+
+    connection.onmessage = (e) => handleLiveMessage(e.data);
+
+    if (isWebSocket) {
+        connection.onclose = () => {
+            if (live !== liveSession || live.status === 'ended') return;
+            if (live.retries >= LIVE_MAX_RETRIES) {
+                handleLiveDisconnect();
+                return;
+            }
+            const delay = 1000 * Math.pow(2, live.retries++);
+            setLiveStatus('reconnecting');
+            setTimeout(() => {
+                if (live === liveSession) connectLiveSession();
+            }, delay);
+        };
+    } else {
+        connection.onerror = () => {
+            if (live !== liveSession || live.status === 'ended') return;
+            // EventSource keeps retrying an unreachable server forever, so stop it after the same
+            // number of attempts as the WebSocket branch
+            if (connection.readyState === EventSource.CLOSED || live.retries >= LIVE_MAX_RETRIES) {
+                connection.close();
+                handleLiveDisconnect();
+                return;
+            }
+            live.retries++;
+            setLiveStatus('reconnecting');
+        };
+    }
+}
+
+/**
+ * Give up on the live connection
+ */
+function handleLiveDisconnect() {
+    setLiveStatus('disconnected');
+    if (!liveSession.rendered) {
+        showError(`Could not connect to live session at ${liveSession.url}`);
+    }
+}
 
+/**
+ * Apply one message from the live stream
+ */
+function handleLiveMessage(data) {
+    const live = liveSession;
+    let message;
     try {
-        const gist = await fetchGist(gistId);
-        const files = await parseGistFiles(gist);
-        sessionData = extractSessionData(files);
+        message = JSON.parse(data);
+    } catch {
+        console.warn('[Live] Ignoring non-JSON message:', data);
+        return;
+    }
+
+    if (message.type === 'file' && message.path) {
+        applyLiveFile(message.path, message.content);
+    } else if (message.type === 'event' && message.event) {
+        appendLiveEvent(message.event, message.path);
+    } else if (message.type === 'end') {
+        setLiveStatus('ended');
+        live.connection.close();
+    } else {
+        console.warn('[Live] Unknown message:', message);
+        return;
+    }
+    scheduleLiveRender();
+}
+
+/**
+ * Add or replace a file in the live files map
+ * @param {string} filename - Export path (nested or flattened with "__")
+ * @param {string|Object} content - Raw file content, or an already-parsed JSON object
+ */
+function applyLiveFile(filename, content) {
+    const live = liveSession;
+    const path = unflattenPath(filename);
+    if (typeof content === 'string') {
+        processFileContent(live.files, filename, path, content);
+    } else {
+        live.files[path] = content;
+    }
+    if (path.endsWith('coordination_events.json')) {
+        live.eventsPath = path;
+    }
+    live.changedPaths.add(path);
+}
+
+/**
+ * Append a coordination event to its events file
+ * The events array is shared with sessionData.coordination, so the timeline can
+ * re-render without re-extracting the whole session
+ * @param {Object} event - The coordination event
+ * @param {string} filename - Events file path (defaults to the last one seen)
+ */
+function appendLiveEvent(event, filename) {
+    const live = liveSession;
+    const path = filename ? unflattenPath(filename) : (live.eventsPath || 'coordination_events.json');
+    let coordination = live.files[path];
+    if (!coordination || typeof coordination !== 'object') {
+        coordination = { events: [] };
+        live.files[path] = coordination;
+        live.changedPaths.add(path);
+    }
+    if (!Array.isArray(coordination.events)) {
+        coordination.events = [];
+    }
+    coordination.events.push(event);
+    live.eventsPath = path;
+    live.eventsChanged = true;
+}
+
+/**
+ * Throttle re-renders so a burst of events costs one render
+ */
+function scheduleLiveRender() {
+    const live = liveSession;
+    if (live.renderTimer) return;
+    const wait = Math.max(0, LIVE_RENDER_INTERVAL_MS - (Date.now() - live.lastRenderAt));
+    live.renderTimer = setTimeout(() => {
+        live.renderTimer = null;
+        live.lastRenderAt = Date.now();
+        renderLiveUpdate();
+    }, wait);
+}
 
-        // Render all sections
-        renderHeader(sessionData);
+/**
+ * Re-render the sections affected by the messages received since the last render
+ */
+function renderLiveUpdate() {
+    const live = liveSession;
+    const changedPaths = live.changedPaths;
+    const eventsChanged = live.eventsChanged;
+    live.changedPaths = new Set();
+    live.eventsChanged = false;
+
+    if (!live.rendered) {
+        live.rendered = true;
+        renderSession(live.files);
+        renderLiveSourceLabel(live.url);
+        showContent();
+    } else if (changedPaths.size > 0) {
+        // New or replaced files (status, answers, votes...) need a fresh extraction
+        const previousTurn = currentTurn;
+        const timelineScroll = getLiveTimelineScroll();
+        sessionData = extractSessionData(live.files);
+        renderHeader(sessionData); // Moves to the newest turn of a multi-turn session
+        if (!live.following && previousTurn && sessionData.perTurnData[previousTurn]) {
+            currentTurn = previousTurn;
+            updateTurnTabs();
+        }
         renderStats(sessionData);
         renderAgents(sessionData);
         renderTools(sessionData);
+        renderAgentGantt(sessionData);
         renderTimeline(sessionData);
+        renderVoteOverview(sessionData);
         renderAnswers(sessionData);
         renderFinalAnswer(sessionData);
-        renderWorkspace(sessionData);
         renderOutputs(sessionData);
-        renderConfig(sessionData);
-        renderGistLink(gistId);
+        // Workspace and config re-renders reset their selections, so only redo them when they changed
+        const paths = Array.from(changedPaths);
+        if (paths.some(p => p === '*' || p.includes('workspace/'))) {
+            renderWorkspace(sessionData);
+        }
+        if (paths.some(p => p === '*' || p.includes('execution_metadata'))) {
+            renderConfig(sessionData);
+        }
+        renderDiagnostics(sessionData);
+        restoreLiveTimelineScroll(timelineScroll);
+    } else if (eventsChanged) {
+        // Events were appended in place, only event-driven sections need updating
+        const timelineScroll = getLiveTimelineScroll();
+        renderStats(sessionData);
+        renderAgents(sessionData);
+        renderAgentGantt(sessionData);
+        renderTimeline(sessionData);
+        restoreLiveTimelineScroll(timelineScroll);
+    }
 
-        showContent();
+    attachLiveTimelineFollow();
+    renderLiveIndicator();
+}
+
+/**
+ * Remember the timeline's scroll position before it is re-rendered
+ */
+function getLiveTimelineScroll() {
+    return document.querySelector('#timeline-container .timeline-vertical-container')?.scrollTop || 0;
+}
+
+/**
+ * Scroll the re-rendered timeline to the latest event when following, or back to where the user was
+ */
+function restoreLiveTimelineScroll(scrollTop) {
+    const timeline = document.querySelector('#timeline-container .timeline-vertical-container');
+    if (!timeline) return;
+    timeline.scrollTop = liveSession.following ? timeline.scrollHeight : scrollTop;
+}
+
+/**
+ * Stop following when the user scrolls up through the timeline; resume at the bottom
+ */
+function attachLiveTimelineFollow() {
+    const timeline = document.querySelector('#timeline-container .timeline-vertical-container');
+    if (!timeline || timeline.dataset.liveFollow) return;
+    timeline.dataset.liveFollow = 'true';
+    if (liveSession.following) {
+        timeline.scrollTop = timeline.scrollHeight;
+    }
+    timeline.addEventListener('scroll', () => {
+        const atBottom = timeline.scrollHeight - timeline.scrollTop - timeline.clientHeight <= LIVE_FOLLOW_THRESHOLD_PX;
+        if (atBottom !== liveSession.following) {
+            liveSession.following = atBottom;
+            renderLiveIndicator();
+        }
+    });
+}
+
+/**
+ * Update the connection status and its indicator
+ */
+function setLiveStatus(status) {
+    liveSession.status = status;
+    renderLiveIndicator();
+}
+
+/**
+ * Render the floating live status / "following" indicator
+ */
+function renderLiveIndicator() {
+    const indicator = document.getElementById('live-indicator');
+    if (!indicator || !liveSession) return;
+    const { status, following } = liveSession;
+
+    let label;
+    let action = '';
+    if (status === 'connecting') {
+        label = 'Connecting...';
+    } else if (status === 'reconnecting') {
+        label = 'Reconnecting...';
+    } else if (status === 'disconnected') {
+        label = 'Disconnected';
+        action = '<button class="live-indicator-btn" onclick="reconnectLiveSession()">Retry</button>';
+    } else if (status === 'ended') {
+        label = 'Session ended';
+    } else if (following) {
+        label = 'Following';
+    } else {
+        label = 'Paused';
+        action = '<button class="live-indicator-btn" onclick="followLiveSession()">Jump to latest</button>';
+    }
+
+    indicator.className = `live-indicator ${status} ${following ? 'following' : ''}`;
+    indicator.innerHTML = `<span class="live-dot"></span><span class="live-label">${label}</span>${action}`;
+    indicator.style.display = '';
+}
+
+/**
+ * Resume following the latest events
+ */
+window.followLiveSession = function() {
+    if (!liveSession) return;
+    liveSession.following = true;
+    const timeline = document.querySelector('#timeline-container .timeline-vertical-container');
+    if (timeline) {
+        timeline.scrollTop = timeline.scrollHeight;
+    }
+    renderLiveIndicator();
+};
+
+/**
+ * Reconnect after the live connection was given up
+ */
+window.reconnectLiveSession = function() {
+    if (!liveSession) return;
+    liveSession.retries = 0;
+    setLiveStatus('connecting');
+    connectLiveSession();
+};
+
+/**
+ * Show the live session URL in the footer
+ */
+function renderLiveSourceLabel(url) {
+    const container = document.getElementById('gist-link');
+    container.textContent = `Following live session: ${url}`;
+}
+
+/**
+ * Register the service worker that keeps the app shell available offline
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    navigator.serviceWorker.register('sw.js').catch(e => {
+        console.error('Service worker registration failed:', e);
+    });
+}
+
+/**
+ * Main initialization
+ */
+async function init() {
+    registerServiceWorker();
+    initLocalDropZone();
+
+    const liveUrl = new URLSearchParams(window.location.search).get('live');
+    if (liveUrl) {
+        startLiveSession(liveUrl);
+        return;
+    }
+
+    const selected = getSessionSourceFromUrl();
+
+    if (!selected) {
+        showLanding();
+        return;
+    }
 
+    try {
+        await loadSessionFromSource(selected.source, selected.value);
     } catch (error) {
         console.error('Error loading session:', error);
-        showError(error.message);
+        const authFixable = selected.source.name === 'gist' && [401, 403, 404, 429].includes(error.status);
+        showError(error.message, { showTokenSettings: authFixable });
     }
 }
 
-// Start the app
-init();
+// Start the app once the page (and any scripts registering extra session sources) has loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * MassGen Session Viewer - Live Replay Server
+ * Replays a recorded session to the viewer's live mode (?live=) so it can be
+ * developed and tested without a running MassGen session.
+ *
+ * Usage:
+ *   node scripts/live-replay-server.js <coordination_events.json | export dir> [--port 8765] [--speed 5] [--max-gap 3]
+ *
+ * Then open the viewer with either transport:
+ *   http://localhost:8000/?live=ws://localhost:8765
+ *   http://localhost:8000/?live=http://localhost:8765/events
+ *
+ * Given an export directory, every other file is sent up front and each
+ * coordination_events.json (one per turn/attempt) is streamed in path order.
+ * Every connection gets its own replay from the start. No dependencies.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Files larger than this are left out of directory replays
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function parseArgs(argv) {
+    const options = { port: 8765, speed: 5, maxGap: 3, target: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') options.port = parseInt(argv[++i], 10);
+        else if (arg === '--speed') options.speed = parseFloat(argv[++i]);
+        else if (arg === '--max-gap') options.maxGap = parseFloat(argv[++i]);
+        else if (!options.target) options.target = arg;
+    }
+    if (!options.target) {
+        console.error('Usage: node scripts/live-replay-server.js <coordination_events.json | export dir> [--port 8765] [--speed 5] [--max-gap 3]');
+        process.exit(1);
+    }
+    return options;
+}
+
+/**
+ * List files under a directory as paths relative to it, using "/" separators
+ */
+function walkDirectory(root, dir = root) {
+    const results = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            results.push(...walkDirectory(root, fullPath));
+        } else if (entry.isFile()) {
+            results.push(path.relative(root, fullPath).split(path.sep).join('/'));
+        }
+    }
+    return results;
+}
+
+/**
+ * Read a file as UTF-8 text, or base64 for binary content (matching shared gists)
+ */
+function readExportFile(fullPath) {
+    const bytes = fs.readFileSync(fullPath);
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return bytes.toString('base64');
+    }
+}
+
+/**
+ * Build the replay script: the messages sent on connect and the event streams
+ * @returns {{ initial: Object[], streams: { path: string, events: Object[] }[] }}
+ */
+function loadReplay(target) {
+    const initial = [];
+    const streams = [];
+
+    const addEventsFile = (relPath, fullPath) => {
+        const data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        const events = [...(data.events || [])].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        // Send the file's metadata with an empty event list; events follow one by one
+        initial.push({ type: 'file', path: relPath, content: JSON.stringify({ ...data, events: [] }) });
+        streams.push({ path: relPath, events });
+    };
+
+    if (fs.statSync(target).isDirectory()) {
+        for (const relPath of walkDirectory(target).sort()) {
+            const fullPath = path.join(target, relPath);
+            if (relPath.endsWith('coordination_events.json')) {
+                addEventsFile(relPath, fullPath);
+            } else if (fs.statSync(fullPath).size <= MAX_FILE_BYTES) {
+                initial.push({ type: 'file', path: relPath, content: readExportFile(fullPath) });
+            }
+        }
+    } else {
+        addEventsFile('coordination_events.json', target);
+    }
+
+    if (streams.length === 0) {
+        throw new Error(`No coordination_events.json found in ${target}`);
+    }
+    return { initial, streams };
+}
+
+/**
+ * Send the replay to one client, pacing events by their recorded timestamps
+ * @param {Object} replay - From loadReplay
+ * @param {Object} options - { speed, maxGap }
+ * @param {Function} send - Sends one message object
+ * @param {Function} done - Called after the final "end" message
+ * @returns {Function} Stops the replay
+ */
+function startReplay(replay, options, send, done) {
+    const queue = [];
+    for (const stream of replay.streams) {
+        stream.events.forEach((event, idx) => {
+            const previous = stream.events[idx - 1];
+            const gap = previous ? ((event.timestamp || 0) - (previous.timestamp || 0)) / options.speed : 0;
+            queue.push({ delay: Math.min(Math.max(gap, 0), options.maxGap) * 1000, path: stream.path, event });
+        });
+    }
+
+    let timer = null;
+    let stopped = false;
+    const next = (idx) => {
+        if (stopped) return;
+        if (idx >= queue.length) {
+            send({ type: 'end' });
+            done();
+            return;
+        }
+        timer = setTimeout(() => {
+            send({ type: 'event', path: queue[idx].path, event: queue[idx].event });
+            next(idx + 1);
+        }, queue[idx].delay);
+    };
+
+    replay.initial.forEach(send);
+    next(0);
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+/**
+ * Encode a server-to-client WebSocket frame (unmasked, single fragment)
+ */
+function encodeWebSocketFrame(payload, opcode = 0x1) {
+    const data = Buffer.from(payload);
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Create the replay server (not yet listening): SSE on any path, WebSocket on upgrade
+ * @param {Object} replay - From loadReplay
+ * @param {Object} options - { speed, maxGap }
+ * @returns {http.Server}
+ */
+function createLiveReplayServer(replay, options) {
+    const server = http.createServer((req, res) => {
+        // Server-Sent Events on any path
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+        const stop = startReplay(replay, options,
+            message => res.write(`data: ${JSON.stringify(message)}\n\n`),
+            () => res.end());
+        req.on('close', stop);
+        console.log(`[sse] ${req.socket.remoteAddress} connected`);
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.destroy();
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const stop = startReplay(replay, options,
+            message => socket.write(encodeWebSocketFrame(JSON.stringify(message))),
+            () => socket.end(encodeWebSocketFrame('', 0x8)));
+        // Incoming frames are ignored; the client closing just stops the replay
+        socket.on('data', () => {});
+        socket.on('close', stop);
+        socket.on('error', stop);
+        console.log(`[ws] ${req.socket.remoteAddress} connected`);
+    });
+
+    return server;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const replay = loadReplay(options.target);
+    const eventCount = replay.streams.reduce((sum, s) => sum + s.events.length, 0);
+
+    const server = createLiveReplayServer(replay, options);
+    server.listen(options.port, () => {
+        console.log(`Replaying ${eventCount} events from ${options.target} (${options.speed}x, max gap ${options.maxGap}s)`);
+        console.log(`  WebSocket: ?live=ws://localhost:${options.port}`);
+        console.log(`  SSE:       ?live=http://localhost:${options.port}/events`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { loadReplay, createLiveReplayServer };
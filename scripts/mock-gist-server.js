@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * MassGen Session Viewer - Mock Gist Server
+ * Serves an export directory through the parts of the GitHub gist API the viewer uses,
+ * so gist loading can be developed and tested offline (?gist_api=).
+ *
+ * Usage:
+ *   node scripts/mock-gist-server.js <export dir> [--port 8766] [--id mock] [--revisions 3]
+ *                                    [--page-size 2] [--truncate-over 1024] [--rate-limit N]
+ *
+ * Then open the viewer with:
+ *   http://localhost:8000/?gist=mock&gist_api=http://localhost:8766
+ *
+ * Endpoints (like api.github.com):
+ *   GET /gists/:id              - the gist, with files flattened to "__" names
+ *   GET /gists/:id/:sha         - the same gist at one revision
+ *   GET /gists/:id/commits      - revision history, paged (?per_page=&page=) with a Link header
+ *   GET /raw/:id/:sha/:filename - raw file content (the raw_url of truncated files)
+ *
+ * Every revision serves the export's files; revisions differ only in their SHA and date.
+ * Files over --truncate-over bytes come back truncated, as GitHub does for large files.
+ * With --rate-limit N, API requests after the first N get GitHub's rate-limit 403.
+ * No dependencies.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const RATE_LIMIT_RESET_SECONDS = 60;
+
+function parseArgs(argv) {
+    const options = { port: 8766, id: 'mock', revisions: 3, pageSize: 2, truncateOver: 1024, rateLimit: null, target: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') options.port = parseInt(argv[++i], 10);
+        else if (arg === '--id') options.id = argv[++i];
+        else if (arg === '--revisions') options.revisions = parseInt(argv[++i], 10);
+        else if (arg === '--page-size') options.pageSize = parseInt(argv[++i], 10);
+        else if (arg === '--truncate-over') options.truncateOver = parseInt(argv[++i], 10);
+        else if (arg === '--rate-limit') options.rateLimit = parseInt(argv[++i], 10);
+        else if (!options.target) options.target = arg;
+    }
+    if (!options.target) {
+        console.error('Usage: node scripts/mock-gist-server.js <export dir> [--port 8766] [--id mock] [--revisions 3] [--page-size 2] [--truncate-over 1024] [--rate-limit N]');
+        process.exit(1);
+    }
+    return options;
+}
+
+/**
+ * List files under a directory as paths relative to it, using "/" separators
+ */
+function walkDirectory(root, dir = root) {
+    const results = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            results.push(...walkDirectory(root, fullPath));
+        } else if (entry.isFile()) {
+            results.push(path.relative(root, fullPath).split(path.sep).join('/'));
+        }
+    }
+    return results;
+}
+
+/**
+ * Read a file as UTF-8 text, or base64 for binary content (matching shared gists)
+ */
+function readExportFile(fullPath) {
+    const bytes = fs.readFileSync(fullPath);
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return bytes.toString('base64');
+    }
+}
+
+/**
+ * Read an export directory as gist files: flattened name -> content
+ */
+function loadGistFiles(target) {
+    const files = {};
+    for (const relPath of walkDirectory(target).sort()) {
+        files[relPath.split('/').join('__')] = readExportFile(path.join(target, relPath));
+    }
+    if (Object.keys(files).length === 0) {
+        throw new Error(`No files found in ${target}`);
+    }
+    return files;
+}
+
+/**
+ * Build the revision history, newest first
+ */
+function buildHistory(options) {
+    const now = Date.now();
+    return Array.from({ length: options.revisions }, (_, idx) => ({
+        version: crypto.createHash('sha1').update(`${options.id}:${options.revisions - idx}`).digest('hex'),
+        committed_at: new Date(now - idx * 3600 * 1000).toISOString(),
+        change_status: { total: 2, additions: 1, deletions: 1 },
+        user: null
+    }));
+}
+
+/**
+ * Create the mock gist server (not yet listening)
+ * @param {Object} options - { target, id, revisions, pageSize, truncateOver, rateLimit }
+ * @returns {http.Server} With `requests` listing { method, url, authorization } per request
+ */
+function createMockGistServer(options) {
+    const files = loadGistFiles(options.target);
+    const history = buildHistory(options);
+    const requests = [];
+    let apiRequests = 0;
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const baseUrl = `http://${req.headers.host}`;
+        requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization || null });
+
+        const headers = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Authorization, Accept',
+            'Access-Control-Expose-Headers': 'Link, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset'
+        };
+        const send = (status, body, extraHeaders = {}) => {
+            const isText = typeof body === 'string';
+            res.writeHead(status, {
+                ...headers,
+                'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8',
+                ...extraHeaders
+            });
+            res.end(isText ? body : JSON.stringify(body));
+        };
+
+        if (req.method === 'OPTIONS') {
+            send(204, '');
+            return;
+        }
+
+        // Raw file content isn't rate limited
+        const rawMatch = url.pathname.match(/^\/raw\/([^/]+)\/([^/]+)\/([^/]+)$/);
+        if (rawMatch) {
+            const filename = decodeURIComponent(rawMatch[3]);
+            if (rawMatch[1] !== options.id || !(filename in files)) {
+                send(404, 'Not Found');
+            } else {
+                send(200, files[filename]);
+            }
+            return;
+        }
+
+        apiRequests++;
+        const limit = options.rateLimit ?? 60;
+        const remaining = Math.max(0, limit - apiRequests);
+        const rateHeaders = {
+            'X-RateLimit-Limit': String(limit),
+            'X-RateLimit-Remaining': String(remaining),
+            'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + RATE_LIMIT_RESET_SECONDS)
+        };
+        if (options.rateLimit !== null && options.rateLimit !== undefined && apiRequests > options.rateLimit) {
+            send(403, {
+                message: 'API rate limit exceeded for 127.0.0.1.',
+                documentation_url: 'https://docs.github.com/rest/overview/resources-in-the-rest-api#rate-limiting'
+            }, { ...rateHeaders, 'X-RateLimit-Remaining': '0' });
+            return;
+        }
+
+        const gistMatch = url.pathname.match(/^\/gists\/([^/]+)(?:\/([^/]+))?$/);
+        if (!gistMatch || gistMatch[1] !== options.id) {
+            send(404, { message: 'Not Found' }, rateHeaders);
+            return;
+        }
+
+        if (gistMatch[2] === 'commits') {
+            const perPage = Math.min(parseInt(url.searchParams.get('per_page') || '30', 10) || 30, options.pageSize);
+            const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+            const lastPage = Math.max(1, Math.ceil(history.length / perPage));
+            const links = [];
+            const pageUrl = (n) => `${baseUrl}/gists/${options.id}/commits?per_page=${perPage}&page=${n}`;
+            if (page < lastPage) links.push(`<${pageUrl(page + 1)}>; rel="next"`, `<${pageUrl(lastPage)}>; rel="last"`);
+            if (page > 1) links.push(`<${pageUrl(1)}>; rel="first"`, `<${pageUrl(page - 1)}>; rel="prev"`);
+            send(200, history.slice((page - 1) * perPage, page * perPage).map(entry => ({
+                ...entry,
+                url: `${baseUrl}/gists/${options.id}/${entry.version}`
+            })), { ...rateHeaders, ...(links.length > 0 ? { Link: links.join(', ') } : {}) });
+            return;
+        }
+
+        const revision = gistMatch[2] ? history.find(entry => entry.version === gistMatch[2]) : history[0];
+        if (!revision) {
+            send(404, { message: 'Not Found' }, rateHeaders);
+            return;
+        }
+        const gistFiles = {};
+        for (const [filename, content] of Object.entries(files)) {
+            const truncated = Buffer.byteLength(content) > options.truncateOver;
+            gistFiles[filename] = {
+                filename,
+                type: 'text/plain',
+                raw_url: `${baseUrl}/raw/${options.id}/${revision.version}/${encodeURIComponent(filename)}`,
+                size: Buffer.byteLength(content),
+                truncated,
+                content: truncated ? content.slice(0, options.truncateOver) : content
+            };
+        }
+        send(200, {
+            id: options.id,
+            url: `${baseUrl}/gists/${options.id}`,
+            description: `Mock gist served from ${options.target}`,
+            updated_at: revision.committed_at,
+            files: gistFiles,
+            // Like GitHub, only the most recent revisions are embedded; the rest are paged from /commits
+            history: history.slice(history.indexOf(revision), history.indexOf(revision) + options.pageSize),
+            truncated: false
+        }, rateHeaders);
+    });
+    server.requests = requests;
+    return server;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const server = createMockGistServer(options);
+    server.listen(options.port, () => {
+        console.log(`Serving ${options.target} as gist "${options.id}" (${options.revisions} revisions)`);
+        console.log(`  Viewer: ?gist=${options.id}&gist_api=http://localhost:${options.port}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createMockGistServer };
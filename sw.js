@@ -0,0 +1,129 @@
+/**
+ * MassGen Session Viewer - Service Worker
+ * Precaches the app shell and vendor bundles so the viewer opens with no network.
+ * Session data itself is cached in IndexedDB by app.js.
+ *
+ * Bump CACHE_VERSION whenever any precached file changes; the new worker
+ * deletes caches from older versions when it activates.
+ */
+
+const CACHE_VERSION = 'v43';
+const PRECACHE_NAME = `massgen-viewer-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE_NAME = `massgen-viewer-runtime-${CACHE_VERSION}`;
+
+/**
+ * App shell files, relative to the service worker scope
+ */
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'app.js',
+    'style.css',
+    'lib/massgen-renderers.umd.js',
+    'lib/vendor/react.production.min.js',
+    'lib/vendor/react-dom.production.min.js',
+    'lib/vendor/jszip.min.js',
+    'lib/vendor/js-yaml.min.js',
+    'lib/vendor/marked.min.js',
+    'lib/vendor/purify.min.js',
+    'lib/vendor/highlight.min.js',
+    'lib/vendor/highlight-tokyo-night-dark.min.css'
+];
+
+/**
+ * Absolute URLs of the precached shell files, for matching incoming requests
+ */
+const PRECACHE_ABSOLUTE_URLS = new Set(PRECACHE_URLS.map(url => new URL(url, self.location.href).href));
+
+/**
+ * Third-party hosts whose static assets are cached on first use
+ * (libraries the viewer lazy-loads from CDNs)
+ */
+const RUNTIME_CACHE_HOSTS = ['unpkg.com', 'cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+        // Cache files one by one so a single missing file (e.g., an unbuilt renderer
+        // bundle in local development) doesn't abort the whole install
+        await Promise.all(PRECACHE_URLS.map(async (url) => {
+            try {
+                const response = await fetch(new Request(url, { cache: 'reload' }));
+                if (response.ok) {
+                    await cache.put(url, response);
+                } else {
+                    console.warn(`[sw] Not precaching ${url} (HTTP ${response.status})`);
+                }
+            } catch (e) {
+                console.warn(`[sw] Not precaching ${url}:`, e);
+            }
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = new Set([PRECACHE_NAME, RUNTIME_CACHE_NAME]);
+        const names = await caches.keys();
+        await Promise.all(
+            names
+                .filter(name => name.startsWith('massgen-viewer-') && !keep.has(name))
+                .map(name => caches.delete(name))
+        );
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    // Only the listed shell files are served from the precache; other same-origin
+    // requests (e.g., a ?src= export on this host) must stay fresh
+    const isShellUrl = url.origin === self.location.origin &&
+        PRECACHE_ABSOLUTE_URLS.has(url.origin + url.pathname);
+
+    // Viewer page loads (any ?gist=/?url=/?src= query) all get the cached app shell
+    if (request.mode === 'navigate' && isShellUrl) {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    if (isShellUrl) {
+        event.respondWith(cacheFirst(request, PRECACHE_NAME));
+        return;
+    }
+
+    if (RUNTIME_CACHE_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, RUNTIME_CACHE_NAME));
+    }
+    // Everything else (GitHub API, gist raw files, session sources) goes straight to the network
+});
+
+/**
+ * Serve navigations from the cached shell, falling back to the network
+ * The shell only changes with CACHE_VERSION, so index.html always matches the cached app.js
+ */
+async function handleNavigation(request) {
+    const cache = await caches.open(PRECACHE_NAME);
+    const cached = await cache.match('index.html') || await cache.match('./');
+    return cached || fetch(request);
+}
+
+/**
+ * Serve from cache, fetching and storing on a miss
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: cacheName === PRECACHE_NAME });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque (no-cors) responses can't be checked for errors, so only keep successful ones
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
@@ -0,0 +1,131 @@
+/**
+ * Agent output logs: ANSI parsing, section and error detection, toolbar wiring
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const QUOTED_AGENT = "agent_a');alert(1);('";
+
+/**
+ * An element that records its listeners by event type
+ */
+function listenable(extra = {}) {
+    const listeners = {};
+    return { listeners, dataset: {}, addEventListener: (type, fn) => { listeners[type] = fn; }, ...extra };
+}
+
+test('log toolbars read the agent from data-agent instead of inline handlers', () => {
+    const app = loadApp();
+    const calls = [];
+    app.context.filterAgentLog = (...args) => calls.push(['filter', ...args]);
+    app.context.jumpToNextLogError = (...args) => calls.push(['error', ...args]);
+    app.context.setAgentLogFolds = (...args) => calls.push(['fold', ...args]);
+
+    const filter = listenable();
+    const errorBtn = listenable();
+    const foldBtns = [listenable({ dataset: { fold: 'true' } }), listenable({ dataset: { fold: 'false' } })];
+    const collapsible = {
+        dataset: { agent: QUOTED_AGENT },
+        querySelector: (selector) => ({ '.log-filter': filter, '.log-error-btn': errorBtn })[selector] || null,
+        querySelectorAll: (selector) => (selector === '.log-btn[data-fold]' ? foldBtns : [])
+    };
+    const container = { innerHTML: '', querySelectorAll: (selector) => (selector === '.collapsible' ? [collapsible] : []) };
+    app.context.document.getElementById = (id) => (id === 'outputs-container' ? container : null);
+
+    app.get('renderOutputs')({ files: { [`turn_1/attempt_1/agent_outputs/${QUOTED_AGENT}.txt`]: 'hello\n' } });
+    assert.doesNotMatch(container.innerHTML, /on(?:click|input)=/);
+    assert.match(container.innerHTML, /data-agent="agent_a&#39;\);alert\(1\);\(&#39;"/);
+
+    filter.listeners.input({ target: { value: 'needle' } });
+    errorBtn.listeners.click();
+    foldBtns[0].listeners.click();
+    foldBtns[1].listeners.click();
+    assert.deepEqual(calls, [
+        ['filter', QUOTED_AGENT, 'needle'],
+        ['error', QUOTED_AGENT],
+        ['fold', QUOTED_AGENT, true],
+        ['fold', QUOTED_AGENT, false]
+    ]);
+});
+
+test('parseAnsiLine splits styled segments and carries state across lines', () => {
+    const app = loadApp();
+    const parseAnsiLine = app.get('parseAnsiLine');
+    const defaults = app.get('ANSI_DEFAULT_STATE');
+
+    const first = app.plain(parseAnsiLine('\x1b[1;31mError\x1b[22m: bad\x1b]0;title\x07 input', defaults));
+    assert.equal(first.text, 'Error: bad input');
+    assert.deepEqual(first.segments.map(seg => [seg.text, seg.state.fg, seg.state.bold]), [
+        ['Error', 1, true],
+        [': bad', 1, false],
+        [' input', 1, false]
+    ]);
+
+    // The color is still on until a reset, as in a terminal
+    const second = app.plain(parseAnsiLine('still red\x1b[0m plain\x1b[38;5;196m 256\x1b[48;2;1;2;3m rgb\x1b[2K', first.endState));
+    assert.equal(second.text, 'still red plain 256 rgb');
+    assert.deepEqual(second.segments.map(seg => [seg.text, seg.state.fg, seg.state.bg]), [
+        ['still red', 1, null],
+        [' plain', null, null],
+        [' 256', 'rgb(255, 0, 0)', null],
+        [' rgb', 'rgb(255, 0, 0)', 'rgb(1, 2, 3)']
+    ]);
+    assert.deepEqual(app.plain(parseAnsiLine('', defaults)), { segments: [], text: '', endState: app.plain(defaults) });
+});
+
+test('splitLogLines keeps only what a carriage return left on each line', () => {
+    const app = loadApp();
+    assert.deepEqual(app.plain(app.get('splitLogLines')('a\r\nprogress 10%\rprogress 100%\n\nend')), ['a', 'progress 100%', '', 'end']);
+});
+
+test('initLogViewer finds sections, errors and folds section bodies', () => {
+    const app = loadApp();
+    const content = [
+        'Starting agent',
+        '\x1b[36m🔧 Calling tool\x1b[0m: read_file',
+        '  path: src/app.js',
+        '📊 Tool result: 120 lines',
+        '  const x = 1;',
+        '',
+        '💭 Reasoning: the parser failed on CRLF',
+        '[vote] agent_b',
+        'Traceback (most recent call last):',
+        'errorless line'
+    ].join('\n');
+    const viewer = { content };
+    app.get('initLogViewer')(viewer);
+
+    assert.deepEqual(app.plain(viewer.sections), [
+        { kind: 'tool_call', label: 'Tool call', start: 1, end: 2 },
+        { kind: 'tool_result', label: 'Tool result', start: 3, end: 4 },
+        { kind: 'reasoning', label: 'Reasoning', start: 6, end: 6 },
+        { kind: 'vote', label: 'Vote', start: 7, end: 9 }
+    ]);
+    assert.equal(viewer.lines[1].text, '🔧 Calling tool: read_file');
+    assert.equal(viewer.lines[5].section, null, 'a blank line ends a section');
+    assert.deepEqual(app.plain(viewer.errorLines), [6, 8]);
+
+    assert.deepEqual(app.plain(viewer.rows), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    viewer.folded.add(1);
+    viewer.folded.add(7);
+    app.get('updateLogRows')(viewer);
+    assert.deepEqual(app.plain(viewer.rows), [0, 1, 3, 4, 5, 6, 7]);
+
+    // A filter shows matching lines even inside folded sections
+    viewer.filter = 'SRC/';
+    app.get('updateLogRows')(viewer);
+    assert.deepEqual(app.plain(viewer.rows), [2]);
+});
+
+test('LOG_ERROR_PATTERN matches whole words only', () => {
+    const app = loadApp();
+    const pattern = app.get('LOG_ERROR_PATTERN');
+    for (const line of ['Build FAILED', 'Unhandled exception', '❌ check', 'error: boom']) {
+        assert.ok(pattern.test(line), line);
+    }
+    for (const line of ['errorless line', 'no failures here', 'stderr captured']) {
+        assert.ok(!pattern.test(line), line);
+    }
+});
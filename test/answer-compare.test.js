@@ -0,0 +1,122 @@
+/**
+ * Answer compare: "compare with previous" buttons and the word diff
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const QUOTED_AGENT = "agent_a');alert(1);('";
+
+test('compare buttons pass agent IDs as data, not in inline handlers', () => {
+    const app = loadApp();
+    const container = { innerHTML: '', querySelectorAll: () => [], querySelector: () => null };
+    const getElementById = app.context.document.getElementById;
+    app.context.document.getElementById = (id) => (id === 'answers-container' ? container : getElementById(id));
+    app.run(`sessionData = ${JSON.stringify({
+        answers: {
+            [`${QUOTED_AGENT}.20251014_101500`]: { agent_id: QUOTED_AGENT, timestamp: '20251014_101500', content: 'first', type: 'answer' },
+            [`${QUOTED_AGENT}.20251014_101600`]: { agent_id: QUOTED_AGENT, timestamp: '20251014_101600', content: 'second', type: 'answer' }
+        },
+        votes: {},
+        session: {},
+        workspaceFiles: {},
+        files: {}
+    })}`);
+
+    app.get('renderAnswers')(app.get('sessionData'));
+    const button = container.innerHTML.match(/<button class="answer-compare-btn"[^>]*>/)[0];
+    assert.doesNotMatch(button, /onclick/);
+    assert.match(button, /data-compare-agent="agent_a&#39;\);alert\(1\);\(&#39;" data-answer-num="2"/);
+});
+
+test('compare buttons call compareWithPreviousAnswer with the raw agent ID', () => {
+    const app = loadApp();
+    const compared = [];
+    app.context.compareWithPreviousAnswer = (agentId, answerNum) => compared.push([agentId, answerNum]);
+
+    let onClick;
+    const button = { dataset: { compareAgent: QUOTED_AGENT, answerNum: '3' }, addEventListener: (type, fn) => { onClick = fn; } };
+    app.get('bindCompareButtons')({ querySelectorAll: (selector) => (selector === '[data-compare-agent]' ? [button] : []) });
+
+    let stopped = false;
+    onClick({ stopPropagation: () => { stopped = true; } });
+    assert.deepEqual(compared, [[QUOTED_AGENT, 3]]);
+    assert.ok(stopped, 'the click does not also select the timeline node');
+});
+
+test('tokenizeForDiff keeps whitespace with the word before it', () => {
+    const app = loadApp();
+    const tokenizeForDiff = app.get('tokenizeForDiff');
+    assert.deepEqual(app.plain(tokenizeForDiff('  one two\n\nthree ')), ['  ', 'one ', 'two\n\n', 'three ']);
+    assert.deepEqual(app.plain(tokenizeForDiff('')), []);
+    assert.deepEqual(app.plain(tokenizeForDiff(null)), []);
+});
+
+test('myersDiff returns a shortest edit script that turns a into b', () => {
+    const app = loadApp();
+    const myersDiff = app.get('myersDiff');
+    const cases = [
+        [[], []],
+        [['a'], []],
+        [[], ['b']],
+        [['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']],
+        [['x', 'y', 'z'], ['x', 'y', 'z']]
+    ];
+    for (const [a, b] of cases) {
+        const script = app.plain(myersDiff(a, b));
+        const rebuilt = script.filter(step => step.type !== 'delete').map(step => b[step.b]);
+        const kept = script.filter(step => step.type !== 'insert').map(step => a[step.a]);
+        assert.deepEqual(rebuilt, b, JSON.stringify([a, b]));
+        assert.deepEqual(kept, a, JSON.stringify([a, b]));
+        script.filter(step => step.type === 'equal').forEach(step => assert.equal(a[step.a], b[step.b]));
+    }
+    // The classic example has an edit distance of 5
+    const edits = myersDiff(cases[3][0], cases[3][1]).filter(step => step.type !== 'equal');
+    assert.equal(edits.length, 5);
+});
+
+test('diffWords ignores re-wrapping and counts word changes', () => {
+    const app = loadApp();
+    const oldText = 'The quick brown fox\njumps over the dog.';
+    const newText = 'The quick red fox jumps\nover the lazy dog.';
+    const { ops, stats, truncated } = app.plain(app.get('diffWords')(oldText, newText));
+
+    assert.equal(truncated, false);
+    assert.deepEqual(ops.map(op => op.type), ['equal', 'delete', 'insert', 'equal', 'insert', 'equal']);
+    assert.deepEqual(ops.filter(op => op.type !== 'equal').map(op => op.oldText || op.newText), ['brown ', 'red ', 'lazy ']);
+    assert.deepEqual(stats, { added: 2, removed: 1, unchanged: 7, similarity: 14 / 17 });
+
+    // Both texts can be rebuilt from the ops
+    assert.equal(ops.map(op => op.oldText).join(''), oldText);
+    assert.equal(ops.map(op => op.newText).join(''), newText);
+});
+
+test('diffWords similarity is 1 for identical or empty texts and 0 for disjoint ones', () => {
+    const app = loadApp();
+    const diffWords = app.get('diffWords');
+    assert.equal(diffWords('same words', 'same  words').stats.similarity, 1);
+    assert.equal(diffWords('', '').stats.similarity, 1);
+    assert.deepEqual(app.plain(diffWords('', '').ops), []);
+    assert.equal(diffWords('a b', 'c d').stats.similarity, 0);
+});
+
+test('diffWords falls back to a full replacement past DIFF_MAX_EDIT_DISTANCE', () => {
+    const app = loadApp();
+    // Every middle word differs, so the edit distance is twice the word count
+    const count = app.get('DIFF_MAX_EDIT_DISTANCE') / 2 + 1;
+    const words = (prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+    const oldText = `start ${words('old')} end`;
+    const newText = `start ${words('new')} end`;
+    const { ops, stats, truncated } = app.plain(app.get('diffWords')(oldText, newText));
+
+    assert.equal(truncated, true);
+    assert.deepEqual(ops.map(op => op.type), ['equal', 'delete', 'insert', 'equal']);
+    assert.deepEqual(stats, { added: count, removed: count, unchanged: 2, similarity: 4 / (4 + 2 * count) });
+    assert.equal(ops.map(op => op.oldText).join(''), oldText);
+    assert.equal(ops.map(op => op.newText).join(''), newText);
+
+    // One edit fewer is still diffed word by word
+    const within = app.plain(app.get('diffWords')(words('old').replace(/ old\d+$/, ''), words('new').replace(/ new\d+$/, '')));
+    assert.equal(within.truncated, false);
+});
@@ -0,0 +1,91 @@
+/**
+ * Timeline answer labels: snapshot_mappings.json entries are matched to answers
+ * by the snapshot folder they point at, never by position
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const app = loadApp();
+const { plain } = app;
+const buildAnswerLabelIndex = app.get('buildAnswerLabelIndex');
+
+// agent_a answered twice and agent_b once
+const sortedEvents = [
+    { event_type: 'new_answer', agent_id: 'agent_a', timestamp: 100 },
+    { event_type: 'new_answer', agent_id: 'agent_b', timestamp: 110 },
+    { event_type: 'new_answer', agent_id: 'agent_a', timestamp: 120 }
+];
+const answerLabelToRowCol = {
+    '1.1': { row: 0, col: 0, agentId: 'agent_a', displayLabel: '1.1' },
+    '2.1': { row: 1, col: 1, agentId: 'agent_b', displayLabel: '2.1' },
+    '1.2': { row: 2, col: 0, agentId: 'agent_a', displayLabel: '1.2' }
+};
+const answers = {
+    'agent_a.20251014_101500_000001': { agent_id: 'agent_a', timestamp: '20251014_101500_000001', type: 'answer' },
+    'agent_b.20251014_101510_000002': { agent_id: 'agent_b', timestamp: '20251014_101510_000002', type: 'answer' },
+    'agent_a.20251014_101520_000003': { agent_id: 'agent_a', timestamp: '20251014_101520_000003', type: 'answer' },
+    'agent_a.final': { agent_id: 'agent_a', timestamp: 'final', type: 'final_answer' }
+};
+
+const buildIndex = (mappings, events = sortedEvents) =>
+    plain(buildAnswerLabelIndex(events, answerLabelToRowCol, mappings, answers));
+
+test('mappings are matched by the snapshot folder in their path', () => {
+    // Listed newest first and without iterations, so position would pair them wrongly
+    const index = buildIndex({
+        'agent1.2': { type: 'answer', agent_id: 'agent_a', path: 'snapshots/agent_a/20251014_101520_000003/answer.txt', available_answers: ['agent1.1', 'agent2.1'] },
+        'agent1.1': { type: 'answer', agent_id: 'agent_a', path: '/tmp/logs/agent_a/20251014_101500_000001/answer.txt' },
+        'agent2.1': { type: 'answer', agent_id: 'agent_b', path: 'agent_b/20251014_101510_000002/answer.txt' }
+    });
+
+    assert.deepEqual(index.byLabel, { 'agent1.2': '1.2', 'agent1.1': '1.1', 'agent2.1': '2.1' });
+    assert.deepEqual(index.mappingByDisplay['1.2'].available_answers, ['agent1.1', 'agent2.1']);
+    assert.deepEqual(index.unattributedMappings, []);
+});
+
+test('mappings without a path are matched by their folder timestamp', () => {
+    const index = buildIndex({
+        'agent1.2': { agent_id: 'agent_a', timestamp: '20251014_101520_000003', path: 'answer.txt' }
+    });
+    assert.equal(index.byLabel['agent1.2'], '1.2');
+});
+
+test('mappings that match no snapshot folder are unattributed, not guessed by order', () => {
+    const index = buildIndex({
+        // Folder missing from the export (e.g., a trimmed gist)
+        'agent1.1': { type: 'answer', agent_id: 'agent_a', path: 'agent_a/20251014_095959_000000/answer.txt' },
+        // No folder at all
+        'agent2.1': { type: 'answer', agent_id: 'agent_b', iteration: 1 },
+        // Epoch timestamps aren't folder names
+        'agent1.2': { type: 'answer', agent_id: 'agent_a', timestamp: 1760436920.5 }
+    });
+
+    assert.deepEqual(index.byLabel, {});
+    assert.deepEqual(index.mappingByDisplay, {});
+    assert.deepEqual(index.unattributedMappings, [
+        { key: 'agent1.1', agentId: 'agent_a' },
+        { key: 'agent2.1', agentId: 'agent_b' },
+        { key: 'agent1.2', agentId: 'agent_a' }
+    ]);
+});
+
+test('a labeled answer event wins over the snapshot folder', () => {
+    const events = sortedEvents.map((event, idx) => (idx === 2 ? { ...event, context: { answer_label: 'agent1.2' } } : event));
+    const index = buildIndex({
+        'agent1.2': { type: 'answer', agent_id: 'agent_a', label: 'agent1.2', path: 'agent_a/20251014_095959_000000/answer.txt' }
+    }, events);
+
+    assert.equal(index.byLabel['agent1.2'], '1.2');
+    assert.deepEqual(index.unattributedMappings, []);
+});
+
+test('non-answer mappings are ignored', () => {
+    const index = buildIndex({
+        'vote1': { type: 'vote', agent_id: 'agent_a', path: 'agent_a/20251014_101500_000001/vote.json' },
+        'workspace': { agent_id: 'agent_a', path: 'agent_a/20251014_101500_000001/workspace' }
+    });
+    assert.deepEqual(index.byLabel, {});
+    assert.deepEqual(index.unattributedMappings, []);
+});
@@ -0,0 +1,158 @@
+/**
+ * Preview buttons: the workspace tree and the split-pane workspace both open
+ * notebooks and data tables in the artifact preview modal
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const NOTEBOOK = JSON.stringify({
+    nbformat: 4,
+    metadata: {},
+    cells: [{ cell_type: 'code', execution_count: 1, source: 'print("from the notebook")', outputs: [] }]
+});
+const CSV = 'name,score\nalpha,1\nbeta,2\n';
+
+/**
+ * A plain element whose innerHTML is recorded as written
+ */
+function element(extra = {}) {
+    const classes = new Set();
+    return {
+        innerHTML: '',
+        textContent: '',
+        dataset: {},
+        classList: { add: (name) => classes.add(name), remove: (name) => classes.delete(name), contains: (name) => classes.has(name) },
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        ...extra
+    };
+}
+
+/**
+ * Read an element's data-* attributes from markup, as the browser would decode them
+ */
+function datasetFrom(html) {
+    const dataset = {};
+    for (const [, name, value] of html.matchAll(/data-([a-z-]+)="([^"]*)"/g)) {
+        const key = name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        dataset[key] = value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    }
+    return dataset;
+}
+
+/**
+ * Load the app with the preview modal's elements
+ */
+function loadPreviewApp(elements = {}) {
+    const app = loadApp();
+    const modal = element();
+    const container = element();
+    Object.assign(elements, {
+        'artifact-preview-modal': modal,
+        'artifact-preview-container': container,
+        'artifact-preview-title': element()
+    });
+    app.context.document.getElementById = (id) => elements[id] || null;
+    return { app, modal, container };
+}
+
+test('tree preview buttons open notebooks from the flattened workspace files', () => {
+    const { app, modal, container } = loadPreviewApp();
+    app.context._workspaceFiles = { agent_a: { 'analysis/report.ipynb': NOTEBOOK } };
+
+    const html = app.get('renderTreeNode')(app.get('buildDirectoryTree')(app.context._workspaceFiles.agent_a), 'agent_a');
+    const fileMarkup = html.match(/<div class="tree-file"[^>]*>/)[0];
+    assert.match(html, /<button class="tree-file-preview" onclick="event.stopPropagation\(\); openTreeFilePreview\(this\)">/);
+
+    const fileEl = { dataset: datasetFrom(fileMarkup) };
+    app.get('openTreeFilePreview')({ closest: (selector) => (selector === '.tree-file' ? fileEl : null) });
+
+    assert.ok(modal.classList.contains('active'));
+    assert.match(container.innerHTML, /from the notebook/);
+    assert.doesNotMatch(container.innerHTML, /Not a valid notebook/);
+});
+
+test('tree preview buttons open data tables with the file text', () => {
+    const { app, modal, container } = loadPreviewApp();
+    app.context._workspaceFiles = { agent_a: { 'scores.csv': CSV } };
+    const mounted = [];
+    app.context.mountDataTable = (target, content, path) => mounted.push([target, content, path]);
+
+    const fileEl = { dataset: { agentId: 'agent_a', path: 'scores.csv' } };
+    app.get('openTreeFilePreview')({ closest: () => fileEl });
+
+    assert.ok(modal.classList.contains('active'));
+    assert.deepEqual(mounted, [[container, CSV, 'scores.csv']]);
+});
+
+test('split-pane preview buttons open notebooks from the embedded workspace data', () => {
+    const fileId = 'agent_a__20251014_101500__report_ipynb';
+    const previewPane = element();
+    const elements = {
+        ws1: element(),
+        'ws-data-ws1': element({
+            textContent: JSON.stringify({
+                [fileId]: { path: 'report.ipynb', content: NOTEBOOK, ext: 'ipynb', mime: 'application/json', kind: 'text', isBinary: false, hasPdfVersion: false, pdfPath: null }
+            })
+        }),
+        'preview-ws1': previewPane
+    };
+    const { app, modal, container } = loadPreviewApp(elements);
+
+    app.get('selectWorkspaceFile')('ws1', fileId);
+    const buttonMarkup = previewPane.innerHTML.match(/<button class="ws-action-btn preview-btn"[^>]*>/)[0];
+    app.get('openArtifactPreviewFromElement')({ dataset: datasetFrom(buttonMarkup) });
+
+    assert.ok(modal.classList.contains('active'));
+    assert.match(container.innerHTML, /from the notebook/);
+    assert.doesNotMatch(container.innerHTML, /Not a valid notebook/);
+});
+
+test('split-pane previews of Office documents use their PDF version', () => {
+    const opened = [];
+    const docId = 'agent_a__ts__report_docx';
+    const elements = {
+        'ws-data-ws1': element({
+            textContent: JSON.stringify({
+                [docId]: { path: 'report.docx', content: 'DOCX', hasPdfVersion: true, pdfPath: 'report.docx.pdf' },
+                agent_a__ts__report_docx_pdf: { path: 'report.docx.pdf', content: 'PDF', hasPdfVersion: false, pdfPath: null }
+            })
+        })
+    };
+    const { app } = loadPreviewApp(elements);
+    app.context.openArtifactPreview = (content, fileName) => opened.push([content, fileName]);
+
+    app.get('openArtifactPreviewFromElement')({
+        dataset: { filename: 'report.docx', workspaceId: 'ws1', fileid: docId, hasPdf: 'true', pdfPath: 'report.docx.pdf' }
+    });
+    assert.deepEqual(opened, [['PDF', 'report.docx.pdf']]);
+});
+
+test('data tables without text content show a notice instead of throwing', () => {
+    const { app, modal, container } = loadPreviewApp();
+    app.get('openArtifactPreview')(undefined, 'scores.csv');
+
+    assert.ok(modal.classList.contains('active'));
+    assert.match(container.innerHTML, /class="data-table-invalid"/);
+});
+
+test('re-rendering answers keeps the flattened workspace files the tree reads', () => {
+    const app = loadApp();
+    const data = {
+        answers: { 'agent_a.20251014_101500': { agent_id: 'agent_a', timestamp: '20251014_101500', content: 'Done', type: 'answer' } },
+        workspaceFiles: { agent_a: { '20251014_101500': { 'report.ipynb': NOTEBOOK } } },
+        votes: {},
+        session: { winner: 'agent_a' },
+        coordination: { events: [] },
+        agentOutputs: {},
+        files: {}
+    };
+    app.run(`sessionData = ${JSON.stringify(data)}`);
+
+    app.get('renderWorkspace')(app.get('sessionData'));
+    app.get('renderAnswers')(app.get('sessionData'));
+    assert.deepEqual(app.plain(app.context._workspaceFiles), { agent_a: { 'report.ipynb': NOTEBOOK } });
+});
@@ -0,0 +1,121 @@
+/**
+ * execution_metadata.yaml parsing (js-yaml with the viewer's schema) and getConfigAgents
+ * Fixtures under test/fixtures/configs wrap real MassGen configs.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, readFixtureText } = require('./helpers/load-app');
+
+const app = loadApp();
+const { plain } = app;
+const buildFilesMap = app.get('buildFilesMap');
+const getConfigAgents = app.get('getConfigAgents');
+const hasClaudeCodeBackend = app.get('hasClaudeCodeBackend');
+
+const METADATA_PATH = 'turn_1/attempt_1/execution_metadata.yaml';
+
+/**
+ * Parse a config fixture the way an export loads it
+ */
+function loadMetadata(name) {
+    const content = readFixtureText(`configs/${name}`);
+    const metadata = buildFilesMap({ [METADATA_PATH]: content })[METADATA_PATH];
+    assert.equal(typeof metadata, 'object', `${name} should parse to an object`);
+    return { metadata, content };
+}
+
+const summarize = (agents) => plain(agents).map(agent => ({
+    id: agent.id,
+    type: agent.backend?.type,
+    model: agent.backend?.model
+}));
+
+test('single-agent config ("agent:" map)', () => {
+    const { metadata, content } = loadMetadata('single-agent.yaml');
+
+    assert.equal(metadata._raw, content);
+    assert.equal(metadata.config_path, 'massgen/configs/basic/single/single_gpt5nano.yaml');
+    // YAML 1.2 core schema: timestamps and version-like values stay strings
+    assert.equal(metadata.timestamp, '2025-10-14T09:12:44');
+    assert.equal(metadata.massgen_version, '0.1.3');
+
+    const agents = getConfigAgents(metadata);
+    assert.deepEqual(summarize(agents), [{ id: 'gpt-5-nano', type: 'openai', model: 'gpt-5-nano' }]);
+    assert.equal(agents[0].backend.enable_web_search, true);
+    assert.equal(hasClaudeCodeBackend({ executionMetadata: metadata }), false);
+});
+
+test('multi-agent config ("agents:" list)', () => {
+    const { metadata } = loadMetadata('multi-agent.yaml');
+    const agents = getConfigAgents(metadata);
+
+    assert.deepEqual(summarize(agents), [
+        { id: 'gemini2.5flash', type: 'gemini', model: 'gemini-2.5-flash' },
+        { id: 'gpt5nano', type: 'openai', model: 'gpt-5-nano' },
+        { id: 'grok3mini', type: 'grok', model: 'grok-3-mini' }
+    ]);
+    assert.deepEqual(plain(agents[1].backend.reasoning), { effort: 'medium', summary: 'auto' });
+    // Flow mappings parse like block ones
+    assert.equal(agents[2].backend.enable_web_search, true);
+});
+
+test('anchors, aliases and merge keys resolve into each agent backend', () => {
+    const { metadata } = loadMetadata('claude-code-anchors.yaml');
+    const agents = getConfigAgents(metadata);
+
+    assert.deepEqual(summarize(agents), [
+        { id: 'agent_a', type: 'claude_code', model: 'claude-sonnet-4-5' },
+        { id: 'agent_b', type: 'claude_code', model: 'claude-sonnet-4-5' }
+    ]);
+    assert.deepEqual(plain(agents[1].backend), {
+        type: 'claude_code',
+        model: 'claude-sonnet-4-5',
+        cwd: 'workspace2',
+        permission_mode: 'bypassPermissions',
+        allowed_tools: ['Read', 'Write', 'Bash']
+    });
+    assert.equal(agents[0].backend.cwd, 'workspace1', 'merge key overrides do not leak into the anchor');
+    assert.equal(hasClaudeCodeBackend({ executionMetadata: metadata }), true);
+});
+
+test('multiline block scalars keep their folding rules', () => {
+    const { metadata } = loadMetadata('claude-code-anchors.yaml');
+    const agents = getConfigAgents(metadata);
+
+    assert.equal(metadata.query, 'Refactor the parser module.\nKeep the public API unchanged.\n');
+    assert.equal(agents[0].system_message, 'You are a careful reviewer.\nCheck every claim against the source.\n');
+    assert.equal(agents[1].system_message, 'You write concise, well-tested code.');
+});
+
+test('"agents:" mapping uses the key as the id unless the agent sets one', () => {
+    const content = [
+        'config:',
+        '  agents:',
+        '    agent_a:',
+        '      backend: {type: openai, model: gpt-5-mini}',
+        '    agent_b:',
+        '      id: reviewer',
+        '      backend: {type: claude, model: claude-sonnet-4-5}'
+    ].join('\n');
+    const metadata = buildFilesMap({ [METADATA_PATH]: content })[METADATA_PATH];
+
+    assert.deepEqual(summarize(getConfigAgents(metadata)), [
+        { id: 'agent_a', type: 'openai', model: 'gpt-5-mini' },
+        { id: 'reviewer', type: 'claude', model: 'claude-sonnet-4-5' }
+    ]);
+});
+
+test('metadata without agents yields none', () => {
+    assert.deepEqual(plain(getConfigAgents(null)), []);
+    assert.deepEqual(plain(getConfigAgents({ query: 'q' })), []);
+    assert.deepEqual(plain(getConfigAgents({ config: { agents: 'agent_a' } })), []);
+});
+
+test('invalid YAML keeps the raw text', () => {
+    const content = 'config:\n  agents:\n    - id: "agent_a\n      backend: {type: openai\n';
+    const metadata = buildFilesMap({ [METADATA_PATH]: content })[METADATA_PATH];
+
+    assert.equal(metadata, content);
+    assert.deepEqual(plain(getConfigAgents(metadata)), []);
+});
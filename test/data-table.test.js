@@ -0,0 +1,108 @@
+/**
+ * Data table preview: CSV / TSV / JSONL parsing and column type inference
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const app = loadApp();
+const { plain } = app;
+const parseDelimited = app.get('parseDelimited');
+const parseDataTable = app.get('parseDataTable');
+const analyzeDataColumn = app.get('analyzeDataColumn');
+
+test('parseDelimited keeps delimiters, quotes and newlines inside quoted fields', () => {
+    const text = 'name,note\n"Smith, Jane","said ""hi""\nthen left"\nplain,\n';
+    assert.deepEqual(plain(parseDelimited(text, ',')), {
+        records: [
+            ['name', 'note'],
+            ['Smith, Jane', 'said "hi"\nthen left'],
+            ['plain', '']
+        ],
+        truncated: false
+    });
+});
+
+test('parseDelimited handles CRLF, blank lines and a missing final newline', () => {
+    const text = 'a\tb\r\n1\t"x\r\ny"\r\n\r\n2\t3';
+    assert.deepEqual(plain(parseDelimited(text, '\t').records), [
+        ['a', 'b'],
+        ['1', 'x\r\ny'],
+        ['2', '3']
+    ]);
+});
+
+test('parseDataTable detects semicolon-separated .csv files', () => {
+    const semicolons = plain(parseDataTable('\uFEFFcity;price\nLyon;"3,50"\nNice;4\n', ','));
+    assert.deepEqual(semicolons.columns, ['city', 'price']);
+    assert.deepEqual(semicolons.rows, [['Lyon', '3,50'], ['Nice', '4']]);
+
+    // Commas still win when they outnumber semicolons on the header line
+    const commas = plain(parseDataTable('a,b,note\n1,2,x;y\n', ','));
+    assert.deepEqual(commas.columns, ['a', 'b', 'note']);
+    assert.deepEqual(commas.rows, [['1', '2', 'x;y']]);
+});
+
+test('parseDataTable pads short rows and names unnamed columns', () => {
+    const table = plain(parseDataTable('id, \n1,a,extra\n2\n', ','));
+    assert.deepEqual(table.columns, ['id', 'column_2', 'column_3']);
+    assert.deepEqual(table.rows, [['1', 'a', 'extra'], ['2', '', '']]);
+});
+
+test('parseDataTable unions JSONL keys and skips invalid lines', () => {
+    const content = [
+        '{"id": 1, "name": "a"}',
+        'not json',
+        '{"id": 2, "tags": ["x"], "name": null}',
+        '',
+        '42',
+        '{"id": 3, "nested": {"k": true}}'
+    ].join('\n');
+    assert.deepEqual(plain(parseDataTable(content, 'jsonl')), {
+        columns: ['id', 'name', 'tags', 'value', 'nested'],
+        rows: [
+            ['1', 'a', '', '', ''],
+            ['2', '', '["x"]', '', ''],
+            ['', '', '', '42', ''],
+            ['3', '', '', '', '{"k":true}']
+        ],
+        skipped: 1,
+        truncated: false
+    });
+});
+
+test('analyzeDataColumn infers numbers, booleans and dates and summarizes them', () => {
+    const rows = [
+        ['1.5', 'TRUE', '2025-01-02', 'x'],
+        ['-2', 'false', '2025-01-01T10:00:00Z', 'y'],
+        ['', 'true', '', 'x'],
+        ['1e2', '', '2025-03-01', '']
+    ];
+
+    const number = plain(analyzeDataColumn(rows, 0));
+    assert.equal(number.type, 'number');
+    assert.deepEqual(number.values, [1.5, -2, null, 100]);
+    assert.deepEqual(number.stats, { missing: 1, min: -2, max: 100, mean: 99.5 / 3 });
+
+    const boolean = plain(analyzeDataColumn(rows, 1));
+    assert.equal(boolean.type, 'boolean');
+    assert.deepEqual(boolean.values, [true, false, true, null]);
+    assert.deepEqual(boolean.stats, { missing: 1, trueCount: 2, falseCount: 1 });
+
+    const date = plain(analyzeDataColumn(rows, 2));
+    assert.equal(date.type, 'date');
+    assert.deepEqual(date.values, [Date.parse('2025-01-02'), Date.parse('2025-01-01T10:00:00Z'), null, Date.parse('2025-03-01')]);
+    assert.deepEqual(date.stats, { missing: 1, min: Date.parse('2025-01-01T10:00:00Z'), max: Date.parse('2025-03-01') });
+
+    const string = plain(analyzeDataColumn(rows, 3));
+    assert.equal(string.type, 'string');
+    assert.deepEqual(string.stats, { missing: 1, unique: 2, top: { cell: 'x', count: 2 } });
+});
+
+test('analyzeDataColumn falls back to string on mixed or impossible values', () => {
+    assert.equal(analyzeDataColumn([['1'], ['two']], 0).type, 'string');
+    assert.equal(analyzeDataColumn([['1'], ['true']], 0).type, 'string');
+    assert.equal(analyzeDataColumn([['2025-13-45']], 0).type, 'string');
+    assert.equal(analyzeDataColumn([[''], [' ']], 0).type, 'empty');
+});
@@ -0,0 +1,112 @@
+/**
+ * Export diagnostics: schema validation, missing files, parse errors and unknown paths
+ * The "invalid" fixture has one problem of each kind, plus agent workspace files named like
+ * export files (and a malformed one) that must not be reported.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, readExportFixture } = require('./helpers/load-app');
+
+const app = loadApp();
+const { plain } = app;
+const buildFilesMap = app.get('buildFilesMap');
+const validateExportFiles = app.get('validateExportFiles');
+const validateJsonSchema = app.get('validateJsonSchema');
+const isKnownExportPath = app.get('isKnownExportPath');
+const parseSessionManifest = app.get('parseSessionManifest');
+
+const validate = (name) => {
+    const files = buildFilesMap(readExportFixture(name));
+    return plain(validateExportFiles(files, parseSessionManifest(files)));
+};
+
+const WORKSPACE = 'turn_1/attempt_1/agent_a/20250101_100000/workspace/';
+
+test('reports each kind of problem in the invalid fixture', () => {
+    const diagnostics = validate('invalid');
+
+    assert.deepEqual(diagnostics.missingFiles, [
+        { path: 'turn_1/attempt_1/coordination_events.json', message: 'Not found in export' }
+    ]);
+    assert.deepEqual(diagnostics.parseErrors.map(e => e.path), ['turn_1/attempt_1/execution_metadata.yaml']);
+    assert.deepEqual(diagnostics.schemaErrors, [
+        {
+            path: 'turn_1/attempt_1/agent_b/20250101_100100/vote.json',
+            schema: 'vote',
+            errors: [{ pointer: '/voted_for', message: 'expected string, got integer' }]
+        },
+        {
+            path: 'turn_1/attempt_1/status.json',
+            schema: 'status',
+            errors: [{ pointer: '/agents/agent_b/answer_count', message: 'must be >= 0' }]
+        }
+    ]);
+    assert.deepEqual(diagnostics.unknownPaths, ['turn_1/attempt_1/notes.md']);
+    assert.equal(diagnostics.errorCount, 3);
+    assert.equal(diagnostics.warningCount, 1);
+});
+
+test('agent workspace files are never validated as export files', () => {
+    const { parseErrors, schemaErrors, unknownPaths } = validate('invalid');
+    const reported = [...parseErrors, ...schemaErrors].map(e => e.path).concat(unknownPaths);
+    assert.deepEqual(reported.filter(path => path.startsWith(WORKSPACE)), []);
+});
+
+test('a workspace status.json does not stand in for a missing export file', () => {
+    const files = buildFilesMap(readExportFixture('invalid'));
+    delete files['turn_1/attempt_1/status.json'];
+    const { missingFiles } = plain(validateExportFiles(files, parseSessionManifest(files)));
+    assert.ok(missingFiles.some(f => f.path === 'turn_1/attempt_1/status.json'));
+});
+
+test('the well-formed fixtures have no errors', () => {
+    for (const name of ['v1', 'current']) {
+        const { parseErrors, schemaErrors, unknownPaths } = validate(name);
+        assert.deepEqual({ parseErrors, schemaErrors, unknownPaths }, { parseErrors: [], schemaErrors: [], unknownPaths: [] }, name);
+    }
+});
+
+test('validateJsonSchema checks types, required properties, minimums, enums and items', () => {
+    const schema = {
+        type: 'object',
+        required: ['name', 'scores'],
+        properties: {
+            name: { type: 'string' },
+            kind: { enum: ['a', 'b'] },
+            scores: { type: 'array', items: { type: 'number', minimum: 0 } },
+            extra: { type: ['string', 'null'] }
+        },
+        additionalProperties: { type: 'integer' }
+    };
+
+    assert.deepEqual(plain(validateJsonSchema({ name: 'x', scores: [1, 2.5], extra: null, count: 3 }, schema)), []);
+    assert.deepEqual(plain(validateJsonSchema({ name: 1, kind: 'c', scores: [1, -1, 'x'], count: 1.5 }, schema)), [
+        { pointer: '/name', message: 'expected string, got integer' },
+        { pointer: '/kind', message: 'expected one of a, b' },
+        { pointer: '/scores/1', message: 'must be >= 0' },
+        { pointer: '/scores/2', message: 'expected number, got string' },
+        { pointer: '/count', message: 'expected integer, got number' }
+    ]);
+    assert.deepEqual(plain(validateJsonSchema([], schema)), [{ pointer: '', message: 'expected object, got array' }]);
+    assert.deepEqual(plain(validateJsonSchema({}, schema)), [
+        { pointer: '', message: 'missing required property "name"' },
+        { pointer: '', message: 'missing required property "scores"' }
+    ]);
+});
+
+test('isKnownExportPath accepts the export layout and rejects anything else', () => {
+    const known = [
+        '_session_manifest.json',
+        'status.json',
+        'turn_2/attempt_1/coordination_events.json',
+        'turn_1/attempt_1/agent_outputs/agent_a.txt',
+        'turn_1/attempt_1/final/agent_a/answer.txt',
+        'turn_1/attempt_1/agent_a/20250101_100000/answer.txt',
+        `${WORKSPACE}config/settings.yaml`
+    ];
+    const unknown = ['notes.md', 'turn_1/attempt_1/notes.md', 'turn_1/attempt_1/agent_a/answer.txt', 'turn_1/readme.txt'];
+
+    for (const path of known) assert.ok(isKnownExportPath(path), path);
+    for (const path of unknown) assert.ok(!isKnownExportPath(path), path);
+});
@@ -0,0 +1,124 @@
+/**
+ * Loading gists through ?gist_api= against scripts/mock-gist-server.js:
+ * truncated files, paged revision history and rate-limit responses
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadApp, readExportFixture } = require('./helpers/load-app');
+const { createMockGistServer } = require('../scripts/mock-gist-server');
+
+const EXPORT_DIR = path.join(__dirname, 'fixtures', 'exports', 'v1');
+
+/**
+ * Start a mock gist server for one test and load the app pointed at it
+ * @param {Object} t - The test context (the server is closed after the test)
+ * @param {Object} options - Mock server options
+ */
+async function startMockGist(t, options = {}) {
+    const server = createMockGistServer({
+        target: EXPORT_DIR,
+        id: 'mock',
+        revisions: 3,
+        pageSize: 2,
+        truncateOver: 200,
+        rateLimit: null,
+        ...options
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const apiBase = `http://127.0.0.1:${server.address().port}`;
+    const app = loadApp({
+        fetch,
+        location: new URL(`http://localhost/?gist=mock&gist_api=${encodeURIComponent(apiBase)}`)
+    });
+    return { app, server, apiBase };
+}
+
+const apiRequests = (server) => server.requests.filter(r => r.url.startsWith('/gists/')).map(r => r.url);
+
+test('loads every export file, fetching truncated ones from raw_url', async (t) => {
+    const { app, server } = await startMockGist(t);
+    const rawFiles = await app.get('getSessionSource')('gist').load('mock', {});
+    const expected = readExportFixture('v1');
+
+    const files = app.plain(app.get('buildFilesMap')(rawFiles));
+    assert.deepEqual(Object.keys(files).sort(), Object.keys(expected).sort());
+    for (const [filePath, content] of Object.entries(expected)) {
+        const flatName = filePath.split('/').join('__');
+        assert.equal(rawFiles[flatName], content, filePath);
+    }
+
+    const rawRequests = server.requests.filter(r => r.url.startsWith('/raw/'));
+    const truncatedCount = Object.values(expected).filter(content => Buffer.byteLength(content) > 200).length;
+    assert.ok(truncatedCount > 0 && truncatedCount < Object.keys(expected).length, 'fixture has both kinds of file');
+    assert.equal(rawRequests.length, truncatedCount);
+    assert.deepEqual(apiRequests(server), ['/gists/mock']);
+});
+
+test('pages through the full revision history', async (t) => {
+    const { app, server } = await startMockGist(t, { revisions: 5, pageSize: 2 });
+    const fetchGist = app.get('fetchGist');
+    const latest = await fetchGist('mock');
+    assert.equal(latest.history.length, 2, 'the gist only embeds the most recent revisions');
+
+    const history = app.plain(await app.get('fetchGistHistory')('mock'));
+    assert.equal(history.length, 5);
+    assert.equal(history[0].version, latest.history[0].version);
+    assert.deepEqual(apiRequests(server), [
+        '/gists/mock',
+        '/gists/mock/commits?per_page=100',
+        '/gists/mock/commits?per_page=2&page=2',
+        '/gists/mock/commits?per_page=2&page=3'
+    ]);
+
+    // The oldest revision is reachable and pinned loads use it
+    const oldest = await fetchGist('mock', { rev: history[4].version });
+    assert.equal(oldest.history[0].version, history[4].version);
+    assert.equal(app.get('getGistVersion')(oldest), history[4].version);
+
+    // Listed once per page load
+    await app.get('fetchGistHistory')('mock');
+    assert.equal(apiRequests(server).length, 5);
+});
+
+test('reports rate limits with the reset time', async (t) => {
+    const { app } = await startMockGist(t, { rateLimit: 0 });
+
+    await assert.rejects(app.get('fetchGist')('mock'), (error) => {
+        assert.equal(error.status, 403);
+        assert.equal(error.rateLimited, true);
+        assert.match(error.message, /^GitHub API rate limit exceeded\. The limit resets at .+ \(in about 1 min\)/);
+        assert.match(error.message, /Add a GitHub personal access token/);
+        return true;
+    });
+});
+
+test('falls back to the embedded history when paging is rate limited', async (t) => {
+    const { app, server } = await startMockGist(t, { revisions: 5, pageSize: 2, rateLimit: 1 });
+
+    const history = await app.get('fetchGistHistory')('mock');
+    assert.equal(history.length, 2);
+    assert.deepEqual(apiRequests(server), ['/gists/mock', '/gists/mock/commits?per_page=100']);
+});
+
+test('sends the saved token to the mock server', async (t) => {
+    const { app, server } = await startMockGist(t);
+    app.context.localStorage.setItem('massgen-viewer.github-token', 'ghp_test');
+
+    await app.get('getSessionSource')('gist').load('mock', {});
+    assert.ok(server.requests.length > 1);
+    assert.ok(server.requests.every(r => r.authorization === 'Bearer ghp_test'));
+});
+
+test('unknown gists are reported as not found', async (t) => {
+    const { app } = await startMockGist(t);
+
+    await assert.rejects(app.get('fetchGist')('missing'), (error) => {
+        assert.equal(error.status, 404);
+        assert.match(error.message, /^Session not found/);
+        return true;
+    });
+});
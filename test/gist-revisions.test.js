@@ -0,0 +1,98 @@
+/**
+ * Gist revision picker: the revision on screen when "latest" was served from the cache
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const HISTORY = [
+    { version: 'v2', committed_at: '2025-10-15T12:00:00Z' },
+    { version: 'v1', committed_at: '2025-10-14T12:00:00Z' }
+];
+
+/**
+ * Load the app with the gist API and the session cache replaced by in-memory stubs
+ * @param {Object} cache - Cache entries by key
+ */
+function loadGistApp(cache = {}) {
+    const app = loadApp();
+    const gistFetches = [];
+    const loads = [];
+    Object.assign(app.context, {
+        fetchGist: async (id, options = {}) => {
+            gistFetches.push(options.rev || null);
+            const version = options.rev || HISTORY[0].version;
+            return { id, history: HISTORY, rawFiles: { 'answer.txt': `answer at ${version}` } };
+        },
+        fetchGistHistory: async () => HISTORY,
+        collectGistFiles: async (gist) => gist.rawFiles,
+        getCachedSession: async (key) => cache[key] || null,
+        putCachedSession: async () => {},
+        loadSessionFromSource: async (source, value, options) => { loads.push({ value, options }); }
+    });
+    // The cached copy on screen is the older revision
+    app.run('sessionData = { files: { "answer.txt": "answer at v1" } }');
+    return { app, gistFetches, loads };
+}
+
+test('a cached copy of "latest" keeps its own revision', async () => {
+    const { app, gistFetches } = loadGistApp();
+    await app.get('renderGistRevisionBar')('abc', { fromCache: true, version: 'v1' });
+
+    assert.equal(app.get('gistRevisionState').currentRev, 'v1');
+
+    // The actual latest revision is fetched instead of reusing the files on screen
+    const latest = await app.get('loadGistRevisionFiles')('abc', 'v2');
+    assert.equal(latest['answer.txt'], 'answer at v2');
+    assert.deepEqual(gistFetches, ['v2']);
+
+    const shown = await app.get('loadGistRevisionFiles')('abc', 'v1');
+    assert.equal(shown['answer.txt'], 'answer at v1');
+    assert.deepEqual(gistFetches, ['v2']);
+});
+
+test('a fresh fetch of "latest" is the newest revision', async () => {
+    const { app, gistFetches } = loadGistApp();
+    await app.get('renderGistRevisionBar')('abc', { fromCache: false, version: null });
+
+    assert.equal(app.get('gistRevisionState').currentRev, 'v2');
+    await app.get('loadGistRevisionFiles')('abc', 'v2');
+    assert.deepEqual(gistFetches, []);
+});
+
+test('a cached copy without a recorded version never stands in for a revision', async () => {
+    const { app, gistFetches } = loadGistApp();
+    await app.get('renderGistRevisionBar')('abc', { fromCache: true, version: null });
+
+    assert.equal(app.get('gistRevisionState').currentRev, null);
+    const latest = await app.get('loadGistRevisionFiles')('abc', 'v2');
+    assert.equal(latest['answer.txt'], 'answer at v2');
+    assert.deepEqual(gistFetches, ['v2']);
+});
+
+test('pinned revisions are shown as themselves', async () => {
+    const { app } = loadGistApp();
+    await app.get('renderGistRevisionBar')('abc@v1', { fromCache: true, version: 'v1' });
+    assert.equal(app.get('gistRevisionState').currentRev, 'v1');
+});
+
+test('selecting "latest" bypasses a cached copy of an older revision', async () => {
+    const { app, loads } = loadGistApp({ 'gist:abc': { key: 'gist:abc', version: 'v1' } });
+    await app.get('renderGistRevisionBar')('abc@v1', { fromCache: true, version: 'v1' });
+
+    await app.get('selectGistRevision')('v2');
+    assert.deepEqual(app.plain(loads), [{ value: 'abc', options: { refresh: true } }]);
+});
+
+test('selecting "latest" reuses a cached copy that is up to date', async () => {
+    const { app, loads } = loadGistApp({ 'gist:abc': { key: 'gist:abc', version: 'v2' } });
+    await app.get('renderGistRevisionBar')('abc@v1', { fromCache: true, version: 'v1' });
+
+    await app.get('selectGistRevision')('v2');
+    await app.get('selectGistRevision')('v1');
+    assert.deepEqual(app.plain(loads), [
+        { value: 'abc', options: { refresh: false } },
+        { value: 'abc@v1', options: { refresh: false } }
+    ]);
+});
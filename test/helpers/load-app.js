@@ -0,0 +1,136 @@
+/**
+ * Load app.js into a sandbox for tests
+ * The viewer is a plain browser script, so it runs in a vm context with just enough
+ * of a DOM for its top-level code; tests call its functions directly.
+ * No dependencies beyond Node (run with `node --test test/`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * An element that accepts any property or method call the app makes at load time
+ */
+function stubElement() {
+    const element = {
+        style: {},
+        dataset: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener() {},
+        appendChild() {},
+        remove() {},
+        setAttribute() {},
+        querySelector: () => null,
+        querySelectorAll: () => []
+    };
+    let text = '';
+    Object.defineProperty(element, 'textContent', {
+        get: () => text,
+        set: (value) => { text = String(value); }
+    });
+    // escapeHtml reads back textContent as innerHTML
+    Object.defineProperty(element, 'innerHTML', {
+        get: () => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+        set: () => {}
+    });
+    return element;
+}
+
+function createStorage() {
+    const data = new Map();
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: (key) => data.delete(key)
+    };
+}
+
+/**
+ * @param {Object} globals - Extra or replacement globals (e.g., fetch, location)
+ * @returns {{ context: Object, get: Function, run: Function, plain: Function }}
+ *   get(name) reads any top-level binding, including const/let ones;
+ *   run(code) evaluates code in the sandbox (e.g., to assign a let binding);
+ *   plain(value) copies a sandbox value into this realm for deepStrictEqual
+ */
+function loadApp(globals = {}) {
+    const document = {
+        readyState: 'loading',
+        getElementById: () => stubElement(),
+        createElement: () => stubElement(),
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        body: stubElement(),
+        head: stubElement(),
+        documentElement: stubElement()
+    };
+    const context = {
+        console: { log() {}, info() {}, warn() {}, error() {} },
+        document,
+        location: new URL('http://localhost/'),
+        history: { replaceState() {}, pushState() {} },
+        navigator: {},
+        localStorage: createStorage(),
+        sessionStorage: createStorage(),
+        fetch: async () => { throw new Error('Network disabled in tests'); },
+        requestAnimationFrame: () => 0,
+        setTimeout,
+        clearTimeout,
+        URL,
+        URLSearchParams,
+        TextDecoder,
+        TextEncoder,
+        Blob,
+        atob,
+        btoa,
+        addEventListener() {},
+        removeEventListener() {},
+        ...globals
+    };
+    context.window = context;
+    context.self = context;
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'lib/vendor/js-yaml.min.js'), 'utf8'), context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8'), context, { filename: 'app.js' });
+
+    return {
+        context,
+        get: (name) => vm.runInContext(name, context),
+        run: (code) => vm.runInContext(code, context),
+        plain: (value) => JSON.parse(JSON.stringify(value))
+    };
+}
+
+/**
+ * Read a fixture file from test/fixtures as text
+ */
+function readFixtureText(relativePath) {
+    return fs.readFileSync(path.join(__dirname, '..', 'fixtures', relativePath), 'utf8');
+}
+
+/**
+ * Read an export fixture directory as a raw files map (relative path -> text),
+ * the same shape the gist and local-folder loaders pass to buildFilesMap
+ */
+function readExportFixture(name) {
+    const dir = path.join(__dirname, '..', 'fixtures', 'exports', name);
+    const files = {};
+    const walk = (current) => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            const fullPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else {
+                files[path.relative(dir, fullPath).split(path.sep).join('/')] = fs.readFileSync(fullPath, 'utf8');
+            }
+        }
+    };
+    walk(dir);
+    return files;
+}
+
+module.exports = { loadApp, readFixtureText, readExportFixture, ROOT };
@@ -0,0 +1,145 @@
+/**
+ * Live mode: replaying a recorded session through scripts/live-replay-server.js,
+ * and giving up on a server that can't be reached
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { loadApp, readExportFixture } = require('./helpers/load-app');
+const { loadReplay, createLiveReplayServer } = require('../scripts/live-replay-server');
+
+const EXPORT_DIR = path.join(__dirname, 'fixtures', 'exports', 'legacy-flat');
+
+/**
+ * Minimal EventSource over Node's http client: data lines only, no reconnects
+ */
+class NodeEventSource {
+    constructor(url) {
+        this.readyState = NodeEventSource.CONNECTING;
+        this.request = http.get(url, (res) => {
+            this.readyState = NodeEventSource.OPEN;
+            this.onopen?.();
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) >= 0) {
+                    const data = buffer.slice(0, end).split('\n')
+                        .filter(line => line.startsWith('data: '))
+                        .map(line => line.slice(6))
+                        .join('\n');
+                    buffer = buffer.slice(end + 2);
+                    if (data) this.onmessage?.({ data });
+                }
+            });
+        });
+        this.request.on('error', () => {});
+    }
+
+    close() {
+        this.readyState = NodeEventSource.CLOSED;
+        this.request.destroy();
+    }
+}
+NodeEventSource.CONNECTING = 0;
+NodeEventSource.OPEN = 1;
+NodeEventSource.CLOSED = 2;
+
+/**
+ * Resolve once check() is true, polling every few milliseconds
+ */
+async function waitFor(check, timeoutMs = 5000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for the live session');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('a replayed session ends with the same session data as the export', async (t) => {
+    const server = createLiveReplayServer(loadReplay(EXPORT_DIR), { speed: 1000, maxGap: 0 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const app = loadApp({ EventSource: NodeEventSource });
+    let renders = 0;
+    app.context.renderLiveUpdate = () => { renders++; };
+
+    app.get('startLiveSession')(`http://127.0.0.1:${server.address().port}/events`);
+    await waitFor(() => app.get('liveSession').status === 'ended');
+    const live = app.get('liveSession');
+    // Let the throttled render for the last messages run
+    await waitFor(() => live.renderTimer === null);
+    assert.ok(renders > 0);
+
+    const extractSessionData = app.get('extractSessionData');
+    const replayed = extractSessionData(live.files);
+    const loaded = extractSessionData(app.get('buildFilesMap')(readExportFixture('legacy-flat')));
+
+    assert.equal(replayed.coordination.events.length, 3);
+    assert.deepEqual(app.plain(replayed.coordination), app.plain(loaded.coordination));
+    assert.deepEqual(app.plain(replayed.answers), app.plain(loaded.answers));
+    assert.deepEqual(app.plain(replayed.votes), app.plain(loaded.votes));
+    assert.equal(replayed.session.winner, 'agent_b');
+    assert.equal(live.connection.readyState, NodeEventSource.CLOSED);
+});
+
+test('applyLiveFile and events build the files map message by message', () => {
+    const app = loadApp();
+    app.context.scheduleLiveRender = () => {};
+    app.run('liveSession = { files: {}, eventsPath: null, changedPaths: new Set(), eventsChanged: false, connection: { close() {} } }');
+    const handleLiveMessage = app.get('handleLiveMessage');
+
+    handleLiveMessage(JSON.stringify({ type: 'file', path: 'turn_1__attempt_1__status.json', content: '{"agents": {"agent_a": {}}}' }));
+    handleLiveMessage(JSON.stringify({ type: 'file', path: 'turn_1/attempt_1/coordination_events.json', content: '{"events": []}' }));
+    handleLiveMessage(JSON.stringify({ type: 'event', event: { event_type: 'new_answer', agent_id: 'agent_a', timestamp: 1 } }));
+    handleLiveMessage('not json');
+    handleLiveMessage(JSON.stringify({ type: 'end' }));
+
+    const live = app.get('liveSession');
+    assert.deepEqual(app.plain(live.files), {
+        'turn_1/attempt_1/status.json': { agents: { agent_a: {} } },
+        'turn_1/attempt_1/coordination_events.json': { events: [{ event_type: 'new_answer', agent_id: 'agent_a', timestamp: 1 }] }
+    });
+    assert.deepEqual(Array.from(live.changedPaths).sort(), ['turn_1/attempt_1/coordination_events.json', 'turn_1/attempt_1/status.json']);
+    assert.equal(live.eventsChanged, true);
+    assert.equal(live.status, 'ended');
+});
+
+test('an unreachable event stream gives up and shows the error on first load', () => {
+    const connections = [];
+    class UnreachableEventSource {
+        constructor(url) {
+            this.url = url;
+            this.readyState = 0;
+            connections.push(this);
+        }
+
+        close() {
+            this.readyState = 2;
+        }
+    }
+    UnreachableEventSource.CLOSED = 2;
+
+    const app = loadApp({ EventSource: UnreachableEventSource });
+    const errors = [];
+    app.context.showError = (message) => errors.push(message);
+    app.get('startLiveSession')('http://127.0.0.1:9/events');
+
+    const [connection] = connections;
+    const maxRetries = app.get('LIVE_MAX_RETRIES');
+    for (let i = 0; i < maxRetries; i++) {
+        connection.onerror();
+        assert.equal(app.get('liveSession').status, 'reconnecting');
+    }
+    assert.deepEqual(errors, []);
+
+    connection.onerror();
+    assert.equal(app.get('liveSession').status, 'disconnected');
+    assert.equal(connection.readyState, 2, 'the browser stops retrying');
+    assert.deepEqual(errors, ['Could not connect to live session at http://127.0.0.1:9/events']);
+    assert.equal(connections.length, 1);
+});
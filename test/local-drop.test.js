@@ -0,0 +1,70 @@
+/**
+ * Local drag-and-drop: failures reading dropped files reach the error view
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+/**
+ * Load the app, wire up the drop zone and return its page-wide drop listener
+ */
+function loadDropZone() {
+    const listeners = {};
+    const app = loadApp({
+        addEventListener: (type, listener) => { listeners[type] = listener; }
+    });
+    const errors = [];
+    app.context.showError = (message) => errors.push(message);
+    app.get('initLocalDropZone')();
+    return { drop: listeners.drop, errors };
+}
+
+/**
+ * A drop event carrying one folder
+ */
+function folderDrop(directoryEntry) {
+    return {
+        preventDefault() {},
+        dataTransfer: {
+            types: ['Files'],
+            items: [{ kind: 'file', webkitGetAsEntry: () => directoryEntry }],
+            files: []
+        }
+    };
+}
+
+const waitForErrors = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('a folder that cannot be read shows an error', async () => {
+    const { drop, errors } = loadDropZone();
+    drop(folderDrop({
+        name: 'export',
+        isFile: false,
+        isDirectory: true,
+        createReader: () => ({
+            readEntries: (resolve, reject) => reject(new Error('A requested file or directory could not be found'))
+        })
+    }));
+
+    await waitForErrors();
+    assert.deepEqual(errors, ['A requested file or directory could not be found']);
+});
+
+test('a file inside a dropped folder that cannot be read shows an error', async () => {
+    const { drop, errors } = loadDropZone();
+    let batches = 0;
+    drop(folderDrop({
+        name: 'export',
+        isFile: false,
+        isDirectory: true,
+        createReader: () => ({
+            readEntries: (resolve) => resolve(batches++ === 0
+                ? [{ name: 'status.json', isFile: true, file: (resolve, reject) => reject(new Error('Permission denied')) }]
+                : [])
+        })
+    }));
+
+    await waitForErrors();
+    assert.deepEqual(errors, ['Permission denied']);
+});
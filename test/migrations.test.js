@@ -0,0 +1,182 @@
+/**
+ * Export format migrations (see EXPORT_MIGRATIONS in app.js)
+ * Each fixture under test/fixtures/exports is a session export in one format version.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, readExportFixture } = require('./helpers/load-app');
+
+const app = loadApp();
+const { plain } = app;
+const buildFilesMap = app.get('buildFilesMap');
+const detectExportFormatVersion = app.get('detectExportFormatVersion');
+const migrateExportFiles = app.get('migrateExportFiles');
+const migrateLegacyFlatExport = app.get('migrateLegacyFlatExport');
+const migrateV1Export = app.get('migrateV1Export');
+const normalizeV1Manifest = app.get('normalizeV1Manifest');
+const labelV1Votes = app.get('labelV1Votes');
+
+const loadExport = (name) => buildFilesMap(readExportFixture(name));
+
+test('detectExportFormatVersion identifies each fixture', () => {
+    assert.equal(detectExportFormatVersion(loadExport('legacy-flat')), 'legacy');
+    assert.equal(detectExportFormatVersion(loadExport('v1')), '1.0');
+    assert.equal(detectExportFormatVersion(loadExport('current')), '1.0');
+
+    const withoutManifest = loadExport('v1');
+    delete withoutManifest['_session_manifest.json'];
+    assert.equal(detectExportFormatVersion(withoutManifest), '1.0');
+});
+
+test('migrateLegacyFlatExport nests files under turn_1/attempt_1 and adds a manifest', () => {
+    const files = loadExport('legacy-flat');
+    const before = plain(files);
+    const migrated = migrateLegacyFlatExport(files);
+
+    for (const path of Object.keys(before)) {
+        assert.deepEqual(plain(migrated[`turn_1/attempt_1/${path}`]), before[path], path);
+    }
+    assert.equal(Object.keys(migrated).length, Object.keys(before).length + 1);
+    assert.deepEqual(plain(migrated['_session_manifest.json']), {
+        format_version: '1.0',
+        session_type: 'single_turn',
+        turn_count: 1,
+        turns: [{ turn_number: 1, attempt_number: 1, question: 'What is the capital of France?' }]
+    });
+    assert.deepEqual(plain(files), before, 'input is left untouched');
+});
+
+test('migrateLegacyFlatExport falls back to the coordination prompt for the question', () => {
+    const files = loadExport('legacy-flat');
+    delete files['metrics_summary.json'];
+    delete files['status.json'];
+    const manifest = migrateLegacyFlatExport(files)['_session_manifest.json'];
+    assert.equal(manifest.turns[0].question, 'What is the capital of France?');
+
+    delete files['coordination_events.json'];
+    assert.equal('question' in migrateLegacyFlatExport(files)['_session_manifest.json'].turns[0], false);
+});
+
+test('normalizeV1Manifest numbers attempts and counts turns', () => {
+    const manifest = plain(normalizeV1Manifest(loadExport('v1')));
+    assert.equal(manifest.format_version, '1.0');
+    assert.equal(manifest.session_type, 'multi_turn');
+    assert.equal(manifest.turn_count, 2);
+    assert.deepEqual(manifest.turns, [
+        { turn_number: 1, attempt_number: 1, question: 'Write a haiku about autumn' },
+        { turn_number: 2, attempt_number: 1, question: 'Now make it rhyme' }
+    ]);
+});
+
+test('normalizeV1Manifest synthesizes turns from paths when the manifest is missing', () => {
+    const files = loadExport('v1');
+    delete files['_session_manifest.json'];
+    files['turn_2/attempt_2/status.json'] = { agents: { agent_a: {} } };
+
+    assert.deepEqual(plain(normalizeV1Manifest(files)), {
+        format_version: '1.0',
+        turn_count: 2,
+        turns: [
+            { turn_number: 1, attempt_number: 1 },
+            { turn_number: 2, attempt_number: 1 },
+            { turn_number: 2, attempt_number: 2 }
+        ]
+    });
+});
+
+test('labelV1Votes labels only the votes that lack labels', () => {
+    const labeled = plain(labelV1Votes(loadExport('v1')));
+
+    // agent_a has two answers and agent_b one, so agent_a's latest is 1.2
+    assert.deepEqual(Object.keys(labeled), ['turn_1/attempt_1/agent_b/20250101_100200/vote.json']);
+    assert.deepEqual(labeled['turn_1/attempt_1/agent_b/20250101_100200/vote.json'], {
+        voted_for: 'agent_a',
+        reason: 'Better imagery',
+        available_options: ['agent_a', 'agent_b'],
+        voted_for_label: '1.2',
+        available_options_labels: ['1.2', '2.1'],
+        answer_label_to_agent: { '1.2': 'agent_a', '2.1': 'agent_b' }
+    });
+});
+
+test('migrateV1Export fills in the manifest and vote labels without touching its input', () => {
+    const files = loadExport('v1');
+    const before = plain(files);
+    const migrated = plain(migrateV1Export(files));
+
+    assert.deepEqual(plain(files), before);
+    assert.equal(migrated['_session_manifest.json'].turn_count, 2);
+    assert.equal(migrated['turn_1/attempt_1/agent_b/20250101_100200/vote.json'].voted_for_label, '1.2');
+    // Already-labeled votes and other files pass through
+    const unchanged = Object.keys(before).filter(path =>
+        path !== '_session_manifest.json' && path !== 'turn_1/attempt_1/agent_b/20250101_100200/vote.json');
+    for (const path of unchanged) {
+        assert.deepEqual(migrated[path], before[path], path);
+    }
+});
+
+test('migrateExportFiles chains legacy -> 1.0 -> canonical', () => {
+    const result = migrateExportFiles(loadExport('legacy-flat'));
+
+    assert.equal(result.formatVersion, 'legacy');
+    assert.equal(result.supported, true);
+    assert.deepEqual(plain(result.applied), [
+        'Legacy flat export to multi-turn layout',
+        'Format 1.0 to canonical model'
+    ]);
+    assert.ok(Object.keys(result.files).every(path =>
+        path === '_session_manifest.json' || path.startsWith('turn_1/attempt_1/')));
+    assert.deepEqual(plain(result.files['turn_1/attempt_1/agent_a/20250101_100200/vote.json']), {
+        voted_for: 'agent_b',
+        reason: 'More complete answer',
+        available_options: ['agent_a', 'agent_b'],
+        voted_for_label: '2.1',
+        available_options_labels: ['1.1', '2.1'],
+        answer_label_to_agent: { '1.1': 'agent_a', '2.1': 'agent_b' }
+    });
+});
+
+test('migrateExportFiles passes an already-current export through unchanged', () => {
+    const files = loadExport('current');
+    const result = migrateExportFiles(files);
+
+    assert.equal(result.formatVersion, '1.0');
+    assert.equal(result.supported, true);
+    assert.deepEqual(plain(result.applied), ['Format 1.0 to canonical model']);
+    assert.deepEqual(plain(result.files), plain(files));
+});
+
+test('migrateExportFiles renders unknown format versions as-is', () => {
+    const files = loadExport('current');
+    files['_session_manifest.json'] = { ...files['_session_manifest.json'], format_version: '9.0' };
+    const result = migrateExportFiles(files);
+
+    assert.equal(result.formatVersion, '9.0');
+    assert.equal(result.supported, false);
+    assert.deepEqual(plain(result.applied), []);
+    assert.equal(result.files, files);
+});
+
+test('extractSessionData reads gist exports from their unflattened, migrated paths', () => {
+    const rawFiles = {};
+    for (const [path, content] of Object.entries(readExportFixture('legacy-flat'))) {
+        rawFiles[path.split('/').join('__')] = content;
+    }
+    // Names that already have a "/" (?url= and local exports) are real paths and keep their "__"
+    rawFiles['agent_a/20250101_100000/workspace/pkg/__init__.py'] = 'VERSION = 1\n';
+    rawFiles['agent_a/20250101_100000/workspace/notes__answer.txt'] = 'not an answer';
+
+    const data = app.get('extractSessionData')(buildFilesMap(rawFiles));
+    assert.deepEqual(Object.keys(plain(data.answers)).sort(), [
+        'agent_a.20250101_100000',
+        'agent_b.20250101_100100',
+        'final.agent_b'
+    ]);
+    assert.equal(data.answers['agent_a.20250101_100000'].content, readExportFixture('legacy-flat')['agent_a/20250101_100000/answer.txt']);
+    assert.equal(data.answers['final.agent_b'].type, 'final_answer');
+    assert.deepEqual(plain(data.workspaceFiles), {
+        agent_a: { '20250101_100000': { 'pkg/__init__.py': 'VERSION = 1\n', 'notes__answer.txt': 'not an answer' } }
+    });
+    assert.deepEqual(Object.keys(plain(data.votes)), ['agent_a']);
+});
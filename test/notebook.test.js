@@ -0,0 +1,87 @@
+/**
+ * Notebook preview: valid JSON that isn't a notebook falls back to a notice
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const app = loadApp();
+const renderNotebookHtml = app.get('renderNotebookHtml');
+const getNotebookCells = app.get('getNotebookCells');
+
+const notebook = (cells, extra = {}) => JSON.stringify({ nbformat: 4, metadata: {}, cells, ...extra });
+
+test('renders a minimal notebook', () => {
+    const html = renderNotebookHtml(notebook([
+        { cell_type: 'markdown', source: ['# Title'] },
+        {
+            cell_type: 'code',
+            execution_count: 1,
+            source: 'print(1)',
+            outputs: [
+                { output_type: 'stream', name: 'stdout', text: ['1\n'] },
+                { output_type: 'error', ename: 'ValueError', evalue: 'bad', traceback: ['\u001b[31mValueError\u001b[0m: bad'] }
+            ]
+        }
+    ]));
+    assert.match(html, /2 cells/);
+    assert.match(html, /In \[1\]:/);
+    assert.match(html, /notebook-error/);
+    assert.doesNotMatch(html, /Not a valid notebook/);
+});
+
+test('accepts nbformat 3 worksheets', () => {
+    const cells = getNotebookCells({ worksheets: [{ cells: [{ cell_type: 'code', input: 'x = 1' }] }] });
+    assert.equal(cells.length, 1);
+    assert.equal(getNotebookCells({ worksheets: [] }).length, 0);
+});
+
+const invalidNotebooks = {
+    'null': ['null', /not a JSON object/],
+    'a string': ['"notebook"', /not a JSON object/],
+    'an array': ['[]', /not a JSON object/],
+    'no cells': ['{"metadata": {}}', /&quot;cells&quot; is not a list/],
+    'cells object': ['{"cells": {}}', /&quot;cells&quot; is not a list/],
+    'non-object cell': ['{"cells": [null]}', /cell 1 is not an object/],
+    'outputs object': [notebook([{ cell_type: 'code', source: '', outputs: {} }]), /cell 1 &quot;outputs&quot; is not a list/],
+    'string traceback': [
+        notebook([{ cell_type: 'code', source: '', outputs: [{ output_type: 'error', traceback: 'Traceback...' }] }]),
+        /cell 1 &quot;traceback&quot; is not a list/
+    ],
+    'string output data': [
+        notebook([{ cell_type: 'code', source: '', outputs: [{ output_type: 'display_data', data: 'x' }] }]),
+        /cell 1 output &quot;data&quot; is not an object/
+    ],
+    'metadata string': ['{"metadata": "x", "cells": []}', /&quot;metadata&quot; is not an object/],
+    'invalid JSON': ['{"cells": [', /Not a valid notebook/]
+};
+
+for (const [name, [content, message]] of Object.entries(invalidNotebooks)) {
+    test(`falls back to a notice for ${name}`, () => {
+        const html = renderNotebookHtml(content);
+        assert.match(html, /class="notebook-invalid">Not a valid notebook/);
+        assert.match(html, message);
+    });
+}
+
+test('mountNotebook never rejects', async () => {
+    const container = {
+        innerHTML: '',
+        querySelectorAll: () => { throw new Error('detached'); }
+    };
+    await app.get('mountNotebook')(container, notebook([{ cell_type: 'markdown', source: 'x' }]));
+    assert.match(container.innerHTML, /1 cell/);
+
+    await app.get('mountNotebook')(container, '{"cells": {}}');
+    assert.match(container.innerHTML, /Not a valid notebook/);
+});
+
+test('mountNotebook keeps the plain notebook when the libraries fail to load', async () => {
+    const sandbox = loadApp();
+    sandbox.context.loadMarkdownLibs = async () => { throw new Error('offline'); };
+    const container = { innerHTML: '', querySelectorAll: () => [] };
+
+    await sandbox.get('mountNotebook')(container, notebook([{ cell_type: 'code', source: 'x = 1' }]));
+    assert.match(container.innerHTML, /In \[ \]:/);
+});
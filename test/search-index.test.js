@@ -0,0 +1,71 @@
+/**
+ * Session search index: built from the same path classification as the session views
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, readExportFixture } = require('./helpers/load-app');
+
+const app = loadApp();
+const { plain } = app;
+const classifyExportPath = app.get('classifyExportPath');
+
+test('classifyExportPath recognizes each kind of session file', () => {
+    const cases = {
+        'turn_1/attempt_1/agent_a/20250101_100000/answer.txt': { kind: 'answer', agentId: 'agent_a', timestamp: '20250101_100000' },
+        'turn_1/attempt_1/final/agent_a/answer.txt': { kind: 'final_answer', agentId: 'final', timestamp: 'agent_a' },
+        'agent_b/20250101_100200/vote.json': { kind: 'vote', agentId: 'agent_b', timestamp: '20250101_100200' },
+        'turn_2/attempt_1/agent_outputs/agent_a.txt': { kind: 'log', logName: 'agent_a' },
+        'turn_1/attempt_1/agent_a/20250101_100000/workspace/src/answer.txt': {
+            kind: 'workspace', agentId: 'agent_a', timestamp: '20250101_100000', relativePath: 'src/answer.txt'
+        },
+        'turn_1/attempt_1/final/agent_a/workspace/vote.json': { kind: 'workspace', agentId: 'final', timestamp: 'agent_a', relativePath: 'vote.json' }
+    };
+    for (const [path, expected] of Object.entries(cases)) {
+        assert.deepEqual(plain(classifyExportPath(path)), expected, path);
+    }
+
+    for (const path of [
+        'turn_1/attempt_1/status.json',
+        'turn_1/attempt_1/agent_outputs/system_status.txt',
+        'turn_1/attempt_1/agent_outputs/agent_a_latest.txt',
+        'turn_1/attempt_1/agent_a/answer.txt.bak'
+    ]) {
+        assert.equal(classifyExportPath(path), null, path);
+    }
+});
+
+test('the search index covers answers, votes, logs and workspace files with their turns', () => {
+    const rawFiles = {
+        ...readExportFixture('v1'),
+        'turn_1/attempt_1/agent_outputs/agent_a.txt': '\u001b[31mError\u001b[0m: retrying\n',
+        // A workspace file named like an answer is only a workspace file
+        'turn_2/attempt_1/agent_b/20250101_110000/workspace/answer.txt': 'draft in the workspace'
+    };
+    const data = app.get('extractSessionData')(app.get('buildFilesMap')(rawFiles));
+    const documents = plain(app.get('buildSearchIndex')(data));
+    const summary = documents.map(({ source, turnKey, title }) => ({ source, turnKey, title }));
+
+    assert.deepEqual(summary.filter(d => d.source !== 'config').sort((a, b) => a.title.localeCompare(b.title)), [
+        { source: 'final', turnKey: '1_1', title: 'Final answer' },
+        { source: 'final', turnKey: '2_1', title: 'Final answer' },
+        { source: 'log', turnKey: '1_1', title: 'agent_a' },
+        { source: 'answer', turnKey: '1_1', title: 'agent_a · 20250101_100000' },
+        { source: 'answer', turnKey: '1_1', title: 'agent_a · 20250101_100100' },
+        { source: 'vote', turnKey: '1_1', title: 'agent_a · 20250101_100210 → 1.2' },
+        { source: 'answer', turnKey: '1_1', title: 'agent_b · 20250101_100030' },
+        { source: 'answer', turnKey: '2_1', title: 'agent_b · 20250101_110000' },
+        { source: 'workspace', turnKey: '2_1', title: 'agent_b · 20250101_110000 · answer.txt' },
+        { source: 'vote', turnKey: '1_1', title: 'agent_b · 20250101_100200 → 1.2' }
+    ].sort((a, b) => a.title.localeCompare(b.title)));
+
+    const log = documents.find(d => d.source === 'log');
+    assert.equal(log.text, 'Error: retrying\n');
+    assert.deepEqual(log.target, { agentId: 'agent_a' });
+
+    const workspace = documents.find(d => d.source === 'workspace');
+    assert.deepEqual(workspace.target, { agentId: 'agent_b', timestamp: '20250101_110000', filePath: 'answer.txt' });
+    // The index and the workspace view agree on where the file lives
+    assert.equal(data.workspaceFiles.agent_b['20250101_110000']['answer.txt'], 'draft in the workspace');
+    assert.equal(data.answers['agent_b.20250101_110000'].content, readExportFixture('v1')['turn_2/attempt_1/agent_b/20250101_110000/answer.txt']);
+});
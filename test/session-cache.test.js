@@ -0,0 +1,153 @@
+/**
+ * Session cache: source versions, caching fresh fetches and replacing stale cache entries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+/**
+ * A fetch stub serving fixed responses by URL, recording each request
+ */
+function createFetch(routes) {
+    const requests = [];
+    const fetch = async (url, init = {}) => {
+        requests.push({ url: String(url), init });
+        const route = routes[String(url)];
+        if (!route) return new Response('Not found', { status: 404 });
+        return new Response(route.body ?? '', { status: 200, headers: route.headers || {} });
+    };
+    return { fetch, requests };
+}
+
+test('url sources are versioned by ETag, then Last-Modified, then a hash of the index', async () => {
+    const { fetch, requests } = createFetch({
+        'http://localhost/etag.json': { body: '{"files":[]}', headers: { ETag: '"abc"', 'Last-Modified': 'Mon, 13 Oct 2025 10:00:00 GMT' } },
+        'http://localhost/modified.json': { body: '{"files":[]}', headers: { 'Last-Modified': 'Mon, 13 Oct 2025 10:00:00 GMT' } },
+        'http://localhost/plain.json': { body: '{"files":["a.txt"]}' },
+        'http://localhost/plain2.json': { body: '{"files":["a.txt","b.txt"]}' }
+    });
+    const app = loadApp({ fetch });
+    const source = app.get('getSessionSource')('url');
+
+    assert.equal(await source.getVersion('etag.json'), '"abc"');
+    assert.equal(await source.getVersion('modified.json'), 'Mon, 13 Oct 2025 10:00:00 GMT');
+    const plainVersion = await source.getVersion('plain.json');
+    assert.match(plainVersion, /^body:[0-9a-f]{8}$/);
+    assert.equal(await source.getVersion('plain.json'), plainVersion);
+    assert.notEqual(await source.getVersion('plain2.json'), plainVersion);
+    assert.ok(requests.every(r => r.init.cache === 'no-cache'), 'version checks bypass the HTTP cache');
+});
+
+test('src sources are versioned by their root listing', async () => {
+    const { fetch, requests } = createFetch({
+        'http://localhost/logs/session/': { body: '<a href="turn_1/">turn_1/</a>' }
+    });
+    const app = loadApp({ fetch });
+    const source = app.get('getSessionSource')('src');
+
+    assert.match(await source.getVersion('logs/session'), /^body:/);
+    assert.deepEqual(requests.map(r => r.url), ['http://localhost/logs/session/']);
+});
+
+/**
+ * Load the app with the cache writes and status rendering recorded instead of performed
+ */
+function loadRevalidationApp() {
+    const app = loadApp();
+    const puts = [];
+    const statuses = [];
+    app.context.putCachedSession = async (meta, rawFiles) => { puts.push({ meta, rawFiles }); };
+    app.context.renderCacheStatus = (info) => { statuses.push(info); };
+    return { app, puts, statuses };
+}
+
+const cachedEntry = (version) => ({
+    key: 'url:session.json',
+    value: 'session.json',
+    version,
+    title: 'Old question',
+    cachedAt: 1,
+    rawFiles: { 'status.json': '{}' }
+});
+
+test('a newer version replaces the cache entry and flags the session as stale', async () => {
+    const { app, puts, statuses } = loadRevalidationApp();
+    const source = { name: 'url', param: 'url', getVersion: async () => 'v2', load: async () => ({ 'status.json': '{"new":true}' }) };
+    app.context.__viewing = { source, value: 'session.json' };
+    app.run('currentSource = __viewing');
+
+    await app.get('revalidateCachedSession')(source, 'session.json', cachedEntry('v1'), { fromCache: true, cachedAt: 1 });
+
+    assert.equal(puts.length, 1);
+    assert.deepEqual(app.plain(puts[0].meta), {
+        key: 'url:session.json',
+        source: 'url',
+        value: 'session.json',
+        version: 'v2',
+        title: 'Old question'
+    });
+    assert.deepEqual(app.plain(puts[0].rawFiles), { 'status.json': '{"new":true}' });
+    assert.deepEqual(app.plain(statuses), [{ fromCache: true, cachedAt: 1, stale: true }]);
+});
+
+test('an unchanged version leaves the cache entry alone', async () => {
+    const { app, puts, statuses } = loadRevalidationApp();
+    let loads = 0;
+    const source = { name: 'url', param: 'url', getVersion: async () => 'v1', load: async () => { loads++; return {}; } };
+
+    await app.get('revalidateCachedSession')(source, 'session.json', cachedEntry('v1'), { fromCache: true, cachedAt: 1 });
+
+    assert.equal(loads, 0);
+    assert.equal(puts.length, 0);
+    assert.equal(statuses.length, 0);
+});
+
+test('entries cached without a version are upgraded without a stale notice', async () => {
+    const { app, puts, statuses } = loadRevalidationApp();
+    const source = { name: 'src', param: 'src', getVersion: async () => 'body:1234abcd', load: async () => ({ 'a.txt': 'a' }) };
+    app.context.__viewing = { source, value: 'session.json' };
+    app.run('currentSource = __viewing');
+
+    await app.get('revalidateCachedSession')(source, 'session.json', cachedEntry(null), { fromCache: true, cachedAt: 1 });
+
+    assert.equal(puts.length, 1);
+    assert.equal(puts[0].meta.version, 'body:1234abcd');
+    assert.equal(statuses.length, 0);
+});
+
+test('revalidation failures keep the cached copy', async () => {
+    const { app, puts } = loadRevalidationApp();
+    const source = { name: 'url', param: 'url', getVersion: async () => 'v2', load: async () => { throw new Error('offline'); } };
+
+    await app.get('revalidateCachedSession')(source, 'session.json', cachedEntry('v1'), { fromCache: true, cachedAt: 1 });
+    assert.equal(puts.length, 0);
+});
+
+test('a fresh fetch is cached under the version read before its content', async () => {
+    const { app, puts, statuses } = loadRevalidationApp();
+    app.context.renderSession = () => app.run('sessionData = { session: { question: "New question" } }');
+    app.context.showContent = () => {};
+    // The source is updated while its files are being fetched
+    let current = 'v1';
+    const calls = [];
+    const source = {
+        name: 'url',
+        param: 'url',
+        getVersion: async () => { calls.push('version'); return current; },
+        load: async () => { calls.push('load'); current = 'v2'; return { 'status.json': '{}' }; }
+    };
+
+    await app.get('loadSessionFromSource')(source, 'session.json', { refresh: true });
+
+    assert.deepEqual(calls, ['version', 'load']);
+    assert.equal(puts.length, 1);
+    assert.deepEqual(app.plain(puts[0].meta), {
+        key: 'url:session.json',
+        source: 'url',
+        value: 'session.json',
+        version: 'v1',
+        title: 'New question'
+    });
+    assert.equal(statuses[0].fromCache, false);
+});
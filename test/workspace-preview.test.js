@@ -0,0 +1,75 @@
+/**
+ * Workspace preview pane: blob URLs for PDFs and media are revoked when replaced
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const MP4_BASE64 = Buffer.from('\u0000\u0000\u0000\u0018ftypmp42 fake video data').toString('base64');
+const PDF_BASE64 = Buffer.from('%PDF-1.4 fake pdf').toString('base64');
+
+/**
+ * Load the app with one workspace whose file data and preview pane are plain objects,
+ * and URL.createObjectURL/revokeObjectURL recorded
+ */
+function loadWorkspace(filesData) {
+    const created = [];
+    const revoked = [];
+    class RecordingURL extends URL {
+        static createObjectURL() {
+            const url = `blob:test/${created.length + 1}`;
+            created.push(url);
+            return url;
+        }
+        static revokeObjectURL(url) {
+            revoked.push(url);
+        }
+    }
+    const app = loadApp({ URL: RecordingURL });
+
+    const previewPane = { innerHTML: '', querySelector: () => null };
+    const elements = {
+        ws1: { querySelectorAll: () => [], querySelector: () => null },
+        'ws-data-ws1': { textContent: JSON.stringify(filesData) },
+        'preview-ws1': previewPane
+    };
+    app.context.document.getElementById = (id) => elements[id] || null;
+    return { select: (fileId) => app.get('selectWorkspaceFile')('ws1', fileId), previewPane, created, revoked };
+}
+
+const mediaFile = (path, kind, mime, content) => ({ path, content, ext: path.split('.').pop(), mime, kind, isBinary: true });
+
+test('selecting another file revokes the previous media blob URL', () => {
+    const { select, previewPane, created, revoked } = loadWorkspace({
+        f1: mediaFile('demo.mp4', 'video', 'video/mp4', MP4_BASE64),
+        f2: mediaFile('clip.mp4', 'video', 'video/mp4', MP4_BASE64),
+        f3: { path: 'notes.txt', content: 'hello', ext: 'txt', mime: 'text/plain', kind: 'text', isBinary: false }
+    });
+
+    select('f1');
+    assert.deepEqual(created, ['blob:test/1']);
+    assert.match(previewPane.innerHTML, /<video controls src="blob:test\/1">/);
+    assert.deepEqual(revoked, []);
+
+    select('f2');
+    assert.deepEqual(created, ['blob:test/1', 'blob:test/2']);
+    assert.deepEqual(revoked, ['blob:test/1']);
+
+    // A text file needs no blob, but the video's is still released
+    select('f3');
+    assert.deepEqual(created, ['blob:test/1', 'blob:test/2']);
+    assert.deepEqual(revoked, ['blob:test/1', 'blob:test/2']);
+});
+
+test('PDF previews release their blob URL too', () => {
+    const { select, previewPane, revoked } = loadWorkspace({
+        f1: mediaFile('report.pdf', 'pdf', 'application/pdf', PDF_BASE64),
+        f2: mediaFile('demo.mp4', 'video', 'video/mp4', MP4_BASE64)
+    });
+
+    select('f1');
+    assert.match(previewPane.innerHTML, /<iframe src="blob:test\/1"/);
+    select('f2');
+    assert.deepEqual(revoked, ['blob:test/1']);
+});
@@ -0,0 +1,90 @@
+/**
+ * Workspace file tree: code viewers are built when a file is first expanded,
+ * and binary files get a notice instead of a viewer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const PNG_BASE64 = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.from('fake png data for the tree test')
+]).toString('base64');
+
+const FILES = {
+    'src/main.py': 'print("hello")\n',
+    'assets/logo.png': PNG_BASE64
+};
+
+/**
+ * Load the app with one agent's workspace files and a tree file element
+ * whose code area records each render
+ */
+function loadTree() {
+    const app = loadApp();
+    app.context._workspaceFiles = { agent_a: FILES };
+
+    const renders = [];
+    const fileElement = (path) => {
+        const classes = new Set();
+        let html = '';
+        const codeEl = {
+            dataset: {},
+            get innerHTML() { return html; },
+            set innerHTML(value) { html = value; renders.push(path); }
+        };
+        return {
+            dataset: { agentId: 'agent_a', path },
+            classList: {
+                toggle: (name) => (classes.has(name) ? classes.delete(name) : classes.add(name)),
+                contains: (name) => classes.has(name)
+            },
+            querySelector: (selector) => (selector === '.workspace-file-code' ? codeEl : null),
+            codeEl
+        };
+    };
+    const elements = {
+        'file-agent_a__src_main_py': fileElement('src/main.py'),
+        'file-agent_a__assets_logo_png': fileElement('assets/logo.png')
+    };
+    app.context.document.getElementById = (id) => elements[id] || null;
+    return { app, elements, renders, toggle: (fileId) => app.get('toggleWorkspaceFile')(fileId) };
+}
+
+test('the tree renders no code viewers or file content up front', () => {
+    const { app } = loadTree();
+    const html = app.get('renderTreeNode')(app.get('buildDirectoryTree')(FILES), 'agent_a');
+
+    assert.doesNotMatch(html, /code-viewer/);
+    assert.ok(!html.includes(PNG_BASE64), 'binary content is not embedded');
+    assert.ok(!html.includes('print('), 'text content is not embedded');
+    assert.match(html, /id="file-agent_a__src_main_py" data-agent-id="agent_a" data-path="src\/main.py"/);
+    assert.match(html, /<div class="workspace-file-code"><\/div>/);
+});
+
+test('expanding a text file builds its code viewer once', () => {
+    const { elements, renders, toggle } = loadTree();
+    const codeEl = elements['file-agent_a__src_main_py'].codeEl;
+
+    toggle('agent_a__src_main_py');
+    assert.deepEqual(renders, ['src/main.py']);
+    assert.match(codeEl.innerHTML, /class="code-viewer/);
+    assert.match(codeEl.innerHTML, /print\(/);
+
+    // Collapsing and expanding again reuses the viewer
+    toggle('agent_a__src_main_py');
+    toggle('agent_a__src_main_py');
+    assert.deepEqual(renders, ['src/main.py']);
+});
+
+test('expanding a binary file shows a notice instead of a viewer', () => {
+    const { elements, toggle } = loadTree();
+    const codeEl = elements['file-agent_a__assets_logo_png'].codeEl;
+
+    toggle('agent_a__assets_logo_png');
+    assert.match(codeEl.innerHTML, /class="ws-binary-notice"/);
+    assert.match(codeEl.innerHTML, /\(PNG\)/);
+    assert.doesNotMatch(codeEl.innerHTML, /code-viewer/);
+    assert.ok(!codeEl.innerHTML.includes(PNG_BASE64));
+});